@@ -1,127 +1,186 @@
-import React, { useState } from "react";
+import React from "react";
 import { BrowserRouter as Router, Route, Routes } from "react-router-dom";
 import Nav from "./Components/Nav";
+import Toasts from "./Components/Toasts";
+import {
+	RequireAuth,
+	RequireGuest,
+	RequireRole,
+} from "./Components/RouteGuards";
 import Home from "./Pages/Home";
 import NotFound from "./Pages/NotFound";
 import About from "./Pages/About";
-// import Contact from "./Pages/Contact";
+import Menu from "./Pages/Menu";
+import Book from "./Pages/Book";
+import Bookings from "./Pages/Bookings";
+import Contact from "./Pages/Contact";
+import Cart from "./Pages/Cart";
 import Login from "./Pages/Login";
 import Register from "./Pages/Register";
 import Logout from "./Pages/Logout";
 import ForgotPassword from "./Pages/ForgotPassword";
 import Reset from "./Pages/Reset";
+import Profile from "./Pages/Profile";
+import ConfirmEmail from "./Pages/ConfirmEmail";
+import Verify from "./Pages/Verify";
+import AdminLayout from "./Pages/Admin/AdminLayout";
+import AdminBookings from "./Pages/Admin/AdminBookings";
+import AdminMenu from "./Pages/Admin/AdminMenu";
+import AdminUsers from "./Pages/Admin/AdminUsers";
+import AdminAuthEvents from "./Pages/Admin/AdminAuthEvents";
+import AdminEnquiries from "./Pages/Admin/AdminEnquiries";
+import AdminOrders from "./Pages/Admin/AdminOrders";
+import KitchenDisplay from "./Pages/Admin/KitchenDisplay";
 
 import { AuthProvider } from "./contexts/AuthContext";
+import { ToastProvider } from "./contexts/ToastContext";
+import { CartProvider } from "./contexts/CartContext";
+import { LiveUpdatesProvider } from "./contexts/LiveUpdatesContext";
 
 import "./App-new.css";
 
 function App() {
-	const [message, setMessage] = useState("");
-	const [messageType, setMessageType] = useState("info"); // success, error, warning, info
-
-	React.useEffect(() => {
-		if (!message) return;
-		const timeout = setTimeout(() => {
-			setMessage("");
-			setMessageType("info");
-		}, 5000);
-		return () => clearTimeout(timeout);
-	}, [message]);
-
-	// Helper function to set message with type
-	const setMessageWithType = (msg, type = "info") => {
-		setMessage(msg);
-		setMessageType(type);
-	};
-
-	const [isLoggedIn, setIsLoggedIn] = useState(false);
-	React.useEffect(() => {
-		fetch("/api/authcheck", {
-			method: "POST",
-		})
-			.then((response) => response.json())
-			.then((data) => {
-				if (data.loggedIn) {
-					console.log("You are logged in as user id: " + data.userId);
-					setIsLoggedIn(true);
-				} else {
-					setIsLoggedIn(false);
-				}
-			})
-			.catch(() => setIsLoggedIn(false));
-	}, []);
-
-	React.useEffect(() => {
-		if (message !== "") {
-			window.scrollTo({ top: 0, behavior: "smooth" });
-		}
-	}, [message, setMessage]);
-
 	return (
 		<AuthProvider>
-			<Router>
-				<div className="main">
-					<Nav isLoggedIn={isLoggedIn} />
-					<div className="content">
-						{message && (
-							<div
-								className={`app-message app-message--${messageType}`}
-							>
-								{message}
-							</div>
-						)}
-						<Routes>
-							<Route path="*" element={<NotFound />} />
+			<ToastProvider>
+				<LiveUpdatesProvider>
+					<CartProvider>
+						<Router>
+							<div className="main">
+								<Nav />
+								<Toasts />
+								<div className="content">
+									<Routes>
+										<Route
+											path="*"
+											element={<NotFound />}
+										/>
 
-							<Route
-								path="/"
-								element={
-									<Home setMessage={setMessageWithType} />
-								}
-							/>
-							<Route
-								path="/about"
-								element={
-									<About setMessage={setMessageWithType} />
-								}
-							/>
-							{/* <Route path="/contact" element={<Contact setMessage={setMessageWithType} />} /> */}
-							<Route
-								path="/login"
-								element={
-									<Login setMessage={setMessageWithType} />
-								}
-							/>
-							<Route
-								path="/register"
-								element={
-									<Register setMessage={setMessageWithType} />
-								}
-							/>
-							<Route
-								path="/logout"
-								element={
-									<Logout setMessage={setMessageWithType} />
-								}
-							/>
-							<Route
-								path="/forgot"
-								element={
-									<ForgotPassword
-										setMessage={setMessageWithType}
-									/>
-								}
-							/>
-							<Route
-								path="/reset"
-								element={
-									<Reset setMessage={setMessageWithType} />
-								}
-							/>
-						</Routes>
-					</div>
-				</div>
-			</Router>
+										<Route path="/" element={<Home />} />
+										<Route
+											path="/about"
+											element={<About />}
+										/>
+										<Route
+											path="/menu"
+											element={<Menu />}
+										/>
+										<Route
+											path="/book"
+											element={<Book />}
+										/>
+										<Route
+											path="/bookings"
+											element={
+												<RequireAuth>
+													<Bookings />
+												</RequireAuth>
+											}
+										/>
+										<Route
+											path="/contact"
+											element={<Contact />}
+										/>
+										<Route
+											path="/cart"
+											element={<Cart />}
+										/>
+										<Route
+											path="/login"
+											element={<Login />}
+										/>
+										<Route
+											path="/register"
+											element={<Register />}
+										/>
+										<Route
+											path="/logout"
+											element={<Logout />}
+										/>
+										<Route
+											path="/forgot"
+											element={
+												<RequireGuest>
+													<ForgotPassword />
+												</RequireGuest>
+											}
+										/>
+										<Route
+											path="/reset"
+											element={
+												<RequireGuest>
+													<Reset />
+												</RequireGuest>
+											}
+										/>
+										<Route
+											path="/profile"
+											element={
+												<RequireAuth>
+													<Profile />
+												</RequireAuth>
+											}
+										/>
+										<Route
+											path="/verify"
+											element={<Verify />}
+										/>
+										<Route
+											path="/confirm-email"
+											element={<ConfirmEmail />}
+										/>
+										<Route
+											path="/admin"
+											element={
+												<RequireRole
+													roles={["staff", "admin"]}
+												>
+													<AdminLayout />
+												</RequireRole>
+											}
+										>
+											<Route
+												index
+												element={<AdminBookings />}
+											/>
+											<Route
+												path="menu"
+												element={<AdminMenu />}
+											/>
+											<Route
+												path="users"
+												element={<AdminUsers />}
+											/>
+											<Route
+												path="enquiries"
+												element={<AdminEnquiries />}
+											/>
+											<Route
+												path="orders"
+												element={<AdminOrders />}
+											/>
+											<Route
+												path="kitchen"
+												element={<KitchenDisplay />}
+											/>
+											<Route
+												path="security"
+												element={
+													<RequireRole
+														roles={["admin"]}
+													>
+														<AdminAuthEvents />
+													</RequireRole>
+												}
+											/>
+										</Route>
+									</Routes>
+								</div>
+							</div>
+						</Router>
+					</CartProvider>
+				</LiveUpdatesProvider>
+			</ToastProvider>
 		</AuthProvider>
 	);
 }
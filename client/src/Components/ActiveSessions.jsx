@@ -0,0 +1,110 @@
+import { useEffect } from "react";
+import { api } from "../api";
+import { useMutation, useQuery } from "../hooks/useApi";
+import { useToast } from "../contexts/ToastContext";
+
+// rough "Firefox on Windows" style label from a user agent string
+function describeDevice(userAgent) {
+	if (!userAgent) return "Unknown device";
+
+	const browsers = [
+		["Edg/", "Edge"],
+		["OPR/", "Opera"],
+		["Firefox/", "Firefox"],
+		["Chrome/", "Chrome"],
+		["Safari/", "Safari"],
+	];
+	const systems = [
+		["Windows", "Windows"],
+		["Android", "Android"],
+		["iPhone", "iOS"],
+		["iPad", "iOS"],
+		["Mac OS", "macOS"],
+		["Linux", "Linux"],
+	];
+
+	const browser = browsers.find(([marker]) => userAgent.includes(marker));
+	const system = systems.find(([marker]) => userAgent.includes(marker));
+
+	if (!browser && !system) return userAgent.substring(0, 60);
+	return `${browser ? browser[1] : "Browser"} on ${
+		system ? system[1] : "unknown system"
+	}`;
+}
+
+function ActiveSessions() {
+	const { showToast } = useToast();
+	const { data, error } = useQuery("/api/sessions");
+	const sessions = data ? data.sessions : [];
+
+	useEffect(() => {
+		if (error) showToast(error.message, "error");
+	}, [error]);
+
+	const { mutate } = useMutation((url) => api.delete(url), {
+		invalidates: ["/api/sessions"],
+	});
+
+	const revoke = (url) =>
+		mutate(url)
+			.then(({ message }) => showToast(message, "success"))
+			.catch((err) => showToast(err.message, "error"));
+
+	return (
+		<div>
+			<table className="admin-table">
+				<thead>
+					<tr>
+						<th>Device</th>
+						<th>IP Address</th>
+						<th>Last Seen</th>
+						<th></th>
+					</tr>
+				</thead>
+				<tbody>
+					{sessions.map((session) => (
+						<tr key={session.id}>
+							<td title={session.userAgent}>
+								{describeDevice(session.userAgent)}
+							</td>
+							<td>{session.ip}</td>
+							<td>
+								{new Date(session.lastSeen).toLocaleString()}
+							</td>
+							<td>
+								{session.current ? (
+									<span className="menu-badge">
+										This device
+									</span>
+								) : (
+									<button
+										type="button"
+										className="btn btn-secondary"
+										onClick={() =>
+											revoke(
+												`/api/sessions/${session.id}`
+											)
+										}
+									>
+										Log out
+									</button>
+								)}
+							</td>
+						</tr>
+					))}
+				</tbody>
+			</table>
+			{sessions.length > 1 && (
+				<button
+					type="button"
+					className="btn btn-secondary"
+					onClick={() => revoke("/api/sessions")}
+				>
+					Log out all other sessions
+				</button>
+			)}
+		</div>
+	);
+}
+
+export default ActiveSessions;
@@ -0,0 +1,143 @@
+import { useEffect, useState } from "react";
+import { api } from "../api";
+import { useMutation, useQuery } from "../hooks/useApi";
+import { useToast } from "../contexts/ToastContext";
+
+// Personal API keys for the user's own scripts, on the profile page. A new
+// key is only shown once, the server keeps a hash of it.
+function ApiKeys() {
+	const { showToast } = useToast();
+	const [newKey, setNewKey] = useState(null);
+	const { data, error } = useQuery("/api/me/api-keys");
+	const apiKeys = data ? data.apiKeys : [];
+
+	useEffect(() => {
+		if (error) showToast(error.message, "error");
+	}, [error]);
+
+	const invalidates = ["/api/me/api-keys"];
+	const createKey = useMutation(
+		(fields) => api.post("/api/me/api-keys", fields),
+		{ invalidates }
+	);
+	const revokeKey = useMutation(
+		(id) => api.delete(`/api/me/api-keys/${id}`),
+		{ invalidates }
+	);
+
+	const create = async (event) => {
+		event.preventDefault();
+		const form = event.target;
+		const expiresInDays = form.apiKeyExpiry.value;
+
+		try {
+			const { message, data: created } = await createKey.mutate({
+				name: form.apiKeyName.value,
+				expiresInDays: expiresInDays ? Number(expiresInDays) : null,
+			});
+			showToast(message, "success");
+			setNewKey(created.key);
+			form.reset();
+		} catch (err) {
+			showToast(err.message, "error");
+		}
+	};
+
+	const revoke = (id) =>
+		revokeKey
+			.mutate(id)
+			.then(({ message }) => showToast(message, "success"))
+			.catch((err) => showToast(err.message, "error"));
+
+	return (
+		<div className="api-keys">
+			{newKey && (
+				<div className="two-factor__codes">
+					<p>
+						Copy your new key now, it won't be shown again. Send it
+						as <code>Authorization: Bearer &lt;key&gt;</code>.
+					</p>
+					<code className="api-keys__key">{newKey}</code>
+				</div>
+			)}
+
+			{apiKeys.length > 0 && (
+				<table className="admin-table">
+					<thead>
+						<tr>
+							<th>Name</th>
+							<th>Key</th>
+							<th>Expires</th>
+							<th>Last Used</th>
+							<th></th>
+						</tr>
+					</thead>
+					<tbody>
+						{apiKeys.map((apiKey) => (
+							<tr key={apiKey.id}>
+								<td>{apiKey.name}</td>
+								<td>
+									<code>{apiKey.prefix}…</code>
+								</td>
+								<td>
+									{apiKey.expiresAt
+										? new Date(
+												apiKey.expiresAt
+										  ).toLocaleDateString()
+										: "Never"}
+								</td>
+								<td>
+									{apiKey.lastUsedAt
+										? new Date(
+												apiKey.lastUsedAt
+										  ).toLocaleString()
+										: "Never"}
+								</td>
+								<td>
+									<button
+										type="button"
+										className="btn btn-secondary"
+										onClick={() => revoke(apiKey.id)}
+									>
+										Revoke
+									</button>
+								</td>
+							</tr>
+						))}
+					</tbody>
+				</table>
+			)}
+
+			<form onSubmit={create} className="auth-form">
+				<div className="form-group">
+					<label htmlFor="apiKeyName">Key Name</label>
+					<input
+						id="apiKeyName"
+						name="apiKeyName"
+						maxLength={100}
+						placeholder="e.g. Booking export script"
+						required
+					/>
+				</div>
+				<div className="form-group">
+					<label htmlFor="apiKeyExpiry">Expires</label>
+					<select
+						id="apiKeyExpiry"
+						name="apiKeyExpiry"
+						defaultValue="90"
+					>
+						<option value="30">In 30 days</option>
+						<option value="90">In 90 days</option>
+						<option value="365">In a year</option>
+						<option value="">Never</option>
+					</select>
+				</div>
+				<button type="submit" className="btn btn-primary">
+					Create API Key
+				</button>
+			</form>
+		</div>
+	);
+}
+
+export default ApiKeys;
@@ -1,12 +1,12 @@
 import { Link } from "react-router-dom";
 
 import { useAuth } from "../contexts/AuthContext";
+import { useCart } from "../contexts/CartContext";
 import personsvg from "url:../assets/person.svg";
 
-function Nav(props) {
-	const { isLoggedIn } = useAuth();
-	console.log("Nav component - isLoggedIn:", isLoggedIn);
-	console.log("Nav component - typeof isLoggedIn:", typeof isLoggedIn);
+function Nav() {
+	const { isLoggedIn, hasRole } = useAuth();
+	const { count } = useCart();
 
 	return (
 		<nav>
@@ -19,8 +19,10 @@ function Nav(props) {
 				) : (
 					<Link to="/login">Login</Link>
 				)}
+				{hasRole("staff", "admin") && <Link to="/admin">Admin</Link>}
 				<Link to="/about">About</Link>
 				<Link to="/contact">Contact</Link>
+				<Link to="/cart">Order{count > 0 && ` (${count})`}</Link>
 				<Link
 					to="/profile"
 					className="nav-profile-link"
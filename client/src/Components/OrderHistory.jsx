@@ -0,0 +1,83 @@
+import { useEffect } from "react";
+import { api } from "../api";
+import { useMutation, useQuery } from "../hooks/useApi";
+import { useToast } from "../contexts/ToastContext";
+import { formatPrice } from "../format";
+
+// paid orders the kitchen hasn't started on can still be cancelled
+const CANCELLABLE = ["confirmed"];
+
+// The user's food orders, newest first, on the profile page.
+function OrderHistory() {
+	const { showToast } = useToast();
+	const { data, error } = useQuery("/api/orders");
+	const orders = data ? data.orders : [];
+
+	useEffect(() => {
+		if (error) showToast(error.message, "error");
+	}, [error]);
+
+	const { mutate } = useMutation(
+		(id) => api.post(`/api/orders/${id}/cancel`),
+		{ invalidates: ["/api/orders"] }
+	);
+
+	const handleCancel = (order) => {
+		if (window.confirm(`Cancel order #${order.id}?`)) {
+			mutate(order.id)
+				.then(({ message }) => showToast(message, "success"))
+				.catch((err) => showToast(err.message, "error"));
+		}
+	};
+
+	if (orders.length === 0) {
+		return <p>You haven't ordered anything yet.</p>;
+	}
+
+	return (
+		<div className="order-history">
+			{orders.map((order) => (
+				<div key={order.id} className="booking-card">
+					<div className="booking-summary">
+						<strong>Order #{order.id}</strong>
+						<span>
+							{new Date(order.createdAt).toLocaleString()}
+						</span>
+						<span
+							className={`order-status order-status--${order.status}`}
+						>
+							{order.status}
+						</span>
+						<span>{formatPrice(order.total)}</span>
+					</div>
+					<ul className="order-items">
+						{order.items.map((item) => (
+							<li key={item.id}>
+								{item.quantity} x {item.name}
+							</li>
+						))}
+					</ul>
+					{order.notes && (
+						<p className="booking-notes">{order.notes}</p>
+					)}
+					{order.refundedAt && (
+						<p className="profile-note">Refunded</p>
+					)}
+					{CANCELLABLE.includes(order.status) && (
+						<div className="booking-actions">
+							<button
+								type="button"
+								className="btn btn-secondary"
+								onClick={() => handleCancel(order)}
+							>
+								Cancel Order
+							</button>
+						</div>
+					)}
+				</div>
+			))}
+		</div>
+	);
+}
+
+export default OrderHistory;
@@ -0,0 +1,33 @@
+import { checkPassword } from "../../../shared/passwordPolicy";
+
+// Live meter under a new password field. Uses the same policy as the server,
+// so anything it lists as a problem would be rejected there too.
+function PasswordStrength(props) {
+	const { password, email } = props;
+	if (!password) return null;
+
+	const { score, label, problems } = checkPassword(password, { email });
+
+	return (
+		<div
+			className={`password-strength password-strength--${score}`}
+			aria-live="polite"
+		>
+			<div className="password-strength__bar">
+				<span style={{ width: `${(score + 1) * 20}%` }} />
+			</div>
+			<p className="password-strength__label">
+				Strength: <strong>{label}</strong>
+			</p>
+			{problems.length > 0 && (
+				<ul className="password-strength__problems">
+					{problems.map((problem) => (
+						<li key={problem}>{problem}</li>
+					))}
+				</ul>
+			)}
+		</div>
+	);
+}
+
+export default PasswordStrength;
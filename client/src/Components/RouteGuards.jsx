@@ -0,0 +1,64 @@
+import { useEffect } from "react";
+import { Navigate, useLocation } from "react-router-dom";
+import { useAuth } from "../contexts/AuthContext";
+import { useToast } from "../contexts/ToastContext";
+
+// Wrappers for route elements that need someone to be logged in (or not).
+// Logged out visitors are sent to /login with the page they wanted in the
+// location state, and Login takes them back there afterwards.
+
+function Loading() {
+	return <div className="loading" />;
+}
+
+function LoginRedirect() {
+	const location = useLocation();
+	return <Navigate to="/login" replace state={{ from: location }} />;
+}
+
+export function RequireAuth({ children }) {
+	const { isLoggedIn, loading } = useAuth();
+
+	if (loading) return <Loading />;
+	if (!isLoggedIn) return <LoginRedirect />;
+	return children;
+}
+
+// `roles` lists the roles allowed in, e.g. ["staff", "admin"]
+export function RequireRole({ roles, children }) {
+	const { isLoggedIn, hasRole, loading } = useAuth();
+
+	if (loading) return <Loading />;
+	if (!isLoggedIn) return <LoginRedirect />;
+	if (!hasRole(...roles)) {
+		return (
+			<div>
+				<h2>Not allowed</h2>
+				<p>You do not have permission to view this page.</p>
+			</div>
+		);
+	}
+	return children;
+}
+
+// For pages that make no sense when logged in, like the password reset.
+export function RequireGuest({ children }) {
+	const { isLoggedIn, loading } = useAuth();
+	const { showToast } = useToast();
+
+	useEffect(() => {
+		if (!loading && isLoggedIn) {
+			showToast("You are already logged in.", "info");
+		}
+	}, [loading, isLoggedIn, showToast]);
+
+	if (loading) return <Loading />;
+	if (isLoggedIn) return <Navigate to="/" replace />;
+	return children;
+}
+
+// Where Login should go afterwards: the page a guard sent them from, or home.
+export function returnPath(location) {
+	const from = location.state && location.state.from;
+	return from ? `${from.pathname}${from.search || ""}` : "/";
+}
@@ -0,0 +1,51 @@
+import { useQuery } from "../hooks/useApi";
+
+// Shows the free start times for a date and party size.
+function SlotPicker(props) {
+	const { date, partySize, value, onChange, excludeId } = props;
+	// free tables change as people book, so always ask again
+	const { data, error, loading } = useQuery(
+		date && partySize ? "/api/availability" : null,
+		{
+			query: { date, party: partySize, exclude: excludeId },
+			staleMs: 0,
+		}
+	);
+	const slots = data ? data.slots : [];
+	const hours = data && data.open ? `${data.open} - ${data.close}` : null;
+
+	if (loading) return <div className="loading" />;
+	if (error) return <p className="slot-picker-note">{error.message}</p>;
+	if (!hours) {
+		return <p className="slot-picker-note">We are closed on this day.</p>;
+	}
+	if (slots.length === 0) {
+		return (
+			<p className="slot-picker-note">
+				No tables are free for this party size. Please try another day.
+			</p>
+		);
+	}
+
+	return (
+		<div className="slot-picker">
+			<p className="slot-picker-note">Open {hours}</p>
+			<div className="slot-picker-slots">
+				{slots.map((slot) => (
+					<button
+						type="button"
+						key={slot}
+						className={`menu-chip ${
+							value === slot ? "active" : ""
+						}`}
+						onClick={() => onChange(slot)}
+					>
+						{slot}
+					</button>
+				))}
+			</div>
+		</div>
+	);
+}
+
+export default SlotPicker;
@@ -0,0 +1,30 @@
+import { useToast } from "../contexts/ToastContext";
+
+// The stack of notifications from ToastContext, rendered once by App.
+function Toasts() {
+	const { toasts, dismissToast } = useToast();
+
+	return (
+		<div className="toasts" role="status" aria-live="polite">
+			{toasts.map((toast) => (
+				<div
+					key={toast.id}
+					className={`app-message app-message--${toast.type} toast`}
+					role={toast.type === "error" ? "alert" : undefined}
+				>
+					<span>{toast.message}</span>
+					<button
+						type="button"
+						className="toast__dismiss"
+						aria-label="Dismiss"
+						onClick={() => dismissToast(toast.id)}
+					>
+						×
+					</button>
+				</div>
+			))}
+		</div>
+	);
+}
+
+export default Toasts;
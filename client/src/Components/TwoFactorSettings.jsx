@@ -0,0 +1,210 @@
+import { useEffect, useState } from "react";
+import { api } from "../api";
+import { invalidateQueries, useQuery } from "../hooks/useApi";
+import { useToast } from "../contexts/ToastContext";
+
+async function postJson(url, body) {
+	try {
+		const { message, data } = await api.post(url, body);
+		return { ok: true, message, data };
+	} catch (error) {
+		return { ok: false, message: error.message, data: null };
+	}
+}
+
+// Turning two-factor authentication on and off from the profile page. Setup
+// shows a QR code to scan, then asks for a code from the app before it is
+// switched on.
+function TwoFactorSettings() {
+	const { showToast } = useToast();
+	const { data: status, error } = useQuery("/api/me/2fa");
+	// the secret, QR code and link while setup is in progress
+	const [setup, setSetup] = useState(null);
+	// only shown straight after they are created, the server keeps hashes
+	const [recoveryCodes, setRecoveryCodes] = useState(null);
+
+	useEffect(() => {
+		if (error) showToast(error.message, "error");
+	}, [error]);
+
+	const loadStatus = () => invalidateQueries("/api/me/2fa");
+
+	const startSetup = async (event) => {
+		event.preventDefault();
+		const { ok, message, data } = await postJson("/api/me/2fa/setup", {
+			password: event.target.setupPassword.value,
+		});
+		showToast(message, ok ? "success" : "error");
+		if (ok) setSetup(data);
+	};
+
+	const enable = async (event) => {
+		event.preventDefault();
+		const { ok, message, data } = await postJson("/api/me/2fa/enable", {
+			code: event.target.setupCode.value,
+		});
+		showToast(message, ok ? "success" : "error");
+		if (ok) {
+			setSetup(null);
+			setRecoveryCodes(data.recoveryCodes);
+			loadStatus();
+		}
+	};
+
+	const disable = async (event) => {
+		event.preventDefault();
+		const { ok, message } = await postJson("/api/me/2fa/disable", {
+			password: event.target.disablePassword.value,
+			code: event.target.disableCode.value,
+		});
+		showToast(message, ok ? "success" : "error");
+		if (ok) {
+			setRecoveryCodes(null);
+			loadStatus();
+		}
+	};
+
+	const regenerate = async (event) => {
+		event.preventDefault();
+		const form = event.target;
+		const { ok, message, data } = await postJson(
+			"/api/me/2fa/recovery-codes",
+			{ password: form.recoveryPassword.value }
+		);
+		showToast(message, ok ? "success" : "error");
+		if (ok) {
+			setRecoveryCodes(data.recoveryCodes);
+			form.reset();
+			loadStatus();
+		}
+	};
+
+	if (!status) return <div className="loading" />;
+
+	return (
+		<div className="two-factor">
+			{recoveryCodes && (
+				<div className="two-factor__codes">
+					<p>
+						Save these recovery codes somewhere safe. Each one can
+						be used once to log in if you lose your phone, and they
+						won't be shown again.
+					</p>
+					<ul>
+						{recoveryCodes.map((code) => (
+							<li key={code}>
+								<code>{code}</code>
+							</li>
+						))}
+					</ul>
+				</div>
+			)}
+
+			{status.enabled ? (
+				<>
+					<p>
+						Two-factor authentication is <strong>on</strong>. You
+						have {status.recoveryCodesLeft} recovery codes left.
+					</p>
+					<form onSubmit={regenerate} className="auth-form">
+						<div className="form-group">
+							<label htmlFor="recoveryPassword">
+								Current Password
+							</label>
+							<input
+								type="password"
+								id="recoveryPassword"
+								name="recoveryPassword"
+								required
+							/>
+						</div>
+						<button type="submit" className="btn btn-secondary">
+							New Recovery Codes
+						</button>
+					</form>
+					<form onSubmit={disable} className="auth-form">
+						<div className="form-group">
+							<label htmlFor="disablePassword">
+								Current Password
+							</label>
+							<input
+								type="password"
+								id="disablePassword"
+								name="disablePassword"
+								required
+							/>
+						</div>
+						<div className="form-group">
+							<label htmlFor="disableCode">
+								Authentication Code
+							</label>
+							<input
+								id="disableCode"
+								name="disableCode"
+								maxLength={20}
+								autoComplete="one-time-code"
+								required
+							/>
+						</div>
+						<button type="submit" className="btn btn-secondary">
+							Turn Off Two-Factor
+						</button>
+					</form>
+				</>
+			) : setup ? (
+				<form onSubmit={enable} className="auth-form">
+					<p>
+						Scan this QR code with an authenticator app such as
+						Google Authenticator, or enter the key by hand.
+					</p>
+					<img
+						className="two-factor__qr"
+						src={setup.qrCode}
+						alt="QR code for your authenticator app"
+					/>
+					<p>
+						Key: <code>{setup.secret}</code>
+					</p>
+					<p>
+						<a href={setup.otpauthUrl}>Open in authenticator app</a>
+					</p>
+					<div className="form-group">
+						<label htmlFor="setupCode">Code From the App</label>
+						<input
+							id="setupCode"
+							name="setupCode"
+							maxLength={6}
+							inputMode="numeric"
+							autoComplete="one-time-code"
+							required
+						/>
+					</div>
+					<button type="submit" className="btn btn-primary">
+						Turn On Two-Factor
+					</button>
+				</form>
+			) : (
+				<form onSubmit={startSetup} className="auth-form">
+					<p>
+						Protect your account with a code from an authenticator
+						app as well as your password.
+					</p>
+					<div className="form-group">
+						<label htmlFor="setupPassword">Current Password</label>
+						<input
+							type="password"
+							id="setupPassword"
+							name="setupPassword"
+							required
+						/>
+					</div>
+					<button type="submit" className="btn btn-primary">
+						Set Up Two-Factor
+					</button>
+				</form>
+			)}
+		</div>
+	);
+}
+
+export default TwoFactorSettings;
@@ -0,0 +1,32 @@
+import { api } from "../api";
+import { useMutation } from "../hooks/useApi";
+import { useToast } from "../contexts/ToastContext";
+
+// Shown in place of actions that need a verified email address.
+function VerifyEmailNotice() {
+	const { showToast } = useToast();
+	const { mutate, loading: sending } = useMutation(() =>
+		api.post("/api/verify/resend")
+	);
+
+	const resend = () =>
+		mutate()
+			.then(({ message }) => showToast(message, "success"))
+			.catch((error) => showToast(error.message, "error"));
+
+	return (
+		<div className="app-message app-message--warning">
+			Please verify your email address using the link we sent you.{" "}
+			<button
+				type="button"
+				className="btn btn-secondary"
+				onClick={resend}
+				disabled={sending}
+			>
+				Resend link
+			</button>
+		</div>
+	);
+}
+
+export default VerifyEmailNotice;
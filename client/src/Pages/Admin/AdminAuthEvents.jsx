@@ -0,0 +1,106 @@
+import { useEffect, useState } from "react";
+import { api } from "../../api";
+import { useToast } from "../../contexts/ToastContext";
+
+const PAGE_SIZE = 50;
+
+function AdminAuthEvents() {
+	const { showToast } = useToast();
+	const [events, setEvents] = useState([]);
+	const [types, setTypes] = useState([]);
+	const [type, setType] = useState("");
+	const [email, setEmail] = useState("");
+	const [hasMore, setHasMore] = useState(false);
+
+	const loadEvents = (before) => {
+		const query = { limit: PAGE_SIZE, type, email: email.trim(), before };
+
+		// pages are added to the list, so these aren't cached like the
+		// other admin pages
+		return api
+			.get("/api/admin/auth-events", { query })
+			.then(({ data }) => {
+				setEvents((current) =>
+					before ? [...current, ...data.events] : data.events
+				);
+				setTypes(data.types);
+				setHasMore(data.events.length === PAGE_SIZE);
+			})
+			.catch((error) => showToast(error.message, "error"));
+	};
+
+	useEffect(() => {
+		loadEvents();
+	}, [type]);
+
+	const handleSearch = (event) => {
+		event.preventDefault();
+		loadEvents();
+	};
+
+	return (
+		<div>
+			<form className="admin-toolbar form-group" onSubmit={handleSearch}>
+				<label htmlFor="event-type">Event</label>
+				<select
+					id="event-type"
+					value={type}
+					onChange={(event) => setType(event.target.value)}
+				>
+					<option value="">All events</option>
+					{types.map((eventType) => (
+						<option key={eventType} value={eventType}>
+							{eventType.replace(/_/g, " ")}
+						</option>
+					))}
+				</select>
+				<label htmlFor="event-email">Email</label>
+				<input
+					type="email"
+					id="event-email"
+					value={email}
+					onChange={(event) => setEmail(event.target.value)}
+				/>
+				<button type="submit" className="btn btn-secondary">
+					Search
+				</button>
+			</form>
+			<table className="admin-table">
+				<thead>
+					<tr>
+						<th>Time</th>
+						<th>Event</th>
+						<th>Email</th>
+						<th>IP Address</th>
+						<th>Detail</th>
+					</tr>
+				</thead>
+				<tbody>
+					{events.map((event) => (
+						<tr key={event.id}>
+							<td>
+								{new Date(event.createdAt).toLocaleString()}
+							</td>
+							<td>{event.type.replace(/_/g, " ")}</td>
+							<td>{event.email}</td>
+							<td>{event.ip}</td>
+							<td title={event.userAgent}>{event.detail}</td>
+						</tr>
+					))}
+				</tbody>
+			</table>
+			{events.length === 0 && <p>No matching events.</p>}
+			{hasMore && (
+				<button
+					type="button"
+					className="btn btn-secondary"
+					onClick={() => loadEvents(events[events.length - 1].id)}
+				>
+					Load older events
+				</button>
+			)}
+		</div>
+	);
+}
+
+export default AdminAuthEvents;
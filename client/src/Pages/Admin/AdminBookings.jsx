@@ -0,0 +1,95 @@
+import { useEffect, useState } from "react";
+import { todayString } from "../Book";
+import { api } from "../../api";
+import { useMutation, useQuery } from "../../hooks/useApi";
+import { useToast } from "../../contexts/ToastContext";
+
+function AdminBookings() {
+	const { showToast } = useToast();
+	const [date, setDate] = useState(todayString());
+	const { data, error } = useQuery("/api/admin/bookings", {
+		query: { date },
+	});
+	const bookings = data ? data.bookings : [];
+	const statuses = data ? data.statuses : [];
+
+	useEffect(() => {
+		if (error) showToast(error.message, "error");
+	}, [error]);
+
+	const { mutate } = useMutation(
+		(booking, status) =>
+			api.patch(`/api/admin/bookings/${booking.id}`, { status }),
+		{ invalidates: ["/api/admin/bookings"] }
+	);
+
+	const changeStatus = (booking, status) =>
+		mutate(booking, status)
+			.then(({ message }) => showToast(message, "success"))
+			.catch((err) => showToast(err.message, "error"));
+
+	const covers = bookings
+		.filter((booking) => booking.status !== "cancelled")
+		.reduce((total, booking) => total + booking.partySize, 0);
+
+	return (
+		<div>
+			<div className="admin-toolbar form-group">
+				<label htmlFor="admin-date">Date</label>
+				<input
+					type="date"
+					id="admin-date"
+					value={date}
+					onChange={(event) => setDate(event.target.value)}
+				/>
+			</div>
+			<p>
+				{bookings.length} bookings, {covers} covers
+			</p>
+			<table className="admin-table">
+				<thead>
+					<tr>
+						<th>Time</th>
+						<th>Table</th>
+						<th>Guests</th>
+						<th>Customer</th>
+						<th>Notes</th>
+						<th>Status</th>
+					</tr>
+				</thead>
+				<tbody>
+					{bookings.map((booking) => (
+						<tr key={booking.id}>
+							<td>
+								{booking.time} - {booking.endTime}
+							</td>
+							<td>{booking.table}</td>
+							<td>{booking.partySize}</td>
+							<td>{booking.email}</td>
+							<td>{booking.notes}</td>
+							<td>
+								<select
+									value={booking.status}
+									onChange={(event) =>
+										changeStatus(
+											booking,
+											event.target.value
+										)
+									}
+								>
+									{statuses.map((status) => (
+										<option key={status} value={status}>
+											{status}
+										</option>
+									))}
+								</select>
+							</td>
+						</tr>
+					))}
+				</tbody>
+			</table>
+		</div>
+	);
+}
+
+export default AdminBookings;
@@ -0,0 +1,190 @@
+import { useEffect, useState } from "react";
+import { api } from "../../api";
+import { useMutation, useQuery } from "../../hooks/useApi";
+import { useToast } from "../../contexts/ToastContext";
+
+// The contact page inbox. Picking an enquiry shows the whole message and any
+// replies, with a form to answer it by email.
+function AdminEnquiries() {
+	const { showToast } = useToast();
+	const [status, setStatus] = useState("new");
+	const [selectedId, setSelectedId] = useState(null);
+	const { data, error } = useQuery("/api/admin/enquiries", {
+		query: { status, limit: 100 },
+	});
+	const enquiries = data ? data.enquiries : [];
+	const statuses = data ? data.statuses : [];
+	const counts = data ? data.counts : {};
+
+	useEffect(() => {
+		if (error) showToast(error.message, "error");
+	}, [error]);
+
+	const changeFilter = (value) => {
+		setStatus(value);
+		setSelectedId(null);
+	};
+
+	return (
+		<div>
+			<div className="admin-toolbar form-group">
+				<label htmlFor="enquiry-status">Show</label>
+				<select
+					id="enquiry-status"
+					value={status}
+					onChange={(event) => changeFilter(event.target.value)}
+				>
+					<option value="">All enquiries</option>
+					{statuses.map((name) => (
+						<option key={name} value={name}>
+							{name} ({counts[name] || 0})
+						</option>
+					))}
+				</select>
+			</div>
+			<table className="admin-table">
+				<thead>
+					<tr>
+						<th>Received</th>
+						<th>From</th>
+						<th>Subject</th>
+						<th>Status</th>
+					</tr>
+				</thead>
+				<tbody>
+					{enquiries.map((enquiry) => (
+						<tr
+							key={enquiry.id}
+							className={
+								enquiry.id === selectedId
+									? "admin-row--selected"
+									: undefined
+							}
+						>
+							<td>
+								{new Date(enquiry.createdAt).toLocaleString()}
+							</td>
+							<td>
+								{enquiry.name} &lt;{enquiry.email}&gt;
+							</td>
+							<td>
+								<button
+									type="button"
+									className="admin-link"
+									onClick={() => setSelectedId(enquiry.id)}
+								>
+									{enquiry.subject || "(no subject)"}
+								</button>
+							</td>
+							<td>{enquiry.status}</td>
+						</tr>
+					))}
+				</tbody>
+			</table>
+			{enquiries.length === 0 && <p>No enquiries here.</p>}
+			{selectedId && (
+				<EnquiryDetail
+					key={selectedId}
+					id={selectedId}
+					statuses={statuses}
+				/>
+			)}
+		</div>
+	);
+}
+
+function EnquiryDetail({ id, statuses }) {
+	const { showToast } = useToast();
+	const [reply, setReply] = useState("");
+	const { data } = useQuery(`/api/admin/enquiries/${id}`);
+	const enquiry = data ? data.enquiry : null;
+
+	const { mutate: setStatus } = useMutation(
+		(status) => api.patch(`/api/admin/enquiries/${id}`, { status }),
+		{ invalidates: ["/api/admin/enquiries"] }
+	);
+	const { mutate: sendReply, loading: sending } = useMutation(
+		(message) => api.post(`/api/admin/enquiries/${id}/reply`, { message }),
+		{ invalidates: ["/api/admin/enquiries"] }
+	);
+
+	const changeStatus = (status) =>
+		setStatus(status)
+			.then(({ message }) => showToast(message, "success"))
+			.catch((err) => showToast(err.message, "error"));
+
+	const handleReply = (event) => {
+		event.preventDefault();
+		sendReply(reply)
+			.then(({ message }) => {
+				showToast(message, "success");
+				setReply("");
+			})
+			.catch((err) => showToast(err.message, "error"));
+	};
+
+	if (!enquiry) return null;
+
+	return (
+		<section className="admin-form enquiry">
+			<h3>{enquiry.subject || "(no subject)"}</h3>
+			<p className="profile-note">
+				From {enquiry.name} &lt;{enquiry.email}&gt;
+				{enquiry.userId && " (has an account)"} on{" "}
+				{new Date(enquiry.createdAt).toLocaleString()}
+			</p>
+			<p className="enquiry__message">{enquiry.message}</p>
+
+			<div className="form-group">
+				<label htmlFor="enquiry-detail-status">Status</label>
+				<select
+					id="enquiry-detail-status"
+					value={enquiry.status}
+					onChange={(event) => changeStatus(event.target.value)}
+				>
+					{statuses.map((name) => (
+						<option key={name} value={name}>
+							{name}
+						</option>
+					))}
+				</select>
+			</div>
+
+			{enquiry.replies.map((sent) => (
+				<div key={sent.id} className="enquiry__reply">
+					<p className="profile-note">
+						Reply from{" "}
+						{sent.userEmail || "a former member of staff"} on{" "}
+						{new Date(sent.createdAt).toLocaleString()}
+					</p>
+					<p className="enquiry__message">{sent.message}</p>
+				</div>
+			))}
+
+			<form onSubmit={handleReply}>
+				<div className="form-group">
+					<label htmlFor="enquiry-reply">
+						Reply to {enquiry.email}
+					</label>
+					<textarea
+						id="enquiry-reply"
+						rows={5}
+						value={reply}
+						onChange={(event) => setReply(event.target.value)}
+						maxLength={5000}
+						required
+					/>
+				</div>
+				<button
+					type="submit"
+					className="btn btn-primary"
+					disabled={sending}
+				>
+					{sending ? "Sending..." : "Send Reply"}
+				</button>
+			</form>
+		</section>
+	);
+}
+
+export default AdminEnquiries;
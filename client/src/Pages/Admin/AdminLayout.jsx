@@ -0,0 +1,29 @@
+import { NavLink, Outlet } from "react-router-dom";
+import { useAuth } from "../../contexts/AuthContext";
+
+// Staff area pages, behind <RequireRole roles={["staff", "admin"]}> in App.
+function AdminLayout() {
+	const { hasRole } = useAuth();
+
+	return (
+		<div className="admin">
+			<h2>Staff Area</h2>
+			<nav className="admin-nav">
+				<NavLink to="/admin" end>
+					Bookings
+				</NavLink>
+				<NavLink to="/admin/orders">Orders</NavLink>
+				<NavLink to="/admin/kitchen">Kitchen</NavLink>
+				<NavLink to="/admin/menu">Menu</NavLink>
+				<NavLink to="/admin/users">Users</NavLink>
+				<NavLink to="/admin/enquiries">Enquiries</NavLink>
+				{hasRole("admin") && (
+					<NavLink to="/admin/security">Security</NavLink>
+				)}
+			</nav>
+			<Outlet />
+		</div>
+	);
+}
+
+export default AdminLayout;
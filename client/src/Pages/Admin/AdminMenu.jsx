@@ -0,0 +1,319 @@
+import { useEffect, useState } from "react";
+import { request } from "../../api";
+import { useMutation, useQuery } from "../../hooks/useApi";
+import { useToast } from "../../contexts/ToastContext";
+
+const emptyItem = {
+	name: "",
+	description: "",
+	price: "",
+	categoryId: "",
+	allergens: [],
+	dietaryTags: [],
+	available: true,
+};
+
+function toggleValue(list, value) {
+	return list.includes(value)
+		? list.filter((entry) => entry !== value)
+		: [...list, value];
+}
+
+function MenuItemForm(props) {
+	const { item, categories, allergens, dietaryTags, onSave, onCancel } =
+		props;
+	const [form, setForm] = useState(item);
+
+	const update = (field, value) => setForm({ ...form, [field]: value });
+
+	const handleSubmit = (event) => {
+		event.preventDefault();
+		onSave({ ...form, categoryId: Number(form.categoryId) });
+	};
+
+	return (
+		<form onSubmit={handleSubmit} className="admin-form">
+			<div className="form-group">
+				<label htmlFor="item-name">Name</label>
+				<input
+					id="item-name"
+					value={form.name}
+					onChange={(event) => update("name", event.target.value)}
+					required
+				/>
+			</div>
+			<div className="form-group">
+				<label htmlFor="item-description">Description</label>
+				<textarea
+					id="item-description"
+					value={form.description || ""}
+					onChange={(event) =>
+						update("description", event.target.value)
+					}
+				/>
+			</div>
+			<div className="form-group">
+				<label htmlFor="item-price">Price (£)</label>
+				<input
+					id="item-price"
+					type="number"
+					min="0"
+					step="0.01"
+					value={form.price}
+					onChange={(event) => update("price", event.target.value)}
+					required
+				/>
+			</div>
+			<div className="form-group">
+				<label htmlFor="item-category">Category</label>
+				<select
+					id="item-category"
+					value={form.categoryId}
+					onChange={(event) =>
+						update("categoryId", event.target.value)
+					}
+					required
+				>
+					<option value="">Choose a category</option>
+					{categories.map((category) => (
+						<option key={category.id} value={category.id}>
+							{category.name}
+						</option>
+					))}
+				</select>
+			</div>
+			<div className="form-group">
+				<label>Dietary tags</label>
+				<div className="admin-checkboxes">
+					{dietaryTags.map((tag) => (
+						<label key={tag}>
+							<input
+								type="checkbox"
+								checked={form.dietaryTags.includes(tag)}
+								onChange={() =>
+									update(
+										"dietaryTags",
+										toggleValue(form.dietaryTags, tag)
+									)
+								}
+							/>
+							{tag}
+						</label>
+					))}
+				</div>
+			</div>
+			<div className="form-group">
+				<label>Allergens</label>
+				<div className="admin-checkboxes">
+					{allergens.map((allergen) => (
+						<label key={allergen}>
+							<input
+								type="checkbox"
+								checked={form.allergens.includes(allergen)}
+								onChange={() =>
+									update(
+										"allergens",
+										toggleValue(form.allergens, allergen)
+									)
+								}
+							/>
+							{allergen}
+						</label>
+					))}
+				</div>
+			</div>
+			<div className="form-group admin-checkboxes">
+				<label>
+					<input
+						type="checkbox"
+						checked={form.available}
+						onChange={(event) =>
+							update("available", event.target.checked)
+						}
+					/>
+					Available to order
+				</label>
+			</div>
+			<div className="booking-actions">
+				<button type="submit" className="btn btn-primary">
+					Save
+				</button>
+				<button
+					type="button"
+					className="btn btn-secondary"
+					onClick={onCancel}
+				>
+					Cancel
+				</button>
+			</div>
+		</form>
+	);
+}
+
+function AdminMenu() {
+	const { showToast } = useToast();
+	const [editing, setEditing] = useState(null);
+	const { data, error } = useQuery("/api/admin/menu");
+	const menu = data || { categories: [], dietaryTags: [], allergens: [] };
+
+	useEffect(() => {
+		if (error) showToast(error.message, "error");
+	}, [error]);
+
+	// the public menu shows the same dishes
+	const { mutate } = useMutation(
+		(path, method, body) =>
+			request(`/api/admin/menu/${path}`, { method, body }),
+		{ invalidates: ["/api/admin/menu", "/api/menu"] }
+	);
+
+	const sendChange = async (path, method, body) => {
+		try {
+			const { message } = await mutate(path, method, body);
+			showToast(message, "success");
+			return true;
+		} catch (err) {
+			showToast(err.message, "error");
+			return false;
+		}
+	};
+
+	const saveItem = async (item) => {
+		const saved = item.id
+			? await sendChange(`items/${item.id}`, "PATCH", item)
+			: await sendChange("items", "POST", item);
+		if (saved) setEditing(null);
+	};
+
+	const deleteItem = (item) => {
+		if (window.confirm(`Delete ${item.name} from the menu?`)) {
+			sendChange(`items/${item.id}`, "DELETE");
+		}
+	};
+
+	const addCategory = (event) => {
+		event.preventDefault();
+		sendChange("categories", "POST", {
+			name: event.target.categoryName.value,
+			description: event.target.categoryDescription.value,
+			sortOrder: menu.categories.length + 1,
+		});
+		event.target.reset();
+	};
+
+	const deleteCategory = (category) => {
+		if (window.confirm(`Delete the ${category.name} category?`)) {
+			sendChange(`categories/${category.id}`, "DELETE");
+		}
+	};
+
+	if (editing) {
+		return (
+			<MenuItemForm
+				item={editing}
+				categories={menu.categories}
+				allergens={menu.allergens}
+				dietaryTags={menu.dietaryTags}
+				onSave={saveItem}
+				onCancel={() => setEditing(null)}
+			/>
+		);
+	}
+
+	return (
+		<div>
+			<div className="booking-actions">
+				<button
+					type="button"
+					className="btn btn-primary"
+					onClick={() => setEditing(emptyItem)}
+				>
+					Add dish
+				</button>
+			</div>
+
+			{menu.categories.map((category) => (
+				<section key={category.id} className="menu-category">
+					<h3>
+						{category.name}{" "}
+						{category.items.length === 0 && (
+							<button
+								type="button"
+								className="btn btn-secondary"
+								onClick={() => deleteCategory(category)}
+							>
+								Delete category
+							</button>
+						)}
+					</h3>
+					<table className="admin-table">
+						<tbody>
+							{category.items.map((item) => (
+								<tr key={item.id}>
+									<td>{item.name}</td>
+									<td>£{item.price.toFixed(2)}</td>
+									<td>
+										<label className="admin-checkboxes">
+											<input
+												type="checkbox"
+												checked={item.available}
+												onChange={(event) =>
+													sendChange(
+														`items/${item.id}`,
+														"PATCH",
+														{
+															available:
+																event.target
+																	.checked,
+														}
+													)
+												}
+											/>
+											Available
+										</label>
+									</td>
+									<td>
+										<button
+											type="button"
+											className="btn btn-secondary"
+											onClick={() => setEditing(item)}
+										>
+											Edit
+										</button>{" "}
+										<button
+											type="button"
+											className="btn btn-secondary"
+											onClick={() => deleteItem(item)}
+										>
+											Delete
+										</button>
+									</td>
+								</tr>
+							))}
+						</tbody>
+					</table>
+				</section>
+			))}
+
+			<form onSubmit={addCategory} className="admin-form">
+				<h3>New category</h3>
+				<div className="form-group">
+					<label htmlFor="categoryName">Name</label>
+					<input id="categoryName" name="categoryName" required />
+				</div>
+				<div className="form-group">
+					<label htmlFor="categoryDescription">Description</label>
+					<input
+						id="categoryDescription"
+						name="categoryDescription"
+					/>
+				</div>
+				<button type="submit" className="btn btn-primary">
+					Add category
+				</button>
+			</form>
+		</div>
+	);
+}
+
+export default AdminMenu;
@@ -0,0 +1,157 @@
+import { useEffect, useState } from "react";
+import { api } from "../../api";
+import { useMutation, useQuery } from "../../hooks/useApi";
+import { useToast } from "../../contexts/ToastContext";
+import { formatPrice } from "../../format";
+
+// orders the kitchen still has to deal with
+const ACTIVE = "confirmed,preparing,ready";
+
+// labels for the buttons moving an order on
+const ACTIONS = {
+	confirmed: "Confirm",
+	preparing: "Start preparing",
+	ready: "Ready for collection",
+	collected: "Collected",
+	cancelled: "Cancel",
+};
+
+// cancelled after being paid, but the provider's refund failed
+const needsRefund = (order) =>
+	order.status === "cancelled" && order.paymentId && !order.refundedAt;
+
+function AdminOrders() {
+	const { showToast } = useToast();
+	const [status, setStatus] = useState(ACTIVE);
+	const { data, error } = useQuery("/api/admin/orders", {
+		query: { status, limit: 100 },
+	});
+	const orders = data ? data.orders : [];
+	const statuses = data ? data.statuses : [];
+	const transitions = data ? data.transitions : {};
+
+	useEffect(() => {
+		if (error) showToast(error.message, "error");
+	}, [error]);
+
+	const { mutate } = useMutation(
+		(order, next) =>
+			api.patch(`/api/admin/orders/${order.id}`, { status: next }),
+		{ invalidates: ["/api/admin/orders"] }
+	);
+
+	const { mutate: refund } = useMutation(
+		(order) => api.post(`/api/admin/orders/${order.id}/refund`),
+		{ invalidates: ["/api/admin/orders"] }
+	);
+
+	const changeStatus = (order, next) => {
+		if (
+			next === "cancelled" &&
+			!window.confirm(`Cancel order #${order.id} and refund it?`)
+		) {
+			return;
+		}
+		mutate(order, next)
+			.then(({ message }) => showToast(message, "success"))
+			.catch((err) => showToast(err.message, "error"));
+	};
+
+	const retryRefund = (order) => {
+		refund(order)
+			.then(({ message }) => showToast(message, "success"))
+			.catch((err) => showToast(err.message, "error"));
+	};
+
+	return (
+		<div>
+			<div className="admin-toolbar form-group">
+				<label htmlFor="order-status">Show</label>
+				<select
+					id="order-status"
+					value={status}
+					onChange={(event) => setStatus(event.target.value)}
+				>
+					<option value={ACTIVE}>Active orders</option>
+					<option value="">All orders</option>
+					{statuses.map((name) => (
+						<option key={name} value={name}>
+							{name}
+						</option>
+					))}
+				</select>
+			</div>
+			<table className="admin-table">
+				<thead>
+					<tr>
+						<th>Order</th>
+						<th>Placed</th>
+						<th>Customer</th>
+						<th>Dishes</th>
+						<th>Total</th>
+						<th>Status</th>
+						<th></th>
+					</tr>
+				</thead>
+				<tbody>
+					{orders.map((order) => (
+						<tr key={order.id}>
+							<td>#{order.id}</td>
+							<td>
+								{new Date(order.createdAt).toLocaleString()}
+							</td>
+							<td>{order.userEmail}</td>
+							<td>
+								<ul className="order-items">
+									{order.items.map((item) => (
+										<li key={item.id}>
+											{item.quantity} x {item.name}
+										</li>
+									))}
+								</ul>
+								{order.notes && (
+									<p className="booking-notes">
+										{order.notes}
+									</p>
+								)}
+							</td>
+							<td>{formatPrice(order.total)}</td>
+							<td>
+								{order.status}
+								{needsRefund(order) && " (not refunded)"}
+							</td>
+							<td>
+								{(transitions[order.status] || []).map(
+									(next) => (
+										<button
+											key={next}
+											type="button"
+											className="btn btn-secondary"
+											onClick={() =>
+												changeStatus(order, next)
+											}
+										>
+											{ACTIONS[next] || next}
+										</button>
+									)
+								)}
+								{needsRefund(order) && (
+									<button
+										type="button"
+										className="btn btn-secondary"
+										onClick={() => retryRefund(order)}
+									>
+										Refund
+									</button>
+								)}
+							</td>
+						</tr>
+					))}
+				</tbody>
+			</table>
+			{orders.length === 0 && <p>No orders here.</p>}
+		</div>
+	);
+}
+
+export default AdminOrders;
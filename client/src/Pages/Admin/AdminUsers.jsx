@@ -0,0 +1,122 @@
+import { useEffect } from "react";
+import { useAuth } from "../../contexts/AuthContext";
+import { request } from "../../api";
+import { useMutation, useQuery } from "../../hooks/useApi";
+import { useToast } from "../../contexts/ToastContext";
+
+function AdminUsers() {
+	const { showToast } = useToast();
+	const { user, hasRole } = useAuth();
+	const { data, error } = useQuery("/api/admin/users");
+	const users = data ? data.users : [];
+	const roles = data ? data.roles : [];
+
+	const isAdmin = hasRole("admin");
+
+	useEffect(() => {
+		if (error) showToast(error.message, "error");
+	}, [error]);
+
+	const { mutate } = useMutation(
+		(url, method, body) => request(url, { method, body }),
+		{ invalidates: ["/api/admin/users"] }
+	);
+
+	const sendChange = (url, method, body) =>
+		mutate(url, method, body)
+			.then(({ message }) => showToast(message, "success"))
+			.catch((err) => showToast(err.message, "error"));
+
+	const handleDelete = (account) => {
+		if (window.confirm(`Delete ${account.email} and all their bookings?`)) {
+			sendChange(`/api/admin/users/${account.id}`, "DELETE");
+		}
+	};
+
+	// for someone who has lost their phone and their recovery codes
+	const handleResetTwoFactor = (account) => {
+		if (
+			window.confirm(
+				`Turn off two-factor authentication for ${account.email}?`
+			)
+		) {
+			sendChange(`/api/admin/users/${account.id}/2fa`, "DELETE");
+		}
+	};
+
+	return (
+		<table className="admin-table">
+			<thead>
+				<tr>
+					<th>Email</th>
+					<th>Role</th>
+					<th>Bookings</th>
+					<th>2FA</th>
+					<th>Joined</th>
+					{isAdmin && <th></th>}
+				</tr>
+			</thead>
+			<tbody>
+				{users.map((account) => (
+					<tr key={account.id}>
+						<td>{account.email}</td>
+						<td>
+							{isAdmin ? (
+								<select
+									value={account.role}
+									onChange={(event) =>
+										sendChange(
+											`/api/admin/users/${account.id}`,
+											"PATCH",
+											{ role: event.target.value }
+										)
+									}
+								>
+									{roles.map((role) => (
+										<option key={role} value={role}>
+											{role}
+										</option>
+									))}
+								</select>
+							) : (
+								account.role
+							)}
+						</td>
+						<td>{account.bookingCount}</td>
+						<td>{account.twoFactorEnabled ? "On" : "Off"}</td>
+						<td>
+							{new Date(account.createdAt).toLocaleDateString()}
+						</td>
+						{isAdmin && (
+							<td>
+								{account.twoFactorEnabled &&
+									account.id !== user.id && (
+										<button
+											type="button"
+											className="btn btn-secondary"
+											onClick={() =>
+												handleResetTwoFactor(account)
+											}
+										>
+											Reset 2FA
+										</button>
+									)}
+								{account.id !== user.id && (
+									<button
+										type="button"
+										className="btn btn-secondary"
+										onClick={() => handleDelete(account)}
+									>
+										Delete
+									</button>
+								)}
+							</td>
+						)}
+					</tr>
+				))}
+			</tbody>
+		</table>
+	);
+}
+
+export default AdminUsers;
@@ -0,0 +1,139 @@
+import { useEffect, useState } from "react";
+import { api } from "../../api";
+import { useMutation, useQuery } from "../../hooks/useApi";
+import {
+	useLiveEvents,
+	useLiveUpdates,
+} from "../../contexts/LiveUpdatesContext";
+import { useToast } from "../../contexts/ToastContext";
+
+// The screen in the kitchen: paid orders in a column per stage, oldest
+// first, each with one button to move it on. It keeps itself up to date
+// through LiveUpdatesContext.
+const COLUMNS = [
+	{ status: "confirmed", title: "New", next: "preparing", action: "Start" },
+	{ status: "preparing", title: "Preparing", next: "ready", action: "Ready" },
+	{
+		status: "ready",
+		title: "Ready for collection",
+		next: "collected",
+		action: "Collected",
+	},
+];
+
+// orders this new get picked out
+const NEW_FOR_MS = 2 * 60 * 1000;
+
+function minutesSince(time, now) {
+	const minutes = Math.floor((now - new Date(time)) / 60000);
+	return minutes < 1 ? "just now" : `${minutes} min ago`;
+}
+
+function KitchenDisplay() {
+	const { showToast } = useToast();
+	const { connected } = useLiveUpdates();
+	const [now, setNow] = useState(Date.now());
+	const { data, error } = useQuery("/api/admin/orders", {
+		query: {
+			status: COLUMNS.map(({ status }) => status).join(","),
+			limit: 100,
+		},
+	});
+	const orders = data ? [...data.orders].reverse() : [];
+
+	// keeps the ages on the tickets current
+	useEffect(() => {
+		const timer = setInterval(() => setNow(Date.now()), 30 * 1000);
+		return () => clearInterval(timer);
+	}, []);
+
+	useEffect(() => {
+		if (error) showToast(error.message, "error");
+	}, [error]);
+
+	useLiveEvents((event) => {
+		if (event.type === "order.created") {
+			showToast(`New order #${event.data.order.id}`, "info");
+		}
+	});
+
+	const { mutate } = useMutation(
+		(order, status) =>
+			api.patch(`/api/admin/orders/${order.id}`, { status }),
+		{ invalidates: ["/api/admin/orders"] }
+	);
+
+	const moveOn = (order, status) => {
+		mutate(order, status).catch((err) => showToast(err.message, "error"));
+	};
+
+	return (
+		<div className="kitchen">
+			<p
+				className={`kitchen__status${
+					connected ? " kitchen__status--live" : ""
+				}`}
+			>
+				{connected ? "Live" : "Reconnecting..."}
+			</p>
+			<div className="kitchen__columns">
+				{COLUMNS.map((column) => {
+					const tickets = orders.filter(
+						(order) => order.status === column.status
+					);
+					return (
+						<section
+							key={column.status}
+							className="kitchen__column"
+						>
+							<h3>
+								{column.title} ({tickets.length})
+							</h3>
+							{tickets.map((order) => (
+								<div
+									key={order.id}
+									className={`kitchen-ticket${
+										now - new Date(order.createdAt) <
+										NEW_FOR_MS
+											? " kitchen-ticket--new"
+											: ""
+									}`}
+								>
+									<div className="booking-summary">
+										<strong>#{order.id}</strong>
+										<span>
+											{minutesSince(order.createdAt, now)}
+										</span>
+									</div>
+									<ul className="order-items">
+										{order.items.map((item) => (
+											<li key={item.id}>
+												{item.quantity} x {item.name}
+											</li>
+										))}
+									</ul>
+									{order.notes && (
+										<p className="booking-notes">
+											{order.notes}
+										</p>
+									)}
+									<button
+										type="button"
+										className="btn btn-primary"
+										onClick={() =>
+											moveOn(order, column.next)
+										}
+									>
+										{column.action}
+									</button>
+								</div>
+							))}
+						</section>
+					);
+				})}
+			</div>
+		</div>
+	);
+}
+
+export default KitchenDisplay;
@@ -0,0 +1,144 @@
+import { useState } from "react";
+import { Link, useLocation, useNavigate } from "react-router-dom";
+import { useAuth } from "../contexts/AuthContext";
+import SlotPicker from "../Components/SlotPicker";
+import VerifyEmailNotice from "../Components/VerifyEmailNotice";
+import { api } from "../api";
+import { useMutation } from "../hooks/useApi";
+import { useToast } from "../contexts/ToastContext";
+
+export function todayString() {
+	const now = new Date();
+	const month = String(now.getMonth() + 1).padStart(2, "0");
+	const day = String(now.getDate()).padStart(2, "0");
+	return `${now.getFullYear()}-${month}-${day}`;
+}
+
+export const PARTY_SIZES = [1, 2, 3, 4, 5, 6, 7, 8];
+
+function Book() {
+	const { showToast } = useToast();
+	const { isLoggedIn, user } = useAuth();
+	const navigate = useNavigate();
+	const location = useLocation();
+
+	const [date, setDate] = useState(todayString());
+	const [partySize, setPartySize] = useState(2);
+	const [time, setTime] = useState("");
+	const { mutate: book } = useMutation(
+		(booking) => api.post("/api/bookings", booking),
+		{ invalidates: ["/api/bookings", "/api/availability"] }
+	);
+
+	const handleSubmit = async (event) => {
+		event.preventDefault();
+		if (!time) {
+			showToast("Please choose a time.", "warning");
+			return;
+		}
+
+		try {
+			const { message, data } = await book({
+				date,
+				time,
+				partySize,
+				notes: event.target.notes.value,
+			});
+			showToast(
+				`${message} See you on ${data.booking.date} at ${data.booking.time}.`,
+				"success"
+			);
+			navigate("/bookings");
+		} catch (error) {
+			showToast(error.message, "error");
+			setTime("");
+		}
+	};
+
+	return (
+		<div className="auth-container">
+			<div className="auth-card">
+				<h1>Book a Table</h1>
+				<p className="auth-subtitle">Tables are held for 90 minutes.</p>
+				<form onSubmit={handleSubmit} className="auth-form">
+					<div className="form-group">
+						<label htmlFor="date">Date</label>
+						<input
+							type="date"
+							id="date"
+							name="date"
+							min={todayString()}
+							value={date}
+							onChange={(event) => {
+								setDate(event.target.value);
+								setTime("");
+							}}
+							required
+						/>
+					</div>
+					<div className="form-group">
+						<label htmlFor="partySize">Guests</label>
+						<select
+							id="partySize"
+							name="partySize"
+							value={partySize}
+							onChange={(event) => {
+								setPartySize(Number(event.target.value));
+								setTime("");
+							}}
+						>
+							{PARTY_SIZES.map((size) => (
+								<option key={size} value={size}>
+									{size}
+								</option>
+							))}
+						</select>
+					</div>
+					<div className="form-group">
+						<label>Time</label>
+						<SlotPicker
+							date={date}
+							partySize={partySize}
+							value={time}
+							onChange={setTime}
+						/>
+					</div>
+					<div className="form-group">
+						<label htmlFor="notes">Notes</label>
+						<textarea
+							id="notes"
+							name="notes"
+							maxLength={255}
+							placeholder="Allergies, high chair, occasion..."
+						/>
+					</div>
+					{isLoggedIn && !user.emailVerified && <VerifyEmailNotice />}
+					{isLoggedIn ? (
+						<button
+							type="submit"
+							className="btn btn-primary auth-submit"
+							disabled={!user.emailVerified}
+						>
+							Book Table
+						</button>
+					) : (
+						<Link
+							to="/login"
+							state={{ from: location }}
+							className="btn btn-primary auth-submit"
+						>
+							Log in to book
+						</Link>
+					)}
+				</form>
+				<div className="auth-links">
+					<Link to="/bookings" className="auth-link">
+						<span>View your bookings</span>
+					</Link>
+				</div>
+			</div>
+		</div>
+	);
+}
+
+export default Book;
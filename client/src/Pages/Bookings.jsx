@@ -0,0 +1,187 @@
+import { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import SlotPicker from "../Components/SlotPicker";
+import { todayString, PARTY_SIZES } from "./Book";
+import { request } from "../api";
+import { useMutation, useQuery } from "../hooks/useApi";
+import { useToast } from "../contexts/ToastContext";
+
+function BookingEditor(props) {
+	const { booking, onSave, onClose } = props;
+	const [date, setDate] = useState(booking.date);
+	const [partySize, setPartySize] = useState(booking.partySize);
+	const [time, setTime] = useState(booking.time);
+
+	return (
+		<div className="booking-editor">
+			<div className="form-group">
+				<label htmlFor={`date-${booking.id}`}>Date</label>
+				<input
+					type="date"
+					id={`date-${booking.id}`}
+					min={todayString()}
+					value={date}
+					onChange={(event) => {
+						setDate(event.target.value);
+						setTime("");
+					}}
+				/>
+			</div>
+			<div className="form-group">
+				<label htmlFor={`party-${booking.id}`}>Guests</label>
+				<select
+					id={`party-${booking.id}`}
+					value={partySize}
+					onChange={(event) => {
+						setPartySize(Number(event.target.value));
+						setTime("");
+					}}
+				>
+					{PARTY_SIZES.map((size) => (
+						<option key={size} value={size}>
+							{size}
+						</option>
+					))}
+				</select>
+			</div>
+			<div className="form-group">
+				<label>Time</label>
+				<SlotPicker
+					date={date}
+					partySize={partySize}
+					value={time}
+					onChange={setTime}
+					excludeId={booking.id}
+				/>
+			</div>
+			<div className="booking-actions">
+				<button
+					type="button"
+					className="btn btn-primary"
+					disabled={!time}
+					onClick={() => onSave({ date, time, partySize })}
+				>
+					Save
+				</button>
+				<button
+					type="button"
+					className="btn btn-secondary"
+					onClick={onClose}
+				>
+					Close
+				</button>
+			</div>
+		</div>
+	);
+}
+
+function Bookings() {
+	const { showToast } = useToast();
+	const [editingId, setEditingId] = useState(null);
+
+	const { data, error } = useQuery("/api/bookings");
+	const bookings = data ? data.bookings : [];
+
+	useEffect(() => {
+		if (error) showToast(error.message, "error");
+	}, [error]);
+
+	const { mutate } = useMutation(
+		(bookingId, method, body) =>
+			request(`/api/bookings/${bookingId}`, { method, body }),
+		{ invalidates: ["/api/bookings", "/api/availability"] }
+	);
+
+	const sendChange = async (bookingId, method, body) => {
+		try {
+			const { message } = await mutate(bookingId, method, body);
+			showToast(message, "success");
+			setEditingId(null);
+		} catch (err) {
+			showToast(err.message, "error");
+		}
+	};
+
+	const handleCancel = (booking) => {
+		if (window.confirm(`Cancel your booking on ${booking.date}?`)) {
+			sendChange(booking.id, "DELETE");
+		}
+	};
+
+	const today = todayString();
+	const upcoming = bookings.filter(
+		(booking) => booking.status === "confirmed" && booking.date >= today
+	);
+	const history = bookings.filter((booking) => !upcoming.includes(booking));
+
+	return (
+		<div className="bookings">
+			<h2>Your Bookings</h2>
+			<div className="buttonsList">
+				<Link to="/book">Book another table</Link>
+			</div>
+
+			<h3>Upcoming</h3>
+			{upcoming.length === 0 && <p>You have no upcoming bookings.</p>}
+			{upcoming.map((booking) => (
+				<div key={booking.id} className="booking-card">
+					<div className="booking-summary">
+						<span>
+							{booking.date} at {booking.time}
+						</span>
+						<span>
+							{booking.partySize}{" "}
+							{booking.partySize === 1 ? "guest" : "guests"}
+						</span>
+					</div>
+					{booking.notes && (
+						<p className="booking-notes">{booking.notes}</p>
+					)}
+					{editingId === booking.id ? (
+						<BookingEditor
+							booking={booking}
+							onSave={(changes) =>
+								sendChange(booking.id, "PATCH", changes)
+							}
+							onClose={() => setEditingId(null)}
+						/>
+					) : (
+						<div className="booking-actions">
+							<button
+								type="button"
+								className="btn btn-secondary"
+								onClick={() => setEditingId(booking.id)}
+							>
+								Change
+							</button>
+							<button
+								type="button"
+								className="btn btn-secondary"
+								onClick={() => handleCancel(booking)}
+							>
+								Cancel
+							</button>
+						</div>
+					)}
+				</div>
+			))}
+
+			{history.length > 0 && <h3>Past and cancelled</h3>}
+			{history.map((booking) => (
+				<div key={booking.id} className="booking-card past">
+					<div className="booking-summary">
+						<span>
+							{booking.date} at {booking.time}
+						</span>
+						<span>{booking.partySize} guests</span>
+						<span className="menu-badge menu-badge--muted">
+							{booking.status}
+						</span>
+					</div>
+				</div>
+			))}
+		</div>
+	);
+}
+
+export default Bookings;
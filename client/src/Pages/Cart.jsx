@@ -0,0 +1,177 @@
+import { useEffect, useState } from "react";
+import { Link, useLocation, useNavigate } from "react-router-dom";
+import { api } from "../api";
+import { useAuth } from "../contexts/AuthContext";
+import { MAX_QUANTITY, useCart } from "../contexts/CartContext";
+import { useToast } from "../contexts/ToastContext";
+import { invalidateQueries, useQuery } from "../hooks/useApi";
+import { formatPrice } from "../format";
+
+// The order being put together, and checkout. Orders are for collection and
+// paid for up front.
+function Cart() {
+	const { showToast } = useToast();
+	const { isLoggedIn } = useAuth();
+	const { items, total, setQuantity, clearCart } = useCart();
+	const navigate = useNavigate();
+	const location = useLocation();
+	const [notes, setNotes] = useState("");
+	const [paymentMethod, setPaymentMethod] = useState("");
+	const [placing, setPlacing] = useState(false);
+
+	const { data: checkout } = useQuery("/api/checkout");
+	const paymentMethods = checkout ? checkout.paymentMethods : [];
+
+	useEffect(() => {
+		if (!paymentMethod && paymentMethods.length > 0) {
+			setPaymentMethod(paymentMethods[0].id);
+		}
+	}, [paymentMethods]);
+
+	const handleCheckout = async (event) => {
+		event.preventDefault();
+		setPlacing(true);
+		try {
+			const { message } = await api.post("/api/orders", {
+				items: items.map(({ menuItemId, quantity }) => ({
+					menuItemId,
+					quantity,
+				})),
+				notes,
+				paymentMethod,
+			});
+			clearCart();
+			invalidateQueries("/api/orders");
+			showToast(message, "success");
+			navigate("/profile");
+		} catch (error) {
+			showToast(error.message, "error");
+			setPlacing(false);
+		}
+	};
+
+	if (items.length === 0) {
+		return (
+			<div className="cart">
+				<h2>Your Order</h2>
+				<p>
+					Nothing here yet. Pick some dishes from the{" "}
+					<Link to="/menu">menu</Link> to order them for collection.
+				</p>
+			</div>
+		);
+	}
+
+	return (
+		<div className="cart">
+			<h2>Your Order</h2>
+			<table className="admin-table">
+				<thead>
+					<tr>
+						<th>Dish</th>
+						<th>Quantity</th>
+						<th>Price</th>
+						<th></th>
+					</tr>
+				</thead>
+				<tbody>
+					{items.map((line) => (
+						<tr key={line.menuItemId}>
+							<td>{line.name}</td>
+							<td>
+								<input
+									type="number"
+									className="cart__quantity"
+									aria-label={`Quantity of ${line.name}`}
+									min={1}
+									max={MAX_QUANTITY}
+									value={line.quantity}
+									onChange={(event) =>
+										setQuantity(
+											line.menuItemId,
+											Number(event.target.value) || 1
+										)
+									}
+								/>
+							</td>
+							<td>{formatPrice(line.price * line.quantity)}</td>
+							<td>
+								<button
+									type="button"
+									className="btn btn-secondary"
+									onClick={() =>
+										setQuantity(line.menuItemId, 0)
+									}
+								>
+									Remove
+								</button>
+							</td>
+						</tr>
+					))}
+				</tbody>
+			</table>
+			<p className="cart__total">
+				Total {formatPrice(total)}
+				<span className="profile-note">
+					{" "}
+					(checked again when you order)
+				</span>
+			</p>
+
+			{checkout && !checkout.available && (
+				<p>Online ordering is not available right now, sorry.</p>
+			)}
+
+			{checkout && checkout.available && !isLoggedIn && (
+				<p>
+					<Link to="/login" state={{ from: location }}>
+						Log in to order
+					</Link>
+				</p>
+			)}
+
+			{checkout && checkout.available && isLoggedIn && (
+				<form onSubmit={handleCheckout} className="auth-form">
+					<div className="form-group">
+						<label htmlFor="order-notes">
+							Notes for the kitchen
+						</label>
+						<textarea
+							id="order-notes"
+							rows={2}
+							maxLength={255}
+							value={notes}
+							onChange={(event) => setNotes(event.target.value)}
+						/>
+					</div>
+					<div className="form-group">
+						<label htmlFor="order-payment">Pay with</label>
+						<select
+							id="order-payment"
+							value={paymentMethod}
+							onChange={(event) =>
+								setPaymentMethod(event.target.value)
+							}
+							required
+						>
+							{paymentMethods.map((method) => (
+								<option key={method.id} value={method.id}>
+									{method.label}
+								</option>
+							))}
+						</select>
+					</div>
+					<button
+						type="submit"
+						className="btn btn-primary"
+						disabled={placing}
+					>
+						{placing ? "Placing order..." : "Place Order"}
+					</button>
+				</form>
+			)}
+		</div>
+	);
+}
+
+export default Cart;
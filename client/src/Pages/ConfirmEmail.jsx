@@ -0,0 +1,38 @@
+import { useEffect, useRef } from "react";
+import { useNavigate, useSearchParams } from "react-router-dom";
+import { api } from "../api";
+import { useToast } from "../contexts/ToastContext";
+
+function ConfirmEmail() {
+	const { showToast } = useToast();
+	const navigate = useNavigate();
+	const [searchParams] = useSearchParams();
+	const token = searchParams.get("token");
+	const sent = useRef(false);
+
+	useEffect(() => {
+		// the token only works once, so never send it twice
+		if (sent.current) return;
+		sent.current = true;
+
+		if (!token) {
+			showToast("Invalid email confirmation link.", "error");
+			navigate("/");
+			return;
+		}
+
+		api.post("/api/me/email/confirm", { token })
+			.then(({ message }) => {
+				showToast(message, "success");
+				navigate("/profile");
+			})
+			.catch((error) => {
+				showToast(error.message, "error");
+				navigate("/");
+			});
+	}, [token]);
+
+	return <div className="loading" />;
+}
+
+export default ConfirmEmail;
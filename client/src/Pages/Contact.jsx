@@ -0,0 +1,147 @@
+import { useEffect, useState } from "react";
+import { api } from "../api";
+import { useAuth } from "../contexts/AuthContext";
+import { useToast } from "../contexts/ToastContext";
+import { useQuery } from "../hooks/useApi";
+
+const EMPTY_FORM = { name: "", email: "", subject: "", message: "" };
+
+function Contact() {
+	const { showToast } = useToast();
+	const { isLoggedIn } = useAuth();
+	const [form, setForm] = useState(EMPTY_FORM);
+	const [sending, setSending] = useState(false);
+	const [sent, setSent] = useState(false);
+
+	// logged in users get their name and address filled in
+	const { data: account } = useQuery(isLoggedIn ? "/api/me" : null);
+	useEffect(() => {
+		if (!account) return;
+		const { profile } = account;
+		setForm((current) => ({
+			...current,
+			name: current.name || profile.displayName || "",
+			email: current.email || profile.email,
+		}));
+	}, [account]);
+
+	const handleChange = (event) => {
+		const { name, value } = event.target;
+		setForm((current) => ({ ...current, [name]: value }));
+	};
+
+	const handleSubmit = async (event) => {
+		event.preventDefault();
+		setSending(true);
+		try {
+			const { message } = await api.post("/api/contact", {
+				...form,
+				// the honeypot, only bots can see it to fill it in
+				website: event.target.website.value,
+			});
+			showToast(message, "success");
+			setSent(true);
+			setForm({ ...EMPTY_FORM, name: form.name, email: form.email });
+		} catch (error) {
+			showToast(error.message, "error");
+		} finally {
+			setSending(false);
+		}
+	};
+
+	return (
+		<div className="auth-container">
+			<div className="auth-card">
+				<h1>Contact Us</h1>
+				<p className="auth-subtitle">
+					Questions, large bookings or feedback, we will answer by
+					email.
+				</p>
+
+				{sent ? (
+					<div className="auth-links">
+						<p className="auth-subtitle">
+							Thanks, your message is on its way to us.
+						</p>
+						<button
+							type="button"
+							className="btn btn-secondary"
+							onClick={() => setSent(false)}
+						>
+							Send another message
+						</button>
+					</div>
+				) : (
+					<form onSubmit={handleSubmit} className="auth-form">
+						<div className="form-group">
+							<label htmlFor="contact-name">Name</label>
+							<input
+								type="text"
+								id="contact-name"
+								name="name"
+								value={form.name}
+								onChange={handleChange}
+								maxLength={100}
+								required
+							/>
+						</div>
+						<div className="form-group">
+							<label htmlFor="contact-email">Email Address</label>
+							<input
+								type="email"
+								id="contact-email"
+								name="email"
+								value={form.email}
+								onChange={handleChange}
+								required
+							/>
+						</div>
+						<div className="form-group">
+							<label htmlFor="contact-subject">Subject</label>
+							<input
+								type="text"
+								id="contact-subject"
+								name="subject"
+								value={form.subject}
+								onChange={handleChange}
+								maxLength={150}
+							/>
+						</div>
+						<div className="form-group">
+							<label htmlFor="contact-message">Message</label>
+							<textarea
+								id="contact-message"
+								name="message"
+								rows={6}
+								value={form.message}
+								onChange={handleChange}
+								minLength={10}
+								maxLength={5000}
+								required
+							/>
+						</div>
+						<div className="contact-honeypot" aria-hidden="true">
+							<label htmlFor="contact-website">Website</label>
+							<input
+								type="text"
+								id="contact-website"
+								name="website"
+								tabIndex={-1}
+								autoComplete="off"
+							/>
+						</div>
+						<button
+							type="submit"
+							className="btn btn-primary auth-submit"
+							disabled={sending}
+						>
+							{sending ? "Sending..." : "Send Message"}
+						</button>
+					</form>
+				)}
+			</div>
+		</div>
+	);
+}
+
+export default Contact;
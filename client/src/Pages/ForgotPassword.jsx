@@ -1,51 +1,22 @@
 import { Link } from "react-router-dom";
-import { useAuth } from "../contexts/AuthContext";
-import { useNavigate } from "react-router-dom";
-import { useState, useEffect } from "react";
+import { useState } from "react";
+import { api } from "../api";
+import { useToast } from "../contexts/ToastContext";
 
-function ForgotPassword(props) {
-	const { setMessage } = props;
-	const { isLoggedIn } = useAuth();
-	const navigate = useNavigate();
-	const [resetToken, setResetToken] = useState(null);
-	const [email, setEmail] = useState("");
-
-	useEffect(() => {
-		if (isLoggedIn) {
-			setMessage("You are already logged in.", "info");
-			navigate("/");
-		}
-	}, [isLoggedIn, setMessage, navigate]);
+function ForgotPassword() {
+	const { showToast } = useToast();
+	const [sent, setSent] = useState(false);
 
 	const handleSubmit = async (event) => {
 		event.preventDefault();
-		const response = await fetch("/api/forgot", {
-			method: "POST",
-			headers: {
-				"Content-Type": "application/json",
-			},
-			credentials: "include",
-			body: JSON.stringify({
+		try {
+			const { message } = await api.post("/api/forgot", {
 				email: event.target.email.value,
-			}),
-		});
-
-		setEmail(event.target.email.value);
-
-		const data = await response.json();
-		console.log(data);
-
-		// Set message color based on status code
-		if (response.ok) {
-			setMessage(data.message, "success");
-			// Store the reset token to display the link
-			if (data.resetToken) {
-				setResetToken(data.resetToken);
-			}
-		} else {
-			// Error status codes (400, 401, 500, etc.)
-			setMessage(data.message, "error");
-			setResetToken(null);
+			});
+			showToast(message, "success");
+			setSent(true);
+		} catch (error) {
+			showToast(error.message, "error");
 		}
 	};
 
@@ -79,21 +50,11 @@ function ForgotPassword(props) {
 					</button>
 				</form>
 
-				{/* Display reset link if token is available */}
-				{resetToken && (
-					<div className="auth-card">
-						<h3>Password Reset Link</h3>
-						<p className="auth-subtitle">
-							Since this is a prototype, here's your password
-							reset link:
-						</p>
-						<Link
-							to={`/reset?email=${email}&token=${resetToken}`}
-							className="btn btn-primary auth-submit"
-						>
-							Reset Your Password
-						</Link>
-					</div>
+				{sent && (
+					<p className="auth-subtitle">
+						Check your inbox for a link to reset your password. It
+						expires after one hour.
+					</p>
 				)}
 
 				<div className="auth-links">
@@ -1,17 +1,10 @@
-import React, { use, useEffect, useState } from "react";
+import React from "react";
 import { Link } from "react-router-dom";
 import { useAuth } from "../contexts/AuthContext";
 
 function Home() {
-	const [backendData, setBackendData] = useState([{}]);
 	const { isLoggedIn } = useAuth();
 
-	useEffect(() => {
-		fetch("/api")
-			.then((response) => response.json())
-			.then((data) => setBackendData(data));
-	}, []);
-
 	return (
 		<div>
 			<h2>T-Level Restaurant</h2>
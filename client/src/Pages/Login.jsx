@@ -1,39 +1,118 @@
-import { Link, useNavigate } from "react-router-dom";
+import { useEffect, useState } from "react";
+import {
+	Link,
+	useLocation,
+	useNavigate,
+	useSearchParams,
+} from "react-router-dom";
 import { useAuth } from "../contexts/AuthContext";
+import { api } from "../api";
+import { useQuery } from "../hooks/useApi";
+import { returnPath } from "../Components/RouteGuards";
+import { useToast } from "../contexts/ToastContext";
 
-function Login(props) {
-	const { setMessage } = props;
+function Login() {
+	const { showToast } = useToast();
 	const { checkAuthStatus } = useAuth();
 	const navigate = useNavigate();
+	const location = useLocation();
+	const [searchParams] = useSearchParams();
+	// After the password, for accounts with two-factor authentication on.
+	// Social login sends people back with ?twoFactor=1 for the same step.
+	const [needsCode, setNeedsCode] = useState(
+		searchParams.get("twoFactor") === "1"
+	);
+	// "Sign in with ..." providers the server has set up
+	const { data: providerData } = useQuery("/api/auth/providers");
+	const providers = providerData ? providerData.providers : [];
 
-	const handleSubmit = async (event) => {
-		event.preventDefault();
-		const response = await fetch("/api/login", {
-			method: "POST",
-			headers: {
-				"Content-Type": "application/json",
-			},
-			credentials: "include",
-			body: JSON.stringify({
-				email: event.target.email.value,
-				password: event.target.password.value,
-			}),
-		});
-		const data = await response.json();
-		console.log(data);
+	useEffect(() => {
+		// social login comes back with ?error=... when it didn't work
+		const error = searchParams.get("error");
+		if (error) showToast(error, "error");
+	}, []);
 
-		// Set message color based on status code
-		if (response.ok) {
-			setMessage(data.message, "success");
+	const postLogin = async (url, body) => {
+		try {
+			const { message, data } = await api.post(url, body);
+			showToast(message, "success");
+			if (data && data.twoFactorRequired) {
+				setNeedsCode(true);
+				return;
+			}
 			// Update auth state after successful login
 			await checkAuthStatus();
-			navigate("/");
-		} else {
-			// Error status codes (400, 401, 500, etc.)
-			setMessage(data.message, "error");
+			// back to the page that sent them here, if there was one
+			navigate(returnPath(location), { replace: true });
+		} catch (error) {
+			showToast(error.message, "error");
+			// the password step has to be done again
+			if (error.code === "TWO_FACTOR_EXPIRED") setNeedsCode(false);
 		}
 	};
 
+	const handleSubmit = (event) => {
+		event.preventDefault();
+		return postLogin("/api/login", {
+			email: event.target.email.value,
+			password: event.target.password.value,
+		});
+	};
+
+	const handleCode = (event) => {
+		event.preventDefault();
+		return postLogin("/api/login/2fa", { code: event.target.code.value });
+	};
+
+	if (needsCode) {
+		return (
+			<div className="auth-container">
+				<div className="auth-card">
+					<h1>Two-Factor Authentication</h1>
+					<p className="auth-subtitle">
+						Enter the 6 digit code from your authenticator app, or
+						one of your recovery codes
+					</p>
+					{/* keyed so React doesn't reuse the email input, value and all */}
+					<form
+						key="code"
+						onSubmit={handleCode}
+						className="auth-form"
+						autoComplete="off"
+					>
+						<div className="form-group">
+							<label htmlFor="code">Authentication Code</label>
+							<input
+								id="code"
+								name="code"
+								required
+								maxLength={20}
+								inputMode="numeric"
+								autoComplete="one-time-code"
+								autoFocus
+							/>
+						</div>
+						<button
+							type="submit"
+							className="btn btn-primary auth-submit"
+						>
+							Verify
+						</button>
+					</form>
+					<div className="auth-links">
+						<button
+							type="button"
+							className="auth-link"
+							onClick={() => setNeedsCode(false)}
+						>
+							<span>Use a different account</span>
+						</button>
+					</div>
+				</div>
+			</div>
+		);
+	}
+
 	return (
 		<div className="auth-container">
 			<div className="auth-card">
@@ -71,6 +150,20 @@ function Login(props) {
 						Sign In
 					</button>
 				</form>
+				{providers.length > 0 && (
+					<div className="social-login">
+						<p className="social-login__divider">or</p>
+						{providers.map(({ id, name }) => (
+							<a
+								key={id}
+								href={`/api/auth/${id}`}
+								className="btn btn-secondary social-login__button"
+							>
+								Sign in with {name}
+							</a>
+						))}
+					</div>
+				)}
 				<div className="auth-links">
 					<Link to="/register" className="auth-link">
 						Don't have an account? <span>Register here</span>
@@ -1,37 +1,22 @@
 import { useNavigate } from "react-router-dom";
 import { useAuth } from "../contexts/AuthContext";
 import React, { useEffect } from "react";
+import { api } from "../api";
+import { useToast } from "../contexts/ToastContext";
 
-function Logout(props) {
-	const { setMessage } = props;
+function Logout() {
+	const { showToast } = useToast();
 	const { setIsLoggedIn } = useAuth();
 	let navigate = useNavigate();
 
 	useEffect(() => {
-		fetch("/api/logout", {
-			method: "POST",
-			headers: {
-				"Content-Type": "application/json",
-			},
-			credentials: "include",
-		})
-			.then((response) => response.json())
-			.then((data) => {
-				console.log(data);
-				if (data.success) {
-					setIsLoggedIn(false); // Update auth state
-					setMessage(data.message, "success");
-					navigate("/");
-				} else {
-					setMessage(data.message || "Logout failed", "error");
-					navigate("/");
-				}
+		api.post("/api/logout")
+			.then(({ message }) => {
+				setIsLoggedIn(false); // Update auth state
+				showToast(message, "success");
 			})
-			.catch((error) => {
-				console.error("Logout error:", error);
-				setMessage("Network error during logout", "error");
-				navigate("/");
-			});
+			.catch((error) => showToast(error.message, "error"))
+			.finally(() => navigate("/"));
 	}, []);
 
 	return <></>;
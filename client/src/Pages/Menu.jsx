@@ -0,0 +1,166 @@
+import { useEffect } from "react";
+import { useSearchParams } from "react-router-dom";
+import { useQuery } from "../hooks/useApi";
+import { useToast } from "../contexts/ToastContext";
+import { useCart } from "../contexts/CartContext";
+import { formatPrice } from "../format";
+
+function Menu() {
+	const { showToast } = useToast();
+	const { addItem } = useCart();
+	const [searchParams, setSearchParams] = useSearchParams();
+
+	const category = searchParams.get("category") || "";
+	const tags = (searchParams.get("tag") || "")
+		.split(",")
+		.filter((tag) => tag.length > 0);
+
+	// category list for the filter bar, independent of the active filters
+	const { data: categoryList } = useQuery("/api/menu/categories");
+	const allCategories = categoryList ? categoryList.categories : [];
+
+	const { data, error, loading } = useQuery("/api/menu", {
+		query: { category, tag: tags.join(",") },
+	});
+	const categories = data ? data.categories : [];
+	const dietaryTags = data ? data.dietaryTags : [];
+
+	useEffect(() => {
+		if (error) showToast(error.message, "error");
+	}, [error]);
+
+	const updateFilters = (nextCategory, nextTags) => {
+		const params = {};
+		if (nextCategory) params.category = nextCategory;
+		if (nextTags.length > 0) params.tag = nextTags.join(",");
+		setSearchParams(params);
+	};
+
+	const handleAdd = (item) => {
+		addItem(item);
+		showToast(`Added ${item.name} to your order.`, "success");
+	};
+
+	const toggleTag = (tag) => {
+		const nextTags = tags.includes(tag)
+			? tags.filter((entry) => entry !== tag)
+			: [...tags, tag];
+		updateFilters(category, nextTags);
+	};
+
+	return (
+		<div className="menu">
+			<h2>Our Menu</h2>
+
+			<div className="menu-filters">
+				<div className="menu-filter-group">
+					<button
+						type="button"
+						className={`menu-chip ${!category ? "active" : ""}`}
+						onClick={() => updateFilters("", tags)}
+					>
+						All
+					</button>
+					{allCategories.map((cat) => (
+						<button
+							type="button"
+							key={cat.id}
+							className={`menu-chip ${
+								category === cat.slug ? "active" : ""
+							}`}
+							onClick={() => updateFilters(cat.slug, tags)}
+						>
+							{cat.name}
+						</button>
+					))}
+				</div>
+				<div className="menu-filter-group">
+					{dietaryTags.map((tag) => (
+						<button
+							type="button"
+							key={tag}
+							className={`menu-chip menu-chip--tag ${
+								tags.includes(tag) ? "active" : ""
+							}`}
+							onClick={() => toggleTag(tag)}
+						>
+							{tag}
+						</button>
+					))}
+				</div>
+			</div>
+
+			{loading && <div className="loading" />}
+
+			{!loading && categories.length === 0 && (
+				<p>No dishes match the selected filters.</p>
+			)}
+
+			{!loading &&
+				categories.map((cat) => (
+					<section key={cat.id} className="menu-category">
+						<h3>{cat.name}</h3>
+						{cat.description && (
+							<p className="menu-category-description">
+								{cat.description}
+							</p>
+						)}
+						<div className="menu-items">
+							{cat.items.map((item) => (
+								<div
+									key={item.id}
+									className={`menu-item ${
+										item.available ? "" : "unavailable"
+									}`}
+								>
+									<div className="menu-item-header">
+										<span className="menu-item-name">
+											{item.name}
+										</span>
+										<span className="menu-item-price">
+											{formatPrice(item.price)}
+										</span>
+									</div>
+									<p className="menu-item-description">
+										{item.description}
+									</p>
+									<div className="menu-item-meta">
+										{item.dietaryTags.map((tag) => (
+											<span
+												key={tag}
+												className="menu-badge"
+											>
+												{tag}
+											</span>
+										))}
+										{item.allergens.length > 0 && (
+											<span className="menu-allergens">
+												Contains:{" "}
+												{item.allergens.join(", ")}
+											</span>
+										)}
+										{!item.available && (
+											<span className="menu-badge menu-badge--muted">
+												Currently unavailable
+											</span>
+										)}
+									</div>
+									{item.available && (
+										<button
+											type="button"
+											className="btn btn-secondary menu-item-add"
+											onClick={() => handleAdd(item)}
+										>
+											Add to order
+										</button>
+									)}
+								</div>
+							))}
+						</div>
+					</section>
+				))}
+		</div>
+	);
+}
+
+export default Menu;
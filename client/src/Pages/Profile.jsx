@@ -0,0 +1,317 @@
+import { useEffect, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { useAuth } from "../contexts/AuthContext";
+import VerifyEmailNotice from "../Components/VerifyEmailNotice";
+import ActiveSessions from "../Components/ActiveSessions";
+import TwoFactorSettings from "../Components/TwoFactorSettings";
+import ApiKeys from "../Components/ApiKeys";
+import OrderHistory from "../Components/OrderHistory";
+import { request } from "../api";
+import { invalidateQueries, useQuery } from "../hooks/useApi";
+import { useToast } from "../contexts/ToastContext";
+
+async function sendJson(url, method, body) {
+	try {
+		const { message, data } = await request(url, { method, body });
+		return { ok: true, message, data };
+	} catch (error) {
+		return { ok: false, message: error.message, data: null };
+	}
+}
+
+function Profile() {
+	const { showToast } = useToast();
+	const { setIsLoggedIn } = useAuth();
+	const navigate = useNavigate();
+	// the form edits a copy of the loaded profile
+	const [profile, setProfile] = useState(null);
+	const { data, error } = useQuery("/api/me");
+	const dietaryTags = data ? data.dietaryTags : [];
+
+	useEffect(() => {
+		if (data) setProfile(data.profile);
+	}, [data]);
+
+	useEffect(() => {
+		if (error) showToast(error.message, "error");
+	}, [error]);
+
+	if (!profile) return <div className="loading" />;
+
+	const togglePreference = (tag) => {
+		const preferences = profile.dietaryPreferences.includes(tag)
+			? profile.dietaryPreferences.filter((entry) => entry !== tag)
+			: [...profile.dietaryPreferences, tag];
+		setProfile({ ...profile, dietaryPreferences: preferences });
+	};
+
+	const saveDetails = async (event) => {
+		event.preventDefault();
+		const { ok, message } = await sendJson("/api/me", "PATCH", {
+			displayName: profile.displayName || "",
+			phone: profile.phone || "",
+			dietaryPreferences: profile.dietaryPreferences,
+		});
+		showToast(message, ok ? "success" : "error");
+		if (ok) invalidateQueries("/api/me");
+	};
+
+	const changePassword = async (event) => {
+		event.preventDefault();
+		const form = event.target;
+		if (form.newPassword.value !== form.confirmPassword.value) {
+			showToast("The new passwords do not match.", "error");
+			return;
+		}
+		const { ok, message } = await sendJson("/api/me/password", "POST", {
+			currentPassword: form.currentPassword.value,
+			newPassword: form.newPassword.value,
+		});
+		showToast(message, ok ? "success" : "error");
+		if (ok) form.reset();
+	};
+
+	const changeEmail = async (event) => {
+		event.preventDefault();
+		const form = event.target;
+		const { ok, message } = await sendJson("/api/me/email", "POST", {
+			email: form.newEmail.value,
+			password: form.emailPassword.value,
+		});
+		showToast(message, ok ? "success" : "error");
+		if (ok) {
+			invalidateQueries("/api/me");
+			form.reset();
+		}
+	};
+
+	const deleteAccount = async (event) => {
+		event.preventDefault();
+		if (
+			!window.confirm(
+				"This permanently deletes your account and bookings. Continue?"
+			)
+		) {
+			return;
+		}
+		const { ok, message } = await sendJson("/api/me", "DELETE", {
+			password: event.target.deletePassword.value,
+		});
+		showToast(message, ok ? "success" : "error");
+		if (ok) {
+			setIsLoggedIn(false);
+			navigate("/");
+		}
+	};
+
+	return (
+		<div className="profile">
+			<h2>Your Profile</h2>
+
+			{!profile.emailVerified && <VerifyEmailNotice />}
+
+			<section className="profile-section">
+				<h3>Details</h3>
+				<form onSubmit={saveDetails} className="auth-form">
+					<div className="form-group">
+						<label>Email Address</label>
+						<p className="profile-value">
+							{profile.email}
+							{profile.pendingEmail && (
+								<span className="profile-note">
+									{" "}
+									(waiting for confirmation of{" "}
+									{profile.pendingEmail})
+								</span>
+							)}
+						</p>
+					</div>
+					<div className="form-group">
+						<label htmlFor="displayName">Display Name</label>
+						<input
+							id="displayName"
+							value={profile.displayName || ""}
+							maxLength={100}
+							onChange={(event) =>
+								setProfile({
+									...profile,
+									displayName: event.target.value,
+								})
+							}
+						/>
+					</div>
+					<div className="form-group">
+						<label htmlFor="phone">Phone Number</label>
+						<input
+							id="phone"
+							type="tel"
+							value={profile.phone || ""}
+							onChange={(event) =>
+								setProfile({
+									...profile,
+									phone: event.target.value,
+								})
+							}
+						/>
+					</div>
+					<div className="form-group">
+						<label>Dietary Preferences</label>
+						<div className="admin-checkboxes">
+							{dietaryTags.map((tag) => (
+								<label key={tag}>
+									<input
+										type="checkbox"
+										checked={profile.dietaryPreferences.includes(
+											tag
+										)}
+										onChange={() => togglePreference(tag)}
+									/>
+									{tag}
+								</label>
+							))}
+						</div>
+					</div>
+					<button type="submit" className="btn btn-primary">
+						Save Details
+					</button>
+				</form>
+			</section>
+
+			<section className="profile-section">
+				<h3>Change Password</h3>
+				<form onSubmit={changePassword} className="auth-form">
+					<div className="form-group">
+						<label htmlFor="currentPassword">
+							Current Password
+						</label>
+						<input
+							type="password"
+							id="currentPassword"
+							name="currentPassword"
+							required
+						/>
+					</div>
+					<div className="form-group">
+						<label htmlFor="newPassword">New Password</label>
+						<input
+							type="password"
+							id="newPassword"
+							name="newPassword"
+							minLength={8}
+							required
+						/>
+					</div>
+					<div className="form-group">
+						<label htmlFor="confirmPassword">
+							Confirm New Password
+						</label>
+						<input
+							type="password"
+							id="confirmPassword"
+							name="confirmPassword"
+							required
+						/>
+					</div>
+					<button type="submit" className="btn btn-primary">
+						Change Password
+					</button>
+				</form>
+			</section>
+
+			<section className="profile-section">
+				<h3>Change Email</h3>
+				<form onSubmit={changeEmail} className="auth-form">
+					<div className="form-group">
+						<label htmlFor="newEmail">New Email Address</label>
+						<input
+							type="email"
+							id="newEmail"
+							name="newEmail"
+							required
+						/>
+					</div>
+					<div className="form-group">
+						<label htmlFor="emailPassword">Current Password</label>
+						<input
+							type="password"
+							id="emailPassword"
+							name="emailPassword"
+							required
+						/>
+					</div>
+					<button type="submit" className="btn btn-primary">
+						Send Confirmation Link
+					</button>
+				</form>
+			</section>
+
+			<section className="profile-section" id="orders">
+				<h3>Your Orders</h3>
+				<OrderHistory />
+			</section>
+
+			<section className="profile-section">
+				<h3>Two-Factor Authentication</h3>
+				<TwoFactorSettings />
+			</section>
+
+			<section className="profile-section">
+				<h3>Active Sessions</h3>
+				<p>
+					These are the browsers and devices logged in to your
+					account.
+				</p>
+				<ActiveSessions />
+			</section>
+
+			<section className="profile-section">
+				<h3>API Keys</h3>
+				<p>
+					Keys let your own scripts and apps use your account through
+					the API. Anyone with a key can act as you, so keep them
+					secret and revoke any you no longer use.
+				</p>
+				<ApiKeys />
+			</section>
+
+			<section className="profile-section">
+				<h3>Your Data</h3>
+				<p>
+					Download a copy of everything we hold about you, including
+					your bookings, orders, devices and account activity.
+				</p>
+				<a
+					href="/api/me/export"
+					className="btn btn-secondary"
+					download="my-data.json"
+				>
+					Download My Data
+				</a>
+			</section>
+
+			<section className="profile-section profile-section--danger">
+				<h3>Delete Account</h3>
+				<p>
+					Deleting your account removes your details and all of your
+					bookings. This cannot be undone.
+				</p>
+				<form onSubmit={deleteAccount} className="auth-form">
+					<div className="form-group">
+						<label htmlFor="deletePassword">Current Password</label>
+						<input
+							type="password"
+							id="deletePassword"
+							name="deletePassword"
+							required
+						/>
+					</div>
+					<button type="submit" className="btn btn-secondary">
+						Delete My Account
+					</button>
+				</form>
+			</section>
+		</div>
+	);
+}
+
+export default Profile;
@@ -1,56 +1,55 @@
 import { Link, useNavigate } from "react-router-dom";
 import React, { useState, useEffect } from "react";
 import { useAuth } from "../contexts/AuthContext";
+import PasswordStrength from "../Components/PasswordStrength";
+import { checkPassword } from "../../../shared/passwordPolicy";
+import { api } from "../api";
+import { useToast } from "../contexts/ToastContext";
 
-function Register(props) {
-	const { setMessage } = props;
+function Register() {
+	const { showToast } = useToast();
 	const navigate = useNavigate();
 	const { checkAuthStatus } = useAuth();
+	const [email, setEmail] = useState("");
+	const [password, setPassword] = useState("");
+
 	const handleSubmit = async (event) => {
 		event.preventDefault();
-		const response = await fetch("/api/register", {
-			method: "POST",
-			headers: {
-				"Content-Type": "application/json",
-			},
-			body: JSON.stringify({
-				email: event.target.email.value,
-				password: event.target.password.value,
-			}),
-		});
-		const data = await response.json();
-		console.log(data);
-		if (data.success) {
-			setMessage("Successfully registered.", "success");
-			setTimeout(async () => {
-				const response = await fetch("/api/login", {
-					method: "POST",
-					headers: {
-						"Content-Type": "application/json",
-					},
-					credentials: "include",
-					body: JSON.stringify({
-						email: event.target.email.value,
-						password: event.target.password.value,
-					}),
-				});
-				const data2 = await response.json();
-				console.log(data2);
 
-				// Set message color based on status code
-				if (response.ok) {
-					setMessage(data2.message, "success");
-					// Update auth state after successful login
-					await checkAuthStatus();
-					navigate("/");
-				} else {
-					// Error status codes (400, 401, 500, etc.)
-					setMessage(data2.message, "error");
-				}
-			}, 1000);
-		} else {
-			setMessage(data.message || "Registration failed", "error");
+		// the server would refuse it anyway, save the round trip
+		const { valid, problems } = checkPassword(password, { email });
+		if (!valid) {
+			showToast(problems[0], "error");
+			return;
+		}
+
+		const credentials = {
+			email: event.target.email.value,
+			password: event.target.password.value,
+		};
+
+		try {
+			await api.post("/api/register", credentials);
+		} catch (error) {
+			showToast(error.message, "error");
+			return;
 		}
+
+		showToast("Successfully registered.", "success");
+		setTimeout(async () => {
+			try {
+				const { message } = await api.post("/api/login", credentials);
+				showToast(
+					`${message} Check your email for a link to verify your address.`,
+					"success"
+				);
+				// Update auth state after successful login
+				await checkAuthStatus();
+				navigate("/");
+			} catch (error) {
+				showToast(error.message, "error");
+			}
+		}, 1000);
 	};
 
 	return (
@@ -71,6 +70,8 @@ function Register(props) {
 							name="email"
 							required
 							autoComplete="off"
+							value={email}
+							onChange={(event) => setEmail(event.target.value)}
 						/>
 					</div>
 					<div className="form-group">
@@ -80,8 +81,13 @@ function Register(props) {
 							id="password"
 							name="password"
 							required
-							autoComplete="off"
+							autoComplete="new-password"
+							value={password}
+							onChange={(event) =>
+								setPassword(event.target.value)
+							}
 						/>
+						<PasswordStrength password={password} email={email} />
 					</div>
 					<button
 						type="submit"
@@ -1,55 +1,43 @@
-import { Link, useSearchParams } from "react-router-dom";
-import { useAuth } from "../contexts/AuthContext";
-import { useNavigate } from "react-router-dom";
+import { Link, useNavigate, useSearchParams } from "react-router-dom";
 import { useState, useEffect } from "react";
+import PasswordStrength from "../Components/PasswordStrength";
+import { checkPassword } from "../../../shared/passwordPolicy";
+import { api } from "../api";
+import { useToast } from "../contexts/ToastContext";
 
-function Reset(props) {
-	const { setMessage } = props;
-	const { isLoggedIn } = useAuth();
+function Reset() {
+	const { showToast } = useToast();
 	const navigate = useNavigate();
 
 	const [searchParams] = useSearchParams();
 	const email = searchParams.get("email");
 	const token = searchParams.get("token");
+	const [password, setPassword] = useState("");
 
 	useEffect(() => {
 		if (!email || !token) {
-			setMessage("Invalid password reset link.", "error");
+			showToast("Invalid password reset link.", "error");
 			navigate("/forgot");
 		}
-	}, [email, token, setMessage, navigate]);
-
-	// check login state
-	useEffect(() => {
-		if (isLoggedIn) {
-			setMessage("You are already logged in.", "info");
-			navigate("/");
-		}
-	}, [isLoggedIn, setMessage, navigate]);
+	}, [email, token, showToast, navigate]);
 
 	const handleSubmit = async (event) => {
 		event.preventDefault();
-		const response = await fetch("/api/reset", {
-			method: "POST",
-			headers: {
-				"Content-Type": "application/json",
-			},
-			credentials: "include",
-			body: JSON.stringify({
+
+		const { valid, problems } = checkPassword(password, { email });
+		if (!valid) {
+			showToast(problems[0], "error");
+			return;
+		}
+
+		try {
+			const { message } = await api.post("/api/reset", {
 				password: event.target.password.value,
 				token: token,
-			}),
-		});
-		const data = await response.json();
-		console.log(data);
-
-		// Set message color based on status code
-		if (response.ok) {
-			setMessage(data.message, "success");
-			// Update auth state after successful login
-		} else {
-			// Error status codes (400, 401, 500, etc.)
-			setMessage(data.message, "error");
+			});
+			showToast(message, "success");
+		} catch (error) {
+			showToast(error.message, "error");
 		}
 	};
 
@@ -70,8 +58,13 @@ function Reset(props) {
 							id="password"
 							name="password"
 							required
-							autoComplete="off"
+							autoComplete="new-password"
+							value={password}
+							onChange={(event) =>
+								setPassword(event.target.value)
+							}
 						/>
+						<PasswordStrength password={password} email={email} />
 					</div>
 					<button
 						type="submit"
@@ -0,0 +1,38 @@
+import { useEffect, useRef } from "react";
+import { useNavigate, useSearchParams } from "react-router-dom";
+import { useAuth } from "../contexts/AuthContext";
+import { api } from "../api";
+import { useToast } from "../contexts/ToastContext";
+
+function Verify() {
+	const { showToast } = useToast();
+	const { checkAuthStatus } = useAuth();
+	const navigate = useNavigate();
+	const [searchParams] = useSearchParams();
+	const token = searchParams.get("token");
+	const sent = useRef(false);
+
+	useEffect(() => {
+		if (sent.current) return;
+		sent.current = true;
+
+		if (!token) {
+			showToast("Invalid verification link.", "error");
+			navigate("/");
+			return;
+		}
+
+		api.post("/api/verify", { token })
+			.then(async ({ message }) => {
+				showToast(message, "success");
+				// refresh emailVerified if this browser is logged in
+				await checkAuthStatus();
+			})
+			.catch((error) => showToast(error.message, "error"))
+			.finally(() => navigate("/"));
+	}, [token]);
+
+	return <div className="loading" />;
+}
+
+export default Verify;
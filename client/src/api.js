@@ -0,0 +1,187 @@
+// The one way the app talks to the server. Every call goes through
+// `request`, which:
+//
+//   - sends and reads JSON, with the session cookie
+//   - adds the session's CSRF token to anything that changes data, as the
+//     server wants in the X-CSRF-Token header (see server/csrf.js). The token
+//     is fetched the first time it is needed and again whenever the server
+//     says it is stale, e.g. after logging in or out, and the request is then
+//     retried once
+//   - retries reads a couple of times when the server can't be reached or is
+//     briefly unavailable
+//   - unwraps the API's { success, message, data | error } envelope, returning
+//     { message, data } or throwing an ApiError
+//   - tells onUnauthorized listeners when the session has gone, so the app
+//     can show the user as logged out
+//
+// Pages normally use the `api` helpers, or the hooks in hooks/useApi.js.
+
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+const RETRY_STATUSES = [502, 503, 504];
+const READ_RETRIES = 2;
+const RETRY_DELAY_MS = 300;
+
+const DEFAULT_MESSAGES = {
+	0: "Couldn't reach the server. Check your connection and try again.",
+	401: "Please log in to continue.",
+	403: "You don't have permission to do that.",
+	404: "Not found.",
+	429: "Too many requests. Please wait a moment and try again.",
+};
+const GENERIC_MESSAGE = "Something went wrong. Please try again.";
+
+// A failed request. `status` is 0 when the server couldn't be reached, and
+// `code` and `fields` come from the server's error envelope.
+export class ApiError extends Error {
+	constructor(message, { status = 0, code = "NETWORK_ERROR", fields } = {}) {
+		super(message);
+		this.name = "ApiError";
+		this.status = status;
+		this.code = code;
+		this.fields = fields || null;
+	}
+}
+
+let csrfToken = null;
+const unauthorizedListeners = new Set();
+
+// Calls `listener` whenever a request is turned away because nobody is
+// logged in. Returns a function that stops listening.
+export function onUnauthorized(listener) {
+	unauthorizedListeners.add(listener);
+	return () => unauthorizedListeners.delete(listener);
+}
+
+function wait(ms) {
+	return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// the body as JSON, or null for an empty or non-JSON reply
+async function readBody(response) {
+	try {
+		return await response.json();
+	} catch (err) {
+		return null;
+	}
+}
+
+async function getCsrfToken() {
+	if (!csrfToken) {
+		const { data } = await request("/api/csrf-token");
+		csrfToken = data.csrfToken;
+	}
+	return csrfToken;
+}
+
+// `path` with `query`'s entries as search parameters, leaving out empty ones
+export function withQuery(path, query) {
+	if (!query) return path;
+
+	const params = new URLSearchParams();
+	for (const [name, value] of Object.entries(query)) {
+		if (value !== undefined && value !== null && value !== "") {
+			params.set(name, value);
+		}
+	}
+	const search = params.toString();
+	return search ? `${path}?${search}` : path;
+}
+
+function send(url, { method, body, headers, signal }, token) {
+	const options = {
+		method,
+		headers: { Accept: "application/json", ...headers },
+		credentials: "include",
+		signal,
+	};
+	if (body !== undefined) {
+		options.headers["Content-Type"] = "application/json";
+		options.body = JSON.stringify(body);
+	}
+	if (token) {
+		options.headers["X-CSRF-Token"] = token;
+	}
+	return fetch(url, options);
+}
+
+function toApiError(response, body) {
+	const error = (body && body.error) || {};
+	return new ApiError(
+		(body && body.message) ||
+			DEFAULT_MESSAGES[response.status] ||
+			GENERIC_MESSAGE,
+		{
+			status: response.status,
+			code: error.code || `HTTP_${response.status}`,
+			fields: error.fields,
+		}
+	);
+}
+
+// Sends a request and resolves with the reply's { message, data }.
+// Options: method, body (sent as JSON), query (an object of search
+// parameters), headers, signal, and retries to override how many times a
+// failure is retried (reads only, by default).
+export async function request(path, options = {}) {
+	const method = (options.method || "GET").toUpperCase();
+	const url = withQuery(path, options.query);
+	const retries =
+		options.retries ?? (SAFE_METHODS.includes(method) ? READ_RETRIES : 0);
+	let attempt = 0;
+	let refreshedCsrf = false;
+
+	for (;;) {
+		const token = SAFE_METHODS.includes(method)
+			? null
+			: await getCsrfToken();
+
+		let response;
+		try {
+			response = await send(url, { ...options, method }, token);
+		} catch (err) {
+			if (err.name === "AbortError") throw err;
+			if (attempt < retries) {
+				attempt += 1;
+				await wait(RETRY_DELAY_MS * attempt);
+				continue;
+			}
+			throw new ApiError(DEFAULT_MESSAGES[0]);
+		}
+
+		const body = await readBody(response);
+		if (response.ok) {
+			return {
+				message: (body && body.message) || null,
+				data: (body && body.data) || null,
+			};
+		}
+
+		const error = toApiError(response, body);
+		if (error.code === "CSRF_INVALID" && !refreshedCsrf) {
+			csrfToken = null;
+			refreshedCsrf = true;
+			continue;
+		}
+		if (RETRY_STATUSES.includes(response.status) && attempt < retries) {
+			attempt += 1;
+			await wait(RETRY_DELAY_MS * attempt);
+			continue;
+		}
+		if (error.code === "LOGIN_REQUIRED") {
+			unauthorizedListeners.forEach((listener) => listener(error));
+		}
+		throw error;
+	}
+}
+
+export const api = {
+	get: (path, options) => request(path, { ...options, method: "GET" }),
+	post: (path, body, options) =>
+		request(path, { ...options, method: "POST", body }),
+	put: (path, body, options) =>
+		request(path, { ...options, method: "PUT", body }),
+	patch: (path, body, options) =>
+		request(path, { ...options, method: "PATCH", body }),
+	delete: (path, body, options) =>
+		request(path, { ...options, method: "DELETE", body }),
+};
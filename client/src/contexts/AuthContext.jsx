@@ -1,28 +1,85 @@
-import { createContext, useContext, useEffect, useState } from "react";
+import { createContext, useContext, useEffect, useRef, useState } from "react";
+import { api, onUnauthorized } from "../api";
+import { clearQueryCache } from "../hooks/useApi";
 
 const AuthContext = createContext();
 
 export function AuthProvider({ children }) {
 	const [isLoggedIn, setIsLoggedIn] = useState(false);
+	const [user, setUser] = useState(null);
 	const [loading, setLoading] = useState(true);
 
 	const checkAuthStatus = () => {
-		return fetch("/api/authcheck", {
-			method: "POST",
-			credentials: "include",
-		})
-			.then((res) => res.json())
-			.then((data) => setIsLoggedIn(data.loggedIn))
-			.catch(() => setIsLoggedIn(false));
+		return api
+			.post("/api/authcheck")
+			.then(({ data }) => {
+				setIsLoggedIn(data.loggedIn);
+				setUser(
+					data.loggedIn
+						? {
+								id: data.userId,
+								role: data.role,
+								emailVerified: data.emailVerified,
+						  }
+						: null
+				);
+			})
+			.catch(() => {
+				setIsLoggedIn(false);
+				setUser(null);
+			});
 	};
 
 	useEffect(() => {
 		checkAuthStatus().finally(() => setLoading(false));
 	}, []);
 
+	// the server says the session has gone (expired, or ended from another
+	// device), so stop showing the user as logged in
+	useEffect(
+		() =>
+			onUnauthorized(() => {
+				setIsLoggedIn(false);
+				setUser(null);
+			}),
+		[]
+	);
+
+	// cached data belongs to whoever was logged in when it was loaded, so
+	// drop it when someone logs in or out
+	const userId = user ? user.id : null;
+	const previousUserId = useRef(undefined);
+	useEffect(() => {
+		if (loading) return;
+		if (
+			previousUserId.current !== undefined &&
+			previousUserId.current !== userId
+		) {
+			clearQueryCache();
+		}
+		previousUserId.current = userId;
+	}, [userId, loading]);
+
+	// Logout only knows it has logged out, so clear the user along with it
+	const updateIsLoggedIn = (loggedIn) => {
+		setIsLoggedIn(loggedIn);
+		if (!loggedIn) setUser(null);
+	};
+
+	const role = user ? user.role : null;
+	const hasRole = (...roles) => roles.includes(role);
+
 	return (
 		<AuthContext.Provider
-			value={{ isLoggedIn, setIsLoggedIn, loading, checkAuthStatus }}
+			value={{
+				isLoggedIn,
+				setIsLoggedIn: updateIsLoggedIn,
+				user,
+				role,
+				hasRole,
+				loading,
+				checkAuthStatus,
+			}}
 		>
 			{children}
 		</AuthContext.Provider>
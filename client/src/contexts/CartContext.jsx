@@ -0,0 +1,115 @@
+import {
+	createContext,
+	useCallback,
+	useContext,
+	useEffect,
+	useMemo,
+	useState,
+} from "react";
+
+// The dishes picked for an online order, kept in localStorage so they
+// survive a reload and are shared between tabs. Prices here are only for
+// showing a running total, the server prices the order again at checkout.
+// Lines are { menuItemId, name, price, quantity }.
+
+const CartContext = createContext();
+
+const STORAGE_KEY = "cart";
+// the most of one dish in an order, as on the server
+export const MAX_QUANTITY = 20;
+
+function loadCart() {
+	try {
+		const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+		return Array.isArray(saved) ? saved : [];
+	} catch (error) {
+		return [];
+	}
+}
+
+export function CartProvider({ children }) {
+	const [items, setItems] = useState(loadCart);
+
+	useEffect(() => {
+		localStorage.setItem(STORAGE_KEY, JSON.stringify(items));
+	}, [items]);
+
+	// changes made in another tab
+	useEffect(() => {
+		const handleStorage = (event) => {
+			if (event.key === STORAGE_KEY) setItems(loadCart());
+		};
+		window.addEventListener("storage", handleStorage);
+		return () => window.removeEventListener("storage", handleStorage);
+	}, []);
+
+	// a quantity of 0 takes the dish out
+	const setQuantity = useCallback((menuItemId, quantity) => {
+		const clamped = Math.min(Math.max(quantity, 0), MAX_QUANTITY);
+		setItems((current) =>
+			clamped === 0
+				? current.filter((line) => line.menuItemId !== menuItemId)
+				: current.map((line) =>
+						line.menuItemId === menuItemId
+							? { ...line, quantity: clamped }
+							: line
+				  )
+		);
+	}, []);
+
+	// `dish` is a menu item from the API
+	const addItem = useCallback((dish, quantity = 1) => {
+		setItems((current) => {
+			const existing = current.find(
+				(line) => line.menuItemId === dish.id
+			);
+			if (!existing) {
+				return [
+					...current,
+					{
+						menuItemId: dish.id,
+						name: dish.name,
+						price: dish.price,
+						quantity: Math.min(quantity, MAX_QUANTITY),
+					},
+				];
+			}
+			return current.map((line) =>
+				line === existing
+					? {
+							...line,
+							quantity: Math.min(
+								line.quantity + quantity,
+								MAX_QUANTITY
+							),
+					  }
+					: line
+			);
+		});
+	}, []);
+
+	const clearCart = useCallback(() => setItems([]), []);
+
+	const value = useMemo(
+		() => ({
+			items,
+			count: items.reduce((total, line) => total + line.quantity, 0),
+			total: items.reduce(
+				(total, line) => total + line.price * line.quantity,
+				0
+			),
+			addItem,
+			setQuantity,
+			clearCart,
+		}),
+		[items, addItem, setQuantity, clearCart]
+	);
+
+	return (
+		<CartContext.Provider value={value}>{children}</CartContext.Provider>
+	);
+}
+
+export function useCart() {
+	return useContext(CartContext);
+}
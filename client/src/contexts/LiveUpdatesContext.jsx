@@ -0,0 +1,133 @@
+import {
+	createContext,
+	useCallback,
+	useContext,
+	useEffect,
+	useMemo,
+	useRef,
+	useState,
+} from "react";
+import { useAuth } from "./AuthContext";
+import { useToast } from "./ToastContext";
+import { invalidateQueries } from "../hooks/useApi";
+
+// Live booking and order updates from the server's event stream
+// (GET /api/events, see server/events.js), open while someone is logged in.
+// Lists on screen are reloaded as events arrive, so staff and customers see
+// changes without refreshing, and customers get a toast when the kitchen
+// moves one of their orders on. Components can listen for events themselves
+// with useLiveEvents.
+
+const LiveUpdatesContext = createContext({
+	connected: false,
+	subscribe: () => () => {},
+});
+
+export const EVENT_TYPES = [
+	"booking.created",
+	"booking.updated",
+	"booking.cancelled",
+	"order.created",
+	"order.updated",
+];
+
+// what to reload for each kind of event, e.g. "order" for "order.updated"
+const RELOADS = {
+	booking: ["/api/bookings", "/api/admin/bookings", "/api/availability"],
+	order: ["/api/orders", "/api/admin/orders"],
+};
+const ALL_RELOADS = Object.values(RELOADS).flat();
+
+const ORDER_NOTICES = {
+	preparing: "is being prepared",
+	ready: "is ready for collection",
+};
+
+export function LiveUpdatesProvider({ children }) {
+	const { user } = useAuth();
+	const { showToast } = useToast();
+	const [connected, setConnected] = useState(false);
+	const listeners = useRef(new Set());
+	const userId = user ? user.id : null;
+
+	useEffect(() => {
+		if (!userId || typeof EventSource === "undefined") return undefined;
+
+		const source = new EventSource("/api/events", {
+			withCredentials: true,
+		});
+		let hasOpened = false;
+
+		source.onopen = () => {
+			// anything could have changed while the connection was down
+			if (hasOpened) invalidateQueries(...ALL_RELOADS);
+			hasOpened = true;
+			setConnected(true);
+		};
+		// EventSource reconnects by itself after an error
+		source.onerror = () => setConnected(false);
+
+		const handleEvent = (message) => {
+			const event = {
+				type: message.type,
+				data: JSON.parse(message.data),
+			};
+			invalidateQueries(...RELOADS[event.type.split(".")[0]]);
+
+			const order = event.data.order;
+			if (
+				event.type === "order.updated" &&
+				order.userId === userId &&
+				ORDER_NOTICES[order.status]
+			) {
+				showToast(
+					`Order #${order.id} ${ORDER_NOTICES[order.status]}.`,
+					"info"
+				);
+			}
+
+			listeners.current.forEach((listener) => listener(event));
+		};
+		EVENT_TYPES.forEach((type) =>
+			source.addEventListener(type, handleEvent)
+		);
+
+		return () => {
+			source.close();
+			setConnected(false);
+		};
+	}, [userId, showToast]);
+
+	const subscribe = useCallback((listener) => {
+		listeners.current.add(listener);
+		return () => listeners.current.delete(listener);
+	}, []);
+
+	const value = useMemo(
+		() => ({ connected, subscribe }),
+		[connected, subscribe]
+	);
+
+	return (
+		<LiveUpdatesContext.Provider value={value}>
+			{children}
+		</LiveUpdatesContext.Provider>
+	);
+}
+
+// { connected }, whether the event stream is open right now
+export function useLiveUpdates() {
+	return useContext(LiveUpdatesContext);
+}
+
+// Calls `listener` with each live event as { type, data }.
+export function useLiveEvents(listener) {
+	const { subscribe } = useContext(LiveUpdatesContext);
+	const listenerRef = useRef(listener);
+	listenerRef.current = listener;
+
+	useEffect(
+		() => subscribe((event) => listenerRef.current(event)),
+		[subscribe]
+	);
+}
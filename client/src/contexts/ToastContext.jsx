@@ -0,0 +1,73 @@
+import {
+	createContext,
+	useCallback,
+	useContext,
+	useEffect,
+	useMemo,
+	useRef,
+	useState,
+} from "react";
+
+// Notifications shown in a stack in the corner of the page. Any component can
+// call showToast(message, type) with type "success", "error", "warning" or
+// "info". Toasts are shown oldest first and go by themselves after a few
+// seconds, errors a little later so there is time to read them, or when
+// dismissed.
+
+export const ToastContext = createContext();
+
+const TOAST_MS = 5000;
+const ERROR_TOAST_MS = 8000;
+// older ones make way once the stack is this tall
+const MAX_TOASTS = 4;
+
+export function ToastProvider({ children }) {
+	const [toasts, setToasts] = useState([]);
+	const nextId = useRef(1);
+	const timers = useRef(new Map());
+
+	const dismissToast = useCallback((id) => {
+		clearTimeout(timers.current.get(id));
+		timers.current.delete(id);
+		setToasts((current) => current.filter((toast) => toast.id !== id));
+	}, []);
+
+	const showToast = useCallback(
+		(message, type = "info") => {
+			if (!message) return null;
+
+			const id = nextId.current;
+			nextId.current += 1;
+			setToasts((current) =>
+				[...current, { id, message, type }].slice(-MAX_TOASTS)
+			);
+			timers.current.set(
+				id,
+				setTimeout(
+					() => dismissToast(id),
+					type === "error" ? ERROR_TOAST_MS : TOAST_MS
+				)
+			);
+			return id;
+		},
+		[dismissToast]
+	);
+
+	useEffect(() => {
+		const pending = timers.current;
+		return () => pending.forEach((timer) => clearTimeout(timer));
+	}, []);
+
+	const value = useMemo(
+		() => ({ toasts, showToast, dismissToast }),
+		[toasts, showToast, dismissToast]
+	);
+
+	return (
+		<ToastContext.Provider value={value}>{children}</ToastContext.Provider>
+	);
+}
+
+export function useToast() {
+	return useContext(ToastContext);
+}
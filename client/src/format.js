@@ -0,0 +1,10 @@
+// Prices are in pounds everywhere, the server works them out in the same
+// currency.
+const priceFormat = new Intl.NumberFormat("en-GB", {
+	style: "currency",
+	currency: "GBP",
+});
+
+export function formatPrice(amount) {
+	return priceFormat.format(amount);
+}
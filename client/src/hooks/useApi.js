@@ -0,0 +1,147 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { request, withQuery } from "../api";
+
+// Hooks for loading and changing data through api.js.
+//
+// useQuery caches what it loads by path, so pages that show the same data
+// share one request and going back to a page shows what it had straight
+// away. A cached reply is reused for STALE_MS and then loaded again in the
+// background. After a change, useMutation (or invalidateQueries) marks the
+// affected paths stale and reloads any that are on screen.
+
+const STALE_MS = 30 * 1000;
+
+// path -> { data, error, loadedAt, promise }
+const cache = new Map();
+// path -> Set of functions to call when that path's entry changes
+const subscribers = new Map();
+
+function notify(path) {
+	(subscribers.get(path) || []).forEach((listener) => listener());
+}
+
+// Loads `path` into the cache, sharing a request already on its way. Any
+// data already there stays until the new reply arrives.
+function load(path) {
+	const { data, loadedAt, promise } = cache.get(path) || {};
+	if (promise) return promise;
+
+	const entry = loadedAt === undefined ? {} : { data, loadedAt };
+	entry.promise = request(path)
+		.then((reply) => {
+			cache.set(path, { data: reply.data, loadedAt: Date.now() });
+			return reply.data;
+		})
+		.catch((error) => {
+			cache.set(
+				path,
+				loadedAt === undefined ? { error } : { data, loadedAt, error }
+			);
+			throw error;
+		})
+		.finally(() => notify(path));
+	cache.set(path, entry);
+	notify(path);
+	return entry.promise;
+}
+
+function reloadOnScreen(path) {
+	if (subscribers.get(path)?.size) {
+		load(path).catch(() => {});
+	}
+}
+
+// Marks every cached path starting with one of `prefixes` as stale and
+// reloads the ones on screen.
+export function invalidateQueries(...prefixes) {
+	for (const [path, entry] of cache) {
+		if (prefixes.some((prefix) => path.startsWith(prefix))) {
+			cache.set(path, { ...entry, loadedAt: 0 });
+			reloadOnScreen(path);
+		}
+	}
+}
+
+// Forgets everything, e.g. when someone logs in or out, and reloads what is
+// on screen.
+export function clearQueryCache() {
+	cache.clear();
+	subscribers.forEach((listeners, path) => reloadOnScreen(path));
+}
+
+// Loads `path` (null to wait, e.g. until an id is known), with `query` as
+// its search parameters. Returns { data, error, loading, refetch }: `data` is
+// null until the first reply, and `loading` is only true while there is
+// nothing to show yet.
+export function useQuery(basePath, { query, staleMs = STALE_MS } = {}) {
+	const [, rerender] = useState(0);
+	const path = basePath ? withQuery(basePath, query) : null;
+
+	useEffect(() => {
+		if (!path) return undefined;
+
+		const listener = () => rerender((count) => count + 1);
+		if (!subscribers.has(path)) subscribers.set(path, new Set());
+		subscribers.get(path).add(listener);
+
+		const entry = cache.get(path);
+		if (
+			!entry ||
+			!entry.loadedAt ||
+			Date.now() - entry.loadedAt > staleMs
+		) {
+			load(path).catch(() => {});
+		}
+
+		return () => subscribers.get(path).delete(listener);
+	}, [path, staleMs]);
+
+	const refetch = useCallback(
+		() => (path ? load(path).catch(() => null) : Promise.resolve(null)),
+		[path]
+	);
+
+	const entry = (path && cache.get(path)) || {};
+	const hasData = entry.loadedAt !== undefined;
+
+	return {
+		data: hasData ? entry.data : null,
+		error: entry.error || null,
+		loading: Boolean(path) && !hasData && !entry.error,
+		refetch,
+	};
+}
+
+// Wraps a function that changes data, e.g. (id) => api.delete(`/api/x/${id}`).
+// Returns { mutate, loading, error }. `mutate` passes its arguments on and
+// returns the reply, or throws the ApiError after storing it in `error`.
+// Paths starting with any of `invalidates` are reloaded after a success.
+export function useMutation(mutationFn, { invalidates = [] } = {}) {
+	const [loading, setLoading] = useState(false);
+	const [error, setError] = useState(null);
+	const fnRef = useRef(mutationFn);
+	fnRef.current = mutationFn;
+	const invalidatesKey = invalidates.join("\n");
+
+	const mutate = useCallback(
+		async (...args) => {
+			setLoading(true);
+			setError(null);
+			try {
+				const result = await fnRef.current(...args);
+				if (invalidatesKey) {
+					invalidateQueries(...invalidatesKey.split("\n"));
+				}
+				return result;
+			} catch (err) {
+				setError(err);
+				throw err;
+			} finally {
+				setLoading(false);
+			}
+		},
+		[invalidatesKey]
+	);
+
+	return { mutate, loading, error };
+}
@@ -0,0 +1,96 @@
+import { beforeEach, describe, expect, it } from "vitest";
+import { screen, waitFor } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import Cart from "../src/Pages/Cart";
+import { CartProvider } from "../src/contexts/CartContext";
+import { mockApi, renderPage, requestBody } from "./utils";
+
+const CONFIRMED = "Thanks, your order is confirmed.";
+
+const LOGGED_IN = {
+	"POST /api/authcheck": {
+		data: { loggedIn: true, userId: 1, role: "customer" },
+	},
+};
+
+const CHECKOUT = {
+	"GET /api/checkout": {
+		data: {
+			available: true,
+			currency: "GBP",
+			paymentMethods: [{ id: "fake-card", label: "Test card" }],
+		},
+	},
+};
+
+function saveCart(items) {
+	localStorage.setItem("cart", JSON.stringify(items));
+}
+
+function renderCart() {
+	return renderPage(<Cart />, { path: "/cart", wrapper: CartProvider });
+}
+
+describe("Cart page", () => {
+	beforeEach(() => {
+		localStorage.clear();
+	});
+
+	it("picks up the cart saved before a reload", async () => {
+		mockApi(CHECKOUT);
+		saveCart([
+			{ menuItemId: 1, name: "Soup", price: 6.5, quantity: 2 },
+			{ menuItemId: 2, name: "Mushrooms", price: 8, quantity: 1 },
+		]);
+		renderCart();
+
+		expect(screen.getByLabelText("Quantity of Soup").value).toBe("2");
+		expect(screen.getByText(/Total £21\.00/)).toBeTruthy();
+
+		await userEvent
+			.setup()
+			.click(screen.getAllByRole("button", { name: "Remove" })[0]);
+
+		expect(JSON.parse(localStorage.getItem("cart"))).toEqual([
+			{ menuItemId: 2, name: "Mushrooms", price: 8, quantity: 1 },
+		]);
+	});
+
+	it("orders the dishes without sending prices", async () => {
+		const fetchMock = mockApi({
+			...LOGGED_IN,
+			...CHECKOUT,
+			"POST /api/orders": { status: 201, message: CONFIRMED },
+		});
+		saveCart([{ menuItemId: 1, name: "Soup", price: 6.5, quantity: 2 }]);
+		const { showToast } = renderCart();
+		const user = userEvent.setup();
+
+		await user.type(
+			await screen.findByLabelText("Notes for the kitchen"),
+			"No croutons"
+		);
+		await user.click(screen.getByRole("button", { name: "Place Order" }));
+
+		await waitFor(() =>
+			expect(showToast).toHaveBeenCalledWith(CONFIRMED, "success")
+		);
+		expect(requestBody(fetchMock, "/api/orders")).toEqual({
+			items: [{ menuItemId: 1, quantity: 2 }],
+			notes: "No croutons",
+			paymentMethod: "fake-card",
+		});
+		expect(JSON.parse(localStorage.getItem("cart"))).toEqual([]);
+	});
+
+	it("asks guests to log in before ordering", async () => {
+		mockApi(CHECKOUT);
+		saveCart([{ menuItemId: 1, name: "Soup", price: 6.5, quantity: 1 }]);
+		renderCart();
+
+		expect(await screen.findByText("Log in to order")).toBeTruthy();
+		expect(screen.queryByRole("button", { name: "Place Order" })).toBe(
+			null
+		);
+	});
+});
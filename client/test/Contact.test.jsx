@@ -0,0 +1,98 @@
+import { describe, expect, it } from "vitest";
+import { screen, waitFor } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import Contact from "../src/Pages/Contact";
+import { mockApi, renderPage, requestBody } from "./utils";
+
+const THANKS = "Thanks for getting in touch, we will reply by email.";
+
+function renderContact() {
+	return renderPage(<Contact />, { path: "/contact" });
+}
+
+describe("Contact page", () => {
+	it("sends the message", async () => {
+		const fetchMock = mockApi({
+			"POST /api/contact": { status: 201, message: THANKS },
+		});
+		const { showToast } = renderContact();
+		const user = userEvent.setup();
+
+		await user.type(screen.getByLabelText("Name"), "Ada Lovelace");
+		await user.type(
+			screen.getByLabelText("Email Address"),
+			"ada@example.com"
+		);
+		await user.type(
+			screen.getByLabelText("Message"),
+			"Can you do a cake for Saturday?"
+		);
+		await user.click(screen.getByRole("button", { name: "Send Message" }));
+
+		expect(
+			await screen.findByText("Thanks, your message is on its way to us.")
+		).toBeTruthy();
+		expect(showToast).toHaveBeenCalledWith(THANKS, "success");
+		expect(requestBody(fetchMock, "/api/contact")).toEqual({
+			name: "Ada Lovelace",
+			email: "ada@example.com",
+			subject: "",
+			message: "Can you do a cake for Saturday?",
+			website: "",
+		});
+	});
+
+	it("fills in a logged in user's details", async () => {
+		mockApi({
+			"POST /api/authcheck": {
+				data: { loggedIn: true, userId: 1, role: "customer" },
+			},
+			"GET /api/me": {
+				data: {
+					profile: {
+						email: "grace@example.com",
+						displayName: "Grace",
+					},
+				},
+			},
+		});
+		renderContact();
+
+		expect((await screen.findByDisplayValue("grace@example.com")).id).toBe(
+			"contact-email"
+		);
+		expect(screen.getByLabelText("Name").value).toBe("Grace");
+	});
+
+	it("shows the rate limit message", async () => {
+		mockApi({
+			"POST /api/contact": {
+				status: 429,
+				message: "Too many requests. Please try again later.",
+				code: "RATE_LIMITED",
+			},
+		});
+		const { showToast } = renderContact();
+		const user = userEvent.setup();
+
+		await user.type(screen.getByLabelText("Name"), "Ada Lovelace");
+		await user.type(
+			screen.getByLabelText("Email Address"),
+			"ada@example.com"
+		);
+		await user.type(
+			screen.getByLabelText("Message"),
+			"Can you do a cake for Saturday?"
+		);
+		await user.click(screen.getByRole("button", { name: "Send Message" }));
+
+		await waitFor(() =>
+			expect(showToast).toHaveBeenCalledWith(
+				"Too many requests. Please try again later.",
+				"error"
+			)
+		);
+		// the form stays filled in to try again later
+		expect(screen.getByLabelText("Name").value).toBe("Ada Lovelace");
+	});
+});
@@ -0,0 +1,62 @@
+import { describe, expect, it } from "vitest";
+import { screen, waitFor } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import ForgotPassword from "../src/Pages/ForgotPassword";
+import { mockApi, renderPage, requestBody } from "./utils";
+
+const SENT =
+	"If that email is registered, we have sent it a password reset link.";
+
+function renderForgot() {
+	return renderPage(<ForgotPassword />, { path: "/forgot" });
+}
+
+describe("Forgot password page", () => {
+	it("asks for a reset link and says to check the inbox", async () => {
+		const fetchMock = mockApi({
+			"POST /api/forgot": { message: SENT },
+		});
+		const { showToast } = renderForgot();
+		const user = userEvent.setup();
+
+		await user.type(
+			screen.getByLabelText("Email Address"),
+			"ada@example.com"
+		);
+		await user.click(screen.getByRole("button", { name: "Submit" }));
+
+		expect(
+			await screen.findByText(/Check your inbox for a link/)
+		).toBeTruthy();
+		expect(showToast).toHaveBeenCalledWith(SENT, "success");
+		expect(requestBody(fetchMock, "/api/forgot")).toEqual({
+			email: "ada@example.com",
+		});
+	});
+
+	it("shows the rate limit message", async () => {
+		mockApi({
+			"POST /api/forgot": {
+				status: 429,
+				message: "Too many requests. Please try again later.",
+				code: "RATE_LIMITED",
+			},
+		});
+		const { showToast } = renderForgot();
+		const user = userEvent.setup();
+
+		await user.type(
+			screen.getByLabelText("Email Address"),
+			"ada@example.com"
+		);
+		await user.click(screen.getByRole("button", { name: "Submit" }));
+
+		await waitFor(() =>
+			expect(showToast).toHaveBeenCalledWith(
+				"Too many requests. Please try again later.",
+				"error"
+			)
+		);
+		expect(screen.queryByText(/Check your inbox for a link/)).toBeNull();
+	});
+});
@@ -0,0 +1,101 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { act, screen, waitFor } from "@testing-library/react";
+import OrderHistory from "../src/Components/OrderHistory";
+import { LiveUpdatesProvider } from "../src/contexts/LiveUpdatesContext";
+import { mockApi, renderPage } from "./utils";
+
+// stands in for the browser's EventSource, sending events when told to
+class FakeEventSource {
+	static instances = [];
+
+	constructor(url) {
+		this.url = url;
+		this.listeners = {};
+		this.closed = false;
+		FakeEventSource.instances.push(this);
+	}
+
+	addEventListener(type, listener) {
+		(this.listeners[type] = this.listeners[type] || []).push(listener);
+	}
+
+	close() {
+		this.closed = true;
+	}
+
+	emit(type, data) {
+		(this.listeners[type] || []).forEach((listener) =>
+			listener({ type, data: JSON.stringify(data) })
+		);
+	}
+}
+
+function order(status) {
+	return {
+		id: 7,
+		userId: 1,
+		status,
+		total: 13,
+		notes: null,
+		refundedAt: null,
+		createdAt: "2026-10-19T12:00:00.000Z",
+		items: [{ id: 1, name: "Soup", quantity: 2 }],
+	};
+}
+
+function renderOrders() {
+	return renderPage(
+		<LiveUpdatesProvider>
+			<OrderHistory />
+		</LiveUpdatesProvider>,
+		{ path: "/profile" }
+	);
+}
+
+describe("live updates", () => {
+	beforeEach(() => {
+		FakeEventSource.instances = [];
+		vi.stubGlobal("EventSource", FakeEventSource);
+	});
+
+	afterEach(() => {
+		vi.unstubAllGlobals();
+	});
+
+	it("shows a customer their order moving on", async () => {
+		let status = "confirmed";
+		mockApi({
+			"POST /api/authcheck": {
+				data: { loggedIn: true, userId: 1, role: "customer" },
+			},
+			"GET /api/orders": () => ({ data: { orders: [order(status)] } }),
+		});
+		const { showToast } = renderOrders();
+		expect(await screen.findByText("confirmed")).toBeTruthy();
+
+		const [source] = FakeEventSource.instances;
+		expect(source.url).toBe("/api/events");
+
+		status = "ready";
+		act(() => source.emit("order.updated", { order: order("ready") }));
+
+		expect(await screen.findByText("ready")).toBeTruthy();
+		expect(showToast).toHaveBeenCalledWith(
+			"Order #7 is ready for collection.",
+			"info"
+		);
+	});
+
+	it("only listens while someone is logged in", async () => {
+		mockApi();
+		renderPage(
+			<LiveUpdatesProvider>
+				<p>Home</p>
+			</LiveUpdatesProvider>,
+			{ path: "/" }
+		);
+
+		await waitFor(() => expect(screen.getByText("Home")).toBeTruthy());
+		expect(FakeEventSource.instances).toEqual([]);
+	});
+});
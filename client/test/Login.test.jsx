@@ -0,0 +1,212 @@
+import { describe, expect, it } from "vitest";
+import { screen, waitFor } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import Login from "../src/Pages/Login";
+import { mockApi, renderPage, requestBody } from "./utils";
+
+function renderLogin(url = "/login") {
+	return renderPage(<Login />, {
+		path: "/login",
+		url,
+	});
+}
+
+async function fillIn(email, password) {
+	const user = userEvent.setup();
+	await user.type(screen.getByLabelText("Email Address"), email);
+	await user.type(screen.getByLabelText("Password"), password);
+	await user.click(screen.getByRole("button", { name: "Sign In" }));
+}
+
+describe("Login page", () => {
+	it("logs in and goes to the home page", async () => {
+		const fetchMock = mockApi({
+			"POST /api/login": {
+				message: "Login successful.",
+				data: { userId: 1, role: "customer", emailVerified: true },
+			},
+		});
+		const { showToast } = renderLogin();
+
+		await fillIn("ada@example.com", "correct horse 1");
+
+		expect(await screen.findByText("Home page")).toBeTruthy();
+		expect(showToast).toHaveBeenCalledWith("Login successful.", "success");
+		expect(requestBody(fetchMock, "/api/login")).toEqual({
+			email: "ada@example.com",
+			password: "correct horse 1",
+		});
+		// the auth state is refreshed after logging in
+		expect(
+			fetchMock.mock.calls.filter(([url]) => url === "/api/authcheck")
+				.length
+		).toBe(2);
+	});
+
+	it("shows the server's message when login fails", async () => {
+		mockApi({
+			"POST /api/login": {
+				status: 401,
+				message: "Invalid email or password.",
+				code: "INVALID_CREDENTIALS",
+			},
+		});
+		const { showToast } = renderLogin();
+
+		await fillIn("ada@example.com", "wrong password");
+
+		await waitFor(() =>
+			expect(showToast).toHaveBeenCalledWith(
+				"Invalid email or password.",
+				"error"
+			)
+		);
+		expect(
+			screen.getByRole("heading", { name: "Welcome Back" })
+		).toBeTruthy();
+	});
+
+	it("shows the lockout message", async () => {
+		mockApi({
+			"POST /api/login": {
+				status: 429,
+				message: "Too many failed attempts. Please try again later.",
+				code: "ACCOUNT_LOCKED",
+			},
+		});
+		const { showToast } = renderLogin();
+
+		await fillIn("ada@example.com", "correct horse 1");
+
+		await waitFor(() =>
+			expect(showToast).toHaveBeenCalledWith(
+				"Too many failed attempts. Please try again later.",
+				"error"
+			)
+		);
+	});
+
+	it("asks for a two-factor code after the password", async () => {
+		const fetchMock = mockApi({
+			"POST /api/login": {
+				message: "Enter the code from your authenticator app.",
+				data: { twoFactorRequired: true },
+			},
+			"POST /api/login/2fa": {
+				message: "Login successful.",
+				data: { userId: 1, role: "customer", emailVerified: true },
+			},
+		});
+		const { showToast } = renderLogin();
+
+		await fillIn("ada@example.com", "correct horse 1");
+
+		const user = userEvent.setup();
+		await user.type(
+			await screen.findByLabelText("Authentication Code"),
+			"123456"
+		);
+		await user.click(screen.getByRole("button", { name: "Verify" }));
+
+		expect(await screen.findByText("Home page")).toBeTruthy();
+		expect(requestBody(fetchMock, "/api/login/2fa")).toEqual({
+			code: "123456",
+		});
+		expect(showToast).toHaveBeenCalledWith("Login successful.", "success");
+	});
+
+	it("goes back to the password when the code step times out", async () => {
+		mockApi({
+			"POST /api/login": {
+				message: "Enter the code from your authenticator app.",
+				data: { twoFactorRequired: true },
+			},
+			"POST /api/login/2fa": {
+				status: 401,
+				message: "Your login has timed out, please log in again.",
+				code: "TWO_FACTOR_EXPIRED",
+			},
+		});
+		const { showToast } = renderLogin();
+
+		await fillIn("ada@example.com", "correct horse 1");
+
+		const user = userEvent.setup();
+		await user.type(
+			await screen.findByLabelText("Authentication Code"),
+			"123456"
+		);
+		await user.click(screen.getByRole("button", { name: "Verify" }));
+
+		expect(
+			await screen.findByRole("heading", { name: "Welcome Back" })
+		).toBeTruthy();
+		expect(showToast).toHaveBeenCalledWith(
+			"Your login has timed out, please log in again.",
+			"error"
+		);
+	});
+
+	it("shows a button per social login provider", async () => {
+		mockApi({
+			"GET /api/auth/providers": {
+				data: {
+					providers: [
+						{ id: "google", name: "Google" },
+						{ id: "github", name: "GitHub" },
+					],
+				},
+			},
+		});
+		renderLogin();
+
+		const google = await screen.findByRole("link", {
+			name: "Sign in with Google",
+		});
+		expect(google.getAttribute("href")).toBe("/api/auth/google");
+		expect(
+			screen
+				.getByRole("link", { name: "Sign in with GitHub" })
+				.getAttribute("href")
+		).toBe("/api/auth/github");
+	});
+
+	it("shows the error from a failed social login", async () => {
+		mockApi();
+		const { showToast } = renderLogin(
+			"/login?error=Signing%20in%20with%20Google%20didn't%20work."
+		);
+
+		await waitFor(() =>
+			expect(showToast).toHaveBeenCalledWith(
+				"Signing in with Google didn't work.",
+				"error"
+			)
+		);
+	});
+
+	it("asks for the code when social login needs two-factor", async () => {
+		mockApi();
+		renderLogin("/login?twoFactor=1");
+
+		expect(
+			await screen.findByLabelText("Authentication Code")
+		).toBeTruthy();
+	});
+
+	it("links to registration and password recovery", () => {
+		mockApi();
+		renderLogin();
+
+		expect(
+			screen
+				.getByRole("link", { name: /Register here/ })
+				.getAttribute("href")
+		).toBe("/register");
+		expect(
+			screen
+				.getByRole("link", { name: "Forgot your password?" })
+				.getAttribute("href")
+		).toBe("/forgot");
+	});
+});
@@ -0,0 +1,57 @@
+import { describe, expect, it } from "vitest";
+import { screen, waitFor } from "@testing-library/react";
+import Logout from "../src/Pages/Logout";
+import { mockApi, renderPage } from "./utils";
+
+function renderLogout() {
+	return renderPage(<Logout />, {
+		path: "/logout",
+	});
+}
+
+describe("Logout page", () => {
+	it("logs out and goes to the home page", async () => {
+		const fetchMock = mockApi({
+			"POST /api/authcheck": {
+				data: { loggedIn: true, userId: 1, role: "customer" },
+			},
+			"POST /api/logout": {
+				message: "Logged out successfully",
+			},
+		});
+		const { showToast } = renderLogout();
+
+		expect(await screen.findByText("Home page")).toBeTruthy();
+		expect(showToast).toHaveBeenCalledWith(
+			"Logged out successfully",
+			"success"
+		);
+		expect(
+			fetchMock.mock.calls.some(([url]) => url === "/api/logout")
+		).toBe(true);
+	});
+
+	it("reports a network error", async () => {
+		const fetchMock = mockApi();
+		fetchMock.mockImplementation(async (url) => {
+			if (url === "/api/logout") throw new TypeError("Failed to fetch");
+			return {
+				ok: true,
+				status: 200,
+				json: async () => ({
+					success: true,
+					data: { loggedIn: false },
+				}),
+			};
+		});
+		const { showToast } = renderLogout();
+
+		await waitFor(() =>
+			expect(showToast).toHaveBeenCalledWith(
+				"Couldn't reach the server. Check your connection and try again.",
+				"error"
+			)
+		);
+		expect(screen.getByText("Home page")).toBeTruthy();
+	});
+});
@@ -0,0 +1,137 @@
+import { describe, expect, it } from "vitest";
+import { screen, waitFor } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import Register from "../src/Pages/Register";
+import { mockApi, renderPage, requestBody } from "./utils";
+
+function renderRegister() {
+	return renderPage(<Register />, {
+		path: "/register",
+	});
+}
+
+async function fillIn(email, password) {
+	const user = userEvent.setup();
+	await user.type(screen.getByLabelText("Email Address"), email);
+	await user.type(screen.getByLabelText("Password"), password);
+	await user.click(screen.getByRole("button", { name: "Create Account" }));
+}
+
+describe("Register page", () => {
+	it("registers, logs straight in and goes to the home page", async () => {
+		const fetchMock = mockApi({
+			"POST /api/register": {
+				status: 201,
+				message: "User registered successfully",
+				data: { userId: 1 },
+			},
+			"POST /api/login": { message: "Login successful." },
+		});
+		const { showToast } = renderRegister();
+
+		await fillIn("ada@example.com", "correct horse 1");
+
+		await waitFor(() =>
+			expect(showToast).toHaveBeenCalledWith(
+				"Successfully registered.",
+				"success"
+			)
+		);
+		// the login follows a second later
+		expect(
+			await screen.findByText("Home page", {}, { timeout: 3000 })
+		).toBeTruthy();
+		expect(showToast).toHaveBeenLastCalledWith(
+			"Login successful. Check your email for a link to verify your address.",
+			"success"
+		);
+		expect(requestBody(fetchMock, "/api/register")).toEqual({
+			email: "ada@example.com",
+			password: "correct horse 1",
+		});
+		expect(requestBody(fetchMock, "/api/login")).toEqual({
+			email: "ada@example.com",
+			password: "correct horse 1",
+		});
+	});
+
+	it("shows why registration failed and doesn't log in", async () => {
+		const fetchMock = mockApi({
+			"POST /api/register": {
+				status: 409,
+				message: "Email already registered",
+				code: "EMAIL_TAKEN",
+			},
+		});
+		const { showToast } = renderRegister();
+
+		await fillIn("ada@example.com", "correct horse 1");
+
+		await waitFor(() =>
+			expect(showToast).toHaveBeenCalledWith(
+				"Email already registered",
+				"error"
+			)
+		);
+		expect(fetchMock.mock.calls.some(([url]) => url === "/api/login")).toBe(
+			false
+		);
+	});
+
+	it("shows the strength of the password as it is typed", async () => {
+		mockApi();
+		renderRegister();
+		const user = userEvent.setup();
+
+		await user.type(
+			screen.getByLabelText("Email Address"),
+			"ada@example.com"
+		);
+		await user.type(screen.getByLabelText("Password"), "ada12345");
+
+		expect(screen.getByText("Too weak")).toBeTruthy();
+		expect(
+			screen.getByText("Password must not contain your email address")
+		).toBeTruthy();
+
+		await user.clear(screen.getByLabelText("Password"));
+		await user.type(
+			screen.getByLabelText("Password"),
+			"Plum tree house 42"
+		);
+
+		expect(screen.getByText("Very strong")).toBeTruthy();
+		expect(screen.queryByRole("list")).toBeNull();
+	});
+
+	it("refuses a weak password without asking the server", async () => {
+		const fetchMock = mockApi();
+		const { showToast } = renderRegister();
+
+		await fillIn("ada@example.com", "qwertyuiop1");
+
+		expect(showToast).toHaveBeenCalledWith(
+			"Password is too common, choose something less predictable",
+			"error"
+		);
+		expect(
+			fetchMock.mock.calls.some(([url]) => url === "/api/register")
+		).toBe(false);
+	});
+
+	it("falls back to a generic message", async () => {
+		mockApi({
+			"POST /api/register": { status: 500, code: "INTERNAL_ERROR" },
+		});
+		const { showToast } = renderRegister();
+
+		await fillIn("ada@example.com", "correct horse 1");
+
+		await waitFor(() =>
+			expect(showToast).toHaveBeenCalledWith(
+				"Something went wrong. Please try again.",
+				"error"
+			)
+		);
+	});
+});
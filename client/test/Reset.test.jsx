@@ -0,0 +1,92 @@
+import { describe, expect, it } from "vitest";
+import { screen, waitFor } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import Reset from "../src/Pages/Reset";
+import { mockApi, renderPage, requestBody } from "./utils";
+
+const TOKEN = "a".repeat(64);
+
+function renderReset(url = `/reset?email=ada%40example.com&token=${TOKEN}`) {
+	return renderPage(<Reset />, {
+		path: "/reset",
+		url,
+	});
+}
+
+async function submitPassword(password) {
+	const user = userEvent.setup();
+	await user.type(screen.getByLabelText("New Password"), password);
+	await user.click(screen.getByRole("button", { name: "Submit" }));
+}
+
+describe("Reset password page", () => {
+	it("sends the token from the link with the new password", async () => {
+		const fetchMock = mockApi({
+			"POST /api/reset": {
+				message: "Password has been reset successfully.",
+			},
+		});
+		const { showToast } = renderReset();
+
+		expect(
+			screen.getByText("Resetting password for ada@example.com.")
+		).toBeTruthy();
+
+		await submitPassword("a brand new one");
+
+		await waitFor(() =>
+			expect(showToast).toHaveBeenCalledWith(
+				"Password has been reset successfully.",
+				"success"
+			)
+		);
+		expect(requestBody(fetchMock, "/api/reset")).toEqual({
+			password: "a brand new one",
+			token: TOKEN,
+		});
+	});
+
+	it("shows why the reset failed", async () => {
+		mockApi({
+			"POST /api/reset": {
+				status: 400,
+				message: "Token has expired",
+				code: "TOKEN_EXPIRED",
+			},
+		});
+		const { showToast } = renderReset();
+
+		await submitPassword("a brand new one");
+
+		await waitFor(() =>
+			expect(showToast).toHaveBeenCalledWith("Token has expired", "error")
+		);
+	});
+
+	it("checks the new password against the policy", async () => {
+		const fetchMock = mockApi();
+		const { showToast } = renderReset();
+
+		await submitPassword("short");
+
+		expect(screen.getByText("Too weak")).toBeTruthy();
+		expect(showToast).toHaveBeenCalledWith(
+			"Password must be at least 10 characters",
+			"error"
+		);
+		expect(fetchMock.mock.calls.some(([url]) => url === "/api/reset")).toBe(
+			false
+		);
+	});
+
+	it("sends a link without a token back to the forgot page", async () => {
+		mockApi();
+		const { showToast } = renderReset("/reset?email=ada%40example.com");
+
+		expect(await screen.findByText("Forgot page")).toBeTruthy();
+		expect(showToast).toHaveBeenCalledWith(
+			"Invalid password reset link.",
+			"error"
+		);
+	});
+});
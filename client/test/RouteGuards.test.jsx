@@ -0,0 +1,134 @@
+import { describe, expect, it, vi } from "vitest";
+import { render, screen } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { MemoryRouter, Route, Routes } from "react-router-dom";
+import { AuthProvider } from "../src/contexts/AuthContext";
+import { ToastContext } from "../src/contexts/ToastContext";
+import {
+	RequireAuth,
+	RequireGuest,
+	RequireRole,
+} from "../src/Components/RouteGuards";
+import Login from "../src/Pages/Login";
+import { mockApi } from "./utils";
+
+const CUSTOMER = { data: { loggedIn: true, userId: 1, role: "customer" } };
+
+// the guarded pages from App, with stand-ins for the pages themselves
+function renderApp(url) {
+	const showToast = vi.fn();
+
+	render(
+		<MemoryRouter initialEntries={[url]}>
+			<AuthProvider>
+				<ToastContext.Provider
+					value={{ toasts: [], showToast, dismissToast: vi.fn() }}
+				>
+					<Routes>
+						<Route path="/" element={<p>Home page</p>} />
+						<Route path="/login" element={<Login />} />
+						<Route
+							path="/bookings"
+							element={
+								<RequireAuth>
+									<p>Bookings page</p>
+								</RequireAuth>
+							}
+						/>
+						<Route
+							path="/admin"
+							element={
+								<RequireRole roles={["staff", "admin"]}>
+									<p>Staff area</p>
+								</RequireRole>
+							}
+						/>
+						<Route
+							path="/forgot"
+							element={
+								<RequireGuest>
+									<p>Forgot page</p>
+								</RequireGuest>
+							}
+						/>
+					</Routes>
+				</ToastContext.Provider>
+			</AuthProvider>
+		</MemoryRouter>
+	);
+
+	return { showToast };
+}
+
+describe("RequireAuth", () => {
+	it("shows the page to someone logged in", async () => {
+		mockApi({ "POST /api/authcheck": CUSTOMER });
+
+		renderApp("/bookings");
+
+		expect(await screen.findByText("Bookings page")).toBeTruthy();
+	});
+
+	it("sends others to log in and back again afterwards", async () => {
+		let loggedIn = false;
+		mockApi({
+			"POST /api/authcheck": () =>
+				loggedIn ? CUSTOMER : { data: { loggedIn: false } },
+			"POST /api/login": () => {
+				loggedIn = true;
+				return { message: "Login successful." };
+			},
+		});
+		renderApp("/bookings?upcoming=1");
+
+		const user = userEvent.setup();
+		await user.type(
+			await screen.findByLabelText("Email Address"),
+			"ada@example.com"
+		);
+		await user.type(screen.getByLabelText("Password"), "correct horse 1");
+		await user.click(screen.getByRole("button", { name: "Sign In" }));
+
+		expect(await screen.findByText("Bookings page")).toBeTruthy();
+	});
+});
+
+describe("RequireRole", () => {
+	it("turns away the wrong role", async () => {
+		mockApi({ "POST /api/authcheck": CUSTOMER });
+
+		renderApp("/admin");
+
+		expect(
+			await screen.findByText(
+				"You do not have permission to view this page."
+			)
+		).toBeTruthy();
+		expect(screen.queryByText("Staff area")).toBeNull();
+	});
+
+	it("lets the right role in", async () => {
+		mockApi({
+			"POST /api/authcheck": {
+				data: { loggedIn: true, userId: 2, role: "staff" },
+			},
+		});
+
+		renderApp("/admin");
+
+		expect(await screen.findByText("Staff area")).toBeTruthy();
+	});
+});
+
+describe("RequireGuest", () => {
+	it("sends logged in users home", async () => {
+		mockApi({ "POST /api/authcheck": CUSTOMER });
+		const { showToast } = renderApp("/forgot");
+
+		expect(await screen.findByText("Home page")).toBeTruthy();
+		expect(showToast).toHaveBeenCalledWith(
+			"You are already logged in.",
+			"info"
+		);
+	});
+});
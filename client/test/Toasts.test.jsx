@@ -0,0 +1,84 @@
+import { describe, expect, it, vi } from "vitest";
+import { act, render, screen } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { ToastProvider, useToast } from "../src/contexts/ToastContext";
+import Toasts from "../src/Components/Toasts";
+
+// renders the stack and hands back showToast to drive it
+function renderToasts() {
+	let toast;
+	function Grab() {
+		toast = useToast();
+		return null;
+	}
+
+	render(
+		<ToastProvider>
+			<Grab />
+			<Toasts />
+		</ToastProvider>
+	);
+	return (...args) => act(() => toast.showToast(...args));
+}
+
+function shown() {
+	return screen
+		.queryAllByText(/./, { selector: ".toast span" })
+		.map((element) => element.textContent);
+}
+
+describe("toasts", () => {
+	it("stacks messages in the order they came", () => {
+		const showToast = renderToasts();
+
+		showToast("Booking confirmed.", "success");
+		showToast("Could not load your sessions.", "error");
+
+		expect(shown()).toEqual([
+			"Booking confirmed.",
+			"Could not load your sessions.",
+		]);
+		expect(screen.getByRole("alert").textContent).toMatch(
+			"Could not load your sessions."
+		);
+	});
+
+	it("can be dismissed", async () => {
+		const showToast = renderToasts();
+		showToast("Booking confirmed.", "success");
+		showToast("Logged out successfully", "success");
+
+		await userEvent
+			.setup()
+			.click(screen.getAllByRole("button", { name: "Dismiss" })[0]);
+
+		expect(shown()).toEqual(["Logged out successfully"]);
+	});
+
+	it("goes by itself, errors last longer", () => {
+		vi.useFakeTimers();
+		try {
+			const showToast = renderToasts();
+			showToast("Booking confirmed.", "success");
+			showToast("Token has expired", "error");
+
+			act(() => vi.advanceTimersByTime(5000));
+			expect(shown()).toEqual(["Token has expired"]);
+
+			act(() => vi.advanceTimersByTime(3000));
+			expect(shown()).toEqual([]);
+		} finally {
+			vi.useRealTimers();
+		}
+	});
+
+	it("keeps only the newest few", () => {
+		const showToast = renderToasts();
+
+		["one", "two", "three", "four", "five"].forEach((message) =>
+			showToast(message)
+		);
+
+		expect(shown()).toEqual(["two", "three", "four", "five"]);
+	});
+});
@@ -0,0 +1,200 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { mockApi } from "./utils";
+
+// api.js keeps the token between calls, so each test gets a fresh copy
+let api;
+let request;
+let onUnauthorized;
+beforeEach(async () => {
+	vi.resetModules();
+	({ api, request, onUnauthorized } = await import("../src/api"));
+});
+
+function csrfHeader(fetchMock, path) {
+	const call = fetchMock.mock.calls.find(([url]) => url === path);
+	return call[1].headers["X-CSRF-Token"];
+}
+
+// a fetch reply outside mockApi's envelope, e.g. from a proxy
+function reply(status, body) {
+	return {
+		ok: status >= 200 && status < 300,
+		status,
+		json: async () => {
+			if (body === undefined) throw new SyntaxError("Unexpected end");
+			return body;
+		},
+	};
+}
+
+describe("request", () => {
+	it("sends JSON and returns the message and data", async () => {
+		const fetchMock = mockApi({
+			"POST /api/bookings": {
+				status: 201,
+				message: "Booking confirmed.",
+				data: { booking: { id: 3 } },
+			},
+		});
+
+		const result = await api.post("/api/bookings", { partySize: 2 });
+
+		expect(result).toEqual({
+			message: "Booking confirmed.",
+			data: { booking: { id: 3 } },
+		});
+		const [, options] = fetchMock.mock.calls.find(
+			([url]) => url === "/api/bookings"
+		);
+		expect(options.body).toBe('{"partySize":2}');
+		expect(options.headers["Content-Type"]).toBe("application/json");
+	});
+
+	it("adds the query, leaving out empty values", async () => {
+		const fetchMock = mockApi({
+			"GET /api/menu?category=mains": { data: { categories: [] } },
+		});
+
+		await api.get("/api/menu", { query: { category: "mains", tag: "" } });
+
+		expect(fetchMock).toHaveBeenCalledWith(
+			"/api/menu?category=mains",
+			expect.anything()
+		);
+	});
+
+	it("sends the CSRF token with changes only", async () => {
+		const fetchMock = mockApi({
+			"GET /api/me": { data: {} },
+			"POST /api/logout": { message: "Logged out successfully" },
+		});
+
+		await api.get("/api/me");
+		await api.post("/api/logout");
+
+		expect(csrfHeader(fetchMock, "/api/me")).toBeUndefined();
+		expect(csrfHeader(fetchMock, "/api/logout")).toBe("test-csrf-token");
+		expect(
+			fetchMock.mock.calls.every(
+				([, options]) => options.credentials === "include"
+			)
+		).toBe(true);
+	});
+
+	it("fetches the token once", async () => {
+		const fetchMock = mockApi({
+			"DELETE /api/sessions": { data: { count: 0 } },
+		});
+
+		await api.delete("/api/sessions");
+		await api.delete("/api/sessions");
+
+		expect(
+			fetchMock.mock.calls.filter(([url]) => url === "/api/csrf-token")
+		).toHaveLength(1);
+	});
+
+	it("gets a new token and retries when it's stale", async () => {
+		const fetchMock = mockApi();
+		let tokens = 0;
+		fetchMock.mockImplementation(async (url, options) => {
+			if (url === "/api/csrf-token") {
+				tokens += 1;
+				return reply(200, { data: { csrfToken: `token-${tokens}` } });
+			}
+			return options.headers["X-CSRF-Token"] === "token-2"
+				? reply(200, { success: true, message: "Login successful." })
+				: reply(403, {
+						success: false,
+						error: { code: "CSRF_INVALID" },
+				  });
+		});
+
+		const { message } = await api.post("/api/login");
+
+		expect(message).toBe("Login successful.");
+		expect(tokens).toBe(2);
+	});
+
+	it("throws the server's error", async () => {
+		mockApi({
+			"POST /api/register": {
+				status: 409,
+				message: "Email already registered",
+				code: "EMAIL_TAKEN",
+			},
+		});
+
+		const error = await api.post("/api/register", {}).catch((err) => err);
+
+		expect(error.name).toBe("ApiError");
+		expect(error.message).toBe("Email already registered");
+		expect(error.status).toBe(409);
+		expect(error.code).toBe("EMAIL_TAKEN");
+	});
+
+	it("makes an error of a reply that isn't JSON", async () => {
+		vi.stubGlobal(
+			"fetch",
+			vi.fn(async () => reply(500))
+		);
+
+		const error = await api.get("/api/menu").catch((err) => err);
+
+		expect(error.status).toBe(500);
+		expect(error.code).toBe("HTTP_500");
+		expect(error.message).toBe("Something went wrong. Please try again.");
+	});
+
+	it("retries reads that fail on the way", async () => {
+		const fetchMock = vi
+			.fn()
+			.mockRejectedValueOnce(new TypeError("Failed to fetch"))
+			.mockResolvedValueOnce(reply(503))
+			.mockResolvedValueOnce(reply(200, { data: { ok: true } }));
+		vi.stubGlobal("fetch", fetchMock);
+
+		const { data } = await request("/api/menu");
+
+		expect(data).toEqual({ ok: true });
+		expect(fetchMock).toHaveBeenCalledTimes(3);
+	});
+
+	it("doesn't retry changes, which may have happened", async () => {
+		const fetchMock = vi.fn(async (url) => {
+			if (url === "/api/csrf-token") {
+				return reply(200, { data: { csrfToken: "token" } });
+			}
+			throw new TypeError("Failed to fetch");
+		});
+		vi.stubGlobal("fetch", fetchMock);
+
+		const error = await api.post("/api/bookings", {}).catch((err) => err);
+
+		expect(error.status).toBe(0);
+		expect(error.code).toBe("NETWORK_ERROR");
+		expect(
+			fetchMock.mock.calls.filter(([url]) => url === "/api/bookings")
+		).toHaveLength(1);
+	});
+
+	it("tells listeners when the session has gone", async () => {
+		mockApi({
+			"GET /api/bookings": {
+				status: 401,
+				message: "You must be logged in to do that.",
+				code: "LOGIN_REQUIRED",
+			},
+		});
+		const listener = vi.fn();
+		const stop = onUnauthorized(listener);
+
+		await expect(api.get("/api/bookings")).rejects.toThrow(
+			"You must be logged in to do that."
+		);
+		stop();
+		await api.get("/api/bookings").catch(() => {});
+
+		expect(listener).toHaveBeenCalledTimes(1);
+	});
+});
@@ -0,0 +1,11 @@
+import { afterEach, vi } from "vitest";
+import { cleanup } from "@testing-library/react";
+import { clearQueryCache } from "../src/hooks/useApi";
+
+afterEach(() => {
+	cleanup();
+	// useQuery's cache would otherwise carry replies into the next test
+	clearQueryCache();
+	vi.unstubAllGlobals();
+	vi.restoreAllMocks();
+});
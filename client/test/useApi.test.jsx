@@ -0,0 +1,124 @@
+import { describe, expect, it } from "vitest";
+import { act, renderHook, waitFor } from "@testing-library/react";
+import { api } from "../src/api";
+import { invalidateQueries, useMutation, useQuery } from "../src/hooks/useApi";
+import { mockApi } from "./utils";
+
+function callsTo(fetchMock, path) {
+	return fetchMock.mock.calls.filter(([url]) => url === path).length;
+}
+
+describe("useQuery", () => {
+	it("loads the data", async () => {
+		mockApi({ "GET /api/sessions": { data: { sessions: [] } } });
+
+		const { result } = renderHook(() => useQuery("/api/sessions"));
+
+		expect(result.current.loading).toBe(true);
+		await waitFor(() => expect(result.current.loading).toBe(false));
+		expect(result.current.data).toEqual({ sessions: [] });
+		expect(result.current.error).toBeNull();
+	});
+
+	it("shares one request and its reply", async () => {
+		const fetchMock = mockApi({
+			"GET /api/menu/categories": { data: { categories: [] } },
+		});
+
+		const first = renderHook(() => useQuery("/api/menu/categories"));
+		const second = renderHook(() => useQuery("/api/menu/categories"));
+		await waitFor(() => expect(second.result.current.data).not.toBeNull());
+		first.unmount();
+		const third = renderHook(() => useQuery("/api/menu/categories"));
+
+		expect(third.result.current.data).toEqual({ categories: [] });
+		expect(callsTo(fetchMock, "/api/menu/categories")).toBe(1);
+	});
+
+	it("waits while the path is null", () => {
+		const fetchMock = mockApi();
+
+		const { result } = renderHook(() => useQuery(null));
+
+		expect(result.current).toMatchObject({ data: null, loading: false });
+		expect(fetchMock).not.toHaveBeenCalled();
+	});
+
+	it("returns the error", async () => {
+		mockApi({
+			"GET /api/admin/users": {
+				status: 403,
+				message: "Forbidden",
+				code: "FORBIDDEN",
+			},
+		});
+
+		const { result } = renderHook(() => useQuery("/api/admin/users"));
+
+		await waitFor(() => expect(result.current.error).not.toBeNull());
+		expect(result.current.error.code).toBe("FORBIDDEN");
+		expect(result.current.loading).toBe(false);
+	});
+
+	it("reloads what is on screen once invalidated", async () => {
+		const fetchMock = mockApi({
+			"GET /api/sessions": { data: { sessions: [] } },
+		});
+		const { result } = renderHook(() => useQuery("/api/sessions"));
+		await waitFor(() => expect(result.current.data).not.toBeNull());
+
+		act(() => invalidateQueries("/api/sessions"));
+
+		await waitFor(() =>
+			expect(callsTo(fetchMock, "/api/sessions")).toBe(2)
+		);
+	});
+});
+
+describe("useMutation", () => {
+	it("tracks loading and reloads the paths it changes", async () => {
+		const fetchMock = mockApi({
+			"GET /api/bookings": { data: { bookings: [] } },
+			"DELETE /api/bookings/4": { message: "Booking cancelled." },
+		});
+		const { result } = renderHook(() => ({
+			query: useQuery("/api/bookings"),
+			cancel: useMutation((id) => api.delete(`/api/bookings/${id}`), {
+				invalidates: ["/api/bookings"],
+			}),
+		}));
+		await waitFor(() => expect(result.current.query.data).not.toBeNull());
+
+		let reply;
+		await act(async () => {
+			reply = await result.current.cancel.mutate(4);
+		});
+
+		expect(reply.message).toBe("Booking cancelled.");
+		expect(result.current.cancel.loading).toBe(false);
+		await waitFor(() =>
+			expect(callsTo(fetchMock, "/api/bookings")).toBe(2)
+		);
+	});
+
+	it("keeps the error and throws it", async () => {
+		mockApi({
+			"POST /api/me/api-keys": {
+				status: 409,
+				message: "You can have up to 10 API keys.",
+				code: "TOO_MANY_API_KEYS",
+			},
+		});
+		const { result } = renderHook(() =>
+			useMutation(() => api.post("/api/me/api-keys", { name: "x" }))
+		);
+
+		await act(async () => {
+			await expect(result.current.mutate()).rejects.toThrow(
+				"You can have up to 10 API keys."
+			);
+		});
+
+		expect(result.current.error.code).toBe("TOO_MANY_API_KEYS");
+	});
+});
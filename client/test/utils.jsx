@@ -0,0 +1,92 @@
+import { vi } from "vitest";
+import { render } from "@testing-library/react";
+import { MemoryRouter, Route, Routes } from "react-router-dom";
+import { AuthProvider } from "../src/contexts/AuthContext";
+import { ToastContext } from "../src/contexts/ToastContext";
+
+// Replaces fetch with canned replies keyed by "METHOD /path", e.g.
+//   mockApi({ "POST /api/login": { status: 401, message: "...", code: "..." } })
+// Replies are wrapped in the API's { success, message, data | error }
+// envelope. A reply can also be a function returning one, for replies that
+// change during the test. Unlisted routes fail the test. Returns the mock so
+// calls can be checked.
+export function mockApi(routes = {}) {
+	const replies = {
+		"POST /api/authcheck": { data: { loggedIn: false } },
+		"GET /api/auth/providers": { data: { providers: [] } },
+		"GET /api/csrf-token": { data: { csrfToken: "test-csrf-token" } },
+		...routes,
+	};
+
+	const fetchMock = vi.fn(async (url, options = {}) => {
+		const key = `${options.method || "GET"} ${url}`;
+		const route = replies[key];
+		const reply = typeof route === "function" ? route() : route;
+		if (!reply) {
+			throw new Error(`Unexpected request: ${key}`);
+		}
+
+		const status = reply.status || 200;
+		const ok = status >= 200 && status < 300;
+		const { message = null, data = null, code = "BAD_REQUEST" } = reply;
+		const response = {
+			ok,
+			status,
+			json: async () =>
+				ok
+					? { success: true, message, data }
+					: { success: false, message, error: { code } },
+		};
+		// json() can be called more than once, so a clone is itself
+		response.clone = () => response;
+		return response;
+	});
+
+	vi.stubGlobal("fetch", fetchMock);
+	return fetchMock;
+}
+
+// the parsed JSON body of the nth call to `path`
+export function requestBody(fetchMock, path, nth = 0) {
+	const calls = fetchMock.mock.calls.filter(([url]) => url === path);
+	return JSON.parse(calls[nth][1].body);
+}
+
+// where the auth pages send people, stubbed to see where they ended up
+const OTHER_PAGES = {
+	"/": "Home page",
+	"/forgot": "Forgot page",
+	"/login": "Login page",
+};
+
+// Renders a page the way App does, inside the router and AuthProvider, with
+// a mock showToast in place of the toast stack to check what it was told.
+// `wrapper` adds providers App puts around the router, e.g. CartProvider.
+export function renderPage(page, { path, url = path, wrapper }) {
+	const showToast = vi.fn();
+	const toasts = { toasts: [], showToast, dismissToast: vi.fn() };
+
+	const view = render(
+		<MemoryRouter initialEntries={[url]}>
+			<AuthProvider>
+				<ToastContext.Provider value={toasts}>
+					<Routes>
+						<Route path={path} element={page} />
+						{Object.entries(OTHER_PAGES)
+							.filter(([otherPath]) => otherPath !== path)
+							.map(([otherPath, text]) => (
+								<Route
+									key={otherPath}
+									path={otherPath}
+									element={<p>{text}</p>}
+								/>
+							))}
+					</Routes>
+				</ToastContext.Provider>
+			</AuthProvider>
+		</MemoryRouter>,
+		{ wrapper }
+	);
+
+	return { ...view, showToast };
+}
@@ -0,0 +1,10 @@
+import { defineConfig } from "vitest/config";
+
+// Component tests only, the app itself is still built by Parcel.
+export default defineConfig({
+	test: {
+		environment: "happy-dom",
+		include: ["test/**/*.test.jsx"],
+		setupFiles: ["test/setup.js"],
+	},
+});
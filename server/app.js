@@ -0,0 +1,1501 @@
+const express = require("express");
+const cors = require("cors");
+
+const config = require("./config");
+const metrics = require("./metrics");
+const accounts = require("./services/accounts");
+const authEvents = require("./services/authEvents");
+const bookings = require("./services/bookings");
+const menu = require("./services/menu");
+const profile = require("./services/profile");
+const sessions = require("./services/sessions");
+const twoFactor = require("./services/twoFactor");
+const socialLogin = require("./services/socialLogin");
+const users = require("./services/users");
+const apiTokens = require("./services/apiTokens");
+const enquiries = require("./services/enquiries");
+const health = require("./services/health");
+const orders = require("./services/orders");
+const {
+	authenticate,
+	requireLogin,
+	requireRole,
+	requireSessionLogin,
+	requireVerified,
+} = require("./auth");
+const { csrfProtection, getCsrfToken } = require("./csrf");
+const { eventStream } = require("./events");
+const { securityHeaders } = require("./securityHeaders");
+const { requestId, accessLog } = require("./requestLog");
+const { rateLimit, byIp, byEmail } = require("./rateLimit");
+const { validate } = require("./validation");
+const { AppError, UnauthorizedError } = require("./errors");
+const { sendSuccess, errorHandler, notFoundHandler } = require("./responses");
+
+const session = require("express-session");
+const RepositorySessionStore = require("./sessionStore");
+
+// Builds the Express app with all its middleware and routes. Nothing listens
+// and storage isn't touched until a request comes in, so tests can use the
+// app directly. server.js starts and stops it for real.
+function createApp() {
+	const app = express();
+
+	app.disable("x-powered-by");
+	app.set("trust proxy", config.trustProxy);
+
+	// an id and a logger for every request, then one access log line once it
+	// is answered, see requestLog.js
+	app.use(requestId());
+	app.use(accessLog());
+
+	app.use(securityHeaders({ hstsMaxAgeSeconds: config.hstsMaxAgeSeconds }));
+
+	// For load balancers and monitoring, ahead of sessions and login so probes
+	// never touch the session store, see services/health.js and metrics.js.
+	app.get("/api/health", (req, res) => {
+		sendSuccess(res, { data: health.getHealth() });
+	});
+
+	app.get("/api/ready", async (req, res) => {
+		try {
+			sendSuccess(res, { data: await health.checkReadiness() });
+		} catch (err) {
+			req.log.warn("Not ready", { err: err.cause || err });
+			throw err;
+		}
+	});
+
+	if (config.metricsEnabled) {
+		app.get(
+			"/metrics",
+			metrics.metricsEndpoint({ token: config.metricsToken })
+		);
+	}
+
+	// Middleware to parse JSON and form data
+	app.use(express.json());
+	app.use(express.urlencoded({ extended: true }));
+
+	app.use(
+		session({
+			secret: config.session.secrets,
+			store: new RepositorySessionStore(),
+			resave: false,
+			saveUninitialized: false,
+			cookie: {
+				httpOnly: true,
+				secure: config.session.secureCookie,
+				sameSite: config.session.sameSite,
+				maxAge: config.session.maxAgeMs,
+			},
+		})
+	);
+
+	app.use(
+		cors({
+			origin: config.corsOrigins,
+			methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
+			credentials: true,
+		})
+	);
+
+	// sets req.user from the session or a bearer token, see auth.js
+	app.use(authenticate);
+
+	// Changes need the session's CSRF token, see csrf.js. The token routes only
+	// use what is in the body, and authcheck only reads.
+	app.use(
+		csrfProtection({
+			exempt: ["/api/token", "/api/token/revoke", "/api/authcheck"],
+		})
+	);
+
+	// app.use((req, res, next) => {
+	// 	res.header("Access-Control-Allow-Origin", "http://localhost:3000");
+	// 	res.header("Access-Control-Allow-Methods", "GET,PUT,POST,DELETE,OPTIONS");
+	// 	res.header(
+	// 		"Access-Control-Allow-Headers",
+	// 		"Origin, X-Requested-With, Content-Type, Accept"
+	// 	);
+	// 	res.header("Access-Control-Allow-Credentials", "true");
+	// 	next();
+	// });
+
+	app.get("/api", (req, res) => {
+		sendSuccess(res);
+	});
+
+	// for the X-CSRF-Token header, see csrf.js
+	app.get("/api/csrf-token", (req, res) => {
+		res.set("Cache-Control", "no-store");
+		sendSuccess(res, { data: { csrfToken: getCsrfToken(req) } });
+	});
+
+	// comma separated query values, e.g. ?tag=vegan,gluten-free
+	function parseListQuery(value) {
+		if (!value) return [];
+		return String(value)
+			.split(",")
+			.map((entry) => entry.trim().toLowerCase())
+			.filter((entry) => entry.length > 0);
+	}
+
+	// the client's IP and browser, for the auth event log
+	function requestDetails(req) {
+		return {
+			ip: req.ip,
+			userAgent: (req.get("user-agent") || "").substring(0, 255),
+		};
+	}
+
+	function regenerateSession(req) {
+		return new Promise((resolve, reject) =>
+			req.session.regenerate((err) => (err ? reject(err) : resolve()))
+		);
+	}
+
+	// How long after the password step the two-factor code can be entered.
+	const TWO_FACTOR_WINDOW_MS = 5 * 60 * 1000;
+
+	// Logs the session in as `user`, with a new session id so a planted session
+	// cookie is useless.
+	async function startUserSession(req, user) {
+		await regenerateSession(req);
+
+		req.session.userId = user.id;
+		req.session.userAgent = requestDetails(req).userAgent;
+		req.session.ip = req.ip;
+	}
+
+	// the user id of a login waiting for its two-factor code, if still in time
+	function pendingTwoFactorUser(req) {
+		const pending = req.session.pendingTwoFactor;
+		return pending && pending.expires > Date.now() ? pending.userId : null;
+	}
+
+	function destroySession(req) {
+		return new Promise((resolve, reject) =>
+			req.session.destroy((err) => (err ? reject(err) : resolve()))
+		);
+	}
+
+	// Validation rules shared by several routes, see validation.js. New passwords
+	// are checked against the password policy by the services.
+	const PASSWORD = {
+		type: "string",
+		required: true,
+		trim: false,
+		maxLength: 128,
+	};
+	const TOKEN = {
+		type: "string",
+		required: true,
+		pattern: /^[0-9a-f]{64}$/,
+		message: "Invalid token format",
+	};
+	const ID_PARAM = { params: { id: { type: "id", label: "Id" } } };
+	// an app code or a recovery code
+	const TWO_FACTOR_CODE = {
+		type: "string",
+		required: true,
+		maxLength: 20,
+		label: "Code",
+	};
+
+	const BOOKING_FIELDS = {
+		date: { type: "date" },
+		time: { type: "time" },
+		partySize: { type: "integer", min: 1 },
+		notes: { type: "string", maxLength: 255 },
+	};
+
+	const MENU_ITEM_FIELDS = {
+		name: { type: "string", maxLength: 150, label: "Dish name" },
+		description: { type: "string", maxLength: 2000 },
+		price: { type: "number", min: 0 },
+		categoryId: { type: "id", label: "Category" },
+		allergens: { type: "array", items: { oneOf: menu.ALLERGENS } },
+		dietaryTags: { type: "array", items: { oneOf: menu.DIETARY_TAGS } },
+		available: { type: "boolean" },
+		sortOrder: { type: "integer" },
+	};
+
+	const MENU_CATEGORY_FIELDS = {
+		name: {
+			type: "string",
+			required: true,
+			maxLength: 100,
+			label: "Category name",
+		},
+		description: { type: "string", maxLength: 255 },
+		sortOrder: { type: "integer" },
+	};
+
+	app.get(
+		"/api/menu",
+		validate({ query: { category: { type: "string", maxLength: 100 } } }),
+		async (req, res) => {
+			const categories = await menu.getMenu({
+				category: req.query.category,
+				tags: parseListQuery(req.query.tag),
+			});
+			sendSuccess(res, {
+				data: { categories, dietaryTags: menu.DIETARY_TAGS },
+			});
+		}
+	);
+
+	app.get("/api/menu/categories", async (req, res) => {
+		const categories = await menu.getMenuCategories();
+		sendSuccess(res, { data: { categories } });
+	});
+
+	app.get("/api/menu/items/:id", validate(ID_PARAM), async (req, res) => {
+		const item = await menu.getMenuItem(req.params.id);
+		sendSuccess(res, { data: { item } });
+	});
+
+	app.get(
+		"/api/availability",
+		validate({
+			query: {
+				date: { type: "date", required: true },
+				party: {
+					type: "integer",
+					required: true,
+					min: 1,
+					label: "Party size",
+				},
+				exclude: { type: "id", label: "Booking" },
+			},
+		}),
+		async (req, res) => {
+			const availability = await bookings.getAvailability(
+				req.query.date,
+				req.query.party,
+				req.query.exclude
+			);
+			sendSuccess(res, { data: availability });
+		}
+	);
+
+	app.get("/api/bookings", requireLogin, async (req, res) => {
+		const userBookings = await bookings.getUserBookings(req.user.id);
+		sendSuccess(res, { data: { bookings: userBookings } });
+	});
+
+	app.post(
+		"/api/bookings",
+		requireVerified,
+		validate({
+			body: {
+				...BOOKING_FIELDS,
+				date: { type: "date", required: true },
+				time: { type: "time", required: true },
+				partySize: { type: "integer", required: true, min: 1 },
+			},
+		}),
+		async (req, res) => {
+			const booking = await bookings.createBooking(req.user.id, req.body);
+			sendSuccess(res, {
+				status: 201,
+				message: "Your table is booked.",
+				data: { booking },
+			});
+		}
+	);
+
+	app.patch(
+		"/api/bookings/:id",
+		requireVerified,
+		validate({ ...ID_PARAM, body: BOOKING_FIELDS }),
+		async (req, res) => {
+			const booking = await bookings.updateBooking(
+				req.user.id,
+				req.params.id,
+				req.body
+			);
+			sendSuccess(res, {
+				message: "Booking updated.",
+				data: { booking },
+			});
+		}
+	);
+
+	app.delete(
+		"/api/bookings/:id",
+		requireLogin,
+		validate(ID_PARAM),
+		async (req, res) => {
+			const booking = await bookings.cancelBooking(
+				req.user.id,
+				req.params.id
+			);
+			sendSuccess(res, {
+				message: "Booking cancelled.",
+				data: { booking },
+			});
+		}
+	);
+
+	// what the checkout page needs, and whether ordering is possible at all
+	app.get("/api/checkout", (req, res) => {
+		sendSuccess(res, { data: orders.getCheckoutOptions() });
+	});
+
+	app.get("/api/orders", requireLogin, async (req, res) => {
+		const userOrders = await orders.getUserOrders(req.user.id);
+		sendSuccess(res, { data: { orders: userOrders } });
+	});
+
+	app.get(
+		"/api/orders/:id",
+		requireLogin,
+		validate(ID_PARAM),
+		async (req, res) => {
+			const order = await orders.getUserOrder(req.user.id, req.params.id);
+			sendSuccess(res, { data: { order } });
+		}
+	);
+
+	// Prices come from the menu, anything the client says about them is ignored.
+	app.post(
+		"/api/orders",
+		requireVerified,
+		validate({
+			body: {
+				items: {
+					type: "array",
+					required: true,
+					minLength: 1,
+					maxLength: 50,
+					label: "Order",
+					items: {
+						type: "object",
+						fields: {
+							menuItemId: {
+								type: "id",
+								required: true,
+								label: "Dish",
+							},
+							quantity: {
+								type: "integer",
+								min: 1,
+								max: orders.MAX_QUANTITY,
+							},
+						},
+					},
+				},
+				notes: { type: "string", maxLength: 255 },
+				paymentMethod: {
+					type: "string",
+					required: true,
+					maxLength: 255,
+				},
+			},
+		}),
+		async (req, res) => {
+			const order = await orders.placeOrder(req.user.id, req.body);
+			sendSuccess(res, {
+				status: 201,
+				message: "Thanks, your order is confirmed.",
+				data: { order },
+			});
+		}
+	);
+
+	app.post(
+		"/api/orders/:id/cancel",
+		requireLogin,
+		validate(ID_PARAM),
+		async (req, res) => {
+			const order = await orders.cancelOrder(req.user.id, req.params.id);
+			sendSuccess(res, {
+				message: "Order cancelled, your payment will be refunded.",
+				data: { order },
+			});
+		}
+	);
+
+	function reloadSession(req) {
+		return new Promise((resolve, reject) =>
+			req.session.reload((err) => (err ? reject(err) : resolve()))
+		);
+	}
+
+	// Who a live event stream belongs to now. The session is read again from the
+	// store, so logging out or ending the session from another device also ends
+	// the stream.
+	async function currentSessionUser(req) {
+		try {
+			await reloadSession(req);
+		} catch (err) {
+			return null;
+		}
+		if (!req.session.userId) return null;
+		return accounts.getSessionUser(req.session.userId);
+	}
+
+	// Live booking and order updates as Server-Sent Events, see events.js.
+	// EventSource can't send a bearer token, so this is for the session only.
+	app.get(
+		"/api/events",
+		requireSessionLogin,
+		eventStream({ currentUser: currentSessionUser })
+	);
+
+	app.get("/api/me", requireLogin, async (req, res) => {
+		const details = await profile.getProfile(req.user.id);
+		sendSuccess(res, {
+			data: { profile: details, dietaryTags: menu.DIETARY_TAGS },
+		});
+	});
+
+	app.patch(
+		"/api/me",
+		requireLogin,
+		validate({
+			body: {
+				displayName: { type: "string", maxLength: 100 },
+				phone: { type: "string", maxLength: 30, label: "Phone number" },
+				dietaryPreferences: {
+					type: "array",
+					items: { oneOf: menu.DIETARY_TAGS },
+				},
+			},
+		}),
+		async (req, res) => {
+			const details = await profile.updateProfile(req.user.id, req.body);
+			sendSuccess(res, {
+				message: "Profile updated.",
+				data: { profile: details },
+			});
+		}
+	);
+
+	app.post(
+		"/api/me/password",
+		requireLogin,
+		validate({
+			body: {
+				currentPassword: PASSWORD,
+				newPassword: PASSWORD,
+			},
+		}),
+		async (req, res) => {
+			await profile.changePassword(
+				req.user.id,
+				req.body.currentPassword,
+				req.body.newPassword,
+				req.sessionID
+			);
+			sendSuccess(res, {
+				message:
+					"Password changed. Your other sessions have been logged out.",
+			});
+		}
+	);
+
+	app.post(
+		"/api/me/email",
+		requireLogin,
+		validate({
+			body: {
+				email: { type: "email", required: true },
+				password: PASSWORD,
+			},
+		}),
+		async (req, res) => {
+			const { email, password } = req.body;
+			await profile.requestEmailChange(req.user.id, email, password);
+			sendSuccess(res, {
+				message: `We have sent a confirmation link to ${email}.`,
+			});
+		}
+	);
+
+	// no login needed, the link may be opened on another device
+	app.post(
+		"/api/me/email/confirm",
+		validate({ body: { token: TOKEN } }),
+		async (req, res) => {
+			const email = await profile.confirmEmailChange(req.body.token);
+			sendSuccess(res, {
+				message: `Your email address is now ${email}.`,
+			});
+		}
+	);
+
+	app.get("/api/me/2fa", requireLogin, async (req, res) => {
+		const status = await twoFactor.getTwoFactorStatus(req.user.id);
+		sendSuccess(res, { data: status });
+	});
+
+	// Step one of turning on two-factor: a new secret as a QR code and otpauth://
+	// link for the authenticator app. Nothing changes for logins until enable.
+	app.post(
+		"/api/me/2fa/setup",
+		requireLogin,
+		validate({ body: { password: PASSWORD } }),
+		async (req, res) => {
+			const setup = await twoFactor.startSetup(
+				req.user.id,
+				req.body.password
+			);
+			sendSuccess(res, {
+				message: "Scan the QR code with your authenticator app.",
+				data: setup,
+			});
+		}
+	);
+
+	app.post(
+		"/api/me/2fa/enable",
+		requireLogin,
+		validate({ body: { code: TWO_FACTOR_CODE } }),
+		async (req, res) => {
+			const recoveryCodes = await twoFactor.enable(
+				req.user.id,
+				req.body.code,
+				requestDetails(req)
+			);
+			sendSuccess(res, {
+				message:
+					"Two-factor authentication is on. Keep your recovery codes somewhere safe.",
+				data: { recoveryCodes },
+			});
+		}
+	);
+
+	app.post(
+		"/api/me/2fa/disable",
+		requireLogin,
+		validate({ body: { password: PASSWORD, code: TWO_FACTOR_CODE } }),
+		async (req, res) => {
+			await twoFactor.disable(
+				req.user.id,
+				req.body.password,
+				req.body.code,
+				requestDetails(req)
+			);
+			sendSuccess(res, { message: "Two-factor authentication is off." });
+		}
+	);
+
+	app.post(
+		"/api/me/2fa/recovery-codes",
+		requireLogin,
+		validate({ body: { password: PASSWORD } }),
+		async (req, res) => {
+			const recoveryCodes = await twoFactor.regenerateRecoveryCodes(
+				req.user.id,
+				req.body.password
+			);
+			sendSuccess(res, {
+				message:
+					"New recovery codes created, the old ones no longer work.",
+				data: { recoveryCodes },
+			});
+		}
+	);
+
+	// A file download, so the data is the whole body rather than in the usual
+	// envelope. Errors still come back as normal.
+	app.get("/api/me/export", requireLogin, async (req, res) => {
+		const data = await profile.exportUserData(req.user.id, req.sessionID);
+		res.attachment("my-data.json");
+		res.status(200).json(data);
+	});
+
+	app.delete(
+		"/api/me",
+		requireLogin,
+		validate({ body: { password: PASSWORD } }),
+		async (req, res) => {
+			await profile.deleteAccount(req.user.id, req.body.password);
+			await destroySession(req);
+			sendSuccess(res, { message: "Your account has been deleted." });
+		}
+	);
+
+	app.get("/api/sessions", requireLogin, async (req, res) => {
+		const userSessions = await sessions.listUserSessions(
+			req.user.id,
+			req.sessionID
+		);
+		sendSuccess(res, { data: { sessions: userSessions } });
+	});
+
+	app.delete(
+		"/api/sessions/:id",
+		requireLogin,
+		validate({
+			params: { id: { type: "string", maxLength: 64, label: "Session" } },
+		}),
+		async (req, res) => {
+			await sessions.revokeUserSession(req.user.id, req.params.id);
+			sendSuccess(res, { message: "Session logged out." });
+		}
+	);
+
+	// logs out every session except the one making the request
+	app.delete("/api/sessions", requireLogin, async (req, res) => {
+		const count = await sessions.revokeUserSessions(
+			req.user.id,
+			req.sessionID
+		);
+		sendSuccess(res, {
+			message: `Logged out ${count} other ${
+				count === 1 ? "session" : "sessions"
+			}.`,
+			data: { count },
+		});
+	});
+
+	// Personal API keys for the user's own scripts
+	app.get("/api/me/api-keys", requireLogin, async (req, res) => {
+		const apiKeys = await apiTokens.listApiKeys(req.user.id);
+		sendSuccess(res, { data: { apiKeys } });
+	});
+
+	app.post(
+		"/api/me/api-keys",
+		requireLogin,
+		validate({
+			body: {
+				name: { type: "string", required: true, maxLength: 100 },
+				expiresInDays: { type: "integer", min: 1, max: 365 },
+			},
+		}),
+		async (req, res) => {
+			const { apiKey, key } = await apiTokens.createApiKey(
+				req.user.id,
+				req.body.name,
+				req.body.expiresInDays
+			);
+			res.set("Cache-Control", "no-store");
+			sendSuccess(res, {
+				status: 201,
+				message:
+					"API key created. Copy it now, it won't be shown again.",
+				data: { apiKey, key },
+			});
+		}
+	);
+
+	app.delete(
+		"/api/me/api-keys/:id",
+		requireLogin,
+		validate(ID_PARAM),
+		async (req, res) => {
+			await apiTokens.revokeApiKey(req.user.id, req.params.id);
+			sendSuccess(res, { message: "API key revoked." });
+		}
+	);
+
+	// Staff area. Staff can see users and run the menu and bookings, only admins
+	// can change roles or delete accounts.
+	const requireStaff = requireRole("staff", "admin");
+	const requireAdmin = requireRole("admin");
+
+	app.get("/api/admin/users", requireStaff, async (req, res) => {
+		const accountList = await users.listUsers();
+		sendSuccess(res, { data: { users: accountList, roles: users.ROLES } });
+	});
+
+	app.patch(
+		"/api/admin/users/:id",
+		requireAdmin,
+		validate({
+			...ID_PARAM,
+			body: {
+				role: { type: "string", required: true, oneOf: users.ROLES },
+			},
+		}),
+		async (req, res) => {
+			await users.updateUserRole(req.params.id, req.body.role);
+			sendSuccess(res, { message: "Role updated." });
+		}
+	);
+
+	app.delete(
+		"/api/admin/users/:id",
+		requireAdmin,
+		validate(ID_PARAM),
+		async (req, res) => {
+			await users.deleteUser(req.user.id, req.params.id);
+			sendSuccess(res, { message: "User deleted." });
+		}
+	);
+
+	// for users locked out of two-factor, they can set it up again afterwards
+	app.delete(
+		"/api/admin/users/:id/2fa",
+		requireAdmin,
+		validate(ID_PARAM),
+		async (req, res) => {
+			await twoFactor.resetTwoFactor(
+				req.user.id,
+				req.params.id,
+				requestDetails(req)
+			);
+			sendSuccess(res, { message: "Two-factor authentication reset." });
+		}
+	);
+
+	// Login, logout and password activity, newest first. Filter with ?type=,
+	// ?email=, ?userId= and page with ?before=<oldest id shown>.
+	app.get(
+		"/api/admin/auth-events",
+		requireAdmin,
+		validate({
+			query: {
+				type: { type: "string", oneOf: authEvents.AUTH_EVENT_TYPES },
+				email: { type: "string", maxLength: 255 },
+				userId: { type: "id", label: "User" },
+				before: { type: "id" },
+				limit: { type: "integer", min: 1, max: 500 },
+			},
+		}),
+		async (req, res) => {
+			const events = await authEvents.listAuthEvents({
+				type: req.query.type,
+				email: req.query.email,
+				userId: req.query.userId,
+				before: req.query.before,
+				limit: req.query.limit,
+			});
+			sendSuccess(res, {
+				data: { events, types: authEvents.AUTH_EVENT_TYPES },
+			});
+		}
+	);
+
+	app.get("/api/admin/menu", requireStaff, async (req, res) => {
+		const categories = await menu.getMenu();
+		sendSuccess(res, {
+			data: {
+				categories,
+				dietaryTags: menu.DIETARY_TAGS,
+				allergens: menu.ALLERGENS,
+			},
+		});
+	});
+
+	app.post(
+		"/api/admin/menu/items",
+		requireStaff,
+		validate({
+			body: {
+				...MENU_ITEM_FIELDS,
+				name: { ...MENU_ITEM_FIELDS.name, required: true },
+				price: { ...MENU_ITEM_FIELDS.price, required: true },
+				categoryId: { ...MENU_ITEM_FIELDS.categoryId, required: true },
+			},
+		}),
+		async (req, res) => {
+			const item = await menu.createMenuItem(req.body);
+			sendSuccess(res, {
+				status: 201,
+				message: "Dish added.",
+				data: { item },
+			});
+		}
+	);
+
+	app.patch(
+		"/api/admin/menu/items/:id",
+		requireStaff,
+		validate({ ...ID_PARAM, body: MENU_ITEM_FIELDS }),
+		async (req, res) => {
+			const item = await menu.updateMenuItem(req.params.id, req.body);
+			sendSuccess(res, { message: "Dish updated.", data: { item } });
+		}
+	);
+
+	app.delete(
+		"/api/admin/menu/items/:id",
+		requireStaff,
+		validate(ID_PARAM),
+		async (req, res) => {
+			await menu.deleteMenuItem(req.params.id);
+			sendSuccess(res, { message: "Dish deleted." });
+		}
+	);
+
+	app.post(
+		"/api/admin/menu/categories",
+		requireStaff,
+		validate({ body: MENU_CATEGORY_FIELDS }),
+		async (req, res) => {
+			const category = await menu.saveMenuCategory(null, req.body);
+			sendSuccess(res, {
+				status: 201,
+				message: "Category added.",
+				data: { category },
+			});
+		}
+	);
+
+	app.patch(
+		"/api/admin/menu/categories/:id",
+		requireStaff,
+		validate({ ...ID_PARAM, body: MENU_CATEGORY_FIELDS }),
+		async (req, res) => {
+			const category = await menu.saveMenuCategory(
+				req.params.id,
+				req.body
+			);
+			sendSuccess(res, {
+				message: "Category updated.",
+				data: { category },
+			});
+		}
+	);
+
+	app.delete(
+		"/api/admin/menu/categories/:id",
+		requireStaff,
+		validate(ID_PARAM),
+		async (req, res) => {
+			await menu.deleteMenuCategory(req.params.id);
+			sendSuccess(res, { message: "Category deleted." });
+		}
+	);
+
+	app.get(
+		"/api/admin/bookings",
+		requireStaff,
+		validate({ query: { date: { type: "date", required: true } } }),
+		async (req, res) => {
+			const dayBookings = await bookings.getBookingsForDate(
+				req.query.date
+			);
+			sendSuccess(res, {
+				data: {
+					bookings: dayBookings,
+					statuses: bookings.BOOKING_STATUSES,
+				},
+			});
+		}
+	);
+
+	app.patch(
+		"/api/admin/bookings/:id",
+		requireStaff,
+		validate({
+			...ID_PARAM,
+			body: {
+				status: {
+					type: "string",
+					required: true,
+					oneOf: bookings.BOOKING_STATUSES,
+				},
+			},
+		}),
+		async (req, res) => {
+			await bookings.updateBookingStatus(req.params.id, req.body.status);
+			sendSuccess(res, { message: "Booking updated." });
+		}
+	);
+
+	// The contact page inbox, newest first. Filter with ?status= and page with
+	// ?before=<oldest id shown>.
+	app.get(
+		"/api/admin/enquiries",
+		requireStaff,
+		validate({
+			query: {
+				status: { type: "string", oneOf: enquiries.ENQUIRY_STATUSES },
+				before: { type: "id" },
+				limit: { type: "integer", min: 1, max: 200 },
+			},
+		}),
+		async (req, res) => {
+			const inbox = await enquiries.listEnquiries({
+				status: req.query.status,
+				before: req.query.before,
+				limit: req.query.limit,
+			});
+			sendSuccess(res, {
+				data: { ...inbox, statuses: enquiries.ENQUIRY_STATUSES },
+			});
+		}
+	);
+
+	app.get(
+		"/api/admin/enquiries/:id",
+		requireStaff,
+		validate(ID_PARAM),
+		async (req, res) => {
+			const enquiry = await enquiries.getEnquiry(req.params.id);
+			sendSuccess(res, { data: { enquiry } });
+		}
+	);
+
+	app.patch(
+		"/api/admin/enquiries/:id",
+		requireStaff,
+		validate({
+			...ID_PARAM,
+			body: {
+				status: {
+					type: "string",
+					required: true,
+					oneOf: enquiries.ENQUIRY_STATUSES,
+				},
+			},
+		}),
+		async (req, res) => {
+			await enquiries.updateEnquiryStatus(req.params.id, req.body.status);
+			sendSuccess(res, { message: "Enquiry updated." });
+		}
+	);
+
+	app.post(
+		"/api/admin/enquiries/:id/reply",
+		requireStaff,
+		validate({
+			...ID_PARAM,
+			body: {
+				message: {
+					type: "string",
+					required: true,
+					maxLength: 5000,
+					label: "Reply",
+				},
+			},
+		}),
+		async (req, res) => {
+			const enquiry = await enquiries.replyToEnquiry(
+				req.user.id,
+				req.params.id,
+				req.body.message
+			);
+			sendSuccess(res, { message: "Reply sent.", data: { enquiry } });
+		}
+	);
+
+	// Orders newest first. ?status= takes a comma separated list, e.g.
+	// confirmed,preparing, and paging is with ?before=<oldest id shown>.
+	app.get(
+		"/api/admin/orders",
+		requireStaff,
+		validate({
+			query: {
+				status: { type: "string", maxLength: 100 },
+				before: { type: "id" },
+				limit: { type: "integer", min: 1, max: 200 },
+			},
+		}),
+		async (req, res) => {
+			const orderList = await orders.listOrders({
+				status: req.query.status,
+				before: req.query.before,
+				limit: req.query.limit,
+			});
+			sendSuccess(res, {
+				data: {
+					orders: orderList,
+					statuses: orders.ORDER_STATUSES,
+					transitions: orders.ORDER_TRANSITIONS,
+				},
+			});
+		}
+	);
+
+	app.patch(
+		"/api/admin/orders/:id",
+		requireStaff,
+		validate({
+			...ID_PARAM,
+			body: {
+				status: {
+					type: "string",
+					required: true,
+					oneOf: orders.ORDER_STATUSES,
+				},
+			},
+		}),
+		async (req, res) => {
+			const order = await orders.updateOrderStatus(
+				req.params.id,
+				req.body.status
+			);
+			sendSuccess(res, { message: "Order updated.", data: { order } });
+		}
+	);
+
+	app.post(
+		"/api/admin/orders/:id/refund",
+		requireStaff,
+		validate(ID_PARAM),
+		async (req, res) => {
+			const order = await orders.retryRefund(req.params.id);
+			sendSuccess(res, { message: "Order refunded.", data: { order } });
+		}
+	);
+
+	// Brute-force protection. Limits are counted per IP and per email address, so
+	// neither one client trying many accounts nor many clients trying one account
+	// gets far. Anything that trips a limit goes in the auth event log.
+	const MINUTE = 60 * 1000;
+
+	function logRateLimited(req) {
+		authEvents.recordAuthEvent({
+			type: "rate_limited",
+			email: byEmail(req),
+			detail: req.path,
+			...requestDetails(req),
+		});
+	}
+
+	const loginLimits = [
+		rateLimit({
+			name: "login-ip",
+			windowMs: 15 * MINUTE,
+			max: 20,
+			key: byIp,
+			message: "Too many failed attempts. Please try again later.",
+			onLimit: logRateLimited,
+			skipSuccessful: true,
+		}),
+		rateLimit({
+			name: "login-email",
+			windowMs: 15 * MINUTE,
+			max: 10,
+			key: byEmail,
+			message: "Too many failed attempts. Please try again later.",
+			onLimit: logRateLimited,
+			skipSuccessful: true,
+		}),
+	];
+
+	const forgotLimits = [
+		rateLimit({
+			name: "forgot-ip",
+			windowMs: 15 * MINUTE,
+			max: 5,
+			key: byIp,
+			onLimit: logRateLimited,
+		}),
+		rateLimit({
+			name: "forgot-email",
+			windowMs: 60 * MINUTE,
+			max: 3,
+			key: byEmail,
+			onLimit: logRateLimited,
+		}),
+	];
+
+	// wrong codes also count towards the account lockout
+	const twoFactorLimit = rateLimit({
+		name: "login-2fa-ip",
+		windowMs: 15 * MINUTE,
+		max: 20,
+		key: byIp,
+		message: "Too many failed attempts. Please try again later.",
+		onLimit: logRateLimited,
+		skipSuccessful: true,
+	});
+
+	const registerLimit = rateLimit({
+		name: "register-ip",
+		windowMs: 60 * MINUTE,
+		max: 5,
+		key: byIp,
+		onLimit: logRateLimited,
+	});
+
+	// the contact form, against spam that gets past its honeypot
+	const contactLimits = [
+		rateLimit({
+			name: "contact-ip",
+			windowMs: 60 * MINUTE,
+			max: 5,
+			key: byIp,
+			onLimit: logRateLimited,
+		}),
+		rateLimit({
+			name: "contact-email",
+			windowMs: 60 * MINUTE,
+			max: 3,
+			key: byEmail,
+			onLimit: logRateLimited,
+		}),
+	];
+
+	app.post(
+		"/api/login",
+		loginLimits,
+		validate({
+			body: {
+				email: { type: "email", required: true },
+				password: PASSWORD,
+			},
+		}),
+		async (req, res) => {
+			const { email, password } = req.body;
+			const user = await accounts.login(
+				email,
+				password,
+				requestDetails(req)
+			);
+
+			// The session stays logged out until the code is checked, it only
+			// remembers whose password was right.
+			if (user.twoFactorRequired) {
+				await regenerateSession(req);
+				req.session.pendingTwoFactor = {
+					userId: user.id,
+					expires: Date.now() + TWO_FACTOR_WINDOW_MS,
+				};
+				return sendSuccess(res, {
+					message: "Enter the code from your authenticator app.",
+					data: { twoFactorRequired: true },
+				});
+			}
+
+			await startUserSession(req, user);
+
+			sendSuccess(res, {
+				message: "Login successful.",
+				data: {
+					userId: user.id,
+					role: user.role,
+					emailVerified: user.emailVerified,
+				},
+			});
+		}
+	);
+
+	// Social login. The buttons on the login page link to /api/auth/:provider,
+	// which sends the browser to the provider, and the provider sends it back to
+	// the callback. These are page loads rather than fetches, so the callback
+	// answers with redirects back into the client.
+	const PROVIDER_PARAM = {
+		params: {
+			provider: { type: "string", maxLength: 50, label: "Provider" },
+		},
+	};
+
+	app.get("/api/auth/providers", (req, res) => {
+		sendSuccess(res, { data: { providers: socialLogin.listProviders() } });
+	});
+
+	app.get(
+		"/api/auth/:provider",
+		validate(PROVIDER_PARAM),
+		async (req, res) => {
+			const { url, pending } = await socialLogin.startSocialLogin(
+				req.params.provider
+			);
+			req.session.socialLogin = pending;
+			res.redirect(url);
+		}
+	);
+
+	app.get(
+		"/api/auth/:provider/callback",
+		validate(PROVIDER_PARAM),
+		async (req, res) => {
+			const pending = req.session.socialLogin;
+			delete req.session.socialLogin;
+
+			let user;
+			try {
+				user = await socialLogin.finishSocialLogin(
+					req.params.provider,
+					req.query,
+					pending,
+					requestDetails(req)
+				);
+			} catch (err) {
+				if (!(err instanceof AppError)) throw err;
+				return res.redirect(
+					`${config.appUrl}/login?error=${encodeURIComponent(
+						err.message
+					)}`
+				);
+			}
+
+			if (user.twoFactorRequired) {
+				await regenerateSession(req);
+				req.session.pendingTwoFactor = {
+					userId: user.id,
+					expires: Date.now() + TWO_FACTOR_WINDOW_MS,
+				};
+				return res.redirect(`${config.appUrl}/login?twoFactor=1`);
+			}
+
+			await startUserSession(req, user);
+			res.redirect(`${config.appUrl}/`);
+		}
+	);
+
+	// Second step of a two-factor login, with a code from the app or a recovery
+	// code.
+	app.post(
+		"/api/login/2fa",
+		twoFactorLimit,
+		validate({ body: { code: TWO_FACTOR_CODE } }),
+		async (req, res) => {
+			const userId = pendingTwoFactorUser(req);
+			if (!userId) {
+				delete req.session.pendingTwoFactor;
+				throw new UnauthorizedError(
+					"Your login has timed out, please log in again.",
+					{ code: "TWO_FACTOR_EXPIRED" }
+				);
+			}
+
+			const user = await accounts.completeTwoFactorLogin(
+				userId,
+				req.body.code,
+				requestDetails(req)
+			);
+
+			await startUserSession(req, user);
+
+			sendSuccess(res, {
+				message: "Login successful.",
+				data: {
+					userId: user.id,
+					role: user.role,
+					emailVerified: user.emailVerified,
+				},
+			});
+		}
+	);
+
+	// Tokens for apps and scripts, which send "Authorization: Bearer <token>"
+	// instead of keeping a session cookie. See services/apiTokens.js.
+	const TOKEN_GRANTS = {
+		password: {
+			email: { type: "email", required: true },
+			password: PASSWORD,
+			code: { ...TWO_FACTOR_CODE, required: false },
+		},
+		refresh_token: {
+			refreshToken: { type: "string", required: true, maxLength: 100 },
+		},
+	};
+
+	// checks the fields of whichever grant was asked for
+	function validateTokenGrant(req, res, next) {
+		const grantType = req.body && req.body.grantType;
+		return validate({
+			body: {
+				grantType: {
+					type: "string",
+					required: true,
+					oneOf: Object.keys(TOKEN_GRANTS),
+				},
+				...TOKEN_GRANTS[grantType],
+			},
+		})(req, res, next);
+	}
+
+	app.post(
+		"/api/token",
+		loginLimits,
+		validateTokenGrant,
+		async (req, res) => {
+			const { grantType, email, password, code, refreshToken } = req.body;
+
+			const tokens =
+				grantType === "password"
+					? await apiTokens.passwordGrant(
+							email,
+							password,
+							code,
+							requestDetails(req)
+					  )
+					: await apiTokens.refreshGrant(
+							refreshToken,
+							requestDetails(req)
+					  );
+
+			res.set("Cache-Control", "no-store");
+			sendSuccess(res, { data: tokens });
+		}
+	);
+
+	// Logs an app out. The access tokens issued with the refresh token stop
+	// working too.
+	app.post(
+		"/api/token/revoke",
+		validate({
+			body: {
+				refreshToken: {
+					type: "string",
+					required: true,
+					maxLength: 100,
+				},
+			},
+		}),
+		async (req, res) => {
+			await apiTokens.revokeRefreshToken(req.body.refreshToken);
+			sendSuccess(res, { message: "Token revoked." });
+		}
+	);
+
+	app.post("/api/logout", async (req, res) => {
+		if (req.session.userId) {
+			authEvents.recordAuthEvent({
+				type: "logout",
+				userId: req.session.userId,
+				...requestDetails(req),
+			});
+		}
+
+		await destroySession(req);
+		sendSuccess(res, { message: "Logged out successfully" });
+	});
+
+	app.post(
+		"/api/register",
+		registerLimit,
+		validate({
+			body: {
+				email: { type: "email", required: true },
+				password: PASSWORD,
+			},
+		}),
+		async (req, res) => {
+			const { email, password } = req.body;
+			const user = await accounts.register(email, password);
+			await authEvents.recordAuthEvent({
+				type: "register",
+				userId: user.id,
+				email,
+				...requestDetails(req),
+			});
+			sendSuccess(res, {
+				status: 201,
+				message: "User registered successfully",
+				data: { userId: user.id },
+			});
+		}
+	);
+
+	app.post("/api/authcheck", async (req, res) => {
+		const { user } = req;
+
+		if (!user) {
+			const data = { loggedIn: false };
+			if (pendingTwoFactorUser(req)) data.twoFactorPending = true;
+			return sendSuccess(res, { data });
+		}
+
+		sendSuccess(res, {
+			data: {
+				loggedIn: true,
+				userId: user.id,
+				role: user.role,
+				emailVerified: user.emailVerified,
+			},
+		});
+	});
+
+	app.post(
+		"/api/verify",
+		validate({
+			body: {
+				token: {
+					type: "string",
+					required: true,
+					maxLength: 200,
+					message: "Invalid verification link",
+				},
+			},
+		}),
+		async (req, res) => {
+			await accounts.verifyEmail(req.body.token);
+			sendSuccess(res, { message: "Thanks, your email is verified." });
+		}
+	);
+
+	app.post("/api/verify/resend", requireLogin, async (req, res) => {
+		await accounts.sendVerificationEmail(req.user.id);
+		sendSuccess(res, {
+			message: "We have sent you a new verification link.",
+		});
+	});
+
+	app.post(
+		"/api/forgot",
+		forgotLimits,
+		validate({ body: { email: { type: "email", required: true } } }),
+		async (req, res) => {
+			const { email } = req.body;
+			await accounts.requestPasswordReset(email);
+			await authEvents.recordAuthEvent({
+				type: "password_reset_requested",
+				email,
+				...requestDetails(req),
+			});
+			sendSuccess(res, {
+				message:
+					"If that email is registered, we have sent it a password reset link.",
+			});
+		}
+	);
+
+	app.post(
+		"/api/reset",
+		validate({ body: { token: TOKEN, password: PASSWORD } }),
+		async (req, res) => {
+			await accounts.completePasswordReset(
+				req.body.token,
+				req.body.password,
+				requestDetails(req)
+			);
+			sendSuccess(res, {
+				message: "Password has been reset successfully.",
+			});
+		}
+	);
+
+	// The contact page. Anyone can write in, and logged in users' enquiries are
+	// linked to their account. `website` is the form's hidden honeypot field,
+	// see services/enquiries.js.
+	app.post(
+		"/api/contact",
+		contactLimits,
+		validate({
+			body: {
+				name: { type: "string", required: true, maxLength: 100 },
+				email: { type: "email", required: true },
+				subject: { type: "string", maxLength: 150 },
+				message: {
+					type: "string",
+					required: true,
+					minLength: 10,
+					maxLength: 5000,
+				},
+				website: { type: "string", maxLength: 255 },
+			},
+		}),
+		async (req, res) => {
+			await enquiries.submitEnquiry(req.body, {
+				userId: req.user ? req.user.id : null,
+				...requestDetails(req),
+			});
+			sendSuccess(res, {
+				status: 201,
+				message: "Thanks for getting in touch, we will reply by email.",
+			});
+		}
+	);
+
+	// Anything that got this far is an unknown route or an error from one of the
+	// handlers above (Express 5 passes on errors from async handlers by itself).
+	app.use("/api", notFoundHandler);
+	app.use(errorHandler);
+
+	return app;
+}
+
+module.exports.createApp = createApp;
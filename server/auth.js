@@ -0,0 +1,97 @@
+const accounts = require("./services/accounts");
+const apiTokens = require("./services/apiTokens");
+const metrics = require("./metrics");
+const { ForbiddenError, UnauthorizedError } = require("./errors");
+
+const LOGIN_REQUIRED_MESSAGE = "You must be logged in to do that.";
+
+function loginRequired() {
+	return new UnauthorizedError(LOGIN_REQUIRED_MESSAGE, {
+		code: "LOGIN_REQUIRED",
+	});
+}
+
+// Works out who is making the request, from an "Authorization: Bearer"
+// header (apps and scripts, see services/apiTokens.js) or else the session
+// cookie, and sets req.user to { id, role, emailVerified, authMethod }.
+// Anonymous requests carry on without req.user, but a bearer token that isn't
+// valid is turned away so an app knows to refresh it.
+async function authenticate(req, res, next) {
+	const header = req.get("authorization") || "";
+	const bearer = header.match(/^Bearer\s+(\S+)$/i);
+
+	if (bearer) {
+		const user = await apiTokens.authenticateBearer(bearer[1]);
+		if (!user) {
+			metrics.authFailures.inc({ reason: "invalid_token" });
+			res.set("WWW-Authenticate", 'Bearer error="invalid_token"');
+			throw new UnauthorizedError("Invalid or expired token.", {
+				code: "INVALID_TOKEN",
+			});
+		}
+		req.user = { ...user, authMethod: "token" };
+		return next();
+	}
+
+	// The account is looked up on every request so a role change or account
+	// deletion takes effect straight away, not at the next login.
+	if (req.session && req.session.userId) {
+		const user = await accounts.getSessionUser(req.session.userId);
+		if (user) req.user = { ...user, authMethod: "session" };
+	}
+	next();
+}
+
+function requireLogin(req, res, next) {
+	if (req.user) {
+		return next();
+	}
+	next(loginRequired());
+}
+
+// For routes that only make sense with the session cookie, not a token.
+function requireSessionLogin(req, res, next) {
+	if (req.user && req.user.authMethod === "session") {
+		return next();
+	}
+	next(loginRequired());
+}
+
+// Guards a route so only the given roles can use it, e.g.
+// app.get("/api/admin/users", requireRole("staff", "admin"), handler)
+function requireRole(...roles) {
+	return (req, res, next) => {
+		if (!req.user) {
+			throw loginRequired();
+		}
+
+		if (!roles.includes(req.user.role)) {
+			metrics.authFailures.inc({ reason: "forbidden" });
+			throw new ForbiddenError("You do not have permission to do that.");
+		}
+
+		next();
+	};
+}
+
+// For actions that need a confirmed email address, such as booking a table.
+function requireVerified(req, res, next) {
+	if (!req.user) {
+		throw loginRequired();
+	}
+
+	if (!req.user.emailVerified) {
+		throw new ForbiddenError(
+			"Please verify your email address first. Check your inbox for the link.",
+			{ code: "EMAIL_NOT_VERIFIED" }
+		);
+	}
+
+	next();
+}
+
+module.exports.authenticate = authenticate;
+module.exports.requireLogin = requireLogin;
+module.exports.requireRole = requireRole;
+module.exports.requireSessionLogin = requireSessionLogin;
+module.exports.requireVerified = requireVerified;
@@ -0,0 +1,491 @@
+const path = require("path");
+
+// Settings come from the process environment first, then server/.env, then
+// the defaults of the profile picked by NODE_ENV. See .env.example for the
+// full list.
+require("dotenv").config({ path: path.join(__dirname, ".env"), quiet: true });
+
+const PROFILES = {
+	development: {
+		PORT: "5000",
+		APP_NAME: "T-Level Restaurant",
+		APP_URL: "http://localhost:3000",
+		STORAGE_BACKEND: "mysql",
+		DB_HOST: "localhost",
+		DB_PORT: "3306",
+		DB_USER: "root",
+		DB_PASSWORD: "",
+		DB_NAME: "express_test",
+		DB_CONNECTION_LIMIT: "10",
+		DB_AUTO_MIGRATE: "true",
+		DB_CONNECT_RETRIES: "5",
+		SESSION_SECRET: "dev-session-secret",
+		SESSION_MAX_AGE_MINUTES: "120",
+		SESSION_COOKIE_SECURE: "false", // plain http on localhost
+		SESSION_COOKIE_SAMESITE: "lax",
+		TRUST_PROXY: "0",
+		HSTS_MAX_AGE_DAYS: "0",
+		EMAIL_TOKEN_SECRET: "dev-email-token-secret",
+		TOKEN_SECRET: "dev-api-token-secret",
+		ACCESS_TOKEN_MINUTES: "15",
+		REFRESH_TOKEN_DAYS: "30",
+		BCRYPT_ROUNDS: "12",
+		MAIL_TRANSPORT: "console",
+		MAIL_FROM: "Restaurant <no-reply@localhost>",
+		MAIL_DIR: path.join(__dirname, "mail"),
+		SMTP_PORT: "587",
+		SMTP_SECURE: "false",
+		PAYMENT_PROVIDER: "fake",
+		LOG_LEVEL: "info",
+		LOG_FORMAT: "pretty",
+		SHUTDOWN_TIMEOUT_SECONDS: "10",
+	},
+	test: {
+		PORT: "5001",
+		APP_NAME: "T-Level Restaurant",
+		APP_URL: "http://localhost:3000",
+		STORAGE_BACKEND: "memory", // no database server needed
+		DB_HOST: "localhost",
+		DB_PORT: "3306",
+		DB_USER: "root",
+		DB_PASSWORD: "",
+		DB_NAME: "express_app_test",
+		DB_CONNECTION_LIMIT: "5",
+		DB_AUTO_MIGRATE: "true",
+		DB_CONNECT_RETRIES: "0",
+		SESSION_SECRET: "test-session-secret",
+		SESSION_MAX_AGE_MINUTES: "120",
+		SESSION_COOKIE_SECURE: "false",
+		SESSION_COOKIE_SAMESITE: "lax",
+		TRUST_PROXY: "0",
+		HSTS_MAX_AGE_DAYS: "0",
+		EMAIL_TOKEN_SECRET: "test-email-token-secret",
+		TOKEN_SECRET: "test-api-token-secret",
+		ACCESS_TOKEN_MINUTES: "15",
+		REFRESH_TOKEN_DAYS: "30",
+		BCRYPT_ROUNDS: "4", // fast hashing, tests create lots of users
+		MAIL_TRANSPORT: "memory", // tests read sent mail from the outbox
+		MAIL_FROM: "Restaurant <no-reply@localhost>",
+		MAIL_DIR: path.join(__dirname, "mail"),
+		SMTP_PORT: "587",
+		SMTP_SECURE: "false",
+		PAYMENT_PROVIDER: "fake", // accepts the test cards, see payments/
+		LOG_LEVEL: "error", // no access log between the test results
+		LOG_FORMAT: "pretty",
+		SHUTDOWN_TIMEOUT_SECONDS: "10",
+	},
+	// no defaults for secrets, passwords or the public URL, they must be set
+	production: {
+		PORT: "5000",
+		APP_NAME: "T-Level Restaurant",
+		STORAGE_BACKEND: "mysql",
+		DB_HOST: "localhost",
+		DB_PORT: "3306",
+		DB_CONNECTION_LIMIT: "10",
+		DB_AUTO_MIGRATE: "false", // run "npm run migrate up" when deploying
+		// the database may still be starting, e.g. in docker compose
+		DB_CONNECT_RETRIES: "10",
+		SESSION_MAX_AGE_MINUTES: "120",
+		SESSION_COOKIE_SECURE: "true",
+		SESSION_COOKIE_SAMESITE: "lax",
+		// behind a proxy that handles HTTPS, which secure cookies need
+		TRUST_PROXY: "1",
+		HSTS_MAX_AGE_DAYS: "180",
+		ACCESS_TOKEN_MINUTES: "15",
+		REFRESH_TOKEN_DAYS: "30",
+		BCRYPT_ROUNDS: "12",
+		MAIL_TRANSPORT: "smtp",
+		MAIL_DIR: path.join(__dirname, "mail"),
+		SMTP_PORT: "587",
+		SMTP_SECURE: "false",
+		LOG_LEVEL: "info",
+		LOG_FORMAT: "json",
+		SHUTDOWN_TIMEOUT_SECONDS: "10",
+	},
+};
+
+const MAIL_TRANSPORTS = ["smtp", "file", "console", "memory"];
+const PAYMENT_PROVIDERS = ["fake"];
+const LOG_LEVELS = ["debug", "info", "warn", "error", "silent"];
+const LOG_FORMATS = ["json", "pretty"];
+const STORAGE_BACKENDS = ["mysql", "memory"];
+const SAME_SITE_VALUES = ["strict", "lax", "none"];
+const MIN_SECRET_LENGTH = 32; // production only
+
+class ConfigError extends Error {
+	constructor(problems) {
+		super(`Invalid configuration:\n  - ${problems.join("\n  - ")}`);
+		this.name = "ConfigError";
+		this.problems = problems;
+	}
+}
+
+// Builds the settings object from `env` (normally process.env). Every problem
+// is collected so one failed start lists all of them, then a ConfigError is
+// thrown.
+function loadConfig(env = process.env) {
+	const profile = env.NODE_ENV || "development";
+
+	if (!PROFILES[profile]) {
+		throw new ConfigError([
+			`NODE_ENV must be one of ${Object.keys(PROFILES).join(
+				", "
+			)}, got "${profile}"`,
+		]);
+	}
+
+	const defaults = PROFILES[profile];
+	const problems = [];
+	const fromDefaults = [];
+
+	function read(name) {
+		const value = env[name];
+		if (value !== undefined && value.trim() !== "") return value.trim();
+		if (defaults[name] !== undefined) fromDefaults.push(name);
+		return defaults[name];
+	}
+
+	function required(name) {
+		const value = read(name);
+		if (value === undefined) {
+			problems.push(`${name} must be set in ${profile}`);
+		}
+		return value;
+	}
+
+	function optional(name) {
+		return read(name) || null;
+	}
+
+	function integer(name, min, max) {
+		const value = required(name);
+		if (value === undefined) return undefined;
+
+		const number = Number(value);
+		if (!Number.isInteger(number) || number < min || number > max) {
+			problems.push(
+				`${name} must be a whole number from ${min} to ${max}, got "${value}"`
+			);
+		}
+		return number;
+	}
+
+	function boolean(name) {
+		const value = required(name);
+		if (value === undefined) return undefined;
+
+		if (value !== "true" && value !== "false") {
+			problems.push(`${name} must be true or false, got "${value}"`);
+		}
+		return value === "true";
+	}
+
+	function url(name, value = required(name)) {
+		if (value === undefined) return undefined;
+
+		let protocol = null;
+		try {
+			protocol = new URL(value).protocol;
+		} catch (err) {
+			// reported below
+		}
+
+		if (protocol !== "http:" && protocol !== "https:") {
+			problems.push(`${name} must be an http(s) URL, got "${value}"`);
+		}
+		return value.replace(/\/+$/, "");
+	}
+
+	function list(name, fallback) {
+		const value = read(name);
+		if (value === undefined) return fallback;
+		return value
+			.split(",")
+			.map((entry) => entry.trim())
+			.filter((entry) => entry.length > 0);
+	}
+
+	function secrets(name) {
+		const values = list(name, []);
+		if (values.length === 0) {
+			problems.push(`${name} must be set in ${profile}`);
+		} else if (
+			profile === "production" &&
+			values.some((secret) => secret.length < MIN_SECRET_LENGTH)
+		) {
+			problems.push(
+				`${name} must be at least ${MIN_SECRET_LENGTH} characters in production`
+			);
+		}
+		return values;
+	}
+
+	// a "Sign in with ..." provider, only offered when its client id is set
+	function oidcClient(prefix) {
+		const clientId = optional(`${prefix}_CLIENT_ID`);
+		const clientSecret = optional(`${prefix}_CLIENT_SECRET`);
+		if (!clientId) return null;
+
+		if (!clientSecret) {
+			problems.push(
+				`${prefix}_CLIENT_SECRET must be set when ${prefix}_CLIENT_ID is`
+			);
+		}
+		return { clientId, clientSecret };
+	}
+
+	// any other OpenID Connect provider, found through its issuer URL
+	function customOidcClient() {
+		const client = oidcClient("OIDC");
+		if (!client) return null;
+
+		const issuer = required("OIDC_ISSUER");
+		return {
+			...client,
+			issuer: issuer === undefined ? null : url("OIDC_ISSUER", issuer),
+			name: optional("OIDC_NAME") || "Single sign-on",
+		};
+	}
+
+	const appUrl = url("APP_URL");
+
+	const config = {
+		env: profile,
+		isProduction: profile === "production",
+		isTest: profile === "test",
+
+		port: integer("PORT", 1, 65535),
+		// shown to people, e.g. as the account name in authenticator apps
+		appName: required("APP_NAME"),
+		// link base for emails, this is the React client not the API
+		appUrl,
+		corsOrigins: list("CORS_ORIGIN", appUrl ? [appUrl] : []).map((origin) =>
+			url("CORS_ORIGIN", origin)
+		),
+
+		// where data is kept, "memory" runs without MySQL but forgets
+		// everything on restart
+		storage: required("STORAGE_BACKEND"),
+
+		db: {
+			host: required("DB_HOST"),
+			port: integer("DB_PORT", 1, 65535),
+			user: required("DB_USER"),
+			password: required("DB_PASSWORD"),
+			name: required("DB_NAME"),
+			connectionLimit: integer("DB_CONNECTION_LIMIT", 1, 1000),
+			// apply pending migrations at startup instead of refusing to start
+			autoMigrate: boolean("DB_AUTO_MIGRATE"),
+			// how many more times to try reaching it at startup, waiting
+			// longer each time, before giving up
+			connectRetries: integer("DB_CONNECT_RETRIES", 0, 100),
+		},
+
+		session: {
+			// The first signs new cookies and the rest are still accepted, so
+			// a secret can be rotated without logging everyone out.
+			secrets: secrets("SESSION_SECRET"),
+			maxAgeMs:
+				integer("SESSION_MAX_AGE_MINUTES", 1, 60 * 24 * 90) * 60 * 1000,
+			// only sent over HTTPS, and whether other sites' requests get it
+			secureCookie: boolean("SESSION_COOKIE_SECURE"),
+			sameSite: required("SESSION_COOKIE_SAMESITE"),
+		},
+
+		// How many proxies in front of the server to trust for the client's
+		// IP and whether the request came over HTTPS (X-Forwarded-*).
+		trustProxy: integer("TRUST_PROXY", 0, 10),
+		// Strict-Transport-Security, 0 leaves it out
+		hstsMaxAgeSeconds: integer("HSTS_MAX_AGE_DAYS", 0, 730) * 24 * 60 * 60,
+
+		// social login, see oidc.js
+		oidc: {
+			google: oidcClient("GOOGLE"),
+			github: oidcClient("GITHUB"),
+			custom: customOidcClient(),
+		},
+
+		// like SESSION_SECRET, the first signs and the rest still verify
+		emailTokenSecrets: secrets("EMAIL_TOKEN_SECRET"),
+
+		// bearer tokens for apps, see services/apiTokens.js
+		tokens: {
+			// like SESSION_SECRET, the first signs and the rest still verify
+			secrets: secrets("TOKEN_SECRET"),
+			accessTtlMs:
+				integer("ACCESS_TOKEN_MINUTES", 1, 60 * 24) * 60 * 1000,
+			refreshTtlMs:
+				integer("REFRESH_TOKEN_DAYS", 1, 365) * 24 * 60 * 60 * 1000,
+		},
+		bcryptRounds: integer("BCRYPT_ROUNDS", 4, 15),
+
+		mail: {
+			transport: required("MAIL_TRANSPORT"),
+			from: required("MAIL_FROM"),
+			dir: required("MAIL_DIR"),
+			smtp: {
+				host: optional("SMTP_HOST"),
+				port: integer("SMTP_PORT", 1, 65535),
+				secure: boolean("SMTP_SECURE"),
+				user: optional("SMTP_USER"),
+				pass: optional("SMTP_PASS"),
+			},
+		},
+
+		// takes payment for online orders, see payments/. Without one the
+		// menu can still be browsed but not ordered from.
+		payments: {
+			provider: optional("PAYMENT_PROVIDER"),
+		},
+
+		// see logger.js. "pretty" is for reading in a terminal, "json" is one
+		// object per line for log collectors.
+		log: {
+			level: required("LOG_LEVEL"),
+			format: required("LOG_FORMAT"),
+		},
+
+		// when set, GET /metrics needs "Authorization: Bearer <token>"
+		metricsToken: optional("METRICS_TOKEN"),
+		// In production GET /metrics is only there with a token, so request
+		// counts and the like aren't open to anyone who finds the URL.
+		metricsEnabled:
+			profile !== "production" || Boolean(optional("METRICS_TOKEN")),
+
+		// how long requests in progress get to finish on SIGTERM or SIGINT
+		// before their connections are cut
+		shutdownTimeoutMs: integer("SHUTDOWN_TIMEOUT_SECONDS", 0, 600) * 1000,
+	};
+
+	if (config.storage && !STORAGE_BACKENDS.includes(config.storage)) {
+		problems.push(
+			`STORAGE_BACKEND must be one of ${STORAGE_BACKENDS.join(
+				", "
+			)}, got "${config.storage}"`
+		);
+	}
+
+	if (config.storage === "memory" && profile === "production") {
+		problems.push(
+			"STORAGE_BACKEND=memory loses all data on restart, it can't be used in production"
+		);
+	}
+
+	if (
+		config.session.sameSite &&
+		!SAME_SITE_VALUES.includes(config.session.sameSite)
+	) {
+		problems.push(
+			`SESSION_COOKIE_SAMESITE must be one of ${SAME_SITE_VALUES.join(
+				", "
+			)}, got "${config.session.sameSite}"`
+		);
+	}
+
+	// browsers drop SameSite=None cookies that aren't Secure
+	if (config.session.sameSite === "none" && !config.session.secureCookie) {
+		problems.push(
+			"SESSION_COOKIE_SAMESITE=none needs SESSION_COOKIE_SECURE=true"
+		);
+	}
+
+	if (config.db.name && !/^[A-Za-z0-9_]+$/.test(config.db.name)) {
+		problems.push(
+			`DB_NAME may only contain letters, digits and underscores, got "${config.db.name}"`
+		);
+	}
+
+	if (
+		config.mail.transport &&
+		!MAIL_TRANSPORTS.includes(config.mail.transport)
+	) {
+		problems.push(
+			`MAIL_TRANSPORT must be one of ${MAIL_TRANSPORTS.join(
+				", "
+			)}, got "${config.mail.transport}"`
+		);
+	}
+
+	if (config.mail.transport === "smtp" && !config.mail.smtp.host) {
+		problems.push("SMTP_HOST must be set when MAIL_TRANSPORT is smtp");
+	}
+
+	if (
+		config.payments.provider &&
+		!PAYMENT_PROVIDERS.includes(config.payments.provider)
+	) {
+		problems.push(
+			`PAYMENT_PROVIDER must be one of ${PAYMENT_PROVIDERS.join(
+				", "
+			)}, got "${config.payments.provider}"`
+		);
+	}
+
+	if (config.payments.provider === "fake" && profile === "production") {
+		problems.push(
+			"PAYMENT_PROVIDER=fake takes orders without charging for them, it can't be used in production"
+		);
+	}
+
+	if (config.log.level && !LOG_LEVELS.includes(config.log.level)) {
+		problems.push(
+			`LOG_LEVEL must be one of ${LOG_LEVELS.join(", ")}, got "${
+				config.log.level
+			}"`
+		);
+	}
+
+	if (config.log.format && !LOG_FORMATS.includes(config.log.format)) {
+		problems.push(
+			`LOG_FORMAT must be one of ${LOG_FORMATS.join(", ")}, got "${
+				config.log.format
+			}"`
+		);
+	}
+
+	if (problems.length > 0) {
+		throw new ConfigError(problems);
+	}
+
+	config.usingDevSecrets = [
+		"SESSION_SECRET",
+		"EMAIL_TOKEN_SECRET",
+		"TOKEN_SECRET",
+	].filter((name) => fromDefaults.includes(name));
+
+	return config;
+}
+
+// Fail fast: a bad setting stops the server before it starts listening
+// rather than surfacing later as a confusing runtime error.
+let config;
+try {
+	config = loadConfig(process.env);
+} catch (err) {
+	if (!(err instanceof ConfigError)) throw err;
+
+	// there are no log settings to go by, LOG_FORMAT may be the problem
+	const { createLogger } = require("./logger");
+	createLogger(
+		{},
+		{
+			level: "error",
+			format: process.env.LOG_FORMAT === "json" ? "json" : "pretty",
+		}
+	).error("Invalid configuration", { problems: err.problems });
+	process.exit(1);
+}
+
+module.exports = config;
+module.exports.loadConfig = loadConfig;
+module.exports.ConfigError = ConfigError;
+
+// after the exports, as the logger reads its settings from them
+if (config.env === "development") {
+	const logger = require("./logger");
+	for (const name of config.usingDevSecrets) {
+		logger.warn("Using the development secret, set it in .env", {
+			setting: name,
+		});
+	}
+}
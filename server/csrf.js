@@ -0,0 +1,77 @@
+const crypto = require("crypto");
+
+const config = require("./config");
+const { ForbiddenError } = require("./errors");
+
+// Cross-site request forgery protection for the cookie session. Another site
+// can make the browser send a form or fetch here with our cookie attached,
+// but it can't read our replies, so it never learns the session's token:
+//
+//   1. the client gets a token from GET /api/csrf-token (kept in the session)
+//   2. every POST/PUT/PATCH/DELETE sends it back as the X-CSRF-Token header
+//
+// Logging in starts a new session and with it a new token, so the client
+// fetches a fresh one when told CSRF_INVALID. As a second check, requests
+// from a browser must come from an origin in CORS_ORIGIN (or the API's own).
+
+const HEADER = "x-csrf-token";
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+// the session's token, made the first time it is asked for
+function getCsrfToken(req) {
+	if (!req.session.csrfToken) {
+		req.session.csrfToken = crypto.randomBytes(32).toString("base64url");
+	}
+	return req.session.csrfToken;
+}
+
+function tokensMatch(given, expected) {
+	if (typeof given !== "string" || typeof expected !== "string") {
+		return false;
+	}
+	const a = Buffer.from(given);
+	const b = Buffer.from(expected);
+	return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function allowedOrigin(req, origin) {
+	return (
+		config.corsOrigins.includes(origin) ||
+		origin === `${req.protocol}://${req.get("host")}`
+	);
+}
+
+// `exempt` lists paths that never use the session cookie, so there is
+// nothing to forge.
+function csrfProtection({ exempt = [] } = {}) {
+	return (req, res, next) => {
+		if (SAFE_METHODS.includes(req.method) || exempt.includes(req.path)) {
+			return next();
+		}
+
+		// browsers don't add Authorization headers by themselves
+		if (req.user && req.user.authMethod === "token") {
+			return next();
+		}
+
+		const origin = req.get("origin");
+		if (origin && !allowedOrigin(req, origin)) {
+			throw new ForbiddenError(
+				"Requests from other sites are not allowed.",
+				{ code: "CSRF_INVALID" }
+			);
+		}
+
+		if (!tokensMatch(req.get(HEADER), req.session.csrfToken)) {
+			throw new ForbiddenError(
+				"Your session has expired. Please refresh the page and try again.",
+				{ code: "CSRF_INVALID" }
+			);
+		}
+
+		next();
+	};
+}
+
+module.exports.getCsrfToken = getCsrfToken;
+module.exports.csrfProtection = csrfProtection;
@@ -0,0 +1,75 @@
+// Errors the services, repositories and middleware throw for problems the
+// client caused (or should hear about). The error handler in responses.js
+// replies with the status code, message and `code`, anything else is logged
+// and answered with a plain 500.
+//
+// `code` is for the client to act on and never changes wording, e.g.
+// EMAIL_TAKEN or TOKEN_EXPIRED. Each class has a general default, pass a more
+// specific one as { code } where a page may want to tell cases apart.
+// ValidationError also takes `fields`, a message per invalid input field.
+class AppError extends Error {
+	constructor(
+		message,
+		statusCode = 500,
+		{ code = "INTERNAL_ERROR", fields } = {}
+	) {
+		super(message);
+		this.name = this.constructor.name;
+		this.statusCode = statusCode;
+		this.code = code;
+		if (fields) this.fields = fields;
+	}
+}
+
+class ValidationError extends AppError {
+	constructor(message, { code = "VALIDATION_FAILED", fields } = {}) {
+		super(message, 400, { code, fields });
+	}
+}
+
+class UnauthorizedError extends AppError {
+	constructor(message, { code = "UNAUTHORIZED" } = {}) {
+		super(message, 401, { code });
+	}
+}
+
+class ForbiddenError extends AppError {
+	constructor(message, { code = "FORBIDDEN" } = {}) {
+		super(message, 403, { code });
+	}
+}
+
+class NotFoundError extends AppError {
+	constructor(message, { code = "NOT_FOUND" } = {}) {
+		super(message, 404, { code });
+	}
+}
+
+class ConflictError extends AppError {
+	constructor(message, { code = "CONFLICT" } = {}) {
+		super(message, 409, { code });
+	}
+}
+
+class TooManyRequestsError extends AppError {
+	constructor(message, { code = "TOO_MANY_REQUESTS" } = {}) {
+		super(message, 429, { code });
+	}
+}
+
+// something the client can try again later, like ordering while it is
+// turned off, rather than a bug
+class ServiceUnavailableError extends AppError {
+	constructor(message, { code = "SERVICE_UNAVAILABLE" } = {}) {
+		super(message, 503, { code });
+	}
+}
+
+module.exports.AppError = AppError;
+module.exports.ValidationError = ValidationError;
+module.exports.UnauthorizedError = UnauthorizedError;
+module.exports.ForbiddenError = ForbiddenError;
+module.exports.NotFoundError = NotFoundError;
+module.exports.ConflictError = ConflictError;
+module.exports.TooManyRequestsError = TooManyRequestsError;
+module.exports.ServiceUnavailableError = ServiceUnavailableError;
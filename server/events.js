@@ -0,0 +1,125 @@
+const metrics = require("./metrics");
+
+// Live updates for the client, sent as Server-Sent Events from
+// GET /api/events. Services publish what happened, e.g.
+//   publish("order.updated", { order }, { userId: order.userId })
+// and every open stream that may see it gets it straight away. Staff see
+// every event, anyone else only the ones about them (`userId`).
+//
+// Events only live in this process and are not stored. A client that loses
+// its connection reconnects by itself and should reload what it shows then,
+// since it may have missed something in between.
+
+const STAFF_ROLES = ["staff", "admin"];
+const HEARTBEAT_MS = 25 * 1000;
+// how long the browser waits before reconnecting
+const RETRY_MS = 5 * 1000;
+
+// { user, listener, end }, `end` only for streams
+const subscribers = new Set();
+let lastEventId = 0;
+
+function canSee(user, event) {
+	return STAFF_ROLES.includes(user.role) || event.userId === user.id;
+}
+
+// Sends an event to the streams allowed to see it. `userId` is who the event
+// is about, leave it out for staff only events.
+function publish(type, data, { userId = null } = {}) {
+	lastEventId += 1;
+	const event = {
+		id: lastEventId,
+		type,
+		data,
+		userId: userId === null ? null : Number(userId),
+	};
+
+	for (const subscriber of subscribers) {
+		if (canSee(subscriber.user, event)) subscriber.listener(event);
+	}
+}
+
+// Calls `listener` with each event `user` may see. Returns a function that
+// stops listening.
+function subscribe(user, listener) {
+	const subscriber = { user, listener };
+	subscribers.add(subscriber);
+	return () => subscribers.delete(subscriber);
+}
+
+function subscriberCount() {
+	return subscribers.size;
+}
+
+function formatEvent(event) {
+	return `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(
+		event.data
+	)}\n\n`;
+}
+
+// The handler for the stream, for a route that already checked req.user.
+// `currentUser(req)` is called with every heartbeat and returns who is
+// logged in now, or null, so a stream doesn't outlive its login and picks up
+// role changes. The stream ends when it returns null.
+function eventStream({ currentUser, heartbeatMs = HEARTBEAT_MS }) {
+	return (req, res) => {
+		res.status(200).set({
+			"Content-Type": "text/event-stream",
+			"Cache-Control": "no-store",
+			Connection: "keep-alive",
+			// stops nginx holding events back
+			"X-Accel-Buffering": "no",
+		});
+		res.flushHeaders();
+		res.write(`retry: ${RETRY_MS}\n\n`);
+
+		const subscriber = {
+			user: req.user,
+			listener: (event) => res.write(formatEvent(event)),
+			end: () => res.end(),
+		};
+		subscribers.add(subscriber);
+
+		let checking = false;
+		const heartbeat = setInterval(async () => {
+			if (checking) return;
+			checking = true;
+			try {
+				const user = await currentUser(req);
+				if (!user) return res.end();
+				subscriber.user = user;
+				res.write(": heartbeat\n\n");
+			} catch (err) {
+				res.end();
+			} finally {
+				checking = false;
+			}
+		}, heartbeatMs);
+
+		res.on("close", () => {
+			clearInterval(heartbeat);
+			subscribers.delete(subscriber);
+		});
+	};
+}
+
+// Ends every open stream, e.g. when the server shuts down. Browsers will
+// try to reconnect, to whichever server is up by then.
+function closeStreams() {
+	for (const subscriber of subscribers) {
+		if (subscriber.end) subscriber.end();
+	}
+}
+
+metrics.gauge(
+	"live_event_streams",
+	"Open GET /api/events streams",
+	() => subscribers.size
+);
+
+module.exports.STAFF_ROLES = STAFF_ROLES;
+module.exports.publish = publish;
+module.exports.subscribe = subscribe;
+module.exports.subscriberCount = subscriberCount;
+module.exports.eventStream = eventStream;
+module.exports.closeStreams = closeStreams;
@@ -0,0 +1,63 @@
+const crypto = require("crypto");
+
+// JSON Web Tokens signed with HMAC-SHA256 (RFC 7519), all the API's access
+// tokens need. Only HS256 is accepted when verifying, so a token can't pick a
+// weaker algorithm (or "none") for itself.
+
+const HEADER = { alg: "HS256", typ: "JWT" };
+
+function encode(value) {
+	return Buffer.from(JSON.stringify(value)).toString("base64url");
+}
+
+function decode(part) {
+	return JSON.parse(Buffer.from(part, "base64url").toString());
+}
+
+function signature(unsigned, secret) {
+	return crypto.createHmac("sha256", secret).update(unsigned).digest();
+}
+
+// `claims` should include exp, in seconds since the epoch
+function sign(claims, secret) {
+	const unsigned = `${encode(HEADER)}.${encode(claims)}`;
+	return `${unsigned}.${signature(unsigned, secret).toString("base64url")}`;
+}
+
+// Returns the claims, or null if the token is malformed, signed with another
+// key or expired. `secrets` may be a list, for rotating the key.
+function verify(token, secrets) {
+	const parts = String(token || "").split(".");
+	if (parts.length !== 3) return null;
+
+	let header;
+	let claims;
+	try {
+		header = decode(parts[0]);
+		claims = decode(parts[1]);
+	} catch (err) {
+		return null;
+	}
+	if (header.alg !== HEADER.alg || !claims || typeof claims !== "object") {
+		return null;
+	}
+
+	const unsigned = `${parts[0]}.${parts[1]}`;
+	const given = Buffer.from(parts[2], "base64url");
+	const valid = [].concat(secrets).some((secret) => {
+		const expected = signature(unsigned, secret);
+		return (
+			given.length === expected.length &&
+			crypto.timingSafeEqual(given, expected)
+		);
+	});
+	if (!valid) return null;
+
+	if (typeof claims.exp !== "number" || claims.exp * 1000 <= Date.now()) {
+		return null;
+	}
+	return claims;
+}
+
+module.exports.sign = sign;
+module.exports.verify = verify;
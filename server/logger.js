@@ -0,0 +1,148 @@
+const chalk = require("chalk"); // colored console output
+
+// The server's log. Every entry has a level, a message and any fields given,
+// e.g.
+//   logger.info("Order placed", { orderId: 5 })
+//   logger.error("Error sending email", { err })
+// LOG_FORMAT=json writes one JSON object per line (time, level, msg, then the
+// fields) for log collectors, "pretty" writes a colored line for a terminal.
+// Entries below LOG_LEVEL are dropped.
+//
+// Fields that look like secrets (passwords, tokens, cookies and the like)
+// are replaced with "[redacted]" wherever they appear, so a request body or
+// headers can be logged as they are.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+const COLORS = {
+	debug: chalk.gray,
+	info: chalk.cyanBright,
+	warn: chalk.yellowBright,
+	error: chalk.redBright,
+};
+
+const REDACTED = "[redacted]";
+const SECRET_FIELD =
+	/pass(word)?$|token|secret|authorization|cookie|api[-_]?key|recovery|^code$/i;
+
+function isSecretField(name) {
+	return SECRET_FIELD.test(name);
+}
+
+// a copy of `value` with secret fields replaced, errors turned into plain
+// objects and anything too deep cut off
+function redact(value, depth = 0) {
+	if (value instanceof Error) {
+		return {
+			name: value.name,
+			message: value.message,
+			...(value.code && { code: value.code }),
+			stack: value.stack,
+		};
+	}
+	if (value === null || typeof value !== "object") return value;
+	if (value instanceof Date) return value.toISOString();
+	if (depth > 5) return "[nested]";
+
+	if (Array.isArray(value)) {
+		return value.map((entry) => redact(entry, depth + 1));
+	}
+
+	const copy = {};
+	for (const [name, entry] of Object.entries(value)) {
+		copy[name] = isSecretField(name) ? REDACTED : redact(entry, depth + 1);
+	}
+	return copy;
+}
+
+// A path with the values of secret query parameters replaced, e.g.
+// /api/verify?token=abc -> /api/verify?token=[redacted]
+function redactUrl(url) {
+	const start = url.indexOf("?");
+	if (start === -1) return url;
+
+	const params = new URLSearchParams(url.slice(start + 1));
+	for (const name of [...params.keys()]) {
+		if (isSecretField(name)) params.set(name, REDACTED);
+	}
+	return `${url.slice(0, start)}?${params.toString()}`;
+}
+
+function formatJson(level, msg, fields) {
+	return JSON.stringify({
+		time: new Date().toISOString(),
+		level,
+		msg,
+		...fields,
+	});
+}
+
+function formatPretty(level, msg, fields) {
+	const { err, ...rest } = fields;
+	const details = Object.entries(rest)
+		.map(([name, value]) => `${name}=${JSON.stringify(value)}`)
+		.join(" ");
+	const line = `${COLORS[level](`${level.toUpperCase()} ${msg}`)}${
+		details ? ` ${chalk.gray(details)}` : ""
+	}`;
+	return err && err.stack ? `${line}\n${err.stack}` : line;
+}
+
+function writeToConsole(line, entryLevel) {
+	if (entryLevel === "error") {
+		process.stderr.write(`${line}\n`);
+	} else {
+		process.stdout.write(`${line}\n`);
+	}
+}
+
+// Makes a logger that adds `bound` to every entry, e.g. a request id.
+// `options` are { level, format, write } and default to the config and
+// the console. The config is only read once something is logged, so
+// config.js can use a logger to report its own problems.
+function createLogger(bound = {}, options = {}) {
+	const { write = writeToConsole } = options;
+	let settings = null;
+
+	function getSettings() {
+		if (!settings) {
+			const defaults =
+				options.level && options.format ? {} : require("./config").log;
+			settings = {
+				threshold: LEVELS[options.level || defaults.level],
+				format: options.format || defaults.format,
+			};
+		}
+		return settings;
+	}
+
+	function log(entryLevel, msg, fields = {}) {
+		const { threshold, format } = getSettings();
+		if (LEVELS[entryLevel] < threshold) return;
+
+		const entry = redact({ ...bound, ...fields });
+		const line =
+			format === "json"
+				? formatJson(entryLevel, msg, entry)
+				: formatPretty(entryLevel, msg, entry);
+		write(line, entryLevel);
+	}
+
+	return {
+		debug: (msg, fields) => log("debug", msg, fields),
+		info: (msg, fields) => log("info", msg, fields),
+		warn: (msg, fields) => log("warn", msg, fields),
+		error: (msg, fields) => log("error", msg, fields),
+		isEnabled: (entryLevel) =>
+			LEVELS[entryLevel] >= getSettings().threshold,
+		child: (fields) => createLogger({ ...bound, ...fields }, options),
+	};
+}
+
+// the logger the app uses
+const logger = createLogger();
+
+module.exports = logger;
+module.exports.createLogger = createLogger;
+module.exports.redact = redact;
+module.exports.redactUrl = redactUrl;
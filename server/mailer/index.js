@@ -0,0 +1,102 @@
+const fs = require("fs");
+const path = require("path");
+const nodemailer = require("nodemailer");
+
+const chalk = require("chalk"); // colored console output
+
+const config = require("../config");
+const logger = require("../logger");
+const { renderTemplate } = require("./render");
+
+// MAIL_TRANSPORT picks where mail goes:
+//   smtp    - a real SMTP server (SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS)
+//   file    - one .eml file per message in MAIL_DIR, for local testing
+//   console - prints the text version to the terminal
+//   memory  - keeps messages in `outbox`, for the automated tests
+const transportName = config.mail.transport;
+const mailFrom = config.mail.from;
+const mailDir = config.mail.dir;
+
+// link base for emails, this is the React client not the API
+const appUrl = config.appUrl;
+
+function createTransport(name) {
+	switch (name) {
+		case "smtp":
+			return nodemailer.createTransport({
+				host: config.mail.smtp.host,
+				port: config.mail.smtp.port,
+				secure: config.mail.smtp.secure,
+				auth: config.mail.smtp.user
+					? {
+							user: config.mail.smtp.user,
+							pass: config.mail.smtp.pass,
+					  }
+					: undefined,
+			});
+		case "file":
+			return nodemailer.createTransport({
+				streamTransport: true,
+				buffer: true,
+				newline: "unix",
+			});
+		case "console":
+		case "memory":
+			return nodemailer.createTransport({ jsonTransport: true });
+		default:
+			throw new Error(`Unknown MAIL_TRANSPORT: ${name}`);
+	}
+}
+
+const transport = createTransport(transportName);
+
+// messages sent with the memory transport, oldest first
+const outbox = [];
+
+function saveToFile(info, template) {
+	fs.mkdirSync(mailDir, { recursive: true });
+	const fileName = `${Date.now()}-${template}-${info.messageId.replace(
+		/[^a-z0-9]/gi,
+		""
+	)}.eml`;
+	const filePath = path.join(mailDir, fileName);
+	fs.writeFileSync(filePath, info.message);
+	logger.info("Mail written to file", { file: filePath });
+}
+
+function printToConsole(message) {
+	console.log(chalk.blueBright(`--- Mail to ${message.to} ---`));
+	console.log(chalk.blueBright(`Subject: ${message.subject}`));
+	console.log(message.text);
+	console.log(chalk.blueBright("--- End of mail ---"));
+}
+
+// Renders a template from ./templates and sends it. Throws if sending fails,
+// use sendNotice for mail the request shouldn't wait on or fail over.
+async function sendMail(template, to, data = {}) {
+	const rendered = renderTemplate(template, { appUrl, ...data });
+	const message = { from: mailFrom, to, ...rendered };
+
+	const info = await transport.sendMail(message);
+
+	if (transportName === "file") {
+		saveToFile(info, template);
+	} else if (transportName === "console") {
+		printToConsole(message);
+	} else if (transportName === "memory") {
+		outbox.push({ template, ...message });
+	}
+
+	return info;
+}
+
+function sendNotice(template, to, data = {}) {
+	return sendMail(template, to, data).catch((err) => {
+		logger.error("Error sending email", { template, to, err });
+	});
+}
+
+module.exports.appUrl = appUrl;
+module.exports.sendMail = sendMail;
+module.exports.sendNotice = sendNotice;
+module.exports.outbox = outbox;
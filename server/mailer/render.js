@@ -0,0 +1,56 @@
+const path = require("path");
+
+const config = require("../config");
+
+const templateDir = path.join(__dirname, "templates");
+
+function escapeHtml(value) {
+	return String(value)
+		.replace(/&/g, "&amp;")
+		.replace(/</g, "&lt;")
+		.replace(/>/g, "&gt;")
+		.replace(/"/g, "&quot;")
+		.replace(/'/g, "&#39;");
+}
+
+// Replaces {{name}} placeholders. Values are escaped for the HTML body only.
+function fill(source, data, escape) {
+	return source.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => {
+		if (data[key] === undefined || data[key] === null) {
+			throw new Error(`Missing value for {{${key}}} in email template`);
+		}
+		return escape ? escapeHtml(data[key]) : String(data[key]);
+	});
+}
+
+function layout(title, body) {
+	return `<!DOCTYPE html>
+<html>
+	<body style="margin:0;padding:32px;background:#0a0a0a;font-family:Arial,sans-serif;color:#d4d4d4;">
+		<div style="max-width:560px;margin:0 auto;background:#161616;border-top:2px solid #d4af37;padding:32px;">
+			<h1 style="font-weight:300;color:#f5f5f5;margin-top:0;">${title}</h1>
+			${body}
+		</div>
+		<p style="text-align:center;color:#737373;font-size:12px;">${escapeHtml(config.appName)}</p>
+	</body>
+</html>`;
+}
+
+// Each template in ./templates exports { subject, text, html }. The subject
+// and text are plain strings, html is the inner body that goes in the layout.
+function renderTemplate(name, data) {
+	if (!/^[a-z-]+$/.test(name)) {
+		throw new Error(`Invalid email template name: ${name}`);
+	}
+
+	const template = require(path.join(templateDir, `${name}.js`));
+	const subject = fill(template.subject, data, false);
+
+	return {
+		subject,
+		text: fill(template.text, data, false),
+		html: layout(escapeHtml(subject), fill(template.html, data, true)),
+	};
+}
+
+module.exports.renderTemplate = renderTemplate;
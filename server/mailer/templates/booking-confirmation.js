@@ -0,0 +1,19 @@
+module.exports = {
+	subject: "Your booking is {{action}}",
+	text: `Hello,
+
+Your table booking is {{action}}:
+
+Date: {{date}}
+Time: {{time}}
+Guests: {{partySize}}
+
+You can change or cancel it at {{appUrl}}/bookings`,
+	html: `<p>Your table booking is {{action}}:</p>
+<table style="color:#d4d4d4;">
+	<tr><td style="padding-right:16px;color:#a3a3a3;">Date</td><td>{{date}}</td></tr>
+	<tr><td style="padding-right:16px;color:#a3a3a3;">Time</td><td>{{time}}</td></tr>
+	<tr><td style="padding-right:16px;color:#a3a3a3;">Guests</td><td>{{partySize}}</td></tr>
+</table>
+<p><a href="{{appUrl}}/bookings" style="color:#d4af37;">Change or cancel your booking</a></p>`,
+};
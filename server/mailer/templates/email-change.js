@@ -0,0 +1,13 @@
+module.exports = {
+	subject: "Confirm your new email address",
+	text: `Hello,
+
+Open this link within the next hour to start using {{email}} for your account:
+
+{{confirmUrl}}
+
+If you did not ask for this you can ignore this email.`,
+	html: `<p>Use the button below within the next hour to start using <strong>{{email}}</strong> for your account.</p>
+<p><a href="{{confirmUrl}}" style="display:inline-block;padding:12px 24px;border:1px solid #d4af37;color:#f5f5f5;text-decoration:none;">Confirm email address</a></p>
+<p style="color:#737373;">If you did not ask for this you can ignore this email.</p>`,
+};
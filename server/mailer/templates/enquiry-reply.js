@@ -0,0 +1,18 @@
+module.exports = {
+	subject: "Re: {{subject}}",
+	text: `Hello {{name}},
+
+{{reply}}
+
+----
+You wrote:
+
+{{enquiry}}
+
+You can get in touch again at {{appUrl}}/contact.`,
+	html: `<p>Hello {{name}},</p>
+<p style="white-space:pre-wrap;">{{reply}}</p>
+<p style="color:#737373;">You wrote:</p>
+<blockquote style="white-space:pre-wrap;color:#a3a3a3;border-left:2px solid #404040;margin:0;padding-left:12px;">{{enquiry}}</blockquote>
+<p>You can <a href="{{appUrl}}/contact" style="color:#d4af37;">get in touch again</a> any time.</p>`,
+};
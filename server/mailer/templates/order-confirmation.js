@@ -0,0 +1,18 @@
+module.exports = {
+	subject: "Your order #{{orderId}} is confirmed",
+	text: `Hello,
+
+Thanks for your order, we have taken payment and it will be ready for collection soon.
+
+Order #{{orderId}}
+{{items}}
+
+Total paid: {{total}}
+
+You can follow your order at {{appUrl}}/profile`,
+	html: `<p>Thanks for your order, we have taken payment and it will be ready for collection soon.</p>
+<p style="color:#a3a3a3;">Order #{{orderId}}</p>
+<p style="white-space:pre-line;">{{items}}</p>
+<p>Total paid: <strong>{{total}}</strong></p>
+<p><a href="{{appUrl}}/profile" style="color:#d4af37;">Follow your order</a></p>`,
+};
@@ -0,0 +1,10 @@
+module.exports = {
+	subject: "Your password has been changed",
+	text: `Hello,
+
+The password for your account was just changed.
+
+If this was not you, reset your password straight away at {{appUrl}}/forgot and contact us.`,
+	html: `<p>The password for your account was just changed.</p>
+<p>If this was not you, <a href="{{appUrl}}/forgot" style="color:#d4af37;">reset your password</a> straight away and contact us.</p>`,
+};
@@ -0,0 +1,13 @@
+module.exports = {
+	subject: "Reset your password",
+	text: `Hello,
+
+Someone asked to reset the password for your account. If that was you, open this link within the next hour to choose a new password:
+
+{{resetUrl}}
+
+If you did not ask for this you can ignore this email, your password has not been changed.`,
+	html: `<p>Someone asked to reset the password for your account. If that was you, use the button below within the next hour to choose a new password.</p>
+<p><a href="{{resetUrl}}" style="display:inline-block;padding:12px 24px;border:1px solid #d4af37;color:#f5f5f5;text-decoration:none;">Reset your password</a></p>
+<p style="color:#737373;">If you did not ask for this you can ignore this email, your password has not been changed.</p>`,
+};
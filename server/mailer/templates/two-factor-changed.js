@@ -0,0 +1,10 @@
+module.exports = {
+	subject: "Two-factor authentication {{change}}",
+	text: `Hello,
+
+Two-factor authentication for your account was just {{change}}.
+
+If this was not you, reset your password straight away at {{appUrl}}/forgot and contact us.`,
+	html: `<p>Two-factor authentication for your account was just {{change}}.</p>
+<p>If this was not you, <a href="{{appUrl}}/forgot" style="color:#d4af37;">reset your password</a> straight away and contact us.</p>`,
+};
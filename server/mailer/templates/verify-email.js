@@ -0,0 +1,13 @@
+module.exports = {
+	subject: "Please verify your email address",
+	text: `Hello,
+
+Thanks for registering. Open this link within the next 24 hours to verify your email address:
+
+{{verifyUrl}}
+
+You will need to verify your address before you can book a table.`,
+	html: `<p>Thanks for registering. Use the button below within the next 24 hours to verify your email address.</p>
+<p><a href="{{verifyUrl}}" style="display:inline-block;padding:12px 24px;border:1px solid #d4af37;color:#f5f5f5;text-decoration:none;">Verify email address</a></p>
+<p style="color:#737373;">You will need to verify your address before you can book a table.</p>`,
+};
@@ -0,0 +1,13 @@
+module.exports = {
+	subject: "Welcome to T-Level Restaurant",
+	text: `Hello,
+
+Thanks for creating an account with {{email}}. You can now book a table and manage your bookings online:
+
+{{appUrl}}/book
+
+We look forward to seeing you.`,
+	html: `<p>Thanks for creating an account with <strong>{{email}}</strong>. You can now book a table and manage your bookings online.</p>
+<p><a href="{{appUrl}}/book" style="display:inline-block;padding:12px 24px;border:1px solid #d4af37;color:#f5f5f5;text-decoration:none;">Book a table</a></p>
+<p>We look forward to seeing you.</p>`,
+};
@@ -0,0 +1,225 @@
+const crypto = require("crypto");
+
+const { UnauthorizedError } = require("./errors");
+
+// Counters and histograms for GET /metrics, in the Prometheus text format
+// (https://prometheus.io/docs/instrumenting/exposition_formats/). Kept in
+// memory, so they start again from zero when the server restarts, which
+// Prometheus expects.
+//
+//   const hits = counter("cache_hits_total", "Cache hits", ["cache"]);
+//   hits.inc({ cache: "menu" });
+
+const CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+// name -> metric
+const registry = new Map();
+
+// request durations, in seconds
+const DEFAULT_BUCKETS = [
+	0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10,
+];
+
+function escapeLabel(value) {
+	return String(value)
+		.replace(/\\/g, "\\\\")
+		.replace(/\n/g, "\\n")
+		.replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+	const entries = Object.entries(labels);
+	if (entries.length === 0) return "";
+	return `{${entries
+		.map(([name, value]) => `${name}="${escapeLabel(value)}"`)
+		.join(",")}}`;
+}
+
+// the labels in a fixed order, as a key for the values map
+function labelKey(labelNames, labels) {
+	return JSON.stringify(labelNames.map((name) => String(labels[name] ?? "")));
+}
+
+function fromKey(labelNames, key) {
+	const values = JSON.parse(key);
+	return Object.fromEntries(labelNames.map((name, i) => [name, values[i]]));
+}
+
+function register(metric) {
+	if (registry.has(metric.name)) {
+		throw new Error(`Metric ${metric.name} is already registered`);
+	}
+	registry.set(metric.name, metric);
+	return metric;
+}
+
+function counter(name, help, labelNames = []) {
+	const values = new Map();
+
+	return register({
+		name,
+		help,
+		type: "counter",
+		inc(labels = {}, amount = 1) {
+			const key = labelKey(labelNames, labels);
+			values.set(key, (values.get(key) || 0) + amount);
+		},
+		get(labels = {}) {
+			return values.get(labelKey(labelNames, labels)) || 0;
+		},
+		lines() {
+			return [...values].map(
+				([key, value]) =>
+					`${name}${formatLabels(fromKey(labelNames, key))} ${value}`
+			);
+		},
+		reset: () => values.clear(),
+	});
+}
+
+// A value read when the metrics are collected, e.g. open connections.
+function gauge(name, help, collect) {
+	return register({
+		name,
+		help,
+		type: "gauge",
+		lines: () => [`${name} ${collect()}`],
+		reset: () => {},
+	});
+}
+
+function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+	// key -> { counts per bucket, sum, count }
+	const values = new Map();
+
+	return register({
+		name,
+		help,
+		type: "histogram",
+		observe(labels, value) {
+			const key = labelKey(labelNames, labels);
+			if (!values.has(key)) {
+				values.set(key, {
+					counts: buckets.map(() => 0),
+					sum: 0,
+					count: 0,
+				});
+			}
+			const entry = values.get(key);
+			buckets.forEach((bound, i) => {
+				if (value <= bound) entry.counts[i] += 1;
+			});
+			entry.sum += value;
+			entry.count += 1;
+		},
+		lines() {
+			const lines = [];
+			for (const [key, entry] of values) {
+				const labels = fromKey(labelNames, key);
+				buckets.forEach((bound, i) => {
+					lines.push(
+						`${name}_bucket${formatLabels({
+							...labels,
+							le: bound,
+						})} ${entry.counts[i]}`
+					);
+				});
+				lines.push(
+					`${name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${
+						entry.count
+					}`
+				);
+				lines.push(`${name}_sum${formatLabels(labels)} ${entry.sum}`);
+				lines.push(
+					`${name}_count${formatLabels(labels)} ${entry.count}`
+				);
+			}
+			return lines;
+		},
+		reset: () => values.clear(),
+	});
+}
+
+// everything registered, as the body of GET /metrics
+function collect() {
+	const lines = [];
+	for (const metric of registry.values()) {
+		lines.push(`# HELP ${metric.name} ${metric.help}`);
+		lines.push(`# TYPE ${metric.name} ${metric.type}`);
+		lines.push(...metric.lines());
+	}
+	return `${lines.join("\n")}\n`;
+}
+
+// back to zero, for tests
+function resetMetrics() {
+	registry.forEach((metric) => metric.reset());
+}
+
+// The GET /metrics handler. With a `token`, scrapers must send it as
+// "Authorization: Bearer <token>".
+function metricsEndpoint({ token = null } = {}) {
+	const expected = token ? Buffer.from(token) : null;
+
+	return (req, res) => {
+		if (expected) {
+			const header = req.get("authorization") || "";
+			const given = Buffer.from(header.replace(/^Bearer\s+/i, ""));
+			if (
+				given.length !== expected.length ||
+				!crypto.timingSafeEqual(given, expected)
+			) {
+				throw new UnauthorizedError(
+					"A valid metrics token is needed.",
+					{
+						code: "INVALID_TOKEN",
+					}
+				);
+			}
+		}
+
+		res.set("Cache-Control", "no-store");
+		res.type(CONTENT_TYPE).send(collect());
+	};
+}
+
+// The app's own metrics.
+
+const httpRequests = counter(
+	"http_requests_total",
+	"HTTP requests by method, route and status",
+	["method", "route", "status"]
+);
+
+const httpRequestDuration = histogram(
+	"http_request_duration_seconds",
+	"How long HTTP requests took to answer, by method, route and status",
+	["method", "route", "status"]
+);
+
+const authFailures = counter(
+	"auth_failures_total",
+	"Failed or refused authentication attempts, by reason",
+	["reason"]
+);
+
+gauge("process_uptime_seconds", "How long the server has been running", () =>
+	Math.round(process.uptime())
+);
+
+gauge(
+	"process_resident_memory_bytes",
+	"Memory used by the server process",
+	() => process.memoryUsage().rss
+);
+
+module.exports.CONTENT_TYPE = CONTENT_TYPE;
+module.exports.counter = counter;
+module.exports.gauge = gauge;
+module.exports.histogram = histogram;
+module.exports.collect = collect;
+module.exports.resetMetrics = resetMetrics;
+module.exports.metricsEndpoint = metricsEndpoint;
+module.exports.httpRequests = httpRequests;
+module.exports.httpRequestDuration = httpRequestDuration;
+module.exports.authFailures = authFailures;
@@ -0,0 +1,93 @@
+// Database migration CLI, run through npm:
+//   npm run migrate status          list migrations and whether they have run
+//   npm run migrate up [number]     run pending migrations (up to `number`)
+//   npm run migrate down [steps]    undo the last migration (or `steps` of them)
+//   npm run migrate create <name>   add a new numbered migration file
+//   npm run seed                    add the starting data
+
+const chalk = require("chalk"); // colored console output
+
+const migrator = require("./migrator");
+
+const USAGE = `Usage: npm run migrate <status|up [number]|down [steps]|create <name>|seed>`;
+
+function parseCount(value, name) {
+	if (value === undefined) return undefined;
+	const number = Number(value);
+	if (!Number.isInteger(number) || number < 1) {
+		throw new Error(`${name} must be a positive whole number`);
+	}
+	return number;
+}
+
+async function printStatus(connection) {
+	const { migrations, unknown } = await migrator.getStatus(connection);
+
+	for (const migration of migrations) {
+		console.log(
+			migration.applied
+				? chalk.greenBright(
+						`  up       ${migration.name}  (${new Date(
+							migration.appliedAt
+						).toLocaleString()})`
+				  )
+				: chalk.yellowBright(`  pending  ${migration.name}`)
+		);
+	}
+	for (const name of unknown) {
+		console.log(chalk.redBright(`  missing  ${name}  (no file)`));
+	}
+	if (migrations.length === 0) console.log("No migrations.");
+}
+
+async function run(command, argument) {
+	if (command === "create") {
+		const file = migrator.createMigration(argument);
+		console.log(chalk.greenBright(`Created ${file}`));
+		return;
+	}
+
+	if (!["status", "up", "down", "seed"].includes(command)) {
+		console.log(USAGE);
+		process.exitCode = 1;
+		return;
+	}
+
+	const connection = await migrator.connect({
+		createDatabase: command === "up",
+	});
+
+	try {
+		if (command === "status") {
+			await printStatus(connection);
+		} else if (command === "up") {
+			const ran = await migrator.migrateUp(connection, {
+				to: parseCount(argument, "number"),
+			});
+			console.log(
+				chalk.greenBright(
+					ran.length > 0
+						? `Applied ${ran.length} migration(s)`
+						: "Already up to date"
+				)
+			);
+		} else if (command === "down") {
+			const ran = await migrator.migrateDown(connection, {
+				steps: parseCount(argument, "steps") || 1,
+			});
+			console.log(
+				chalk.greenBright(`Rolled back ${ran.length} migration(s)`)
+			);
+		} else {
+			await migrator.runSeeds(connection);
+			console.log(chalk.greenBright("Seeding completed"));
+		}
+	} finally {
+		await connection.end();
+	}
+}
+
+run(process.argv[2], process.argv[3]).catch((err) => {
+	console.error(chalk.redBright(err.message));
+	process.exitCode = 1;
+});
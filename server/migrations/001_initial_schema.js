@@ -0,0 +1,130 @@
+// Baseline schema, the tables that dbschema.sql used to create. Every
+// statement uses IF NOT EXISTS so databases set up from that file are marked
+// as migrated. Their users table is older than this one, the columns it is
+// missing are added by 007_upgrade_baseline_users.
+
+module.exports.up = async (db) => {
+	await db.query(`
+		CREATE TABLE IF NOT EXISTS users (
+			id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+			email VARCHAR(255) NOT NULL UNIQUE,
+			password_hash VARCHAR(255) NOT NULL,
+			email_verified TINYINT(1) NOT NULL DEFAULT 0,
+			email_verified_at DATETIME DEFAULT NULL,
+			role ENUM('customer', 'staff', 'admin') NOT NULL DEFAULT 'customer',
+			display_name VARCHAR(100) DEFAULT NULL,
+			phone VARCHAR(30) DEFAULT NULL,
+			dietary_preferences VARCHAR(255) NOT NULL DEFAULT '',
+			pending_email VARCHAR(255) DEFAULT NULL,
+			email_change_token CHAR(64) DEFAULT NULL,
+			email_change_expires DATETIME DEFAULT NULL,
+			reset_token CHAR(64) DEFAULT NULL,
+			reset_expires DATETIME DEFAULT NULL,
+			failed_login_count INT UNSIGNED NOT NULL DEFAULT 0,
+			locked_until DATETIME DEFAULT NULL,
+			created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+		)
+	`);
+
+	await db.query(`
+		CREATE TABLE IF NOT EXISTS menu_categories (
+			id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+			name VARCHAR(100) NOT NULL,
+			slug VARCHAR(100) NOT NULL UNIQUE,
+			description VARCHAR(255) DEFAULT NULL,
+			sort_order INT NOT NULL DEFAULT 0
+		)
+	`);
+
+	await db.query(`
+		CREATE TABLE IF NOT EXISTS menu_items (
+			id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+			category_id INT UNSIGNED NOT NULL,
+			name VARCHAR(150) NOT NULL,
+			description TEXT,
+			price DECIMAL(8, 2) NOT NULL,
+			allergens VARCHAR(255) NOT NULL DEFAULT '',
+			dietary_tags VARCHAR(255) NOT NULL DEFAULT '',
+			is_available TINYINT(1) NOT NULL DEFAULT 1,
+			sort_order INT NOT NULL DEFAULT 0,
+			FOREIGN KEY (category_id) REFERENCES menu_categories(id) ON DELETE CASCADE
+		)
+	`);
+
+	await db.query(`
+		CREATE TABLE IF NOT EXISTS restaurant_tables (
+			id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+			label VARCHAR(50) NOT NULL UNIQUE,
+			capacity TINYINT UNSIGNED NOT NULL,
+			is_active TINYINT(1) NOT NULL DEFAULT 1
+		)
+	`);
+
+	await db.query(`
+		CREATE TABLE IF NOT EXISTS opening_hours (
+			day_of_week TINYINT UNSIGNED PRIMARY KEY, -- 0 = Sunday, same as Date.getDay()
+			open_time TIME NOT NULL,
+			close_time TIME NOT NULL
+		)
+	`);
+
+	await db.query(`
+		CREATE TABLE IF NOT EXISTS bookings (
+			id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+			user_id INT UNSIGNED NOT NULL,
+			table_id INT UNSIGNED NOT NULL,
+			party_size TINYINT UNSIGNED NOT NULL,
+			starts_at DATETIME NOT NULL,
+			ends_at DATETIME NOT NULL,
+			status ENUM('confirmed', 'cancelled', 'completed', 'no-show') NOT NULL DEFAULT 'confirmed',
+			notes VARCHAR(255) DEFAULT NULL,
+			created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+			FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+			FOREIGN KEY (table_id) REFERENCES restaurant_tables(id),
+			INDEX idx_bookings_table_time (table_id, starts_at)
+		)
+	`);
+
+	await db.query(`
+		CREATE TABLE IF NOT EXISTS sessions (
+			session_id VARCHAR(128) PRIMARY KEY,
+			public_id CHAR(32) NOT NULL UNIQUE,
+			user_id INT UNSIGNED DEFAULT NULL,
+			data TEXT NOT NULL,
+			expires DATETIME NOT NULL,
+			user_agent VARCHAR(255) DEFAULT NULL,
+			ip_address VARCHAR(45) DEFAULT NULL,
+			created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+			last_seen DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+			FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+			INDEX idx_sessions_expires (expires)
+		)
+	`);
+
+	await db.query(`
+		CREATE TABLE IF NOT EXISTS auth_events (
+			id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+			user_id INT UNSIGNED DEFAULT NULL,
+			email VARCHAR(255) DEFAULT NULL,
+			event_type VARCHAR(40) NOT NULL,
+			ip_address VARCHAR(45) DEFAULT NULL,
+			user_agent VARCHAR(255) DEFAULT NULL,
+			detail VARCHAR(255) DEFAULT NULL,
+			created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+			FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
+			INDEX idx_auth_events_created (created_at),
+			INDEX idx_auth_events_email (email)
+		)
+	`);
+};
+
+module.exports.down = async (db) => {
+	await db.query("DROP TABLE IF EXISTS auth_events");
+	await db.query("DROP TABLE IF EXISTS sessions");
+	await db.query("DROP TABLE IF EXISTS bookings");
+	await db.query("DROP TABLE IF EXISTS opening_hours");
+	await db.query("DROP TABLE IF EXISTS restaurant_tables");
+	await db.query("DROP TABLE IF EXISTS menu_items");
+	await db.query("DROP TABLE IF EXISTS menu_categories");
+	await db.query("DROP TABLE IF EXISTS users");
+};
@@ -0,0 +1,36 @@
+// Optional TOTP two-factor authentication. The secret is saved when setup
+// starts and totp_enabled_at is only set once the user has proved their app
+// works with a code. totp_last_step is the time step of the last code used,
+// so no code works twice.
+
+module.exports.up = async (db) => {
+	await db.query(`
+		ALTER TABLE users
+			ADD COLUMN totp_secret VARCHAR(64) DEFAULT NULL,
+			ADD COLUMN totp_enabled_at DATETIME DEFAULT NULL,
+			ADD COLUMN totp_last_step BIGINT UNSIGNED DEFAULT NULL
+	`);
+
+	// one-off codes for when the phone is lost, stored as SHA-256 hashes
+	await db.query(`
+		CREATE TABLE recovery_codes (
+			id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+			user_id INT UNSIGNED NOT NULL,
+			code_hash CHAR(64) NOT NULL,
+			used_at DATETIME DEFAULT NULL,
+			created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+			FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+			UNIQUE KEY uq_recovery_codes_user_hash (user_id, code_hash)
+		)
+	`);
+};
+
+module.exports.down = async (db) => {
+	await db.query("DROP TABLE IF EXISTS recovery_codes");
+	await db.query(`
+		ALTER TABLE users
+			DROP COLUMN totp_secret,
+			DROP COLUMN totp_enabled_at,
+			DROP COLUMN totp_last_step
+	`);
+};
@@ -0,0 +1,31 @@
+// Logins through Google, GitHub or another OpenID Connect provider. Each row
+// links one account at a provider (its subject id) to a user, and accounts
+// created this way have no password until the user sets one.
+
+module.exports.up = async (db) => {
+	await db.query(
+		"ALTER TABLE users MODIFY password_hash VARCHAR(255) DEFAULT NULL"
+	);
+
+	await db.query(`
+		CREATE TABLE user_identities (
+			id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+			user_id INT UNSIGNED NOT NULL,
+			provider VARCHAR(50) NOT NULL,
+			subject VARCHAR(255) NOT NULL,
+			email VARCHAR(255) DEFAULT NULL,
+			created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+			FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+			UNIQUE KEY uq_user_identities_provider_subject (provider, subject),
+			INDEX idx_user_identities_user (user_id)
+		)
+	`);
+};
+
+// fails while there are accounts without a password, give them one first
+module.exports.down = async (db) => {
+	await db.query("DROP TABLE IF EXISTS user_identities");
+	await db.query(
+		"ALTER TABLE users MODIFY password_hash VARCHAR(255) NOT NULL"
+	);
+};
@@ -0,0 +1,47 @@
+// Bearer tokens for apps that can't use the session cookie (see
+// services/apiTokens.js). Only SHA-256 hashes of the tokens are stored.
+//
+// Refresh tokens are used once and swapped for a new one in the same family.
+// Revoking a family (logging the app out, or a token being used twice) also
+// stops the access tokens issued from it.
+
+module.exports.up = async (db) => {
+	await db.query(`
+		CREATE TABLE refresh_tokens (
+			id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+			user_id INT UNSIGNED NOT NULL,
+			family_id CHAR(32) NOT NULL,
+			token_hash CHAR(64) NOT NULL UNIQUE,
+			expires_at DATETIME NOT NULL,
+			used_at DATETIME DEFAULT NULL,
+			revoked_at DATETIME DEFAULT NULL,
+			ip VARCHAR(45) DEFAULT NULL,
+			user_agent VARCHAR(255) DEFAULT NULL,
+			created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+			FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+			INDEX idx_refresh_tokens_family (family_id)
+		)
+	`);
+
+	// personal keys users create on their profile page for scripts
+	await db.query(`
+		CREATE TABLE api_keys (
+			id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+			user_id INT UNSIGNED NOT NULL,
+			name VARCHAR(100) NOT NULL,
+			key_hash CHAR(64) NOT NULL UNIQUE,
+			prefix VARCHAR(16) NOT NULL,
+			expires_at DATETIME DEFAULT NULL,
+			last_used_at DATETIME DEFAULT NULL,
+			revoked_at DATETIME DEFAULT NULL,
+			created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+			FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+			INDEX idx_api_keys_user (user_id)
+		)
+	`);
+};
+
+module.exports.down = async (db) => {
+	await db.query("DROP TABLE IF EXISTS api_keys");
+	await db.query("DROP TABLE IF EXISTS refresh_tokens");
+};
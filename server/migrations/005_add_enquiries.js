@@ -0,0 +1,39 @@
+// Messages sent through the contact page (see services/enquiries.js), and
+// the answers staff send back from the staff area. Enquiries from logged in
+// users keep their user_id, but outlive the account.
+
+module.exports.up = async (db) => {
+	await db.query(`
+		CREATE TABLE enquiries (
+			id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+			user_id INT UNSIGNED DEFAULT NULL,
+			name VARCHAR(100) NOT NULL,
+			email VARCHAR(255) NOT NULL,
+			subject VARCHAR(150) DEFAULT NULL,
+			message TEXT NOT NULL,
+			status ENUM('new', 'read', 'replied') NOT NULL DEFAULT 'new',
+			ip VARCHAR(45) DEFAULT NULL,
+			user_agent VARCHAR(255) DEFAULT NULL,
+			created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+			FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
+			INDEX idx_enquiries_status (status, id)
+		)
+	`);
+
+	await db.query(`
+		CREATE TABLE enquiry_replies (
+			id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+			enquiry_id INT UNSIGNED NOT NULL,
+			user_id INT UNSIGNED DEFAULT NULL,
+			message TEXT NOT NULL,
+			created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+			FOREIGN KEY (enquiry_id) REFERENCES enquiries(id) ON DELETE CASCADE,
+			FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+		)
+	`);
+};
+
+module.exports.down = async (db) => {
+	await db.query("DROP TABLE IF EXISTS enquiry_replies");
+	await db.query("DROP TABLE IF EXISTS enquiries");
+};
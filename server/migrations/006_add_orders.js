@@ -0,0 +1,44 @@
+// Online food orders (see services/orders.js). Prices are copied onto each
+// line when the order is placed, so changing the menu later doesn't change
+// what was paid. Orders stay when the account is deleted, without the link
+// to it, for the restaurant's accounts.
+
+module.exports.up = async (db) => {
+	await db.query(`
+		CREATE TABLE orders (
+			id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+			user_id INT UNSIGNED DEFAULT NULL,
+			status ENUM('pending', 'confirmed', 'preparing', 'ready', 'collected', 'cancelled') NOT NULL DEFAULT 'pending',
+			total DECIMAL(10, 2) NOT NULL,
+			currency CHAR(3) NOT NULL,
+			notes VARCHAR(255) DEFAULT NULL,
+			payment_provider VARCHAR(50) NOT NULL,
+			payment_id VARCHAR(100) DEFAULT NULL,
+			paid_at DATETIME DEFAULT NULL,
+			refunded_at DATETIME DEFAULT NULL,
+			created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+			status_changed_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+			FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
+			INDEX idx_orders_status (status, id),
+			INDEX idx_orders_user (user_id)
+		)
+	`);
+
+	await db.query(`
+		CREATE TABLE order_items (
+			id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+			order_id INT UNSIGNED NOT NULL,
+			menu_item_id INT UNSIGNED DEFAULT NULL,
+			name VARCHAR(150) NOT NULL,
+			unit_price DECIMAL(8, 2) NOT NULL,
+			quantity SMALLINT UNSIGNED NOT NULL,
+			FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
+			FOREIGN KEY (menu_item_id) REFERENCES menu_items(id) ON DELETE SET NULL
+		)
+	`);
+};
+
+module.exports.down = async (db) => {
+	await db.query("DROP TABLE IF EXISTS order_items");
+	await db.query("DROP TABLE IF EXISTS orders");
+};
@@ -0,0 +1,48 @@
+// Databases set up from the old dbschema.sql file already had a users table
+// with only id, email, password_hash, reset_token and reset_expires, so the
+// CREATE TABLE IF NOT EXISTS in 001_initial_schema left it as it was. This
+// adds whichever of the columns 001 creates are missing. On any other
+// database they are all there and it does nothing.
+
+// In the order 001 creates them, each added after the one before
+const USER_COLUMNS = [
+	["email_verified", "TINYINT(1) NOT NULL DEFAULT 0"],
+	["email_verified_at", "DATETIME DEFAULT NULL"],
+	["role", "ENUM('customer', 'staff', 'admin') NOT NULL DEFAULT 'customer'"],
+	["display_name", "VARCHAR(100) DEFAULT NULL"],
+	["phone", "VARCHAR(30) DEFAULT NULL"],
+	["dietary_preferences", "VARCHAR(255) NOT NULL DEFAULT ''"],
+	["pending_email", "VARCHAR(255) DEFAULT NULL"],
+	["email_change_token", "CHAR(64) DEFAULT NULL"],
+	["email_change_expires", "DATETIME DEFAULT NULL"],
+	["reset_token", "CHAR(64) DEFAULT NULL"],
+	["reset_expires", "DATETIME DEFAULT NULL"],
+	["failed_login_count", "INT UNSIGNED NOT NULL DEFAULT 0"],
+	["locked_until", "DATETIME DEFAULT NULL"],
+	["created_at", "DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP"],
+];
+
+module.exports.up = async (db) => {
+	const [rows] = await db.query(
+		`SELECT COLUMN_NAME AS name FROM information_schema.COLUMNS
+			WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'users'`
+	);
+	const existing = new Set(rows.map((row) => row.name));
+
+	let previous = "password_hash";
+	const additions = [];
+	for (const [name, definition] of USER_COLUMNS) {
+		if (!existing.has(name)) {
+			additions.push(
+				`ADD COLUMN ${name} ${definition} AFTER ${previous}`
+			);
+		}
+		previous = name;
+	}
+	if (additions.length === 0) return;
+
+	await db.query(`ALTER TABLE users ${additions.join(", ")}`);
+};
+
+// The columns belong to the schema 001 creates, so there is nothing to undo.
+module.exports.down = async () => {};
@@ -0,0 +1,283 @@
+const fs = require("fs");
+const path = require("path");
+const mysql = require("mysql2");
+
+const config = require("./config");
+const logger = require("./logger");
+
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+const SEEDS_DIR = path.join(__dirname, "seeds");
+const MIGRATION_FILE = /^(\d+)_([a-z0-9_]+)\.js$/;
+const LOCK_NAME = "schema_migrations";
+const LOCK_TIMEOUT_SECONDS = 30;
+
+// Migrations are numbered files in server/migrations, e.g.
+// 002_add_user_nickname.js, each exporting async up(db) and down(db) that get
+// a mysql2 promise connection. They run in number order and the names of the
+// applied ones are kept in schema_migrations.
+function listMigrations() {
+	const migrations = fs
+		.readdirSync(MIGRATIONS_DIR)
+		.map((file) => {
+			const match = MIGRATION_FILE.exec(file);
+			if (!match) return null;
+			return {
+				name: file.replace(/\.js$/, ""),
+				version: Number(match[1]),
+				file: path.join(MIGRATIONS_DIR, file),
+			};
+		})
+		.filter((migration) => migration !== null)
+		.sort((a, b) => a.version - b.version);
+
+	for (let i = 1; i < migrations.length; i++) {
+		if (migrations[i].version === migrations[i - 1].version) {
+			throw new Error(
+				`Two migrations share number ${migrations[i].version}: ${
+					migrations[i - 1].name
+				} and ${migrations[i].name}`
+			);
+		}
+	}
+
+	return migrations;
+}
+
+// Connects without picking a database so `up` can create it first.
+async function connect({ createDatabase = false } = {}) {
+	const connection = await mysql
+		.createConnection({
+			host: config.db.host,
+			port: config.db.port,
+			user: config.db.user,
+			password: config.db.password,
+		})
+		.promise();
+
+	try {
+		const database = mysql.escapeId(config.db.name);
+		if (createDatabase) {
+			await connection.query(
+				`CREATE DATABASE IF NOT EXISTS ${database} CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci`
+			);
+		}
+		await connection.query(`USE ${database}`);
+	} catch (err) {
+		await connection.end();
+		if (err.code === "ER_BAD_DB_ERROR") {
+			throw new Error(
+				`Database '${config.db.name}' does not exist, run "npm run migrate up" to create it`
+			);
+		}
+		throw err;
+	}
+
+	return connection;
+}
+
+async function ensureMigrationsTable(connection) {
+	await connection.query(`
+		CREATE TABLE IF NOT EXISTS schema_migrations (
+			name VARCHAR(255) PRIMARY KEY,
+			applied_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+		)
+	`);
+}
+
+async function getAppliedMigrations(connection) {
+	await ensureMigrationsTable(connection);
+	const [rows] = await connection.query(
+		"SELECT name, applied_at AS appliedAt FROM schema_migrations ORDER BY name"
+	);
+	return rows;
+}
+
+// Every known migration with whether it has run, plus any applied migration
+// whose file is missing (the database is ahead of this copy of the code).
+async function getStatus(connection) {
+	const applied = await getAppliedMigrations(connection);
+	const appliedAt = new Map(applied.map((row) => [row.name, row.appliedAt]));
+	const migrations = listMigrations();
+	const known = new Set(migrations.map((migration) => migration.name));
+
+	return {
+		migrations: migrations.map((migration) => ({
+			...migration,
+			applied: appliedAt.has(migration.name),
+			appliedAt: appliedAt.get(migration.name) || null,
+		})),
+		unknown: applied
+			.filter((row) => !known.has(row.name))
+			.map((row) => row.name),
+	};
+}
+
+// MySQL can't roll back schema changes, so two servers starting at once must
+// not both run the same migration. A named lock makes the second one wait.
+async function withLock(connection, work) {
+	const [[{ acquired }]] = await connection.query(
+		"SELECT GET_LOCK(?, ?) AS acquired",
+		[LOCK_NAME, LOCK_TIMEOUT_SECONDS]
+	);
+	if (acquired !== 1) {
+		throw new Error("Timed out waiting for another migration to finish");
+	}
+
+	try {
+		return await work();
+	} finally {
+		await connection.query("SELECT RELEASE_LOCK(?)", [LOCK_NAME]);
+	}
+}
+
+// Runs pending migrations in order, stopping after `to` (a migration number)
+// if given. Returns the names that ran. Each one is logged to `log`, the app
+// logger unless given.
+async function migrateUp(connection, { to, log = logger } = {}) {
+	return withLock(connection, async () => {
+		const { migrations } = await getStatus(connection);
+		const pending = migrations.filter(
+			(migration) =>
+				!migration.applied &&
+				(to === undefined || migration.version <= to)
+		);
+
+		for (const migration of pending) {
+			log.info("Migrating up", { migration: migration.name });
+			await require(migration.file).up(connection);
+			await connection.query(
+				"INSERT INTO schema_migrations (name) VALUES (?)",
+				[migration.name]
+			);
+		}
+
+		return pending.map((migration) => migration.name);
+	});
+}
+
+// Undoes the last `steps` applied migrations, newest first.
+async function migrateDown(connection, { steps = 1, log = logger } = {}) {
+	return withLock(connection, async () => {
+		const { migrations, unknown } = await getStatus(connection);
+		if (unknown.length > 0) {
+			throw new Error(
+				`Cannot roll back, these migrations have no file here: ${unknown.join(
+					", "
+				)}`
+			);
+		}
+
+		const applied = migrations
+			.filter((migration) => migration.applied)
+			.reverse()
+			.slice(0, steps);
+
+		for (const migration of applied) {
+			log.info("Migrating down", { migration: migration.name });
+			await require(migration.file).down(connection);
+			await connection.query(
+				"DELETE FROM schema_migrations WHERE name = ?",
+				[migration.name]
+			);
+		}
+
+		return applied.map((migration) => migration.name);
+	});
+}
+
+function createMigration(description) {
+	const slug = String(description || "")
+		.trim()
+		.toLowerCase()
+		.replace(/[^a-z0-9]+/g, "_")
+		.replace(/^_+|_+$/g, "");
+	if (!slug) {
+		throw new Error("Give the migration a name, e.g. add_user_nickname");
+	}
+
+	const migrations = listMigrations();
+	const version =
+		migrations.length > 0
+			? migrations[migrations.length - 1].version + 1
+			: 1;
+	const file = path.join(
+		MIGRATIONS_DIR,
+		`${String(version).padStart(3, "0")}_${slug}.js`
+	);
+
+	fs.writeFileSync(
+		file,
+		`module.exports.up = async (db) => {
+	// await db.query("ALTER TABLE ...");
+};
+
+module.exports.down = async (db) => {
+	// undo everything up() did
+};
+`
+	);
+
+	return file;
+}
+
+// Seeds fill in starting data (tables, opening hours, the menu). They run in
+// file name order and must be safe to run again on a database that already
+// has data.
+async function runSeeds(connection, { log = logger } = {}) {
+	const files = fs
+		.readdirSync(SEEDS_DIR)
+		.filter((file) => file.endsWith(".js"))
+		.sort();
+
+	for (const file of files) {
+		log.info("Seeding", { file });
+		await require(path.join(SEEDS_DIR, file)).seed(connection);
+	}
+
+	return files;
+}
+
+// Called before the server starts listening. With DB_AUTO_MIGRATE pending
+// migrations are applied (and a brand new database is seeded), otherwise the
+// server refuses to start until someone runs them.
+async function checkSchema({ log = logger } = {}) {
+	const connection = await connect({ createDatabase: config.db.autoMigrate });
+
+	try {
+		const { migrations, unknown } = await getStatus(connection);
+		const pending = migrations.filter((migration) => !migration.applied);
+
+		if (unknown.length > 0) {
+			throw new Error(
+				`The database has migrations this code doesn't know about (${unknown.join(
+					", "
+				)}), is the server out of date?`
+			);
+		}
+
+		if (pending.length === 0) return;
+
+		if (!config.db.autoMigrate) {
+			throw new Error(
+				`The database schema is out of date, run "npm run migrate up". Pending: ${pending
+					.map((migration) => migration.name)
+					.join(", ")}`
+			);
+		}
+
+		const freshDatabase = pending.length === migrations.length;
+		await migrateUp(connection, { log });
+		if (freshDatabase) await runSeeds(connection, { log });
+	} finally {
+		await connection.end();
+	}
+}
+
+module.exports.listMigrations = listMigrations;
+module.exports.connect = connect;
+module.exports.getStatus = getStatus;
+module.exports.migrateUp = migrateUp;
+module.exports.migrateDown = migrateDown;
+module.exports.createMigration = createMigration;
+module.exports.runSeeds = runSeeds;
+module.exports.checkSchema = checkSchema;
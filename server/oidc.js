@@ -0,0 +1,249 @@
+const crypto = require("crypto");
+
+// A small OAuth 2.0 / OpenID Connect client for "Sign in with ..." buttons,
+// using the authorization code flow with PKCE. A provider is described by
+//
+//   id, name                 used in URLs and shown on the button
+//   clientId, clientSecret   from the provider's developer console
+//   issuer                   OpenID Connect providers, the endpoints are
+//                            read from its discovery document
+//   authorizationUrl, tokenUrl, userinfoUrl
+//                            plain OAuth 2.0 providers (GitHub), or to
+//                            override what discovery found
+//   emailsUrl                GitHub only: where the verified addresses are
+//   scopes                   what to ask for
+//
+// ID tokens come straight from the token endpoint over TLS, so as the spec
+// allows their claims are checked (issuer, audience, expiry, nonce) but their
+// signature isn't.
+
+// Built in providers, the client id and secret come from config.
+const PRESETS = {
+	google: {
+		name: "Google",
+		issuer: "https://accounts.google.com",
+		scopes: ["openid", "email", "profile"],
+	},
+	github: {
+		name: "GitHub",
+		authorizationUrl: "https://github.com/login/oauth/authorize",
+		tokenUrl: "https://github.com/login/oauth/access_token",
+		userinfoUrl: "https://api.github.com/user",
+		emailsUrl: "https://api.github.com/user/emails",
+		scopes: ["read:user", "user:email"],
+	},
+};
+
+const DEFAULT_SCOPES = ["openid", "email", "profile"];
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+// something went wrong talking to the provider or with what it sent back
+class OidcError extends Error {
+	constructor(message) {
+		super(message);
+		this.name = "OidcError";
+	}
+}
+
+// discovery documents by issuer, they rarely change
+const discoveryCache = new Map();
+
+function randomToken() {
+	return crypto.randomBytes(32).toString("base64url");
+}
+
+// PKCE S256: the challenge goes to the provider now and the verifier with
+// the code later, so a stolen code is no use on its own
+function codeChallenge(verifier) {
+	return crypto.createHash("sha256").update(verifier).digest("base64url");
+}
+
+async function fetchJson(url, options = {}) {
+	let response;
+	try {
+		response = await fetch(url, {
+			...options,
+			headers: { Accept: "application/json", ...options.headers },
+			signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+		});
+	} catch (err) {
+		throw new OidcError(`Could not reach ${url}: ${err.message}`);
+	}
+
+	const body = await response.json().catch(() => null);
+	if (!response.ok || !body) {
+		const reason = body && (body.error_description || body.error);
+		throw new OidcError(
+			`${url} answered ${response.status}${reason ? `: ${reason}` : ""}`
+		);
+	}
+	return body;
+}
+
+// The provider's endpoints, from its discovery document if it has an issuer.
+async function getEndpoints(provider) {
+	let discovered = {};
+
+	if (provider.issuer) {
+		if (!discoveryCache.has(provider.issuer)) {
+			const document = await fetchJson(
+				`${provider.issuer}/.well-known/openid-configuration`
+			);
+			discoveryCache.set(provider.issuer, document);
+		}
+		const document = discoveryCache.get(provider.issuer);
+		discovered = {
+			issuer: document.issuer,
+			authorizationUrl: document.authorization_endpoint,
+			tokenUrl: document.token_endpoint,
+			userinfoUrl: document.userinfo_endpoint,
+		};
+	}
+
+	const endpoints = {
+		issuer: discovered.issuer || provider.issuer || null,
+		authorizationUrl:
+			provider.authorizationUrl || discovered.authorizationUrl,
+		tokenUrl: provider.tokenUrl || discovered.tokenUrl,
+		userinfoUrl: provider.userinfoUrl || discovered.userinfoUrl || null,
+	};
+
+	if (!endpoints.authorizationUrl || !endpoints.tokenUrl) {
+		throw new OidcError(`${provider.name} has no authorization endpoints`);
+	}
+	return endpoints;
+}
+
+// Where to send the browser. Keep the returned state, nonce and
+// codeVerifier (e.g. in the session) for finishAuthorization.
+async function createAuthorizationRequest(provider, redirectUri) {
+	const { authorizationUrl } = await getEndpoints(provider);
+	const state = randomToken();
+	const nonce = randomToken();
+	const codeVerifier = randomToken();
+
+	const url = new URL(authorizationUrl);
+	url.search = new URLSearchParams({
+		response_type: "code",
+		client_id: provider.clientId,
+		redirect_uri: redirectUri,
+		scope: (provider.scopes || DEFAULT_SCOPES).join(" "),
+		state,
+		nonce,
+		code_challenge: codeChallenge(codeVerifier),
+		code_challenge_method: "S256",
+	});
+
+	return { url: url.toString(), state, nonce, codeVerifier };
+}
+
+// the claims of an ID token, once they are checked against what we asked for
+function readIdToken(idToken, { issuer, clientId, nonce }) {
+	const parts = String(idToken).split(".");
+	let claims;
+	try {
+		claims = JSON.parse(Buffer.from(parts[1], "base64url").toString());
+	} catch (err) {
+		throw new OidcError("The ID token could not be read");
+	}
+
+	const audiences = [].concat(claims.aud);
+	if (issuer && claims.iss !== issuer) {
+		throw new OidcError("The ID token is from the wrong issuer");
+	}
+	if (!audiences.includes(clientId)) {
+		throw new OidcError("The ID token is for a different client");
+	}
+	if (!claims.exp || claims.exp * 1000 < Date.now()) {
+		throw new OidcError("The ID token has expired");
+	}
+	if (claims.nonce !== nonce) {
+		throw new OidcError("The ID token nonce doesn't match");
+	}
+	return claims;
+}
+
+// GitHub keeps addresses apart from the profile, use the primary one
+async function fetchGitHubEmail(provider, headers) {
+	const emails = await fetchJson(provider.emailsUrl, { headers });
+	const primary = Array.isArray(emails)
+		? emails.find((entry) => entry.primary)
+		: null;
+	return primary
+		? { email: primary.email, email_verified: Boolean(primary.verified) }
+		: {};
+}
+
+// Swaps the code from the callback for the user's details. `pending` is what
+// createAuthorizationRequest returned. Returns { subject, email,
+// emailVerified, name }.
+async function finishAuthorization(provider, params, pending, redirectUri) {
+	if (params.error) {
+		throw new OidcError(
+			params.error_description || `${provider.name}: ${params.error}`
+		);
+	}
+	if (!params.code || !params.state || params.state !== pending.state) {
+		throw new OidcError("The sign in response doesn't match the request");
+	}
+
+	const endpoints = await getEndpoints(provider);
+	const tokens = await fetchJson(endpoints.tokenUrl, {
+		method: "POST",
+		headers: { "Content-Type": "application/x-www-form-urlencoded" },
+		body: new URLSearchParams({
+			grant_type: "authorization_code",
+			code: params.code,
+			redirect_uri: redirectUri,
+			client_id: provider.clientId,
+			client_secret: provider.clientSecret,
+			code_verifier: pending.codeVerifier,
+		}),
+	});
+
+	let claims = {};
+	if (tokens.id_token) {
+		claims = readIdToken(tokens.id_token, {
+			issuer: endpoints.issuer,
+			clientId: provider.clientId,
+			nonce: pending.nonce,
+		});
+	} else if (!endpoints.userinfoUrl) {
+		throw new OidcError(`${provider.name} sent no ID token`);
+	}
+
+	if (endpoints.userinfoUrl && tokens.access_token) {
+		const headers = { Authorization: `Bearer ${tokens.access_token}` };
+		const userinfo = await fetchJson(endpoints.userinfoUrl, { headers });
+		if (claims.sub && userinfo.sub && userinfo.sub !== claims.sub) {
+			throw new OidcError("The user info is for a different user");
+		}
+		claims = { ...userinfo, ...claims };
+
+		if (provider.emailsUrl) {
+			claims = {
+				...claims,
+				...(await fetchGitHubEmail(provider, headers)),
+			};
+		}
+	}
+
+	const subject = claims.sub || (claims.id !== undefined && claims.id);
+	if (!subject) {
+		throw new OidcError(`${provider.name} didn't say who signed in`);
+	}
+
+	return {
+		subject: String(subject),
+		email: claims.email ? String(claims.email).trim().toLowerCase() : null,
+		// Google has sent this as the string "true"
+		emailVerified:
+			claims.email_verified === true || claims.email_verified === "true",
+		name: claims.name || claims.login || null,
+	};
+}
+
+module.exports.PRESETS = PRESETS;
+module.exports.OidcError = OidcError;
+module.exports.createAuthorizationRequest = createAuthorizationRequest;
+module.exports.finishAuthorization = finishAuthorization;
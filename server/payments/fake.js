@@ -0,0 +1,67 @@
+const crypto = require("crypto");
+
+// A payment provider that never charges anyone. Like a real provider's test
+// mode, the card decides what happens: "fake-card" is always paid and
+// "fake-card-declined" is always declined. Charges and refunds are kept in
+// `charges`, so tests can check what would have been taken.
+const TEST_CARDS = [
+	{ id: "fake-card", label: "Test card (always paid)" },
+	{ id: "fake-card-declined", label: "Test card (always declined)" },
+];
+
+function createFakeProvider() {
+	const charges = [];
+
+	return {
+		name: "fake",
+		charges,
+
+		checkoutOptions() {
+			return { paymentMethods: TEST_CARDS };
+		},
+
+		async charge({ amount, currency, paymentMethod, reference }) {
+			if (paymentMethod === "fake-card-declined") {
+				return {
+					status: "declined",
+					message: "Your card was declined.",
+				};
+			}
+			if (paymentMethod !== "fake-card") {
+				return {
+					status: "declined",
+					message: "Unknown payment method.",
+				};
+			}
+
+			const paymentId = `fake_${crypto.randomBytes(8).toString("hex")}`;
+			charges.push({
+				paymentId,
+				amount,
+				currency,
+				reference,
+				refunded: 0,
+			});
+			return { status: "paid", paymentId };
+		},
+
+		async refund({ paymentId, amount }) {
+			const charge = charges.find(
+				(entry) => entry.paymentId === paymentId
+			);
+			if (!charge) {
+				throw new Error(`Unknown payment: ${paymentId}`);
+			}
+
+			charge.refunded += amount;
+			return {
+				refundId: `fake_refund_${crypto
+					.randomBytes(8)
+					.toString("hex")}`,
+			};
+		},
+	};
+}
+
+module.exports = createFakeProvider;
+module.exports.TEST_CARDS = TEST_CARDS;
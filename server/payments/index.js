@@ -0,0 +1,39 @@
+const config = require("../config");
+
+// Takes payment for online orders. PAYMENT_PROVIDER picks the provider:
+//   fake - pays or declines depending on the test card, without charging
+//          anyone, for development and the automated tests
+// With none set, orders can't be placed.
+//
+// A provider is an object with:
+//   name
+//   checkoutOptions()
+//       What the checkout page needs to collect a payment method, e.g. the
+//       test cards or a real provider's public key.
+//   async charge({ amount, currency, paymentMethod, reference })
+//       `amount` is in pence (or cents). Resolves with { status: "paid",
+//       paymentId } or { status: "declined", message }, and only throws
+//       when the provider itself failed.
+//   async refund({ paymentId, amount, currency })
+//       Gives the money back, resolves with { refundId }.
+// Any object like that can be passed to setPaymentProvider(), e.g. one for
+// Stripe, or a stub in a test.
+const PROVIDERS = {
+	fake: () => require("./fake")(),
+};
+
+let provider = config.payments.provider
+	? PROVIDERS[config.payments.provider]()
+	: null;
+
+// the provider in use, null when taking orders is turned off
+function getPaymentProvider() {
+	return provider;
+}
+
+function setPaymentProvider(next) {
+	provider = next;
+}
+
+module.exports.getPaymentProvider = getPaymentProvider;
+module.exports.setPaymentProvider = setPaymentProvider;
@@ -0,0 +1,131 @@
+const logger = require("./logger");
+
+const { TooManyRequestsError } = require("./errors");
+
+// In-process hit counter. Any object with the same async increment,
+// decrement and reset methods can be passed to rateLimit() instead, e.g. one backed by Redis when
+// the app runs on more than one server.
+class MemoryStore {
+	constructor() {
+		this.hits = new Map();
+
+		// drop finished windows so the map doesn't grow forever
+		this.pruneTimer = setInterval(() => this.prune(), 60 * 1000);
+		this.pruneTimer.unref();
+	}
+
+	// counts a hit and returns the total for the current window
+	async increment(key, windowMs) {
+		const now = Date.now();
+		let entry = this.hits.get(key);
+
+		if (!entry || entry.resetAt <= now) {
+			entry = { count: 0, resetAt: now + windowMs };
+			this.hits.set(key, entry);
+		}
+
+		entry.count += 1;
+		return { count: entry.count, resetAt: entry.resetAt };
+	}
+
+	// takes back a hit counted by increment()
+	async decrement(key) {
+		const entry = this.hits.get(key);
+		if (entry && entry.count > 0) entry.count -= 1;
+	}
+
+	async reset(key) {
+		this.hits.delete(key);
+	}
+
+	prune() {
+		const now = Date.now();
+		for (const [key, entry] of this.hits) {
+			if (entry.resetAt <= now) this.hits.delete(key);
+		}
+	}
+}
+
+let defaultStore = new MemoryStore();
+
+function setDefaultStore(store) {
+	defaultStore = store;
+}
+
+// Express middleware allowing `max` requests per `windowMs` for each key.
+// `key` picks what is limited (the IP, the email in the body, ...). Requests
+// without a key are let through, and so is everything if the store fails,
+// since a broken limiter shouldn't take logins down with it. With
+// `skipSuccessful` only requests answered with an error count, e.g. failed
+// logins: a hit is taken back once the response turns out to be a success.
+function rateLimit(options) {
+	const {
+		name,
+		windowMs,
+		max,
+		key,
+		message = "Too many requests. Please try again later.",
+		onLimit,
+		skipSuccessful = false,
+	} = options;
+
+	return async (req, res, next) => {
+		const value = key(req);
+		if (!value) return next();
+
+		const store = options.store || defaultStore;
+		const storeKey = `${name}:${value}`;
+
+		try {
+			const { count, resetAt } = await store.increment(
+				storeKey,
+				windowMs
+			);
+
+			if (count > max) {
+				if (onLimit) onLimit(req);
+				res.set(
+					"Retry-After",
+					Math.ceil((resetAt - Date.now()) / 1000)
+				);
+				return next(
+					new TooManyRequestsError(message, { code: "RATE_LIMITED" })
+				);
+			}
+
+			if (skipSuccessful) {
+				res.on("finish", () => {
+					if (res.statusCode >= 400) return;
+					store.decrement(storeKey).catch((err) => {
+						(req.log || logger).error("Rate limiter failed", {
+							limiter: name,
+							err,
+						});
+					});
+				});
+			}
+		} catch (err) {
+			(req.log || logger).error("Rate limiter failed", {
+				limiter: name,
+				err,
+			});
+		}
+
+		next();
+	};
+}
+
+function byIp(req) {
+	return req.ip;
+}
+
+function byEmail(req) {
+	const email = req.body && req.body.email;
+	return typeof email === "string" ? email.trim().toLowerCase() : null;
+}
+
+module.exports.MemoryStore = MemoryStore;
+module.exports.setDefaultStore = setDefaultStore;
+module.exports.rateLimit = rateLimit;
+module.exports.byIp = byIp;
+module.exports.byEmail = byEmail;
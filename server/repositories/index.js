@@ -0,0 +1,35 @@
+const config = require("../config");
+
+// Storage backends. Each one returns the same set of repositories:
+//   users          accounts, roles and profile fields
+//   tokens         password reset and email change tokens
+//   recoveryCodes  hashed two-factor recovery codes
+//   identities     accounts at social login providers linked to users
+//   refreshTokens  hashed refresh tokens for apps, in rotation families
+//   apiKeys        hashed personal API keys
+//   sessions       express-session data plus device details
+//   authEvents     the login/logout audit log
+//   menu           categories and dishes
+//   bookings       bookings, tables and opening hours
+//   enquiries      contact page messages and staff replies
+//   orders         food orders and the dishes in them
+// plus prepare(), which resolves once storage is ready to use, ping(), which
+// resolves if storage is reachable right now, and close(), for shutting down.
+// Repositories only store and fetch. They take and return plain objects with
+// camelCase fields and throw errors from errors.js (a duplicate email is a
+// ConflictError), never anything driver specific.
+const BACKENDS = {
+	mysql: () => require("./mysql")(),
+	memory: () => require("./memory")(),
+};
+
+function createRepositories(backend = config.storage) {
+	if (!BACKENDS[backend]) {
+		throw new Error(`Unknown storage backend: ${backend}`);
+	}
+	return BACKENDS[backend]();
+}
+
+// the repositories the app uses, picked by STORAGE_BACKEND
+module.exports = createRepositories();
+module.exports.createRepositories = createRepositories;
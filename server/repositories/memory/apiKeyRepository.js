@@ -0,0 +1,73 @@
+const { copy } = require("./database");
+
+// the row without its hash, as the MySQL repository returns it
+function withoutHash(row) {
+	if (!row) return null;
+	const { keyHash, ...apiKey } = row;
+	return copy(apiKey);
+}
+
+class MemoryApiKeyRepository {
+	constructor(database) {
+		this.db = database;
+	}
+
+	async create({ userId, name, keyHash, prefix, expiresAt }) {
+		const apiKey = {
+			id: this.db.nextId("apiKeys"),
+			userId: Number(userId),
+			name,
+			keyHash,
+			prefix,
+			expiresAt,
+			lastUsedAt: null,
+			revokedAt: null,
+			createdAt: new Date(),
+		};
+		this.db.apiKeys.push(apiKey);
+		return withoutHash(apiKey);
+	}
+
+	async findById(id) {
+		return withoutHash(
+			this.db.apiKeys.find((row) => row.id === Number(id))
+		);
+	}
+
+	async findByHash(keyHash) {
+		return withoutHash(
+			this.db.apiKeys.find((row) => row.keyHash === keyHash)
+		);
+	}
+
+	async listForUser(userId) {
+		return this.db.apiKeys
+			.filter((row) => row.userId === Number(userId) && !row.revokedAt)
+			.sort((a, b) => b.id - a.id)
+			.map(withoutHash);
+	}
+
+	async countForUser(userId) {
+		return (await this.listForUser(userId)).length;
+	}
+
+	async touch(id) {
+		const apiKey = this.db.apiKeys.find((row) => row.id === Number(id));
+		if (apiKey) apiKey.lastUsedAt = new Date();
+	}
+
+	async revoke(userId, id) {
+		const apiKey = this.db.apiKeys.find(
+			(row) =>
+				row.id === Number(id) &&
+				row.userId === Number(userId) &&
+				!row.revokedAt
+		);
+		if (!apiKey) return false;
+
+		apiKey.revokedAt = new Date();
+		return true;
+	}
+}
+
+module.exports = MemoryApiKeyRepository;
@@ -0,0 +1,36 @@
+const { copy } = require("./database");
+
+class MemoryAuthEventRepository {
+	constructor(database) {
+		this.db = database;
+	}
+
+	async record({ type, userId, email, ip, userAgent, detail }) {
+		this.db.authEvents.push({
+			id: this.db.nextId("authEvents"),
+			userId: userId || null,
+			email: email || null,
+			type,
+			ip: ip || null,
+			userAgent: userAgent || null,
+			detail: detail || null,
+			createdAt: new Date(),
+		});
+	}
+
+	async list({ type, email, userId, before, limit }) {
+		return this.db.authEvents
+			.filter(
+				(event) =>
+					(!type || event.type === type) &&
+					(!email || event.email === email) &&
+					(!userId || event.userId === Number(userId)) &&
+					(!before || event.id < Number(before))
+			)
+			.sort((a, b) => b.id - a.id)
+			.slice(0, limit)
+			.map(copy);
+	}
+}
+
+module.exports = MemoryAuthEventRepository;
@@ -0,0 +1,183 @@
+const { copy } = require("./database");
+const { ConflictError, ValidationError } = require("../../errors");
+
+// "YYYY-MM-DD HH:MM:SS" strings sort and compare in time order, so they are
+// compared directly just like the DATETIME columns in MySQL.
+class MemoryBookingRepository {
+	constructor(database) {
+		this.db = database;
+	}
+
+	withDetails(booking) {
+		const user = this.db.users.find((row) => row.id === booking.userId);
+		const table = this.db.tables.find((row) => row.id === booking.tableId);
+
+		return {
+			id: booking.id,
+			userId: booking.userId,
+			userEmail: user ? user.email : null,
+			tableId: booking.tableId,
+			table: table ? table.label : null,
+			partySize: booking.partySize,
+			status: booking.status,
+			notes: booking.notes,
+			date: booking.startsAt.substring(0, 10),
+			time: booking.startsAt.substring(11, 16),
+			endTime: booking.endsAt.substring(11, 16),
+		};
+	}
+
+	// same rules as claimTable() in the MySQL repository. Nothing here awaits,
+	// so two bookings can't interleave.
+	claimTable(slot, excludeBookingId, preferTableId) {
+		const tables = this.db.tables
+			.filter((table) => table.active && table.capacity >= slot.partySize)
+			.sort((a, b) => a.capacity - b.capacity || a.id - b.id);
+
+		if (tables.length === 0) {
+			throw new ValidationError(
+				"No table is large enough for that party"
+			);
+		}
+
+		const taken = new Set(
+			this.db.bookings
+				.filter(
+					(booking) =>
+						booking.status === "confirmed" &&
+						booking.id !== excludeBookingId &&
+						booking.startsAt < slot.endsAt &&
+						booking.endsAt > slot.startsAt
+				)
+				.map((booking) => booking.tableId)
+		);
+
+		const free = tables.filter((table) => !taken.has(table.id));
+		if (free.length === 0) {
+			throw new ConflictError("That time slot is no longer available", {
+				code: "SLOT_TAKEN",
+			});
+		}
+
+		const preferred = free.find((table) => table.id === preferTableId);
+		return (preferred || free[0]).id;
+	}
+
+	async getOpeningHours(dayOfWeek) {
+		return copy(this.db.openingHours.get(dayOfWeek) || null);
+	}
+
+	async largestTableCapacity() {
+		return this.db.tables
+			.filter((table) => table.active)
+			.reduce((largest, table) => Math.max(largest, table.capacity), 0);
+	}
+
+	async listTables(minCapacity) {
+		return this.db.tables
+			.filter((table) => table.active && table.capacity >= minCapacity)
+			.sort((a, b) => a.capacity - b.capacity || a.id - b.id)
+			.map(({ id, label, capacity }) => ({ id, label, capacity }));
+	}
+
+	async listConfirmedOnDate(date, excludeBookingId = null) {
+		return this.db.bookings
+			.filter(
+				(booking) =>
+					booking.status === "confirmed" &&
+					booking.startsAt.startsWith(date) &&
+					booking.id !== Number(excludeBookingId)
+			)
+			.map((booking) => ({
+				tableId: booking.tableId,
+				startTime: booking.startsAt.substring(11, 16),
+				endTime: booking.endsAt.substring(11, 16),
+			}));
+	}
+
+	async find(id) {
+		const booking = this.db.bookings.find((row) => row.id === Number(id));
+		return booking ? this.withDetails(booking) : null;
+	}
+
+	async listForUser(userId) {
+		return this.db.bookings
+			.filter((booking) => booking.userId === Number(userId))
+			.sort((a, b) => a.startsAt.localeCompare(b.startsAt))
+			.map((booking) => this.withDetails(booking));
+	}
+
+	async listForDate(date) {
+		return this.db.bookings
+			.filter((booking) => booking.startsAt.startsWith(date))
+			.map((booking) => this.withDetails(booking))
+			.sort(
+				(a, b) =>
+					a.time.localeCompare(b.time) ||
+					a.table.localeCompare(b.table)
+			);
+	}
+
+	async create({ userId, partySize, startsAt, endsAt, notes }) {
+		const tableId = this.claimTable(
+			{ partySize, startsAt, endsAt },
+			null,
+			null
+		);
+
+		const booking = {
+			id: this.db.nextId("bookings"),
+			userId: Number(userId),
+			tableId,
+			partySize,
+			startsAt,
+			endsAt,
+			status: "confirmed",
+			notes: notes || null,
+			createdAt: new Date(),
+		};
+		this.db.bookings.push(booking);
+
+		return booking.id;
+	}
+
+	async reschedule(
+		id,
+		{ partySize, startsAt, endsAt, notes },
+		preferTableId
+	) {
+		const booking = this.db.bookings.find((row) => row.id === Number(id));
+		const tableId = this.claimTable(
+			{ partySize, startsAt, endsAt },
+			booking.id,
+			preferTableId
+		);
+
+		Object.assign(booking, {
+			tableId,
+			partySize,
+			startsAt,
+			endsAt,
+			notes: notes || null,
+		});
+	}
+
+	async reconfirm(id) {
+		const booking = this.db.bookings.find((row) => row.id === Number(id));
+		if (!booking) return false;
+
+		booking.tableId = this.claimTable(booking, booking.id, booking.tableId);
+		booking.status = "confirmed";
+		return true;
+	}
+
+	async updateStatus(id, status) {
+		const booking = this.db.bookings.find((row) => row.id === Number(id));
+		if (!booking) return false;
+
+		booking.status = status;
+		return true;
+	}
+}
+
+module.exports = MemoryBookingRepository;
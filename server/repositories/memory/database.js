@@ -0,0 +1,98 @@
+const { TABLES } = require("../../seeds/01_restaurant_tables");
+const { HOURS } = require("../../seeds/02_opening_hours");
+const { MENU } = require("../../seeds/03_menu");
+
+// Holds the rows for the in-memory backend. Rows are plain objects using the
+// same field names the repositories return, and repositories hand out copies
+// so nothing outside can change them by accident. Everything is lost when the
+// process exits.
+class MemoryDatabase {
+	constructor() {
+		this.reset();
+	}
+
+	// empties every table and adds the seed data again, handy between tests
+	reset() {
+		this.lastIds = {};
+		this.users = [];
+		this.tokens = [];
+		this.recoveryCodes = [];
+		this.identities = [];
+		this.refreshTokens = [];
+		this.apiKeys = [];
+		this.sessions = new Map();
+		this.authEvents = [];
+		this.menuCategories = [];
+		this.menuItems = [];
+		this.tables = [];
+		this.openingHours = new Map();
+		this.bookings = [];
+		this.enquiries = [];
+		this.enquiryReplies = [];
+		this.orders = [];
+		this.orderItems = [];
+
+		this.seed();
+	}
+
+	nextId(table) {
+		this.lastIds[table] = (this.lastIds[table] || 0) + 1;
+		return this.lastIds[table];
+	}
+
+	seed() {
+		for (const [label, capacity] of TABLES) {
+			this.tables.push({
+				id: this.nextId("tables"),
+				label,
+				capacity,
+				active: true,
+			});
+		}
+
+		for (const [dayOfWeek, open, close] of HOURS) {
+			this.openingHours.set(dayOfWeek, { open, close });
+		}
+
+		for (const [index, category] of MENU.entries()) {
+			const categoryId = this.nextId("menuCategories");
+			this.menuCategories.push({
+				id: categoryId,
+				name: category.name,
+				slug: category.slug,
+				description: category.description,
+				sortOrder: index + 1,
+			});
+
+			for (const [position, item] of category.items.entries()) {
+				const [name, description, price, allergens, dietaryTags] = item;
+				this.menuItems.push({
+					id: this.nextId("menuItems"),
+					categoryId,
+					name,
+					description,
+					price,
+					allergens: allergens ? allergens.split(",") : [],
+					dietaryTags: dietaryTags ? dietaryTags.split(",") : [],
+					available: true,
+					sortOrder: position + 1,
+				});
+			}
+		}
+	}
+}
+
+function copy(value) {
+	return value === undefined || value === null
+		? null
+		: structuredClone(value);
+}
+
+// ORDER BY sort_order, name
+function byMenuOrder(a, b) {
+	return a.sortOrder - b.sortOrder || a.name.localeCompare(b.name);
+}
+
+module.exports = MemoryDatabase;
+module.exports.copy = copy;
+module.exports.byMenuOrder = byMenuOrder;
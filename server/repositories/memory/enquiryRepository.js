@@ -0,0 +1,96 @@
+const { copy } = require("./database");
+
+class MemoryEnquiryRepository {
+	constructor(database) {
+		this.db = database;
+	}
+
+	async create({ userId, name, email, subject, message, ip, userAgent }) {
+		const enquiry = {
+			id: this.db.nextId("enquiries"),
+			userId: userId || null,
+			name,
+			email,
+			subject: subject || null,
+			message,
+			status: "new",
+			ip: ip || null,
+			userAgent: userAgent || null,
+			createdAt: new Date(),
+		};
+		this.db.enquiries.push(enquiry);
+		return this.findById(enquiry.id);
+	}
+
+	async findById(id) {
+		const enquiry = this.db.enquiries.find(
+			(entry) => entry.id === Number(id)
+		);
+		if (!enquiry) return null;
+
+		const replies = this.db.enquiryReplies
+			.filter((reply) => reply.enquiryId === enquiry.id)
+			.map((reply) => {
+				const user = this.db.users.find(
+					(entry) => entry.id === reply.userId
+				);
+				return {
+					id: reply.id,
+					userId: reply.userId,
+					userEmail: user ? user.email : null,
+					message: reply.message,
+					createdAt: reply.createdAt,
+				};
+			});
+		return { ...copy(enquiry), replies: copy(replies) };
+	}
+
+	async list({ status, before, limit }) {
+		return this.db.enquiries
+			.filter(
+				(enquiry) =>
+					(!status || enquiry.status === status) &&
+					(!before || enquiry.id < Number(before))
+			)
+			.sort((a, b) => b.id - a.id)
+			.slice(0, limit)
+			.map(copy);
+	}
+
+	async listForUser(userId) {
+		return this.db.enquiries
+			.filter((enquiry) => enquiry.userId === Number(userId))
+			.sort((a, b) => b.id - a.id)
+			.map(copy);
+	}
+
+	async countByStatus() {
+		const counts = {};
+		for (const enquiry of this.db.enquiries) {
+			counts[enquiry.status] = (counts[enquiry.status] || 0) + 1;
+		}
+		return counts;
+	}
+
+	async updateStatus(id, status) {
+		const enquiry = this.db.enquiries.find(
+			(entry) => entry.id === Number(id)
+		);
+		if (!enquiry) return false;
+		enquiry.status = status;
+		return true;
+	}
+
+	async addReply({ enquiryId, userId, message }) {
+		this.db.enquiryReplies.push({
+			id: this.db.nextId("enquiryReplies"),
+			enquiryId: Number(enquiryId),
+			userId: userId || null,
+			message,
+			createdAt: new Date(),
+		});
+		await this.updateStatus(enquiryId, "replied");
+	}
+}
+
+module.exports = MemoryEnquiryRepository;
@@ -0,0 +1,36 @@
+const { copy } = require("./database");
+
+class MemoryIdentityRepository {
+	constructor(database) {
+		this.db = database;
+	}
+
+	async find(provider, subject) {
+		return copy(
+			this.db.identities.find(
+				(row) => row.provider === provider && row.subject === subject
+			)
+		);
+	}
+
+	async create({ userId, provider, subject, email }) {
+		const identity = {
+			id: this.db.nextId("identities"),
+			userId: Number(userId),
+			provider,
+			subject,
+			email,
+			createdAt: new Date(),
+		};
+		this.db.identities.push(identity);
+		return copy(identity);
+	}
+
+	async listForUser(userId) {
+		return this.db.identities
+			.filter((row) => row.userId === Number(userId))
+			.map(copy);
+	}
+}
+
+module.exports = MemoryIdentityRepository;
@@ -0,0 +1,42 @@
+const MemoryDatabase = require("./database");
+const MemoryUserRepository = require("./userRepository");
+const MemoryTokenRepository = require("./tokenRepository");
+const MemoryRecoveryCodeRepository = require("./recoveryCodeRepository");
+const MemoryIdentityRepository = require("./identityRepository");
+const MemoryRefreshTokenRepository = require("./refreshTokenRepository");
+const MemoryApiKeyRepository = require("./apiKeyRepository");
+const MemorySessionRepository = require("./sessionRepository");
+const MemoryAuthEventRepository = require("./authEventRepository");
+const MemoryMenuRepository = require("./menuRepository");
+const MemoryBookingRepository = require("./bookingRepository");
+const MemoryEnquiryRepository = require("./enquiryRepository");
+const MemoryOrderRepository = require("./orderRepository");
+
+function createMemoryRepositories() {
+	const database = new MemoryDatabase();
+
+	return {
+		backend: "memory",
+		users: new MemoryUserRepository(database),
+		tokens: new MemoryTokenRepository(database),
+		recoveryCodes: new MemoryRecoveryCodeRepository(database),
+		identities: new MemoryIdentityRepository(database),
+		refreshTokens: new MemoryRefreshTokenRepository(database),
+		apiKeys: new MemoryApiKeyRepository(database),
+		sessions: new MemorySessionRepository(database),
+		authEvents: new MemoryAuthEventRepository(database),
+		menu: new MemoryMenuRepository(database),
+		bookings: new MemoryBookingRepository(database),
+		enquiries: new MemoryEnquiryRepository(database),
+		orders: new MemoryOrderRepository(database),
+		// seeded on creation, there is no schema to check
+		prepare: async () => {},
+		// always there while the process is
+		ping: async () => {},
+		close: async () => {},
+		// back to just the seed data
+		reset: () => database.reset(),
+	};
+}
+
+module.exports = createMemoryRepositories;
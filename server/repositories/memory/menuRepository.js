@@ -0,0 +1,149 @@
+const { copy, byMenuOrder } = require("./database");
+const { ConflictError } = require("../../errors");
+
+const ITEM_FIELDS = [
+	"categoryId",
+	"name",
+	"description",
+	"price",
+	"allergens",
+	"dietaryTags",
+	"available",
+	"sortOrder",
+];
+
+const CATEGORY_FIELDS = ["name", "slug", "description", "sortOrder"];
+
+function publicItem(item) {
+	const { sortOrder, ...rest } = copy(item);
+	return rest;
+}
+
+class MemoryMenuRepository {
+	constructor(database) {
+		this.db = database;
+	}
+
+	checkSlugFree(slug, exceptId = null) {
+		if (
+			this.db.menuCategories.some(
+				(category) => category.slug === slug && category.id !== exceptId
+			)
+		) {
+			throw new ConflictError("A category with that name already exists");
+		}
+	}
+
+	async listCategories() {
+		return [...this.db.menuCategories]
+			.sort(byMenuOrder)
+			.map(({ id, name, slug, description }) => ({
+				id,
+				name,
+				slug,
+				description,
+			}));
+	}
+
+	async categoryExists(id) {
+		return this.db.menuCategories.some(
+			(category) => category.id === Number(id)
+		);
+	}
+
+	async listItems({ categoryId, tags = [] } = {}) {
+		return this.db.menuItems
+			.filter(
+				(item) =>
+					(!categoryId || item.categoryId === Number(categoryId)) &&
+					tags.every((tag) => item.dietaryTags.includes(tag))
+			)
+			.sort(byMenuOrder)
+			.map(publicItem);
+	}
+
+	async findItem(id) {
+		const item = this.db.menuItems.find((row) => row.id === Number(id));
+		return item ? publicItem(item) : null;
+	}
+
+	async createItem(fields) {
+		const item = {
+			id: this.db.nextId("menuItems"),
+			description: null,
+			allergens: [],
+			dietaryTags: [],
+			available: true,
+			sortOrder: 0,
+		};
+		for (const field of ITEM_FIELDS) {
+			if (fields[field] !== undefined) item[field] = copy(fields[field]);
+		}
+		item.categoryId = Number(item.categoryId);
+		this.db.menuItems.push(item);
+
+		return item.id;
+	}
+
+	async updateItem(id, fields) {
+		const item = this.db.menuItems.find((row) => row.id === Number(id));
+		if (!item) return false;
+
+		for (const field of ITEM_FIELDS) {
+			if (fields[field] !== undefined) item[field] = copy(fields[field]);
+		}
+		item.categoryId = Number(item.categoryId);
+		return true;
+	}
+
+	async deleteItem(id) {
+		const before = this.db.menuItems.length;
+		this.db.menuItems = this.db.menuItems.filter(
+			(item) => item.id !== Number(id)
+		);
+		for (const line of this.db.orderItems) {
+			if (line.menuItemId === Number(id)) line.menuItemId = null;
+		}
+		return this.db.menuItems.length < before;
+	}
+
+	async countItemsInCategory(categoryId) {
+		return this.db.menuItems.filter(
+			(item) => item.categoryId === Number(categoryId)
+		).length;
+	}
+
+	async createCategory(fields) {
+		this.checkSlugFree(fields.slug);
+
+		const category = { id: this.db.nextId("menuCategories") };
+		for (const field of CATEGORY_FIELDS) category[field] = fields[field];
+		this.db.menuCategories.push(category);
+
+		return category.id;
+	}
+
+	async updateCategory(id, fields) {
+		const category = this.db.menuCategories.find(
+			(row) => row.id === Number(id)
+		);
+		if (!category) return false;
+
+		if (fields.slug !== undefined)
+			this.checkSlugFree(fields.slug, category.id);
+		for (const field of CATEGORY_FIELDS) {
+			if (fields[field] !== undefined) category[field] = fields[field];
+		}
+		return true;
+	}
+
+	async deleteCategory(id) {
+		const before = this.db.menuCategories.length;
+		this.db.menuCategories = this.db.menuCategories.filter(
+			(category) => category.id !== Number(id)
+		);
+		return this.db.menuCategories.length < before;
+	}
+}
+
+module.exports = MemoryMenuRepository;
@@ -0,0 +1,110 @@
+const { copy } = require("./database");
+
+class MemoryOrderRepository {
+	constructor(database) {
+		this.db = database;
+	}
+
+	withItems(order) {
+		const user = this.db.users.find((entry) => entry.id === order.userId);
+		return {
+			...copy(order),
+			userEmail: user ? user.email : null,
+			items: this.db.orderItems
+				.filter((item) => item.orderId === order.id)
+				.map(({ orderId, ...item }) => copy(item)),
+		};
+	}
+
+	async create({ userId, items, total, currency, notes, paymentProvider }) {
+		const now = new Date();
+		const order = {
+			id: this.db.nextId("orders"),
+			userId,
+			status: "pending",
+			total,
+			currency,
+			notes: notes || null,
+			paymentProvider,
+			paymentId: null,
+			paidAt: null,
+			refundedAt: null,
+			createdAt: now,
+			statusChangedAt: now,
+		};
+		this.db.orders.push(order);
+
+		for (const item of items) {
+			this.db.orderItems.push({
+				id: this.db.nextId("orderItems"),
+				orderId: order.id,
+				menuItemId: item.menuItemId,
+				name: item.name,
+				unitPrice: item.unitPrice,
+				quantity: item.quantity,
+			});
+		}
+		return this.findById(order.id);
+	}
+
+	find(id) {
+		return this.db.orders.find((order) => order.id === Number(id));
+	}
+
+	async findById(id) {
+		const order = this.find(id);
+		return order ? this.withItems(order) : null;
+	}
+
+	async listForUser(userId) {
+		return this.db.orders
+			.filter((order) => order.userId === Number(userId))
+			.sort((a, b) => b.id - a.id)
+			.map((order) => this.withItems(order));
+	}
+
+	async list({ statuses, before, limit }) {
+		return this.db.orders
+			.filter(
+				(order) =>
+					(!statuses ||
+						statuses.length === 0 ||
+						statuses.includes(order.status)) &&
+					(!before || order.id < Number(before))
+			)
+			.sort((a, b) => b.id - a.id)
+			.slice(0, limit)
+			.map((order) => this.withItems(order));
+	}
+
+	async updateStatus(id, fromStatus, status) {
+		const order = this.find(id);
+		if (!order || order.status !== fromStatus) return false;
+
+		order.status = status;
+		order.statusChangedAt = new Date();
+		return true;
+	}
+
+	async markPaid(id, paymentId) {
+		const order = this.find(id);
+		if (!order) return;
+		order.paymentId = paymentId;
+		order.paidAt = new Date();
+	}
+
+	async claimRefund(id) {
+		const order = this.find(id);
+		if (!order || !order.paymentId || order.refundedAt) return false;
+
+		order.refundedAt = new Date();
+		return true;
+	}
+
+	async releaseRefund(id) {
+		const order = this.find(id);
+		if (order) order.refundedAt = null;
+	}
+}
+
+module.exports = MemoryOrderRepository;
@@ -0,0 +1,45 @@
+class MemoryRecoveryCodeRepository {
+	constructor(database) {
+		this.db = database;
+	}
+
+	async replace(userId, codeHashes) {
+		await this.clear(userId);
+		for (const codeHash of codeHashes) {
+			this.db.recoveryCodes.push({
+				id: this.db.nextId("recoveryCodes"),
+				userId: Number(userId),
+				codeHash,
+				usedAt: null,
+				createdAt: new Date(),
+			});
+		}
+	}
+
+	async use(userId, codeHash) {
+		const code = this.db.recoveryCodes.find(
+			(row) =>
+				row.userId === Number(userId) &&
+				row.codeHash === codeHash &&
+				row.usedAt === null
+		);
+		if (!code) return false;
+
+		code.usedAt = new Date();
+		return true;
+	}
+
+	async countUnused(userId) {
+		return this.db.recoveryCodes.filter(
+			(row) => row.userId === Number(userId) && row.usedAt === null
+		).length;
+	}
+
+	async clear(userId) {
+		this.db.recoveryCodes = this.db.recoveryCodes.filter(
+			(row) => row.userId !== Number(userId)
+		);
+	}
+}
+
+module.exports = MemoryRecoveryCodeRepository;
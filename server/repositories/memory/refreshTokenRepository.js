@@ -0,0 +1,66 @@
+const { copy } = require("./database");
+
+class MemoryRefreshTokenRepository {
+	constructor(database) {
+		this.db = database;
+	}
+
+	async create({ userId, familyId, tokenHash, expiresAt, ip, userAgent }) {
+		const id = this.db.nextId("refreshTokens");
+		this.db.refreshTokens.push({
+			id,
+			userId: Number(userId),
+			familyId,
+			tokenHash,
+			expiresAt,
+			usedAt: null,
+			revokedAt: null,
+			ip,
+			userAgent,
+			createdAt: new Date(),
+		});
+		return id;
+	}
+
+	async findByHash(tokenHash) {
+		const row = this.db.refreshTokens.find(
+			(token) => token.tokenHash === tokenHash
+		);
+		if (!row) return null;
+
+		const { tokenHash: hash, ip, userAgent, ...token } = row;
+		return copy(token);
+	}
+
+	async markUsed(id) {
+		const token = this.db.refreshTokens.find((row) => row.id === id);
+		if (!token || token.usedAt) return false;
+
+		token.usedAt = new Date();
+		return true;
+	}
+
+	async revokeFamily(familyId) {
+		for (const token of this.db.refreshTokens) {
+			if (token.familyId === familyId && !token.revokedAt) {
+				token.revokedAt = new Date();
+			}
+		}
+	}
+
+	async revokeForUser(userId) {
+		for (const token of this.db.refreshTokens) {
+			if (token.userId === Number(userId) && !token.revokedAt) {
+				token.revokedAt = new Date();
+			}
+		}
+	}
+
+	async isFamilyRevoked(familyId) {
+		return this.db.refreshTokens.some(
+			(token) => token.familyId === familyId && token.revokedAt
+		);
+	}
+}
+
+module.exports = MemoryRefreshTokenRepository;
@@ -0,0 +1,105 @@
+const crypto = require("crypto");
+
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+class MemorySessionRepository {
+	constructor(database) {
+		this.db = database;
+	}
+
+	live(sessionId) {
+		const session = this.db.sessions.get(sessionId);
+		return session && session.expires > new Date() ? session : null;
+	}
+
+	async get(sessionId) {
+		const session = this.live(sessionId);
+		return session ? JSON.parse(session.data) : null;
+	}
+
+	async save(sessionId, data, { expires, userId, userAgent, ip }) {
+		const existing = this.db.sessions.get(sessionId);
+		const now = new Date();
+
+		this.db.sessions.set(sessionId, {
+			sessionId,
+			publicId: existing
+				? existing.publicId
+				: crypto.randomBytes(16).toString("hex"),
+			userId: userId || null,
+			data: JSON.stringify(data),
+			expires: new Date(expires),
+			userAgent: userAgent || null,
+			ip: ip || null,
+			createdAt: existing ? existing.createdAt : now,
+			lastSeen: now,
+		});
+	}
+
+	async touch(sessionId, expires) {
+		const session = this.db.sessions.get(sessionId);
+		if (session && Date.now() - session.lastSeen >= TOUCH_INTERVAL_MS) {
+			session.expires = new Date(expires);
+			session.lastSeen = new Date();
+		}
+	}
+
+	async destroy(sessionId) {
+		this.db.sessions.delete(sessionId);
+	}
+
+	async clearExpired() {
+		let cleared = 0;
+		for (const sessionId of this.db.sessions.keys()) {
+			if (!this.live(sessionId)) {
+				this.db.sessions.delete(sessionId);
+				cleared++;
+			}
+		}
+		return cleared;
+	}
+
+	async listForUser(userId) {
+		return [...this.db.sessions.keys()]
+			.map((sessionId) => this.live(sessionId))
+			.filter((session) => session && session.userId === Number(userId))
+			.sort((a, b) => b.lastSeen - a.lastSeen)
+			.map((session) => ({
+				sessionId: session.sessionId,
+				publicId: session.publicId,
+				userAgent: session.userAgent,
+				ip: session.ip,
+				createdAt: session.createdAt,
+				lastSeen: session.lastSeen,
+			}));
+	}
+
+	async destroyByPublicId(userId, publicId) {
+		for (const [sessionId, session] of this.db.sessions) {
+			if (
+				session.userId === Number(userId) &&
+				session.publicId === publicId
+			) {
+				this.db.sessions.delete(sessionId);
+				return true;
+			}
+		}
+		return false;
+	}
+
+	async destroyForUser(userId, exceptSessionId = null) {
+		let destroyed = 0;
+		for (const [sessionId, session] of this.db.sessions) {
+			if (
+				session.userId === Number(userId) &&
+				sessionId !== exceptSessionId
+			) {
+				this.db.sessions.delete(sessionId);
+				destroyed++;
+			}
+		}
+		return destroyed;
+	}
+}
+
+module.exports = MemorySessionRepository;
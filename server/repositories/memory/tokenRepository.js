@@ -0,0 +1,34 @@
+class MemoryTokenRepository {
+	constructor(database) {
+		this.db = database;
+	}
+
+	async save(userId, purpose, { token, expires, email = null }) {
+		await this.clear(userId, purpose);
+		this.db.tokens.push({
+			userId: Number(userId),
+			purpose,
+			token,
+			expires,
+			email,
+		});
+	}
+
+	async find(purpose, token) {
+		const row = this.db.tokens.find(
+			(entry) => entry.purpose === purpose && entry.token === token
+		);
+		if (!row) return null;
+
+		return { userId: row.userId, email: row.email, expires: row.expires };
+	}
+
+	async clear(userId, purpose) {
+		this.db.tokens = this.db.tokens.filter(
+			(entry) =>
+				!(entry.userId === Number(userId) && entry.purpose === purpose)
+		);
+	}
+}
+
+module.exports = MemoryTokenRepository;
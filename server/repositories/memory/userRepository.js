@@ -0,0 +1,171 @@
+const { copy } = require("./database");
+const { ConflictError } = require("../../errors");
+
+const USER_FIELDS = [
+	"email",
+	"passwordHash",
+	"role",
+	"emailVerified",
+	"emailVerifiedAt",
+	"displayName",
+	"phone",
+	"dietaryPreferences",
+	"failedLoginCount",
+	"lockedUntil",
+	"totpSecret",
+	"totpEnabledAt",
+	"totpLastStep",
+];
+
+class MemoryUserRepository {
+	constructor(database) {
+		this.db = database;
+	}
+
+	// the pending address lives with the email change token, as in MySQL
+	withPendingEmail(row) {
+		if (!row) return null;
+		const change = this.db.tokens.find(
+			(token) =>
+				token.userId === row.id && token.purpose === "email-change"
+		);
+		return { ...copy(row), pendingEmail: change ? change.email : null };
+	}
+
+	checkEmailFree(email, exceptId = null) {
+		if (
+			this.db.users.some(
+				(user) => user.email === email && user.id !== exceptId
+			)
+		) {
+			throw new ConflictError("Email already registered", {
+				code: "EMAIL_TAKEN",
+			});
+		}
+	}
+
+	async findById(id) {
+		return this.withPendingEmail(
+			this.db.users.find((user) => user.id === Number(id))
+		);
+	}
+
+	async findByEmail(email) {
+		return this.withPendingEmail(
+			this.db.users.find((user) => user.email === email)
+		);
+	}
+
+	async create({ email, passwordHash = null, emailVerified = false }) {
+		this.checkEmailFree(email);
+
+		const user = {
+			id: this.db.nextId("users"),
+			email,
+			passwordHash,
+			role: "customer",
+			emailVerified,
+			emailVerifiedAt: emailVerified ? new Date() : null,
+			displayName: null,
+			phone: null,
+			dietaryPreferences: [],
+			failedLoginCount: 0,
+			lockedUntil: null,
+			totpSecret: null,
+			totpEnabledAt: null,
+			totpLastStep: null,
+			createdAt: new Date(),
+		};
+		this.db.users.push(user);
+
+		return this.findById(user.id);
+	}
+
+	async update(id, fields) {
+		const user = this.db.users.find((row) => row.id === Number(id));
+		if (!user) return false;
+
+		if (fields.email !== undefined) {
+			this.checkEmailFree(fields.email, user.id);
+		}
+		for (const field of USER_FIELDS) {
+			if (fields[field] !== undefined) user[field] = copy(fields[field]);
+		}
+		return true;
+	}
+
+	async useTotpStep(id, step) {
+		const user = this.db.users.find((row) => row.id === Number(id));
+		if (
+			!user ||
+			(user.totpLastStep !== null && user.totpLastStep >= step)
+		) {
+			return false;
+		}
+
+		user.totpLastStep = step;
+		return true;
+	}
+
+	// removes what the MySQL foreign keys would cascade to
+	async delete(id) {
+		const userId = Number(id);
+		const before = this.db.users.length;
+		this.db.users = this.db.users.filter((user) => user.id !== userId);
+		if (this.db.users.length === before) return false;
+
+		this.db.bookings = this.db.bookings.filter(
+			(booking) => booking.userId !== userId
+		);
+		this.db.tokens = this.db.tokens.filter(
+			(token) => token.userId !== userId
+		);
+		this.db.recoveryCodes = this.db.recoveryCodes.filter(
+			(code) => code.userId !== userId
+		);
+		this.db.identities = this.db.identities.filter(
+			(identity) => identity.userId !== userId
+		);
+		this.db.refreshTokens = this.db.refreshTokens.filter(
+			(token) => token.userId !== userId
+		);
+		this.db.apiKeys = this.db.apiKeys.filter(
+			(apiKey) => apiKey.userId !== userId
+		);
+		for (const [sessionId, session] of this.db.sessions) {
+			if (session.userId === userId) this.db.sessions.delete(sessionId);
+		}
+		for (const event of this.db.authEvents) {
+			if (event.userId === userId) event.userId = null;
+		}
+		for (const enquiry of this.db.enquiries) {
+			if (enquiry.userId === userId) enquiry.userId = null;
+		}
+		for (const reply of this.db.enquiryReplies) {
+			if (reply.userId === userId) reply.userId = null;
+		}
+		for (const order of this.db.orders) {
+			if (order.userId === userId) order.userId = null;
+		}
+		return true;
+	}
+
+	async list() {
+		return this.db.users.map((user) => ({
+			id: user.id,
+			email: user.email,
+			role: user.role,
+			createdAt: user.createdAt,
+			twoFactorEnabled: user.totpEnabledAt !== null,
+			bookingCount: this.db.bookings.filter(
+				(booking) => booking.userId === user.id
+			).length,
+		}));
+	}
+
+	async countByRole(role) {
+		return this.db.users.filter((user) => user.role === role).length;
+	}
+}
+
+module.exports = MemoryUserRepository;
@@ -0,0 +1,78 @@
+const { getPool } = require("./pool");
+
+// Personal API keys, stored as hashes. `prefix` is the start of the key,
+// kept so people can tell their keys apart.
+function mapApiKey(row) {
+	return {
+		id: row.id,
+		userId: row.user_id,
+		name: row.name,
+		prefix: row.prefix,
+		expiresAt: row.expires_at,
+		lastUsedAt: row.last_used_at,
+		revokedAt: row.revoked_at,
+		createdAt: row.created_at,
+	};
+}
+
+class MySQLApiKeyRepository {
+	async create({ userId, name, keyHash, prefix, expiresAt }) {
+		const [result] = await getPool().execute(
+			`INSERT INTO api_keys (user_id, name, key_hash, prefix, expires_at)
+			VALUES (?, ?, ?, ?, ?)`,
+			[userId, name, keyHash, prefix, expiresAt]
+		);
+		return this.findById(result.insertId);
+	}
+
+	async findById(id) {
+		const [rows] = await getPool().execute(
+			"SELECT * FROM api_keys WHERE id = ?",
+			[id]
+		);
+		return rows.length > 0 ? mapApiKey(rows[0]) : null;
+	}
+
+	async findByHash(keyHash) {
+		const [rows] = await getPool().execute(
+			"SELECT * FROM api_keys WHERE key_hash = ?",
+			[keyHash]
+		);
+		return rows.length > 0 ? mapApiKey(rows[0]) : null;
+	}
+
+	// the user's keys that haven't been revoked, newest first
+	async listForUser(userId) {
+		const [rows] = await getPool().execute(
+			"SELECT * FROM api_keys WHERE user_id = ? AND revoked_at IS NULL ORDER BY id DESC",
+			[userId]
+		);
+		return rows.map(mapApiKey);
+	}
+
+	async countForUser(userId) {
+		const [rows] = await getPool().execute(
+			"SELECT COUNT(*) AS count FROM api_keys WHERE user_id = ? AND revoked_at IS NULL",
+			[userId]
+		);
+		return rows[0].count;
+	}
+
+	async touch(id) {
+		await getPool().execute(
+			"UPDATE api_keys SET last_used_at = NOW() WHERE id = ?",
+			[id]
+		);
+	}
+
+	// only the owner's own keys, returns whether one was revoked
+	async revoke(userId, id) {
+		const [result] = await getPool().execute(
+			"UPDATE api_keys SET revoked_at = NOW() WHERE id = ? AND user_id = ? AND revoked_at IS NULL",
+			[id, userId]
+		);
+		return result.affectedRows > 0;
+	}
+}
+
+module.exports = MySQLApiKeyRepository;
@@ -0,0 +1,54 @@
+const { getPool } = require("./pool");
+
+class MySQLAuthEventRepository {
+	async record({ type, userId, email, ip, userAgent, detail }) {
+		await getPool().execute(
+			"INSERT INTO auth_events (user_id, email, event_type, ip_address, user_agent, detail) VALUES (?, ?, ?, ?, ?, ?)",
+			[
+				userId || null,
+				email || null,
+				type,
+				ip || null,
+				userAgent || null,
+				detail || null,
+			]
+		);
+	}
+
+	// newest first, `before` is the id of the oldest event already shown
+	async list({ type, email, userId, before, limit }) {
+		const conditions = [];
+		const params = [];
+
+		if (type) {
+			conditions.push("event_type = ?");
+			params.push(type);
+		}
+		if (email) {
+			conditions.push("email = ?");
+			params.push(email);
+		}
+		if (userId) {
+			conditions.push("user_id = ?");
+			params.push(userId);
+		}
+		if (before) {
+			conditions.push("id < ?");
+			params.push(before);
+		}
+
+		const where =
+			conditions.length > 0 ? ` WHERE ${conditions.join(" AND ")}` : "";
+		const [rows] = await getPool().query(
+			`SELECT id, user_id AS userId, email, event_type AS type, ip_address AS ip,
+				user_agent AS userAgent, detail, created_at AS createdAt
+			FROM auth_events${where}
+			ORDER BY id DESC
+			LIMIT ${Number(limit)}`,
+			params
+		);
+		return rows;
+	}
+}
+
+module.exports = MySQLAuthEventRepository;
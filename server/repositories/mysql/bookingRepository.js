@@ -0,0 +1,193 @@
+const { getPool, withTransaction } = require("./pool");
+const { ConflictError, ValidationError } = require("../../errors");
+
+const bookingSelect = `SELECT b.id, b.user_id AS userId, u.email AS userEmail,
+		b.table_id AS tableId, t.label AS \`table\`, b.party_size AS partySize,
+		b.status, b.notes,
+		DATE_FORMAT(b.starts_at, '%Y-%m-%d') AS date,
+		DATE_FORMAT(b.starts_at, '%H:%i') AS time,
+		DATE_FORMAT(b.ends_at, '%H:%i') AS endTime
+	FROM bookings b
+	JOIN restaurant_tables t ON t.id = b.table_id
+	JOIN users u ON u.id = b.user_id`;
+
+// Picks the smallest free table for the slot inside a transaction. The
+// candidate table rows are locked FOR UPDATE first, so two requests racing
+// for the same slot are serialised and the second one sees the first booking.
+async function claimTable(connection, slot, excludeBookingId, preferTableId) {
+	const [tables] = await connection.execute(
+		"SELECT id FROM restaurant_tables WHERE is_active = 1 AND capacity >= ? ORDER BY capacity, id FOR UPDATE",
+		[slot.partySize]
+	);
+
+	if (tables.length === 0) {
+		throw new ValidationError("No table is large enough for that party");
+	}
+
+	const [clashes] = await connection.execute(
+		`SELECT table_id FROM bookings
+		WHERE status = 'confirmed' AND id <> ? AND starts_at < ? AND ends_at > ?`,
+		[excludeBookingId || 0, slot.endsAt, slot.startsAt]
+	);
+	const taken = new Set(clashes.map((clash) => clash.table_id));
+
+	const free = tables.filter((table) => !taken.has(table.id));
+	if (free.length === 0) {
+		throw new ConflictError("That time slot is no longer available", {
+			code: "SLOT_TAKEN",
+		});
+	}
+
+	const preferred = free.find((table) => table.id === preferTableId);
+	return (preferred || free[0]).id;
+}
+
+// Times are "YYYY-MM-DD HH:MM:SS" strings in restaurant local time.
+class MySQLBookingRepository {
+	// { open: "HH:MM", close: "HH:MM" } or null when closed that day
+	async getOpeningHours(dayOfWeek) {
+		const [rows] = await getPool().execute(
+			"SELECT open_time, close_time FROM opening_hours WHERE day_of_week = ?",
+			[dayOfWeek]
+		);
+
+		if (rows.length === 0) return null;
+
+		return {
+			open: rows[0].open_time.substring(0, 5),
+			close: rows[0].close_time.substring(0, 5),
+		};
+	}
+
+	async largestTableCapacity() {
+		const [rows] = await getPool().execute(
+			"SELECT MAX(capacity) AS capacity FROM restaurant_tables WHERE is_active = 1"
+		);
+		return rows[0].capacity || 0;
+	}
+
+	async listTables(minCapacity) {
+		const [rows] = await getPool().execute(
+			"SELECT id, label, capacity FROM restaurant_tables WHERE is_active = 1 AND capacity >= ? ORDER BY capacity, id",
+			[minCapacity]
+		);
+		return rows;
+	}
+
+	// confirmed bookings on a day, as { tableId, startTime, endTime }
+	async listConfirmedOnDate(date, excludeBookingId = null) {
+		const [rows] = await getPool().execute(
+			`SELECT table_id AS tableId,
+				DATE_FORMAT(starts_at, '%H:%i') AS startTime,
+				DATE_FORMAT(ends_at, '%H:%i') AS endTime
+			FROM bookings
+			WHERE status = 'confirmed' AND DATE(starts_at) = ? AND id <> ?`,
+			[date, excludeBookingId || 0]
+		);
+		return rows;
+	}
+
+	async find(id) {
+		const [rows] = await getPool().execute(
+			`${bookingSelect} WHERE b.id = ?`,
+			[id]
+		);
+		return rows.length > 0 ? rows[0] : null;
+	}
+
+	async listForUser(userId) {
+		const [rows] = await getPool().execute(
+			`${bookingSelect} WHERE b.user_id = ? ORDER BY b.starts_at`,
+			[userId]
+		);
+		return rows;
+	}
+
+	async listForDate(date) {
+		const [rows] = await getPool().execute(
+			`${bookingSelect} WHERE DATE(b.starts_at) = ? ORDER BY b.starts_at, t.label`,
+			[date]
+		);
+		return rows;
+	}
+
+	// Books the smallest free table that fits. Throws a ConflictError if the
+	// slot filled up since availability was checked.
+	async create({ userId, partySize, startsAt, endsAt, notes }) {
+		return withTransaction(async (connection) => {
+			const tableId = await claimTable(
+				connection,
+				{ partySize, startsAt, endsAt },
+				null,
+				null
+			);
+			const [result] = await connection.execute(
+				"INSERT INTO bookings (user_id, table_id, party_size, starts_at, ends_at, notes) VALUES (?, ?, ?, ?, ?, ?)",
+				[userId, tableId, partySize, startsAt, endsAt, notes || null]
+			);
+			return result.insertId;
+		});
+	}
+
+	// Moves a booking, keeping its table if that is still free.
+	async reschedule(
+		id,
+		{ partySize, startsAt, endsAt, notes },
+		preferTableId
+	) {
+		await withTransaction(async (connection) => {
+			const tableId = await claimTable(
+				connection,
+				{ partySize, startsAt, endsAt },
+				id,
+				preferTableId
+			);
+			await connection.execute(
+				"UPDATE bookings SET table_id = ?, party_size = ?, starts_at = ?, ends_at = ?, notes = ? WHERE id = ?",
+				[tableId, partySize, startsAt, endsAt, notes || null, id]
+			);
+		});
+	}
+
+	// Confirms a cancelled (or no-show) booking again, keeping its table if
+	// that is still free. Throws a ConflictError if the slot filled up since.
+	async reconfirm(id) {
+		return withTransaction(async (connection) => {
+			const [rows] = await connection.execute(
+				`SELECT table_id, party_size,
+					DATE_FORMAT(starts_at, '%Y-%m-%d %H:%i:%s') AS startsAt,
+					DATE_FORMAT(ends_at, '%Y-%m-%d %H:%i:%s') AS endsAt
+				FROM bookings WHERE id = ? FOR UPDATE`,
+				[id]
+			);
+			if (rows.length === 0) return false;
+
+			const [booking] = rows;
+			const tableId = await claimTable(
+				connection,
+				{
+					partySize: booking.party_size,
+					startsAt: booking.startsAt,
+					endsAt: booking.endsAt,
+				},
+				id,
+				booking.table_id
+			);
+			await connection.execute(
+				"UPDATE bookings SET table_id = ?, status = 'confirmed' WHERE id = ?",
+				[tableId, id]
+			);
+			return true;
+		});
+	}
+
+	async updateStatus(id, status) {
+		const [result] = await getPool().execute(
+			"UPDATE bookings SET status = ? WHERE id = ?",
+			[status, id]
+		);
+		return result.affectedRows > 0;
+	}
+}
+
+module.exports = MySQLBookingRepository;
@@ -0,0 +1,124 @@
+const { getPool, withTransaction } = require("./pool");
+
+// Contact page enquiries and the replies staff sent to them.
+function mapEnquiry(row) {
+	return {
+		id: row.id,
+		userId: row.user_id,
+		name: row.name,
+		email: row.email,
+		subject: row.subject,
+		message: row.message,
+		status: row.status,
+		ip: row.ip,
+		userAgent: row.user_agent,
+		createdAt: row.created_at,
+	};
+}
+
+class MySQLEnquiryRepository {
+	async create({ userId, name, email, subject, message, ip, userAgent }) {
+		const [result] = await getPool().execute(
+			`INSERT INTO enquiries (user_id, name, email, subject, message, ip, user_agent)
+			VALUES (?, ?, ?, ?, ?, ?, ?)`,
+			[
+				userId || null,
+				name,
+				email,
+				subject || null,
+				message,
+				ip || null,
+				userAgent || null,
+			]
+		);
+		return this.findById(result.insertId);
+	}
+
+	// with its replies, oldest first
+	async findById(id) {
+		const [rows] = await getPool().execute(
+			"SELECT * FROM enquiries WHERE id = ?",
+			[id]
+		);
+		if (rows.length === 0) return null;
+
+		const [replies] = await getPool().execute(
+			`SELECT r.id, r.user_id AS userId, u.email AS userEmail, r.message,
+				r.created_at AS createdAt
+			FROM enquiry_replies r
+			LEFT JOIN users u ON u.id = r.user_id
+			WHERE r.enquiry_id = ?
+			ORDER BY r.id`,
+			[id]
+		);
+		return { ...mapEnquiry(rows[0]), replies };
+	}
+
+	// newest first, `before` is the id of the oldest enquiry already shown
+	async list({ status, before, limit }) {
+		const conditions = [];
+		const params = [];
+
+		if (status) {
+			conditions.push("status = ?");
+			params.push(status);
+		}
+		if (before) {
+			conditions.push("id < ?");
+			params.push(before);
+		}
+
+		const where =
+			conditions.length > 0 ? ` WHERE ${conditions.join(" AND ")}` : "";
+		const [rows] = await getPool().query(
+			`SELECT * FROM enquiries${where} ORDER BY id DESC LIMIT ${Number(
+				limit
+			)}`,
+			params
+		);
+		return rows.map(mapEnquiry);
+	}
+
+	async listForUser(userId) {
+		const [rows] = await getPool().execute(
+			"SELECT * FROM enquiries WHERE user_id = ? ORDER BY id DESC",
+			[userId]
+		);
+		return rows.map(mapEnquiry);
+	}
+
+	// e.g. { new: 2, read: 0, replied: 5 }, statuses with none are left out
+	async countByStatus() {
+		const [rows] = await getPool().execute(
+			"SELECT status, COUNT(*) AS count FROM enquiries GROUP BY status"
+		);
+		return Object.fromEntries(
+			rows.map((row) => [row.status, Number(row.count)])
+		);
+	}
+
+	// returns whether the enquiry exists
+	async updateStatus(id, status) {
+		const [result] = await getPool().execute(
+			"UPDATE enquiries SET status = ? WHERE id = ?",
+			[status, id]
+		);
+		return result.affectedRows > 0;
+	}
+
+	// stores a reply sent by `userId` and marks the enquiry replied
+	async addReply({ enquiryId, userId, message }) {
+		await withTransaction(async (connection) => {
+			await connection.execute(
+				"INSERT INTO enquiry_replies (enquiry_id, user_id, message) VALUES (?, ?, ?)",
+				[enquiryId, userId || null, message]
+			);
+			await connection.execute(
+				"UPDATE enquiries SET status = 'replied' WHERE id = ?",
+				[enquiryId]
+			);
+		});
+	}
+}
+
+module.exports = MySQLEnquiryRepository;
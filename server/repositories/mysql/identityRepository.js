@@ -0,0 +1,41 @@
+const { getPool } = require("./pool");
+
+// Accounts at social login providers, linked to users.
+function mapIdentity(row) {
+	return {
+		id: row.id,
+		userId: row.user_id,
+		provider: row.provider,
+		subject: row.subject,
+		email: row.email,
+		createdAt: row.created_at,
+	};
+}
+
+class MySQLIdentityRepository {
+	async find(provider, subject) {
+		const [rows] = await getPool().execute(
+			"SELECT * FROM user_identities WHERE provider = ? AND subject = ?",
+			[provider, subject]
+		);
+		return rows.length > 0 ? mapIdentity(rows[0]) : null;
+	}
+
+	async create({ userId, provider, subject, email }) {
+		const [result] = await getPool().execute(
+			"INSERT INTO user_identities (user_id, provider, subject, email) VALUES (?, ?, ?, ?)",
+			[userId, provider, subject, email]
+		);
+		return { id: result.insertId, userId, provider, subject, email };
+	}
+
+	async listForUser(userId) {
+		const [rows] = await getPool().execute(
+			"SELECT * FROM user_identities WHERE user_id = ? ORDER BY id",
+			[userId]
+		);
+		return rows.map(mapIdentity);
+	}
+}
+
+module.exports = MySQLIdentityRepository;
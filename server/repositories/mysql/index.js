@@ -0,0 +1,39 @@
+const MySQLUserRepository = require("./userRepository");
+const MySQLTokenRepository = require("./tokenRepository");
+const MySQLRecoveryCodeRepository = require("./recoveryCodeRepository");
+const MySQLIdentityRepository = require("./identityRepository");
+const MySQLRefreshTokenRepository = require("./refreshTokenRepository");
+const MySQLApiKeyRepository = require("./apiKeyRepository");
+const MySQLSessionRepository = require("./sessionRepository");
+const MySQLAuthEventRepository = require("./authEventRepository");
+const MySQLMenuRepository = require("./menuRepository");
+const MySQLBookingRepository = require("./bookingRepository");
+const MySQLEnquiryRepository = require("./enquiryRepository");
+const MySQLOrderRepository = require("./orderRepository");
+const migrator = require("../../migrator");
+const { getPool, closePool } = require("./pool");
+
+function createMySQLRepositories() {
+	return {
+		backend: "mysql",
+		users: new MySQLUserRepository(),
+		tokens: new MySQLTokenRepository(),
+		recoveryCodes: new MySQLRecoveryCodeRepository(),
+		identities: new MySQLIdentityRepository(),
+		refreshTokens: new MySQLRefreshTokenRepository(),
+		apiKeys: new MySQLApiKeyRepository(),
+		sessions: new MySQLSessionRepository(),
+		authEvents: new MySQLAuthEventRepository(),
+		menu: new MySQLMenuRepository(),
+		bookings: new MySQLBookingRepository(),
+		enquiries: new MySQLEnquiryRepository(),
+		orders: new MySQLOrderRepository(),
+		// only serve requests once the schema matches the migrations
+		prepare: () => migrator.checkSchema(),
+		// a query the database has to answer, for GET /api/ready
+		ping: () => getPool().query("SELECT 1"),
+		close: () => closePool(),
+	};
+}
+
+module.exports = createMySQLRepositories;
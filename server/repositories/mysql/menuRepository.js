@@ -0,0 +1,158 @@
+const { getPool, splitList, toColumnValue, updateRow } = require("./pool");
+const { ConflictError } = require("../../errors");
+
+const ITEM_COLUMNS = {
+	categoryId: "category_id",
+	name: "name",
+	description: "description",
+	price: "price",
+	allergens: "allergens",
+	dietaryTags: "dietary_tags",
+	available: "is_available",
+	sortOrder: "sort_order",
+};
+
+const CATEGORY_COLUMNS = {
+	name: "name",
+	slug: "slug",
+	description: "description",
+	sortOrder: "sort_order",
+};
+
+function mapMenuItem(row) {
+	return {
+		id: row.id,
+		categoryId: row.category_id,
+		name: row.name,
+		description: row.description,
+		price: Number(row.price), // DECIMAL columns come back as strings
+		allergens: splitList(row.allergens),
+		dietaryTags: splitList(row.dietary_tags),
+		available: row.is_available === 1,
+	};
+}
+
+function duplicateCategory(err) {
+	if (err.code === "ER_DUP_ENTRY") {
+		return new ConflictError("A category with that name already exists");
+	}
+	return err;
+}
+
+class MySQLMenuRepository {
+	async listCategories() {
+		const [rows] = await getPool().execute(
+			"SELECT id, name, slug, description FROM menu_categories ORDER BY sort_order, name"
+		);
+		return rows;
+	}
+
+	async categoryExists(id) {
+		const [rows] = await getPool().execute(
+			"SELECT id FROM menu_categories WHERE id = ?",
+			[id]
+		);
+		return rows.length > 0;
+	}
+
+	// items in menu order, optionally only one category and only items that
+	// have every one of the given dietary tags
+	async listItems({ categoryId, tags = [] } = {}) {
+		let sql = "SELECT * FROM menu_items";
+		const params = [];
+		const conditions = [];
+
+		if (categoryId) {
+			conditions.push("category_id = ?");
+			params.push(categoryId);
+		}
+		for (const tag of tags) {
+			conditions.push("FIND_IN_SET(?, dietary_tags) > 0");
+			params.push(tag);
+		}
+
+		if (conditions.length > 0) {
+			sql += " WHERE " + conditions.join(" AND ");
+		}
+		sql += " ORDER BY sort_order, name";
+
+		const [rows] = await getPool().execute(sql, params);
+		return rows.map(mapMenuItem);
+	}
+
+	async findItem(id) {
+		const [rows] = await getPool().execute(
+			"SELECT * FROM menu_items WHERE id = ?",
+			[id]
+		);
+		return rows.length > 0 ? mapMenuItem(rows[0]) : null;
+	}
+
+	async createItem(fields) {
+		const names = Object.keys(fields).filter(
+			(field) => ITEM_COLUMNS[field]
+		);
+		const [result] = await getPool().execute(
+			`INSERT INTO menu_items (${names
+				.map((field) => ITEM_COLUMNS[field])
+				.join(", ")}) VALUES (${names.map(() => "?").join(", ")})`,
+			names.map((field) => toColumnValue(fields[field]))
+		);
+		return result.insertId;
+	}
+
+	async updateItem(id, fields) {
+		return updateRow("menu_items", id, fields, ITEM_COLUMNS);
+	}
+
+	async deleteItem(id) {
+		const [result] = await getPool().execute(
+			"DELETE FROM menu_items WHERE id = ?",
+			[id]
+		);
+		return result.affectedRows > 0;
+	}
+
+	async countItemsInCategory(categoryId) {
+		const [rows] = await getPool().execute(
+			"SELECT COUNT(*) AS count FROM menu_items WHERE category_id = ?",
+			[categoryId]
+		);
+		return rows[0].count;
+	}
+
+	async createCategory({ name, slug, description, sortOrder }) {
+		try {
+			const [result] = await getPool().execute(
+				"INSERT INTO menu_categories (name, slug, description, sort_order) VALUES (?, ?, ?, ?)",
+				[name, slug, description, sortOrder]
+			);
+			return result.insertId;
+		} catch (err) {
+			throw duplicateCategory(err);
+		}
+	}
+
+	async updateCategory(id, fields) {
+		try {
+			return await updateRow(
+				"menu_categories",
+				id,
+				fields,
+				CATEGORY_COLUMNS
+			);
+		} catch (err) {
+			throw duplicateCategory(err);
+		}
+	}
+
+	async deleteCategory(id) {
+		const [result] = await getPool().execute(
+			"DELETE FROM menu_categories WHERE id = ?",
+			[id]
+		);
+		return result.affectedRows > 0;
+	}
+}
+
+module.exports = MySQLMenuRepository;
@@ -0,0 +1,154 @@
+const { getPool, withTransaction } = require("./pool");
+
+const orderSelect = `SELECT o.*, u.email AS user_email
+	FROM orders o
+	LEFT JOIN users u ON u.id = o.user_id`;
+
+function mapOrder(row) {
+	return {
+		id: row.id,
+		userId: row.user_id,
+		userEmail: row.user_email,
+		status: row.status,
+		total: Number(row.total), // DECIMAL columns come back as strings
+		currency: row.currency,
+		notes: row.notes,
+		paymentProvider: row.payment_provider,
+		paymentId: row.payment_id,
+		paidAt: row.paid_at,
+		refundedAt: row.refunded_at,
+		createdAt: row.created_at,
+		statusChangedAt: row.status_changed_at,
+	};
+}
+
+// adds each order's lines as `items`, in the order they were added
+async function withItems(rows) {
+	const orders = rows.map(mapOrder);
+	if (orders.length === 0) return orders;
+
+	const [items] = await getPool().query(
+		`SELECT id, order_id AS orderId, menu_item_id AS menuItemId, name,
+			unit_price AS unitPrice, quantity
+		FROM order_items
+		WHERE order_id IN (?)
+		ORDER BY id`,
+		[orders.map((order) => order.id)]
+	);
+	for (const order of orders) {
+		order.items = items
+			.filter((item) => item.orderId === order.id)
+			.map(({ orderId, ...item }) => ({
+				...item,
+				unitPrice: Number(item.unitPrice),
+			}));
+	}
+	return orders;
+}
+
+class MySQLOrderRepository {
+	// `items` is [{ menuItemId, name, unitPrice, quantity }]
+	async create({ userId, items, total, currency, notes, paymentProvider }) {
+		const orderId = await withTransaction(async (connection) => {
+			const [result] = await connection.execute(
+				`INSERT INTO orders (user_id, total, currency, notes, payment_provider)
+				VALUES (?, ?, ?, ?, ?)`,
+				[userId, total, currency, notes || null, paymentProvider]
+			);
+			for (const item of items) {
+				await connection.execute(
+					`INSERT INTO order_items (order_id, menu_item_id, name, unit_price, quantity)
+					VALUES (?, ?, ?, ?, ?)`,
+					[
+						result.insertId,
+						item.menuItemId,
+						item.name,
+						item.unitPrice,
+						item.quantity,
+					]
+				);
+			}
+			return result.insertId;
+		});
+		return this.findById(orderId);
+	}
+
+	async findById(id) {
+		const [rows] = await getPool().execute(
+			`${orderSelect} WHERE o.id = ?`,
+			[id]
+		);
+		const [order] = await withItems(rows);
+		return order || null;
+	}
+
+	// newest first
+	async listForUser(userId) {
+		const [rows] = await getPool().execute(
+			`${orderSelect} WHERE o.user_id = ? ORDER BY o.id DESC`,
+			[userId]
+		);
+		return withItems(rows);
+	}
+
+	// newest first, `statuses` limits it to orders in any of them and
+	// `before` is the id of the oldest order already shown
+	async list({ statuses, before, limit }) {
+		const conditions = [];
+		const params = [];
+
+		if (statuses && statuses.length > 0) {
+			conditions.push("o.status IN (?)");
+			params.push(statuses);
+		}
+		if (before) {
+			conditions.push("o.id < ?");
+			params.push(before);
+		}
+
+		const where =
+			conditions.length > 0 ? ` WHERE ${conditions.join(" AND ")}` : "";
+		const [rows] = await getPool().query(
+			`${orderSelect}${where} ORDER BY o.id DESC LIMIT ${Number(limit)}`,
+			params
+		);
+		return withItems(rows);
+	}
+
+	// Only changes an order that is still `fromStatus`, so two changes at once
+	// can't both win. Returns whether it changed.
+	async updateStatus(id, fromStatus, status) {
+		const [result] = await getPool().execute(
+			"UPDATE orders SET status = ?, status_changed_at = NOW() WHERE id = ? AND status = ?",
+			[status, id, fromStatus]
+		);
+		return result.affectedRows > 0;
+	}
+
+	async markPaid(id, paymentId) {
+		await getPool().execute(
+			"UPDATE orders SET payment_id = ?, paid_at = NOW() WHERE id = ?",
+			[paymentId, id]
+		);
+	}
+
+	// Marks a paid order refunded unless it already is, before the provider
+	// is asked to, so only one request refunds it. Returns whether it did.
+	async claimRefund(id) {
+		const [result] = await getPool().execute(
+			"UPDATE orders SET refunded_at = NOW() WHERE id = ? AND payment_id IS NOT NULL AND refunded_at IS NULL",
+			[id]
+		);
+		return result.affectedRows > 0;
+	}
+
+	// when the provider's refund failed after claimRefund()
+	async releaseRefund(id) {
+		await getPool().execute(
+			"UPDATE orders SET refunded_at = NULL WHERE id = ?",
+			[id]
+		);
+	}
+}
+
+module.exports = MySQLOrderRepository;
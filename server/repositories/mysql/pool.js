@@ -0,0 +1,100 @@
+const mysql = require("mysql2"); // Connecting to SQL database
+
+const config = require("../../config");
+const logger = require("../../logger");
+
+let pool;
+
+// The pool is only created on first use, so nothing connects to MySQL when
+// another storage backend is picked. The schema itself is managed by
+// migrator.js, which runs before the server starts listening.
+function getPool() {
+	if (!pool) {
+		pool = mysql
+			.createPool({
+				host: config.db.host,
+				port: config.db.port,
+				user: config.db.user,
+				password: config.db.password,
+				database: config.db.name,
+				connectionLimit: config.db.connectionLimit,
+				waitForConnections: true,
+				queueLimit: 0,
+			})
+			.promise();
+
+		logger.info("Database connection pool created", {
+			host: config.db.host,
+			database: config.db.name,
+		});
+	}
+
+	return pool;
+}
+
+// Waits for queries in progress and closes every connection, when the
+// server shuts down. A later getPool() starts a new pool.
+async function closePool() {
+	if (!pool) return;
+
+	const closing = pool;
+	pool = null;
+	await closing.end();
+	logger.info("Database connection pool closed");
+}
+
+async function withTransaction(work) {
+	const connection = await getPool().getConnection();
+	try {
+		await connection.beginTransaction();
+		const result = await work(connection);
+		await connection.commit();
+		return result;
+	} catch (err) {
+		await connection.rollback();
+		throw err;
+	} finally {
+		connection.release();
+	}
+}
+
+// allergens, dietary tags and preferences are stored as comma separated strings
+function splitList(value) {
+	if (!value) return [];
+	return value
+		.split(",")
+		.map((entry) => entry.trim())
+		.filter((entry) => entry.length > 0);
+}
+
+function toColumnValue(value) {
+	if (typeof value === "boolean") return value ? 1 : 0;
+	if (Array.isArray(value)) return value.join(",");
+	return value === undefined ? null : value;
+}
+
+// UPDATE for only the fields that were given. `columns` maps the field names
+// repositories take (camelCase) to column names, anything else is ignored.
+// Returns whether a row matched.
+async function updateRow(table, id, fields, columns) {
+	const names = Object.keys(fields).filter(
+		(field) => columns[field] && fields[field] !== undefined
+	);
+	if (names.length === 0) return true;
+
+	const [result] = await getPool().execute(
+		`UPDATE ${table} SET ${names
+			.map((field) => `${columns[field]} = ?`)
+			.join(", ")} WHERE id = ?`,
+		[...names.map((field) => toColumnValue(fields[field])), id]
+	);
+
+	return result.affectedRows > 0;
+}
+
+module.exports.getPool = getPool;
+module.exports.closePool = closePool;
+module.exports.withTransaction = withTransaction;
+module.exports.splitList = splitList;
+module.exports.toColumnValue = toColumnValue;
+module.exports.updateRow = updateRow;
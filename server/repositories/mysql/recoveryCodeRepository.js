@@ -0,0 +1,49 @@
+const { getPool, withTransaction } = require("./pool");
+
+// Two-factor recovery codes. Only hashes are stored, the codes themselves
+// are shown to the user once.
+class MySQLRecoveryCodeRepository {
+	// swaps the user's codes for a new set
+	async replace(userId, codeHashes) {
+		await withTransaction(async (connection) => {
+			await connection.execute(
+				"DELETE FROM recovery_codes WHERE user_id = ?",
+				[userId]
+			);
+			for (const codeHash of codeHashes) {
+				await connection.execute(
+					"INSERT INTO recovery_codes (user_id, code_hash) VALUES (?, ?)",
+					[userId, codeHash]
+				);
+			}
+		});
+	}
+
+	// Marks an unused code as used. Returns false if there was no such code,
+	// so two requests racing with the same code can't both succeed.
+	async use(userId, codeHash) {
+		const [result] = await getPool().execute(
+			`UPDATE recovery_codes SET used_at = NOW()
+			WHERE user_id = ? AND code_hash = ? AND used_at IS NULL`,
+			[userId, codeHash]
+		);
+		return result.affectedRows > 0;
+	}
+
+	async countUnused(userId) {
+		const [rows] = await getPool().execute(
+			"SELECT COUNT(*) AS count FROM recovery_codes WHERE user_id = ? AND used_at IS NULL",
+			[userId]
+		);
+		return rows[0].count;
+	}
+
+	async clear(userId) {
+		await getPool().execute(
+			"DELETE FROM recovery_codes WHERE user_id = ?",
+			[userId]
+		);
+	}
+}
+
+module.exports = MySQLRecoveryCodeRepository;
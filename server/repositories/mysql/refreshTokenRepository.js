@@ -0,0 +1,69 @@
+const { getPool } = require("./pool");
+
+// Refresh tokens for apps, stored as hashes and grouped in families. See
+// migrations/004_add_api_tokens.js.
+function mapRefreshToken(row) {
+	return {
+		id: row.id,
+		userId: row.user_id,
+		familyId: row.family_id,
+		expiresAt: row.expires_at,
+		usedAt: row.used_at,
+		revokedAt: row.revoked_at,
+		createdAt: row.created_at,
+	};
+}
+
+class MySQLRefreshTokenRepository {
+	async create({ userId, familyId, tokenHash, expiresAt, ip, userAgent }) {
+		const [result] = await getPool().execute(
+			`INSERT INTO refresh_tokens
+				(user_id, family_id, token_hash, expires_at, ip, user_agent)
+			VALUES (?, ?, ?, ?, ?, ?)`,
+			[userId, familyId, tokenHash, expiresAt, ip, userAgent]
+		);
+		return result.insertId;
+	}
+
+	async findByHash(tokenHash) {
+		const [rows] = await getPool().execute(
+			"SELECT * FROM refresh_tokens WHERE token_hash = ?",
+			[tokenHash]
+		);
+		return rows.length > 0 ? mapRefreshToken(rows[0]) : null;
+	}
+
+	// Returns false if the token was already used, so two requests racing
+	// with the same token can't both get new ones.
+	async markUsed(id) {
+		const [result] = await getPool().execute(
+			"UPDATE refresh_tokens SET used_at = NOW() WHERE id = ? AND used_at IS NULL",
+			[id]
+		);
+		return result.affectedRows > 0;
+	}
+
+	async revokeFamily(familyId) {
+		await getPool().execute(
+			"UPDATE refresh_tokens SET revoked_at = NOW() WHERE family_id = ? AND revoked_at IS NULL",
+			[familyId]
+		);
+	}
+
+	async revokeForUser(userId) {
+		await getPool().execute(
+			"UPDATE refresh_tokens SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL",
+			[userId]
+		);
+	}
+
+	async isFamilyRevoked(familyId) {
+		const [rows] = await getPool().execute(
+			"SELECT 1 FROM refresh_tokens WHERE family_id = ? AND revoked_at IS NOT NULL LIMIT 1",
+			[familyId]
+		);
+		return rows.length > 0;
+	}
+}
+
+module.exports = MySQLRefreshTokenRepository;
@@ -0,0 +1,93 @@
+const crypto = require("crypto");
+
+const { getPool } = require("./pool");
+
+// Besides the serialised session we keep the owner, device and last-seen time
+// in columns so users can see and revoke their sessions. public_id is what
+// the API shows, the real session id is never sent to the client.
+class MySQLSessionRepository {
+	async get(sessionId) {
+		const [rows] = await getPool().execute(
+			"SELECT data FROM sessions WHERE session_id = ? AND expires > NOW()",
+			[sessionId]
+		);
+		return rows.length > 0 ? JSON.parse(rows[0].data) : null;
+	}
+
+	async save(sessionId, data, { expires, userId, userAgent, ip }) {
+		await getPool().execute(
+			`INSERT INTO sessions
+				(session_id, public_id, user_id, data, expires, user_agent, ip_address)
+			VALUES (?, ?, ?, ?, ?, ?, ?)
+			ON DUPLICATE KEY UPDATE
+				user_id = VALUES(user_id),
+				data = VALUES(data),
+				expires = VALUES(expires),
+				user_agent = VALUES(user_agent),
+				ip_address = VALUES(ip_address),
+				last_seen = NOW()`,
+			[
+				sessionId,
+				crypto.randomBytes(16).toString("hex"),
+				userId || null,
+				JSON.stringify(data),
+				expires,
+				userAgent || null,
+				ip || null,
+			]
+		);
+	}
+
+	// last_seen is only written once a minute so reads don't all become writes
+	async touch(sessionId, expires) {
+		await getPool().execute(
+			"UPDATE sessions SET expires = ?, last_seen = NOW() WHERE session_id = ? AND last_seen < NOW() - INTERVAL 1 MINUTE",
+			[expires, sessionId]
+		);
+	}
+
+	async destroy(sessionId) {
+		await getPool().execute("DELETE FROM sessions WHERE session_id = ?", [
+			sessionId,
+		]);
+	}
+
+	async clearExpired() {
+		const [result] = await getPool().execute(
+			"DELETE FROM sessions WHERE expires <= NOW()"
+		);
+		return result.affectedRows;
+	}
+
+	async listForUser(userId) {
+		const [rows] = await getPool().execute(
+			`SELECT session_id AS sessionId, public_id AS publicId,
+				user_agent AS userAgent, ip_address AS ip,
+				created_at AS createdAt, last_seen AS lastSeen
+			FROM sessions
+			WHERE user_id = ? AND expires > NOW()
+			ORDER BY last_seen DESC`,
+			[userId]
+		);
+		return rows;
+	}
+
+	async destroyByPublicId(userId, publicId) {
+		const [result] = await getPool().execute(
+			"DELETE FROM sessions WHERE user_id = ? AND public_id = ?",
+			[userId, publicId]
+		);
+		return result.affectedRows > 0;
+	}
+
+	// all of a user's sessions, optionally keeping one
+	async destroyForUser(userId, exceptSessionId = null) {
+		const [result] = await getPool().execute(
+			"DELETE FROM sessions WHERE user_id = ? AND session_id <> ?",
+			[userId, exceptSessionId || ""]
+		);
+		return result.affectedRows;
+	}
+}
+
+module.exports = MySQLSessionRepository;
@@ -0,0 +1,69 @@
+const { getPool } = require("./pool");
+
+// One-off tokens sent by email. Each purpose has its own columns on the users
+// table, so a user holds at most one token of each kind.
+const PURPOSES = {
+	"password-reset": {
+		token: "reset_token",
+		expires: "reset_expires",
+	},
+	"email-change": {
+		token: "email_change_token",
+		expires: "email_change_expires",
+		email: "pending_email",
+	},
+};
+
+class MySQLTokenRepository {
+	// replaces any earlier token of the same purpose
+	async save(userId, purpose, { token, expires, email = null }) {
+		const columns = PURPOSES[purpose];
+		const names = [columns.token, columns.expires];
+		const values = [token, expires];
+		if (columns.email) {
+			names.push(columns.email);
+			values.push(email);
+		}
+
+		await getPool().execute(
+			`UPDATE users SET ${names
+				.map((name) => `${name} = ?`)
+				.join(", ")} WHERE id = ?`,
+			[...values, userId]
+		);
+	}
+
+	// { userId, email, expires } or null, whether or not it has expired
+	async find(purpose, token) {
+		const columns = PURPOSES[purpose];
+		const [rows] = await getPool().execute(
+			`SELECT id, ${columns.expires} AS expires${
+				columns.email ? `, ${columns.email} AS email` : ""
+			} FROM users WHERE ${columns.token} = ?`,
+			[token]
+		);
+
+		if (rows.length === 0) return null;
+
+		return {
+			userId: rows[0].id,
+			email: rows[0].email || null,
+			expires: rows[0].expires,
+		};
+	}
+
+	async clear(userId, purpose) {
+		const columns = PURPOSES[purpose];
+		const names = Object.values(columns);
+
+		await getPool().execute(
+			`UPDATE users SET ${names
+				.map((name) => `${name} = NULL`)
+				.join(", ")} WHERE id = ?`,
+			[userId]
+		);
+	}
+}
+
+module.exports = MySQLTokenRepository;
+module.exports.PURPOSES = Object.keys(PURPOSES);
@@ -0,0 +1,142 @@
+const { getPool, splitList, updateRow } = require("./pool");
+const { ConflictError } = require("../../errors");
+
+const USER_COLUMNS = {
+	email: "email",
+	passwordHash: "password_hash",
+	role: "role",
+	emailVerified: "email_verified",
+	emailVerifiedAt: "email_verified_at",
+	displayName: "display_name",
+	phone: "phone",
+	dietaryPreferences: "dietary_preferences",
+	failedLoginCount: "failed_login_count",
+	lockedUntil: "locked_until",
+	totpSecret: "totp_secret",
+	totpEnabledAt: "totp_enabled_at",
+	totpLastStep: "totp_last_step",
+};
+
+function mapUser(row) {
+	return {
+		id: row.id,
+		email: row.email,
+		passwordHash: row.password_hash,
+		role: row.role,
+		emailVerified: row.email_verified === 1,
+		emailVerifiedAt: row.email_verified_at,
+		displayName: row.display_name,
+		phone: row.phone,
+		dietaryPreferences: splitList(row.dietary_preferences),
+		pendingEmail: row.pending_email,
+		failedLoginCount: row.failed_login_count,
+		lockedUntil: row.locked_until,
+		totpSecret: row.totp_secret,
+		totpEnabledAt: row.totp_enabled_at,
+		totpLastStep:
+			row.totp_last_step === null ? null : Number(row.totp_last_step),
+		createdAt: row.created_at,
+	};
+}
+
+function duplicateEmail(err) {
+	if (err.code === "ER_DUP_ENTRY") {
+		return new ConflictError("Email already registered", {
+			code: "EMAIL_TAKEN",
+		});
+	}
+	return err;
+}
+
+class MySQLUserRepository {
+	async findById(id) {
+		const [rows] = await getPool().execute(
+			"SELECT * FROM users WHERE id = ?",
+			[id]
+		);
+		return rows.length > 0 ? mapUser(rows[0]) : null;
+	}
+
+	async findByEmail(email) {
+		const [rows] = await getPool().execute(
+			"SELECT * FROM users WHERE email = ?",
+			[email]
+		);
+		return rows.length > 0 ? mapUser(rows[0]) : null;
+	}
+
+	// passwordHash is null for accounts made through social login, which
+	// start out verified when the provider vouches for the address
+	async create({ email, passwordHash = null, emailVerified = false }) {
+		try {
+			const [result] = await getPool().execute(
+				`INSERT INTO users (email, password_hash, email_verified, email_verified_at)
+				VALUES (?, ?, ?, ?)`,
+				[
+					email,
+					passwordHash,
+					emailVerified ? 1 : 0,
+					emailVerified ? new Date() : null,
+				]
+			);
+			return this.findById(result.insertId);
+		} catch (err) {
+			throw duplicateEmail(err);
+		}
+	}
+
+	// fields use the names mapUser() returns, e.g. { role: "staff" }
+	async update(id, fields) {
+		try {
+			return await updateRow("users", id, fields, USER_COLUMNS);
+		} catch (err) {
+			throw duplicateEmail(err);
+		}
+	}
+
+	// Records that the authenticator code for time step `step` was used.
+	// False when it or a later one already was, so two logins racing with
+	// the same code can't both get in.
+	async useTotpStep(id, step) {
+		const [result] = await getPool().execute(
+			"UPDATE users SET totp_last_step = ? WHERE id = ? AND (totp_last_step IS NULL OR totp_last_step < ?)",
+			[step, id, step]
+		);
+		return result.affectedRows > 0;
+	}
+
+	// bookings, sessions and tokens go with it through ON DELETE CASCADE
+	async delete(id) {
+		const [result] = await getPool().execute(
+			"DELETE FROM users WHERE id = ?",
+			[id]
+		);
+		return result.affectedRows > 0;
+	}
+
+	async list() {
+		const [rows] = await getPool().execute(
+			`SELECT u.id, u.email, u.role, u.created_at AS createdAt,
+				u.totp_enabled_at IS NOT NULL AS twoFactorEnabled,
+				COUNT(b.id) AS bookingCount
+			FROM users u
+			LEFT JOIN bookings b ON b.user_id = u.id
+			GROUP BY u.id
+			ORDER BY u.id`
+		);
+		return rows.map((row) => ({
+			...row,
+			twoFactorEnabled: row.twoFactorEnabled === 1,
+		}));
+	}
+
+	async countByRole(role) {
+		const [rows] = await getPool().execute(
+			"SELECT COUNT(*) AS count FROM users WHERE role = ?",
+			[role]
+		);
+		return rows[0].count;
+	}
+}
+
+module.exports = MySQLUserRepository;
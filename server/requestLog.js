@@ -0,0 +1,82 @@
+const crypto = require("crypto");
+
+const logger = require("./logger");
+const metrics = require("./metrics");
+
+// A request id a proxy in front of us may already have given the request,
+// so one id follows it through every log. Anything odd is replaced.
+const INCOMING_ID = /^[A-Za-z0-9._-]{8,100}$/;
+
+// Probes call these every few seconds, so they are counted but not logged.
+const QUIET_PATHS = ["/api/health", "/api/ready", "/metrics"];
+
+// Gives every request an id, in req.id and the X-Request-Id response header,
+// and a logger that adds it to each entry (req.log). Goes first so every
+// later log line for the request can be tied together. `log` is the logger
+// to start from, the app's by default.
+function requestId({ log = logger } = {}) {
+	return (req, res, next) => {
+		const incoming = req.get("x-request-id");
+		req.id =
+			incoming && INCOMING_ID.test(incoming)
+				? incoming
+				: crypto.randomUUID();
+		req.log = log.child({ requestId: req.id });
+		res.set("X-Request-Id", req.id);
+		next();
+	};
+}
+
+// the route a request matched, e.g. /api/orders/:id, so metrics don't get a
+// label per order
+function routeLabel(req) {
+	return req.route ? req.route.path : "unmatched";
+}
+
+// One log entry per request once it is answered, and the request metrics.
+// Query parameters and body fields that look like secrets are redacted by
+// the logger. The body is only logged at the debug level.
+function accessLog() {
+	return (req, res, next) => {
+		const started = process.hrtime.bigint();
+		let done = false;
+
+		const finish = () => {
+			if (done) return;
+			done = true;
+
+			const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+			const status = res.headersSent ? res.statusCode : 499;
+			const labels = {
+				method: req.method,
+				route: routeLabel(req),
+				status,
+			};
+			metrics.httpRequests.inc(labels);
+			metrics.httpRequestDuration.observe(labels, seconds);
+
+			if (QUIET_PATHS.includes(req.path)) return;
+
+			const log = req.log || logger;
+			log.info("request", {
+				method: req.method,
+				url: logger.redactUrl(req.originalUrl),
+				status,
+				durationMs: Math.round(seconds * 1000),
+				userId: req.user ? req.user.id : null,
+				ip: req.ip,
+				...(log.isEnabled("debug") &&
+					req.body &&
+					Object.keys(req.body).length > 0 && { body: req.body }),
+			});
+		};
+
+		res.on("finish", finish);
+		// the client went away before the answer was sent
+		res.on("close", finish);
+		next();
+	};
+}
+
+module.exports.requestId = requestId;
+module.exports.accessLog = accessLog;
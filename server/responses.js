@@ -0,0 +1,85 @@
+const logger = require("./logger");
+
+const {
+	AppError,
+	NotFoundError,
+	ServiceUnavailableError,
+} = require("./errors");
+
+// Every API reply has the same shape so the client can handle them all alike:
+//
+//   { "success": true,  "message": "Booking updated.", "data": { ... } }
+//   { "success": false, "message": "Email is required",
+//     "error": { "code": "VALIDATION_FAILED", "fields": { "email": "..." } } }
+//
+// `message` is for people and may be null on success, `data` holds whatever
+// the route returns (or null) and `error.code` is for code to branch on.
+// `fields` is only there when particular inputs were rejected.
+
+function sendSuccess(res, { data = null, message = null, status = 200 } = {}) {
+	res.status(status).json({ success: true, message, data });
+}
+
+function sendFailure(res, status, message, code, fields) {
+	const error = { code };
+	if (fields) error.fields = fields;
+	res.status(status).json({ success: false, message, error });
+}
+
+// Errors from body-parser and other middleware built on http-errors.
+const HTTP_ERRORS = {
+	"entity.parse.failed": [
+		"INVALID_JSON",
+		"The request body is not valid JSON",
+	],
+	"entity.too.large": ["PAYLOAD_TOO_LARGE", "The request body is too large"],
+};
+
+// The one place errors become responses. Routes and middleware throw (or
+// call next with) an AppError for anything the client should hear about.
+// Anything else is a bug, so it is logged and the client only gets a 500.
+// Express spots error handlers by their four parameters, keep `next`.
+function errorHandler(err, req, res, next) {
+	if (res.headersSent) {
+		return next(err);
+	}
+
+	if (
+		err instanceof AppError &&
+		(err.statusCode < 500 || err instanceof ServiceUnavailableError)
+	) {
+		return sendFailure(
+			res,
+			err.statusCode,
+			err.message,
+			err.code,
+			err.fields
+		);
+	}
+
+	if (err.expose && err.status < 500) {
+		const [code, message] = HTTP_ERRORS[err.type] || [
+			"BAD_REQUEST",
+			err.message,
+		];
+		return sendFailure(res, err.status, message, code);
+	}
+
+	(req.log || logger).error("Error handling request", {
+		method: req.method,
+		url: logger.redactUrl(req.originalUrl),
+		err,
+	});
+	sendFailure(res, 500, "Internal server error", "INTERNAL_ERROR");
+}
+
+// for /api paths no route matched
+function notFoundHandler(req, res, next) {
+	next(
+		new NotFoundError(`No such API route: ${req.method} ${req.originalUrl}`)
+	);
+}
+
+module.exports.sendSuccess = sendSuccess;
+module.exports.errorHandler = errorHandler;
+module.exports.notFoundHandler = notFoundHandler;
@@ -0,0 +1,35 @@
+// Response headers that tell browsers to lock the API down. Everything it
+// sends is JSON (or a JSON download), so nothing it serves should run
+// scripts, load anything or be shown in a frame.
+const CONTENT_SECURITY_POLICY = [
+	"default-src 'none'",
+	"base-uri 'none'",
+	"form-action 'none'",
+	"frame-ancestors 'none'",
+].join("; ");
+
+// `hstsMaxAgeSeconds` of 0 leaves Strict-Transport-Security out, for plain
+// http during development.
+function securityHeaders({ hstsMaxAgeSeconds = 0 } = {}) {
+	return (req, res, next) => {
+		res.set({
+			"Content-Security-Policy": CONTENT_SECURITY_POLICY,
+			"X-Frame-Options": "DENY",
+			"X-Content-Type-Options": "nosniff",
+			"Referrer-Policy": "no-referrer",
+			"Cross-Origin-Opener-Policy": "same-origin",
+			"Cross-Origin-Resource-Policy": "same-origin",
+		});
+
+		if (hstsMaxAgeSeconds > 0) {
+			res.set(
+				"Strict-Transport-Security",
+				`max-age=${hstsMaxAgeSeconds}; includeSubDomains`
+			);
+		}
+
+		next();
+	};
+}
+
+module.exports.securityHeaders = securityHeaders;
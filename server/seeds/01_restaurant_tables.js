@@ -0,0 +1,20 @@
+// The tables in the dining room. Bookings need at least one.
+const TABLES = [
+	["T1", 2],
+	["T2", 2],
+	["T3", 2],
+	["T4", 4],
+	["T5", 4],
+	["T6", 4],
+	["T7", 6],
+	["T8", 8],
+];
+
+module.exports.seed = async (db) => {
+	await db.query(
+		"INSERT IGNORE INTO restaurant_tables (label, capacity) VALUES ?",
+		[TABLES]
+	);
+};
+
+module.exports.TABLES = TABLES;
@@ -0,0 +1,18 @@
+// day 0 is Sunday, same as Date.getDay(). No row means closed (Monday).
+const HOURS = [
+	[0, "12:00", "21:00"],
+	[2, "12:00", "22:00"],
+	[3, "12:00", "22:00"],
+	[4, "12:00", "22:00"],
+	[5, "12:00", "23:00"],
+	[6, "12:00", "23:00"],
+];
+
+module.exports.seed = async (db) => {
+	await db.query(
+		"INSERT IGNORE INTO opening_hours (day_of_week, open_time, close_time) VALUES ?",
+		[HOURS]
+	);
+};
+
+module.exports.HOURS = HOURS;
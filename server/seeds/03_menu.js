@@ -0,0 +1,143 @@
+// Starter menu. Dishes are only added to an empty category, so editing the
+// menu in the staff area and seeding again won't bring deleted dishes back.
+const MENU = [
+	{
+		name: "Starters",
+		slug: "starters",
+		description: "Small plates to begin with",
+		items: [
+			[
+				"Tomato Soup",
+				"Roasted tomato and basil soup with sourdough",
+				6.5,
+				"gluten,celery",
+				"vegetarian,vegan",
+			],
+			[
+				"Garlic Mushrooms",
+				"Pan-fried mushrooms in garlic butter on toast",
+				7.0,
+				"gluten,milk",
+				"vegetarian",
+			],
+			[
+				"Chicken Wings",
+				"Sticky honey and soy glazed wings",
+				7.95,
+				"soya,sesame",
+				"",
+			],
+		],
+	},
+	{
+		name: "Mains",
+		slug: "mains",
+		description: "Our signature dishes",
+		items: [
+			[
+				"Steak and Chips",
+				"8oz sirloin with hand-cut chips and peppercorn sauce",
+				22.0,
+				"milk,mustard",
+				"gluten-free",
+			],
+			[
+				"Fish and Chips",
+				"Beer-battered cod, mushy peas and tartare sauce",
+				16.5,
+				"fish,gluten,eggs",
+				"dairy-free",
+			],
+			[
+				"Mushroom Risotto",
+				"Arborio rice with wild mushrooms and parmesan",
+				14.0,
+				"milk,celery",
+				"vegetarian,gluten-free",
+			],
+			[
+				"Chickpea Curry",
+				"Chickpea and spinach curry with basmati rice",
+				13.5,
+				"mustard",
+				"vegan,vegetarian,gluten-free,dairy-free",
+			],
+		],
+	},
+	{
+		name: "Desserts",
+		slug: "desserts",
+		description: "Something sweet to finish",
+		items: [
+			[
+				"Sticky Toffee Pudding",
+				"Warm date sponge with toffee sauce and vanilla ice cream",
+				7.5,
+				"gluten,milk,eggs",
+				"vegetarian",
+			],
+			[
+				"Chocolate Brownie",
+				"Dark chocolate brownie with raspberry sorbet",
+				7.0,
+				"milk,eggs,nuts",
+				"vegetarian,gluten-free",
+			],
+			[
+				"Fruit Salad",
+				"Seasonal fruit with mint",
+				5.5,
+				"",
+				"vegan,vegetarian,gluten-free,dairy-free,nut-free",
+			],
+		],
+	},
+	{
+		name: "Drinks",
+		slug: "drinks",
+		description: "Soft drinks and hot drinks",
+		items: [
+			[
+				"Lemonade",
+				"Freshly squeezed cloudy lemonade",
+				3.5,
+				"",
+				"vegan,vegetarian,gluten-free,dairy-free,nut-free",
+			],
+			[
+				"Flat White",
+				"Double espresso with steamed milk",
+				3.2,
+				"milk",
+				"vegetarian,gluten-free,nut-free",
+			],
+		],
+	},
+];
+
+module.exports.seed = async (db) => {
+	for (const [index, category] of MENU.entries()) {
+		await db.query(
+			"INSERT IGNORE INTO menu_categories (name, slug, description, sort_order) VALUES (?, ?, ?, ?)",
+			[category.name, category.slug, category.description, index + 1]
+		);
+
+		const [[row]] = await db.query(
+			"SELECT id, (SELECT COUNT(*) FROM menu_items WHERE category_id = menu_categories.id) AS itemCount FROM menu_categories WHERE slug = ?",
+			[category.slug]
+		);
+		if (row.itemCount > 0) continue;
+
+		const items = category.items.map((item, position) => [
+			row.id,
+			...item,
+			position + 1,
+		]);
+		await db.query(
+			"INSERT INTO menu_items (category_id, name, description, price, allergens, dietary_tags, sort_order) VALUES ?",
+			[items]
+		);
+	}
+};
+
+module.exports.MENU = MENU;
@@ -1,128 +1,161 @@
-const express = require("express");
-const cors = require("cors");
-const app = express();
-
-const chalk = require("chalk");
-
-const db = require("./db");
-
-const session = require("express-session");
-
-// Middleware to parse JSON and form data
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
-
-app.use(
-	session({
-		secret: "SuperSecretKey",
-		resave: false,
-		saveUninitialized: false,
-		cookie: {
-			httpOnly: true,
-			maxAge: 1000 * 60 * 60 * 2,
-		},
-	})
-);
-
-app.use(
-	cors({
-		origin: "http://localhost:3000",
-		methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
-		credentials: true,
-	})
-);
-
-// app.use((req, res, next) => {
-// 	res.header("Access-Control-Allow-Origin", "http://localhost:3000");
-// 	res.header("Access-Control-Allow-Methods", "GET,PUT,POST,DELETE,OPTIONS");
-// 	res.header(
-// 		"Access-Control-Allow-Headers",
-// 		"Origin, X-Requested-With, Content-Type, Accept"
-// 	);
-// 	res.header("Access-Control-Allow-Credentials", "true");
-// 	next();
-// });
-
-app.get("/api", (req, res) => {
-	res.json({});
-});
-
-app.post("/api/login", async (req, res) => {
-	const { email, password } = req.body;
-
-	try {
-		db.LoginUser(email, password, res, req);
-	} catch (err) {
-		res.status(500).json({ message: "Internal server error" });
-	}
-});
-
-app.post("/api/logout", (req, res) => {
-	if (req.session) {
-		req.session.destroy((err) => {
-			if (err) {
-				console.log(chalk.redBright("Error during logout:"), err);
-				return res
-					.status(500)
-					.json({ message: "Internal server error" });
-			}
-			res.status(200).json({
-				success: true,
-				message: "Logged out successfully",
+const config = require("./config");
+const logger = require("./logger");
+const repositories = require("./repositories");
+const events = require("./events");
+const health = require("./services/health");
+const { createApp } = require("./app");
+
+// Starts the API: waits for storage, listens, and on SIGTERM or SIGINT stops
+// taking new requests, lets the ones in progress finish and closes the
+// database pool before exiting. "npm start" runs this file, the app itself
+// is in app.js.
+
+// Errors that mean the database isn't up yet (or not reachable right now),
+// as opposed to one that answers but is wrong, e.g. a bad password or an
+// out of date schema, which retrying won't fix.
+const CONNECTION_ERRORS = [
+	"ECONNREFUSED",
+	"ECONNRESET",
+	"ETIMEDOUT",
+	"ENOTFOUND",
+	"EAI_AGAIN",
+	"PROTOCOL_CONNECTION_LOST",
+	"ER_CON_COUNT_ERROR",
+];
+
+function isConnectionError(err) {
+	return CONNECTION_ERRORS.includes(err.code);
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Resolves once `prepare` (repositories.prepare by default) does. When it
+// fails because storage can't be reached it is tried again up to `retries`
+// more times, waiting twice as long each time (1s, 2s, 4s, ... up to
+// `maxDelayMs`). Any other error is thrown straight away.
+async function waitForStorage({
+	prepare = () => repositories.prepare(),
+	retries = config.db.connectRetries,
+	delayMs = 1000,
+	maxDelayMs = 30 * 1000,
+	log = logger,
+} = {}) {
+	for (let attempt = 0; ; attempt += 1) {
+		try {
+			return await prepare();
+		} catch (err) {
+			if (!isConnectionError(err) || attempt >= retries) throw err;
+
+			const wait = Math.min(delayMs * 2 ** attempt, maxDelayMs);
+			log.warn("Storage is not reachable yet, trying again", {
+				attempt: attempt + 1,
+				retries,
+				retryInMs: wait,
+				error: err.code,
 			});
-		});
-	} else {
-		res.status(200).json({
-			success: false,
-			message: "No active session found",
-		});
+			await sleep(wait);
+		}
 	}
-});
-
-app.post("/api/register", async (req, res) => {
-	const { email, password } = req.body;
-	try {
-		const result = await db.RegisterUser(email, password); // ⬅️ await, no res passed
-		res.status(200).json({
-			success: true,
-			message: "User registered successfully",
-			userId: result.insertId,
-		});
-	} catch (error) {
-		console.log(chalk.redBright("Error during registration:"), error);
-		res.status(error.statusCode || 500).json({
-			message: error.message || "Internal server error",
+}
+
+// Stops `server`: new connections are refused, requests in progress get
+// `timeoutMs` to finish before their connections are cut, then the
+// database pool is closed.
+async function stopServer(server, { timeoutMs, log = logger }) {
+	log.info("Shutting down");
+
+	// /api/ready now says 503, so a load balancer stops sending requests
+	health.setShuttingDown(true);
+
+	// Idle keep-alive connections are closed now, busy ones once their
+	// request is answered. Live update streams never finish by themselves,
+	// so they are ended (browsers reconnect to another server).
+	const closed = new Promise((resolve) => server.close(() => resolve()));
+	server.closeIdleConnections();
+	events.closeStreams();
+
+	let timer;
+	const timedOut = new Promise((resolve) => {
+		timer = setTimeout(() => resolve(true), timeoutMs);
+	});
+	if (await Promise.race([closed.then(() => false), timedOut])) {
+		log.warn("Requests still running after the shutdown timeout", {
+			timeoutMs,
 		});
+		server.closeAllConnections();
+		await closed;
 	}
-});
-
-app.post("/api/authcheck", async (req, res) => {
-	try {
-		db.isLoggedIn(req, res);
-	} catch (error) {
-		console.log(chalk.redBright("Error during auth check:"), error);
-		res.status(500).json({ message: "Internal server error" });
-	}
-});
-
-app.post("/api/forgot", async (req, res) => {
-	const { email } = req.body; // Fixed: removed .email
-	try {
-		await db.createPasswordReset(email, res); // Added await
-	} catch (err) {
-		res.status(500).json({ message: "Internal server error: " + err });
-	}
-});
-
-app.post("/api/reset", async (req, res) => {
-	const { token, password } = req.body;
+	clearTimeout(timer);
+
+	await repositories.close();
+	log.info("Server stopped");
+}
+
+// Listens on `port` and resolves with { app, server, stop }. Doesn't touch
+// storage, call waitForStorage() first. stop() can be called more than
+// once, every call gets the same promise.
+function startServer({
+	app = createApp(),
+	port = config.port,
+	shutdownTimeoutMs = config.shutdownTimeoutMs,
+	log = logger,
+} = {}) {
+	return new Promise((resolve, reject) => {
+		const server = app.listen(port);
+		server.once("error", reject);
+		server.once("listening", () => {
+			server.off("error", reject);
+
+			let stopping = null;
+			const stop = () => {
+				if (!stopping) {
+					stopping = stopServer(server, {
+						timeoutMs: shutdownTimeoutMs,
+						log,
+					});
+				}
+				return stopping;
+			};
+			resolve({ app, server, stop });
+		});
+	});
+}
+
+// Waits for storage, starts listening and stops cleanly on SIGTERM (docker,
+// systemd, Kubernetes) or SIGINT (Ctrl+C). Exits with 1 when storage never
+// comes up or shutting down fails.
+async function main() {
+	let running;
 	try {
-		await db.completePasswordReset(token, password, res);
+		await waitForStorage();
+		running = await startServer();
 	} catch (err) {
-		res.status(500).json({ message: "Internal server error: " + err });
+		logger.error("Server failed to start", { err });
+		process.exit(1);
 	}
-});
 
-app.listen(5000, () => {
-	console.log(chalk.cyanBright("Server is running on http://localhost:5000"));
-});
+	logger.info(`Server is running on http://localhost:${config.port}`, {
+		env: config.env,
+	});
+
+	const onSignal = (signal) => {
+		logger.info("Received signal", { signal });
+		running.stop().then(
+			() => process.exit(0),
+			(err) => {
+				logger.error("Shutdown failed", { err });
+				process.exit(1);
+			}
+		);
+	};
+	process.once("SIGTERM", onSignal);
+	process.once("SIGINT", onSignal);
+}
+
+if (require.main === module) {
+	main();
+}
+
+module.exports.isConnectionError = isConnectionError;
+module.exports.waitForStorage = waitForStorage;
+module.exports.startServer = startServer;
@@ -0,0 +1,401 @@
+const bcrypt = require("bcrypt"); // Password hashing library
+const crypto = require("crypto");
+
+const config = require("../config");
+const mailer = require("../mailer"); // outbound email
+const verification = require("../verification"); // signed email tokens
+const repositories = require("../repositories");
+const { checkNewPassword } = require("../validation");
+const { recordAuthEvent } = require("./authEvents");
+const twoFactor = require("./twoFactor");
+const {
+	AppError,
+	ConflictError,
+	NotFoundError,
+	TooManyRequestsError,
+	UnauthorizedError,
+	ValidationError,
+} = require("../errors");
+
+// Registration, login, email verification and password resets. Functions
+// that log activity take a `context` of { ip, userAgent } from the request.
+
+const RESET_TOKEN_LIFETIME_MS = 1000 * 60 * 60; // 1 hour
+
+const LOCKOUT_THRESHOLD = 5; // failed logins before the account is locked
+const LOCKOUT_MAX_MINUTES = 60;
+const LOGIN_FAILED_MESSAGE = "Invalid email or password.";
+const LOGIN_LOCKED_MESSAGE =
+	"Too many failed attempts. Please try again later.";
+
+// Hash of a random password, compared against when the email is unknown so
+// the response takes as long as it would for a real account. Made with the
+// same cost as real hashes, on first use.
+let dummyPasswordHash = null;
+
+function getDummyPasswordHash() {
+	if (!dummyPasswordHash) {
+		dummyPasswordHash = bcrypt.hash(
+			crypto.randomBytes(16).toString("hex"),
+			config.bcryptRounds
+		);
+	}
+	return dummyPasswordHash;
+}
+
+async function register(email, password) {
+	checkNewPassword(password, { email });
+
+	if (await repositories.users.findByEmail(email)) {
+		throw new ConflictError("Email already registered", {
+			code: "EMAIL_TAKEN",
+		});
+	}
+
+	const passwordHash = await bcrypt.hash(password, config.bcryptRounds);
+	const user = await repositories.users.create({ email, passwordHash });
+
+	mailer.sendNotice("verify-email", email, {
+		verifyUrl: verificationUrl(user.id, email),
+	});
+
+	return { id: user.id, email: user.email };
+}
+
+// Counts a failed login. From the LOCKOUT_THRESHOLD-th failure on the account
+// is locked for 1, 2, 4, 8... minutes, up to LOCKOUT_MAX_MINUTES.
+async function registerFailedLogin(user) {
+	const failures = user.failedLoginCount + 1;
+	const lockMinutes =
+		failures >= LOCKOUT_THRESHOLD
+			? Math.min(2 ** (failures - LOCKOUT_THRESHOLD), LOCKOUT_MAX_MINUTES)
+			: 0;
+
+	await repositories.users.update(user.id, {
+		failedLoginCount: failures,
+		lockedUntil: lockMinutes
+			? new Date(Date.now() + lockMinutes * 60 * 1000)
+			: undefined,
+	});
+
+	return lockMinutes;
+}
+
+function isLocked(user) {
+	return Boolean(user.lockedUntil) && new Date(user.lockedUntil) > new Date();
+}
+
+async function recordLockedLogin(user, context) {
+	await recordAuthEvent({
+		type: "login_locked",
+		userId: user.id,
+		email: user.email,
+		...context,
+	});
+}
+
+// For logins where the user has already shown who they are (a right
+// password, a social login), so saying the account is locked gives nothing
+// away.
+async function checkNotLocked(user, context) {
+	if (!isLocked(user)) return;
+
+	await recordLockedLogin(user, context);
+	throw new TooManyRequestsError(LOGIN_LOCKED_MESSAGE, {
+		code: "ACCOUNT_LOCKED",
+	});
+}
+
+// Clears the failure count and logs the login, once every check has passed.
+async function completeLogin(user, context, detail = null) {
+	if (user.failedLoginCount > 0 || user.lockedUntil) {
+		await repositories.users.update(user.id, {
+			failedLoginCount: 0,
+			lockedUntil: null,
+		});
+	}
+
+	await recordAuthEvent({
+		type: "login_success",
+		userId: user.id,
+		email: user.email,
+		detail,
+		...context,
+	});
+
+	return { id: user.id, role: user.role, emailVerified: user.emailVerified };
+}
+
+// Checks the password and returns { id, role, emailVerified }. Starting the
+// session is up to the caller. For accounts with two-factor on, a right
+// password only returns { id, twoFactorRequired: true } and the login is
+// finished by completeTwoFactorLogin.
+async function login(email, password, context = {}) {
+	const user = await repositories.users.findByEmail(email);
+	const attempt = String(password || "");
+
+	// Unknown email and wrong password get the same reply, so the login form
+	// can't be used to find out who has an account.
+	if (!user) {
+		await bcrypt.compare(attempt, await getDummyPasswordHash());
+		await recordAuthEvent({
+			type: "login_failure",
+			email,
+			detail: "unknown email",
+			...context,
+		});
+		throw new UnauthorizedError(LOGIN_FAILED_MESSAGE, {
+			code: "INVALID_CREDENTIALS",
+		});
+	}
+
+	// A locked account gets the same reply as an unknown email, even for the
+	// right password, or the lockout would show which emails are registered.
+	if (isLocked(user)) {
+		await bcrypt.compare(attempt, await getDummyPasswordHash());
+		await recordLockedLogin(user, context);
+		throw new UnauthorizedError(LOGIN_FAILED_MESSAGE, {
+			code: "INVALID_CREDENTIALS",
+		});
+	}
+
+	// Accounts made through social login have no password until one is set
+	// with "forgot password". They get the usual reply, so this doesn't
+	// reveal how someone signs in.
+	let valid = false;
+	if (user.passwordHash) {
+		valid = await bcrypt.compare(attempt, user.passwordHash);
+	} else {
+		await bcrypt.compare(attempt, await getDummyPasswordHash());
+	}
+
+	if (!valid) {
+		const lockMinutes = await registerFailedLogin(user);
+		await recordAuthEvent({
+			type: "login_failure",
+			userId: user.id,
+			email: user.email,
+			detail: lockMinutes
+				? `locked for ${lockMinutes} minute(s)`
+				: user.passwordHash
+				? "wrong password"
+				: "no password set",
+			...context,
+		});
+		throw new UnauthorizedError(LOGIN_FAILED_MESSAGE, {
+			code: "INVALID_CREDENTIALS",
+		});
+	}
+
+	// the failure count stays until the code is right too, so knowing the
+	// password doesn't buy unlimited guesses at the code
+	if (twoFactor.isEnabled(user)) {
+		return { id: user.id, twoFactorRequired: true };
+	}
+
+	return completeLogin(user, context);
+}
+
+// Logs in a user who proved who they are some other way, e.g. through social
+// login. The lockout and two-factor rules are the same as for a password.
+async function loginVerifiedUser(user, context = {}, detail = null) {
+	await checkNotLocked(user, context);
+
+	if (twoFactor.isEnabled(user)) {
+		return { id: user.id, twoFactorRequired: true };
+	}
+
+	return completeLogin(user, context, detail);
+}
+
+// Second step of a two-factor login, for the user whose password was right.
+// `code` is from their authenticator app or one of their recovery codes.
+// Wrong codes count towards the lockout like wrong passwords.
+async function completeTwoFactorLogin(userId, code, context = {}) {
+	const user = await repositories.users.findById(userId);
+	if (!user) {
+		throw new UnauthorizedError(LOGIN_FAILED_MESSAGE, {
+			code: "INVALID_CREDENTIALS",
+		});
+	}
+
+	await checkNotLocked(user, context);
+
+	const method = await twoFactor.verifySecondFactor(user, code);
+
+	if (!method) {
+		const lockMinutes = await registerFailedLogin(user);
+		await recordAuthEvent({
+			type: "login_failure",
+			userId: user.id,
+			email: user.email,
+			detail: lockMinutes
+				? `locked for ${lockMinutes} minute(s)`
+				: "wrong two-factor code",
+			...context,
+		});
+		throw new UnauthorizedError("Invalid authentication code.", {
+			code: "INVALID_CODE",
+		});
+	}
+
+	return completeLogin(user, context, `two-factor, ${method}`);
+}
+
+// the account details route guards need, or null if it no longer exists
+async function getSessionUser(userId) {
+	const user = await repositories.users.findById(userId);
+	if (!user) return null;
+
+	return { id: user.id, role: user.role, emailVerified: user.emailVerified };
+}
+
+function verificationUrl(userId, email) {
+	const token = verification.createVerificationToken(userId, email);
+	return `${mailer.appUrl}/verify?token=${encodeURIComponent(token)}`;
+}
+
+async function sendVerificationEmail(userId) {
+	const user = await repositories.users.findById(userId);
+
+	if (!user) {
+		throw new NotFoundError("User not found");
+	}
+	if (user.emailVerified) {
+		throw new ValidationError("Your email address is already verified", {
+			code: "ALREADY_VERIFIED",
+		});
+	}
+
+	await mailer.sendMail("verify-email", user.email, {
+		verifyUrl: verificationUrl(user.id, user.email),
+	});
+}
+
+async function verifyEmail(token) {
+	const parsed = verification.parseVerificationToken(token);
+
+	if (!parsed) {
+		throw new ValidationError("Invalid verification link", {
+			code: "INVALID_TOKEN",
+		});
+	}
+	if (parsed.expires < Date.now()) {
+		throw new ValidationError(
+			"This verification link has expired, please request a new one",
+			{ code: "TOKEN_EXPIRED" }
+		);
+	}
+
+	const user = await repositories.users.findById(parsed.userId);
+	if (!user || !verification.checkVerificationToken(parsed, user.email)) {
+		throw new ValidationError("Invalid verification link", {
+			code: "INVALID_TOKEN",
+		});
+	}
+
+	if (user.emailVerified) {
+		return;
+	}
+
+	await repositories.users.update(user.id, {
+		emailVerified: true,
+		emailVerifiedAt: new Date(),
+	});
+
+	mailer.sendNotice("welcome", user.email, { email: user.email });
+}
+
+// The token is only ever sent to the account's own address, and the reply
+// is the same whether or not the email is registered. The mail isn't waited
+// on, so a slow or failing mail server doesn't give registered addresses
+// away either.
+async function requestPasswordReset(email) {
+	const user = await repositories.users.findByEmail(email);
+
+	if (!user) {
+		return;
+	}
+
+	const token = crypto.randomBytes(32).toString("hex");
+	await repositories.tokens.save(user.id, "password-reset", {
+		token,
+		expires: new Date(Date.now() + RESET_TOKEN_LIFETIME_MS),
+	});
+
+	const resetUrl = `${mailer.appUrl}/reset?email=${encodeURIComponent(
+		user.email
+	)}&token=${token}`;
+	mailer.sendNotice("password-reset", user.email, { resetUrl });
+}
+
+async function completePasswordReset(token, newPassword, context = {}) {
+	if (!token || typeof token !== "string" || token.length !== 64) {
+		throw new ValidationError("Invalid token format", {
+			code: "INVALID_TOKEN",
+		});
+	}
+
+	const reset = await repositories.tokens.find("password-reset", token);
+
+	if (!reset) {
+		throw new ValidationError("Invalid or expired token", {
+			code: "INVALID_TOKEN",
+		});
+	}
+
+	if (!reset.expires || new Date(reset.expires) < new Date()) {
+		await repositories.tokens.clear(reset.userId, "password-reset");
+		throw new ValidationError("Token has expired", {
+			code: "TOKEN_EXPIRED",
+		});
+	}
+
+	const user = await repositories.users.findById(reset.userId);
+	if (!user) {
+		throw new ValidationError("Invalid or expired token", {
+			code: "INVALID_TOKEN",
+		});
+	}
+
+	checkNewPassword(newPassword, { email: user.email });
+
+	const passwordHash = await bcrypt.hash(newPassword, config.bcryptRounds);
+
+	// a reset also lifts any lockout from failed logins
+	const updated = await repositories.users.update(reset.userId, {
+		passwordHash,
+		failedLoginCount: 0,
+		lockedUntil: null,
+	});
+
+	if (!updated) {
+		throw new AppError("Failed to update password", 500);
+	}
+
+	await repositories.tokens.clear(reset.userId, "password-reset");
+
+	// whoever had the old password may still be logged in, in a browser or
+	// an app
+	await repositories.sessions.destroyForUser(reset.userId);
+	await repositories.refreshTokens.revokeForUser(reset.userId);
+
+	await recordAuthEvent({
+		type: "password_reset_completed",
+		userId: user.id,
+		email: user.email,
+		...context,
+	});
+
+	mailer.sendNotice("password-changed", user.email);
+}
+
+module.exports.register = register;
+module.exports.login = login;
+module.exports.loginVerifiedUser = loginVerifiedUser;
+module.exports.completeTwoFactorLogin = completeTwoFactorLogin;
+module.exports.getSessionUser = getSessionUser;
+module.exports.sendVerificationEmail = sendVerificationEmail;
+module.exports.verifyEmail = verifyEmail;
+module.exports.requestPasswordReset = requestPasswordReset;
+module.exports.completePasswordReset = completePasswordReset;
@@ -0,0 +1,238 @@
+const crypto = require("crypto");
+
+const config = require("../config");
+const jwt = require("../jwt");
+const repositories = require("../repositories");
+const accounts = require("./accounts");
+const { recordAuthEvent } = require("./authEvents");
+const {
+	ConflictError,
+	NotFoundError,
+	UnauthorizedError,
+} = require("../errors");
+
+// Tokens for apps and scripts that can't keep a session cookie. There are
+// two kinds, both sent as "Authorization: Bearer ...":
+//
+//   access tokens   short lived JWTs from POST /api/token, renewed with the
+//                   refresh token that came with them
+//   API keys        long lived random keys a user makes on their profile
+//                   page, for their own scripts
+//
+// Refresh tokens are single use: each refresh returns a new one in the same
+// family. If a used one comes back it has been copied, so the whole family is
+// revoked, which also stops the access tokens issued from it.
+
+const API_KEY_PREFIX = "rk_";
+const MAX_API_KEYS = 10;
+
+function randomToken() {
+	return crypto.randomBytes(32).toString("base64url");
+}
+
+// only hashes are stored, so a copy of the database can't be used to log in
+function hashToken(token) {
+	return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+function invalidToken(message = "Invalid or expired token.") {
+	return new UnauthorizedError(message, { code: "INVALID_TOKEN" });
+}
+
+// A new access token and refresh token in the given family. Returns the body
+// of a token response (RFC 6749 section 5.1, in camel case like the rest of
+// the API).
+async function issueTokens(userId, familyId, context) {
+	const refreshToken = randomToken();
+	await repositories.refreshTokens.create({
+		userId,
+		familyId,
+		tokenHash: hashToken(refreshToken),
+		expiresAt: new Date(Date.now() + config.tokens.refreshTtlMs),
+		ip: context.ip || null,
+		userAgent: context.userAgent
+			? context.userAgent.substring(0, 255)
+			: null,
+	});
+
+	const now = Math.floor(Date.now() / 1000);
+	const expiresIn = Math.floor(config.tokens.accessTtlMs / 1000);
+	const accessToken = jwt.sign(
+		{
+			sub: String(userId),
+			typ: "access",
+			fam: familyId,
+			jti: crypto.randomBytes(8).toString("hex"),
+			iat: now,
+			exp: now + expiresIn,
+		},
+		config.tokens.secrets[0]
+	);
+
+	return { accessToken, tokenType: "Bearer", expiresIn, refreshToken };
+}
+
+// Logs in with an email and password, as the login form does. Accounts with
+// two-factor on must send `code` as well, there is no second step.
+async function passwordGrant(email, password, code, context = {}) {
+	let user = await accounts.login(email, password, context);
+
+	if (user.twoFactorRequired) {
+		if (!code) {
+			throw new UnauthorizedError(
+				"Two-factor authentication code required.",
+				{
+					code: "TWO_FACTOR_REQUIRED",
+				}
+			);
+		}
+		user = await accounts.completeTwoFactorLogin(user.id, code, context);
+	}
+
+	return issueTokens(
+		user.id,
+		crypto.randomBytes(16).toString("hex"),
+		context
+	);
+}
+
+// Swaps a refresh token for a new pair.
+async function refreshGrant(refreshToken, context = {}) {
+	const token = await repositories.refreshTokens.findByHash(
+		hashToken(String(refreshToken || ""))
+	);
+
+	if (!token || token.revokedAt) {
+		throw invalidToken();
+	}
+
+	if (
+		token.usedAt ||
+		!(await repositories.refreshTokens.markUsed(token.id))
+	) {
+		await repositories.refreshTokens.revokeFamily(token.familyId);
+		const user = await repositories.users.findById(token.userId);
+		await recordAuthEvent({
+			type: "refresh_token_reused",
+			userId: token.userId,
+			email: user ? user.email : null,
+			...context,
+		});
+		throw invalidToken();
+	}
+
+	if (new Date(token.expiresAt) <= new Date()) {
+		throw invalidToken();
+	}
+
+	// the account may have gone since the token was issued
+	if (!(await repositories.users.findById(token.userId))) {
+		throw invalidToken();
+	}
+
+	return issueTokens(token.userId, token.familyId, context);
+}
+
+// Logs an app out: its refresh token and the access tokens from it stop
+// working. Unknown tokens are ignored, as for logging out twice.
+async function revokeRefreshToken(refreshToken) {
+	const token = await repositories.refreshTokens.findByHash(
+		hashToken(String(refreshToken || ""))
+	);
+
+	if (token) {
+		await repositories.refreshTokens.revokeFamily(token.familyId);
+	}
+}
+
+async function authenticateApiKey(key) {
+	const apiKey = await repositories.apiKeys.findByHash(hashToken(key));
+
+	if (
+		!apiKey ||
+		apiKey.revokedAt ||
+		(apiKey.expiresAt && new Date(apiKey.expiresAt) <= new Date())
+	) {
+		return null;
+	}
+
+	await repositories.apiKeys.touch(apiKey.id);
+	return apiKey.userId;
+}
+
+async function authenticateAccessToken(token) {
+	const claims = jwt.verify(token, config.tokens.secrets);
+
+	if (!claims || claims.typ !== "access" || !claims.sub || !claims.fam) {
+		return null;
+	}
+	if (await repositories.refreshTokens.isFamilyRevoked(claims.fam)) {
+		return null;
+	}
+
+	return Number(claims.sub);
+}
+
+// The user a bearer token (access token or API key) belongs to, as
+// accounts.getSessionUser returns them, or null if it isn't valid.
+async function authenticateBearer(token) {
+	const userId = token.startsWith(API_KEY_PREFIX)
+		? await authenticateApiKey(token)
+		: await authenticateAccessToken(token);
+
+	return userId ? accounts.getSessionUser(userId) : null;
+}
+
+function toApiKeyInfo(apiKey) {
+	return {
+		id: apiKey.id,
+		name: apiKey.name,
+		prefix: apiKey.prefix,
+		expiresAt: apiKey.expiresAt,
+		lastUsedAt: apiKey.lastUsedAt,
+		createdAt: apiKey.createdAt,
+	};
+}
+
+async function listApiKeys(userId) {
+	const apiKeys = await repositories.apiKeys.listForUser(userId);
+	return apiKeys.map(toApiKeyInfo);
+}
+
+// Returns the key's details and the key itself, which is only kept as a
+// hash so this is the one time it can be shown. `expiresInDays` is optional.
+async function createApiKey(userId, name, expiresInDays = null) {
+	if ((await repositories.apiKeys.countForUser(userId)) >= MAX_API_KEYS) {
+		throw new ConflictError(
+			`You can have up to ${MAX_API_KEYS} API keys. Revoke one you no longer use first.`,
+			{ code: "TOO_MANY_API_KEYS" }
+		);
+	}
+
+	const key = API_KEY_PREFIX + randomToken();
+	const apiKey = await repositories.apiKeys.create({
+		userId,
+		name,
+		keyHash: hashToken(key),
+		prefix: key.substring(0, 10),
+		expiresAt: expiresInDays
+			? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+			: null,
+	});
+
+	return { apiKey: toApiKeyInfo(apiKey), key };
+}
+
+async function revokeApiKey(userId, id) {
+	if (!(await repositories.apiKeys.revoke(userId, id))) {
+		throw new NotFoundError("API key not found");
+	}
+}
+
+module.exports.passwordGrant = passwordGrant;
+module.exports.refreshGrant = refreshGrant;
+module.exports.revokeRefreshToken = revokeRefreshToken;
+module.exports.authenticateBearer = authenticateBearer;
+module.exports.listApiKeys = listApiKeys;
+module.exports.createApiKey = createApiKey;
+module.exports.revokeApiKey = revokeApiKey;
@@ -0,0 +1,65 @@
+const logger = require("../logger");
+const metrics = require("../metrics");
+const repositories = require("../repositories");
+const { ValidationError } = require("../errors");
+
+const AUTH_EVENT_TYPES = [
+	"login_success",
+	"login_failure",
+	"login_locked",
+	"logout",
+	"register",
+	"password_reset_requested",
+	"password_reset_completed",
+	"password_changed",
+	"two_factor_enabled",
+	"two_factor_disabled",
+	"two_factor_reset",
+	"identity_linked",
+	"refresh_token_reused",
+	"rate_limited",
+];
+
+// counted in auth_failures_total as well, see metrics.js
+const FAILURE_TYPES = [
+	"login_failure",
+	"login_locked",
+	"refresh_token_reused",
+	"rate_limited",
+];
+
+// Audit log of authentication activity. Never throws, a failed insert is
+// logged rather than failing the login or logout it describes.
+// `event` is { type, userId, email, ip, userAgent, detail }.
+async function recordAuthEvent(event) {
+	if (FAILURE_TYPES.includes(event.type)) {
+		metrics.authFailures.inc({ reason: event.type });
+	}
+
+	try {
+		await repositories.authEvents.record({
+			...event,
+			email:
+				typeof event.email === "string"
+					? event.email.substring(0, 255)
+					: null,
+		});
+	} catch (err) {
+		logger.error("Error recording auth event", { type: event.type, err });
+	}
+}
+
+async function listAuthEvents(filters = {}) {
+	const { type, email, userId, before } = filters;
+	const limit = Math.min(Math.max(Number(filters.limit) || 100, 1), 500);
+
+	if (type && !AUTH_EVENT_TYPES.includes(type)) {
+		throw new ValidationError(`Unknown event type: ${type}`);
+	}
+
+	return repositories.authEvents.list({ type, email, userId, before, limit });
+}
+
+module.exports.AUTH_EVENT_TYPES = AUTH_EVENT_TYPES;
+module.exports.recordAuthEvent = recordAuthEvent;
+module.exports.listAuthEvents = listAuthEvents;
@@ -0,0 +1,334 @@
+const mailer = require("../mailer"); // outbound email
+const events = require("../events"); // live updates
+const repositories = require("../repositories");
+const { NotFoundError, ValidationError } = require("../errors");
+
+const BOOKING_DURATION_MINUTES = 90;
+const BOOKING_SLOT_INTERVAL_MINUTES = 30;
+const BOOKING_MAX_DAYS_AHEAD = 60;
+
+const BOOKING_STATUSES = ["confirmed", "cancelled", "completed", "no-show"];
+
+function pad(value) {
+	return String(value).padStart(2, "0");
+}
+
+// dates are handled as local "YYYY-MM-DD" strings to avoid timezone shifts
+function formatDate(date) {
+	return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(
+		date.getDate()
+	)}`;
+}
+
+function toMinutes(time) {
+	const [hours, minutes] = time.split(":").map(Number);
+	return hours * 60 + minutes;
+}
+
+function fromMinutes(total) {
+	return `${pad(Math.floor(total / 60))}:${pad(total % 60)}`;
+}
+
+function toDateTime(date, minutes) {
+	return `${date} ${fromMinutes(minutes)}:00`;
+}
+
+function parseBookingDateFormat(date) {
+	if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+		throw new ValidationError("Date must be in the format YYYY-MM-DD");
+	}
+
+	const [year, month, day] = date.split("-").map(Number);
+	const parsed = new Date(year, month - 1, day);
+	if (formatDate(parsed) !== date) {
+		throw new ValidationError("Invalid date");
+	}
+
+	return parsed;
+}
+
+function parseBookingDate(date) {
+	const parsed = parseBookingDateFormat(date);
+
+	const today = new Date();
+	today.setHours(0, 0, 0, 0);
+	const lastDay = new Date(today);
+	lastDay.setDate(lastDay.getDate() + BOOKING_MAX_DAYS_AHEAD);
+
+	if (parsed < today) {
+		throw new ValidationError("Bookings cannot be made in the past");
+	}
+	if (parsed > lastDay) {
+		throw new ValidationError(
+			`Bookings can only be made up to ${BOOKING_MAX_DAYS_AHEAD} days ahead`
+		);
+	}
+
+	return parsed;
+}
+
+function parsePartySize(partySize) {
+	const party = Number(partySize);
+	if (!Number.isInteger(party) || party < 1) {
+		throw new ValidationError("Party size must be a whole number above 0");
+	}
+	return party;
+}
+
+async function getOpeningHours(dayOfWeek) {
+	const hours = await repositories.bookings.getOpeningHours(dayOfWeek);
+	if (!hours) return null;
+
+	return {
+		open: toMinutes(hours.open),
+		close: toMinutes(hours.close),
+	};
+}
+
+// start times a booking may use on a given day, skipping ones already gone today
+function getSlotTimes(date, hours) {
+	const slots = [];
+	const lastStart = hours.close - BOOKING_DURATION_MINUTES;
+
+	let earliest = hours.open;
+	const now = new Date();
+	if (date === formatDate(now)) {
+		earliest = Math.max(earliest, now.getHours() * 60 + now.getMinutes());
+	}
+
+	for (
+		let start = hours.open;
+		start <= lastStart;
+		start += BOOKING_SLOT_INTERVAL_MINUTES
+	) {
+		if (start >= earliest) slots.push(start);
+	}
+
+	return slots;
+}
+
+async function getAvailability(date, partySize, excludeBookingId = null) {
+	const day = parseBookingDate(date);
+	const party = parsePartySize(partySize);
+
+	const largestTable = await repositories.bookings.largestTableCapacity();
+	if (party > largestTable) {
+		throw new ValidationError(
+			`We can only take online bookings for up to ${largestTable} guests`
+		);
+	}
+
+	const hours = await getOpeningHours(day.getDay());
+	if (!hours) {
+		return { date, partySize: party, open: null, close: null, slots: [] };
+	}
+
+	const tables = await repositories.bookings.listTables(party);
+	const booked = await repositories.bookings.listConfirmedOnDate(
+		date,
+		excludeBookingId
+	);
+
+	const slots = getSlotTimes(date, hours).filter((start) => {
+		const end = start + BOOKING_DURATION_MINUTES;
+		return tables.some(
+			(table) =>
+				!booked.some(
+					(booking) =>
+						booking.tableId === table.id &&
+						toMinutes(booking.startTime) < end &&
+						toMinutes(booking.endTime) > start
+				)
+		);
+	});
+
+	return {
+		date,
+		partySize: party,
+		open: fromMinutes(hours.open),
+		close: fromMinutes(hours.close),
+		slots: slots.map(fromMinutes),
+	};
+}
+
+async function validateBookingSlot(date, time, partySize) {
+	const day = parseBookingDate(date);
+	const party = parsePartySize(partySize);
+
+	if (!time || !/^\d{2}:\d{2}$/.test(time)) {
+		throw new ValidationError("Time must be in the format HH:MM");
+	}
+
+	const hours = await getOpeningHours(day.getDay());
+	if (!hours) {
+		throw new ValidationError("The restaurant is closed on that day");
+	}
+
+	const start = toMinutes(time);
+	if (!getSlotTimes(date, hours).includes(start)) {
+		throw new ValidationError("That time is not a bookable slot");
+	}
+
+	return {
+		partySize: party,
+		startsAt: toDateTime(date, start),
+		endsAt: toDateTime(date, start + BOOKING_DURATION_MINUTES),
+	};
+}
+
+function mapBooking(booking) {
+	return {
+		id: booking.id,
+		date: booking.date,
+		time: booking.time,
+		endTime: booking.endTime,
+		partySize: booking.partySize,
+		table: booking.table,
+		status: booking.status,
+		notes: booking.notes,
+	};
+}
+
+// a booking belonging to the user, other people's bookings are "not found"
+async function getBooking(bookingId, userId) {
+	const booking = await repositories.bookings.find(bookingId);
+
+	if (!booking || booking.userId !== Number(userId)) {
+		throw new NotFoundError("Booking not found");
+	}
+
+	return booking;
+}
+
+async function getUserBookings(userId) {
+	const bookings = await repositories.bookings.listForUser(userId);
+	return bookings.map(mapBooking);
+}
+
+function sendBookingConfirmation(booking, action) {
+	mailer.sendNotice("booking-confirmation", booking.userEmail, {
+		action,
+		date: booking.date,
+		time: booking.time,
+		partySize: booking.partySize,
+	});
+}
+
+// tells the kitchen and the customer's other tabs, see events.js
+function publishBooking(type, booking) {
+	events.publish(
+		type,
+		{ booking: { ...mapBooking(booking), email: booking.userEmail } },
+		{ userId: booking.userId }
+	);
+}
+
+async function createBooking(userId, details) {
+	const { date, time, partySize, notes } = details;
+	const slot = await validateBookingSlot(date, time, partySize);
+
+	const bookingId = await repositories.bookings.create({
+		userId,
+		...slot,
+		notes,
+	});
+
+	const booking = await getBooking(bookingId, userId);
+	sendBookingConfirmation(booking, "confirmed");
+	publishBooking("booking.created", booking);
+	return mapBooking(booking);
+}
+
+async function getEditableBooking(bookingId, userId) {
+	const booking = await getBooking(bookingId, userId);
+
+	if (booking.status !== "confirmed") {
+		throw new ValidationError("This booking has been cancelled");
+	}
+	if (new Date(`${booking.date}T${booking.time}`) < new Date()) {
+		throw new ValidationError("Past bookings cannot be changed");
+	}
+
+	return booking;
+}
+
+async function updateBooking(userId, bookingId, details) {
+	const booking = await getEditableBooking(bookingId, userId);
+
+	const date = details.date || booking.date;
+	const time = details.time || booking.time;
+	const partySize = details.partySize || booking.partySize;
+	const notes = details.notes !== undefined ? details.notes : booking.notes;
+
+	const slot = await validateBookingSlot(date, time, partySize);
+
+	await repositories.bookings.reschedule(
+		booking.id,
+		{ ...slot, notes },
+		booking.tableId
+	);
+
+	const updated = await getBooking(booking.id, userId);
+	sendBookingConfirmation(updated, "updated");
+	publishBooking("booking.updated", updated);
+	return mapBooking(updated);
+}
+
+async function cancelBooking(userId, bookingId) {
+	const booking = await getEditableBooking(bookingId, userId);
+
+	await repositories.bookings.updateStatus(booking.id, "cancelled");
+
+	const cancelled = { ...booking, status: "cancelled" };
+	publishBooking("booking.cancelled", cancelled);
+	return mapBooking(cancelled);
+}
+
+async function getBookingsForDate(date) {
+	parseBookingDateFormat(date);
+
+	const bookings = await repositories.bookings.listForDate(date);
+	return bookings.map((booking) => ({
+		...mapBooking(booking),
+		email: booking.userEmail,
+	}));
+}
+
+async function updateBookingStatus(bookingId, status) {
+	if (!BOOKING_STATUSES.includes(status)) {
+		throw new ValidationError(
+			`Status must be one of: ${BOOKING_STATUSES.join(", ")}`
+		);
+	}
+
+	// Confirming a cancelled booking again claims a table like a new booking,
+	// so it can't clash with one made since (409 SLOT_TAKEN if it would).
+	const current = await repositories.bookings.find(bookingId);
+	if (!current) {
+		throw new NotFoundError("Booking not found");
+	}
+
+	const updated =
+		status === "confirmed" && current.status !== "confirmed"
+			? await repositories.bookings.reconfirm(bookingId)
+			: await repositories.bookings.updateStatus(bookingId, status);
+	if (!updated) {
+		throw new NotFoundError("Booking not found");
+	}
+
+	const booking = await repositories.bookings.find(bookingId);
+	publishBooking(
+		status === "cancelled" ? "booking.cancelled" : "booking.updated",
+		booking
+	);
+}
+
+module.exports.BOOKING_STATUSES = BOOKING_STATUSES;
+module.exports.formatDate = formatDate;
+module.exports.getAvailability = getAvailability;
+module.exports.getUserBookings = getUserBookings;
+module.exports.createBooking = createBooking;
+module.exports.updateBooking = updateBooking;
+module.exports.cancelBooking = cancelBooking;
+module.exports.getBookingsForDate = getBookingsForDate;
+module.exports.updateBookingStatus = updateBookingStatus;
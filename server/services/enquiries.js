@@ -0,0 +1,96 @@
+const mailer = require("../mailer"); // outbound email
+const repositories = require("../repositories");
+const { NotFoundError, ValidationError } = require("../errors");
+
+// Messages from the contact page and the staff inbox that answers them.
+
+const ENQUIRY_STATUSES = ["new", "read", "replied"];
+
+// `fields` is { name, email, subject, message, website } from the form.
+// `website` is a honeypot: the field is hidden on the contact page, so only
+// bots fill it in. Their enquiries are dropped without saying so, so they
+// have no reason to try again. `context` is { userId, ip, userAgent }, the
+// user id links the enquiry to the account of whoever was logged in.
+async function submitEnquiry(fields, context = {}) {
+	if (fields.website) return null;
+
+	return repositories.enquiries.create({
+		userId: context.userId,
+		name: fields.name,
+		email: fields.email,
+		subject: fields.subject,
+		message: fields.message,
+		ip: context.ip,
+		userAgent: context.userAgent,
+	});
+}
+
+// newest first, with how many there are of each status for the inbox tabs
+async function listEnquiries(filters = {}) {
+	const { status, before } = filters;
+	const limit = Math.min(Math.max(Number(filters.limit) || 50, 1), 200);
+
+	if (status && !ENQUIRY_STATUSES.includes(status)) {
+		throw new ValidationError(`Unknown status: ${status}`);
+	}
+
+	const enquiries = await repositories.enquiries.list({
+		status,
+		before,
+		limit,
+	});
+	const found = await repositories.enquiries.countByStatus();
+	const counts = Object.fromEntries(
+		ENQUIRY_STATUSES.map((name) => [name, found[name] || 0])
+	);
+
+	return { enquiries, counts };
+}
+
+async function getEnquiry(id) {
+	const enquiry = await repositories.enquiries.findById(id);
+	if (!enquiry) {
+		throw new NotFoundError("Enquiry not found");
+	}
+	return enquiry;
+}
+
+async function updateEnquiryStatus(id, status) {
+	if (!ENQUIRY_STATUSES.includes(status)) {
+		throw new ValidationError(
+			`Status must be one of: ${ENQUIRY_STATUSES.join(", ")}`
+		);
+	}
+
+	if (!(await repositories.enquiries.updateStatus(id, status))) {
+		throw new NotFoundError("Enquiry not found");
+	}
+}
+
+// Emails `message` to whoever sent the enquiry, quoting what they wrote. The
+// reply is only stored once the mail has gone, so a failed send can simply be
+// tried again.
+async function replyToEnquiry(staffId, id, message) {
+	const enquiry = await getEnquiry(id);
+
+	await mailer.sendMail("enquiry-reply", enquiry.email, {
+		name: enquiry.name,
+		subject: enquiry.subject || "Your enquiry",
+		reply: message,
+		enquiry: enquiry.message,
+	});
+
+	await repositories.enquiries.addReply({
+		enquiryId: enquiry.id,
+		userId: staffId,
+		message,
+	});
+	return getEnquiry(enquiry.id);
+}
+
+module.exports.ENQUIRY_STATUSES = ENQUIRY_STATUSES;
+module.exports.submitEnquiry = submitEnquiry;
+module.exports.listEnquiries = listEnquiries;
+module.exports.getEnquiry = getEnquiry;
+module.exports.updateEnquiryStatus = updateEnquiryStatus;
+module.exports.replyToEnquiry = replyToEnquiry;
@@ -0,0 +1,56 @@
+const repositories = require("../repositories");
+const { ServiceUnavailableError } = require("../errors");
+
+// For load balancers and orchestrators. Health says the process is up and
+// answering, readiness that it can also do its job, i.e. reach storage.
+
+// a database that takes longer than this to answer counts as down
+const READY_TIMEOUT_MS = 2000;
+
+// set while the server shuts down, so load balancers stop sending requests
+let shuttingDown = false;
+
+function setShuttingDown(value) {
+	shuttingDown = value;
+}
+
+function getHealth() {
+	return { status: "ok", uptimeSeconds: Math.round(process.uptime()) };
+}
+
+function withTimeout(promise, ms) {
+	let timer;
+	const timeout = new Promise((resolve, reject) => {
+		timer = setTimeout(
+			() => reject(new Error(`No answer after ${ms}ms`)),
+			ms
+		);
+	});
+	return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Throws a ServiceUnavailableError (503 NOT_READY) when shutting down or when
+// storage can't be reached, with the reason in `cause` for the log.
+async function checkReadiness() {
+	if (shuttingDown) {
+		throw new ServiceUnavailableError("The server is shutting down.", {
+			code: "NOT_READY",
+		});
+	}
+
+	try {
+		await withTimeout(repositories.ping(), READY_TIMEOUT_MS);
+	} catch (err) {
+		const error = new ServiceUnavailableError("Storage is not reachable.", {
+			code: "NOT_READY",
+		});
+		error.cause = err;
+		throw error;
+	}
+
+	return { status: "ready", storage: repositories.backend };
+}
+
+module.exports.setShuttingDown = setShuttingDown;
+module.exports.getHealth = getHealth;
+module.exports.checkReadiness = checkReadiness;
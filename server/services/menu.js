@@ -0,0 +1,237 @@
+const repositories = require("../repositories");
+const { NotFoundError, ValidationError } = require("../errors");
+
+const DIETARY_TAGS = [
+	"vegetarian",
+	"vegan",
+	"gluten-free",
+	"dairy-free",
+	"nut-free",
+];
+
+const ALLERGENS = [
+	"celery",
+	"gluten",
+	"crustaceans",
+	"eggs",
+	"fish",
+	"lupin",
+	"milk",
+	"molluscs",
+	"mustard",
+	"nuts",
+	"peanuts",
+	"sesame",
+	"soya",
+	"sulphites",
+];
+
+async function getMenuCategories() {
+	return repositories.menu.listCategories();
+}
+
+async function getMenu(filters = {}) {
+	const { category, tags = [] } = filters;
+
+	for (const tag of tags) {
+		if (!DIETARY_TAGS.includes(tag)) {
+			throw new ValidationError(`Unknown dietary tag: ${tag}`);
+		}
+	}
+
+	let categories = await getMenuCategories();
+
+	if (category) {
+		categories = categories.filter(
+			(cat) => cat.slug === category || String(cat.id) === category
+		);
+
+		if (categories.length === 0) {
+			throw new NotFoundError("Menu category not found");
+		}
+	}
+
+	const items = await repositories.menu.listItems({
+		categoryId: category ? categories[0].id : null,
+		tags,
+	});
+
+	return categories
+		.map((cat) => ({
+			...cat,
+			items: items.filter((item) => item.categoryId === cat.id),
+		}))
+		.filter((cat) => !(tags.length > 0 && cat.items.length === 0));
+}
+
+async function getMenuItem(id) {
+	const item = await repositories.menu.findItem(id);
+
+	if (!item) {
+		throw new NotFoundError("Menu item not found");
+	}
+
+	return item;
+}
+
+function checkListValues(values, allowed, label) {
+	if (!Array.isArray(values)) {
+		throw new ValidationError(`${label} must be a list`);
+	}
+	for (const value of values) {
+		if (!allowed.includes(value)) {
+			throw new ValidationError(
+				`Unknown ${label.toLowerCase()}: ${value}`
+			);
+		}
+	}
+	return values;
+}
+
+// Checks and cleans the fields the client sent, only for fields that were
+// sent, so the same function serves both create and partial update.
+function menuItemFields(details) {
+	const fields = {};
+
+	if (details.name !== undefined) {
+		if (typeof details.name !== "string" || !details.name.trim()) {
+			throw new ValidationError("Dish name is required");
+		}
+		fields.name = details.name.trim();
+	}
+	if (details.description !== undefined) {
+		fields.description = details.description || null;
+	}
+	if (details.price !== undefined) {
+		const price = Number(details.price);
+		if (!Number.isFinite(price) || price < 0) {
+			throw new ValidationError("Price must be a positive number");
+		}
+		fields.price = Math.round(price * 100) / 100;
+	}
+	if (details.categoryId !== undefined) {
+		fields.categoryId = details.categoryId;
+	}
+	if (details.allergens !== undefined) {
+		fields.allergens = checkListValues(
+			details.allergens,
+			ALLERGENS,
+			"Allergens"
+		);
+	}
+	if (details.dietaryTags !== undefined) {
+		fields.dietaryTags = checkListValues(
+			details.dietaryTags,
+			DIETARY_TAGS,
+			"Dietary tags"
+		);
+	}
+	if (details.available !== undefined) {
+		fields.available = Boolean(details.available);
+	}
+	if (details.sortOrder !== undefined) {
+		fields.sortOrder = Number(details.sortOrder) || 0;
+	}
+
+	return fields;
+}
+
+async function checkCategoryExists(categoryId) {
+	if (!(await repositories.menu.categoryExists(categoryId))) {
+		throw new NotFoundError("Menu category not found");
+	}
+}
+
+async function createMenuItem(details) {
+	if (details.name === undefined || details.price === undefined) {
+		throw new ValidationError("Dish name and price are required");
+	}
+	if (details.categoryId === undefined) {
+		throw new ValidationError("A category is required");
+	}
+
+	const fields = menuItemFields(details);
+	await checkCategoryExists(fields.categoryId);
+
+	const id = await repositories.menu.createItem(fields);
+	return getMenuItem(id);
+}
+
+async function updateMenuItem(id, details) {
+	const fields = menuItemFields(details);
+
+	if (Object.keys(fields).length === 0) {
+		throw new ValidationError("Nothing to update");
+	}
+	if (fields.categoryId !== undefined) {
+		await checkCategoryExists(fields.categoryId);
+	}
+
+	if (!(await repositories.menu.updateItem(id, fields))) {
+		throw new NotFoundError("Menu item not found");
+	}
+
+	return getMenuItem(id);
+}
+
+async function deleteMenuItem(id) {
+	if (!(await repositories.menu.deleteItem(id))) {
+		throw new NotFoundError("Menu item not found");
+	}
+}
+
+function slugify(name) {
+	return name
+		.toLowerCase()
+		.replace(/[^a-z0-9]+/g, "-")
+		.replace(/^-+|-+$/g, "");
+}
+
+// creates a category, or updates it when an id is given
+async function saveMenuCategory(id, details) {
+	const { name, description, sortOrder } = details;
+
+	if (typeof name !== "string" || !name.trim()) {
+		throw new ValidationError("Category name is required");
+	}
+
+	const category = {
+		name: name.trim(),
+		slug: slugify(name),
+		description: description || null,
+		sortOrder: Number(sortOrder) || 0,
+	};
+
+	if (id) {
+		if (!(await repositories.menu.updateCategory(id, category))) {
+			throw new NotFoundError("Menu category not found");
+		}
+		return { id: Number(id), name: category.name, slug: category.slug };
+	}
+
+	const newId = await repositories.menu.createCategory(category);
+	return { id: newId, name: category.name, slug: category.slug };
+}
+
+async function deleteMenuCategory(id) {
+	if ((await repositories.menu.countItemsInCategory(id)) > 0) {
+		throw new ValidationError(
+			"Move or delete the dishes in this category first"
+		);
+	}
+
+	if (!(await repositories.menu.deleteCategory(id))) {
+		throw new NotFoundError("Menu category not found");
+	}
+}
+
+module.exports.DIETARY_TAGS = DIETARY_TAGS;
+module.exports.ALLERGENS = ALLERGENS;
+module.exports.getMenuCategories = getMenuCategories;
+module.exports.getMenu = getMenu;
+module.exports.getMenuItem = getMenuItem;
+module.exports.createMenuItem = createMenuItem;
+module.exports.updateMenuItem = updateMenuItem;
+module.exports.deleteMenuItem = deleteMenuItem;
+module.exports.saveMenuCategory = saveMenuCategory;
+module.exports.deleteMenuCategory = deleteMenuCategory;
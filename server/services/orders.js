@@ -0,0 +1,377 @@
+const logger = require("../logger");
+const mailer = require("../mailer"); // outbound email
+const events = require("../events"); // live updates
+const payments = require("../payments");
+const repositories = require("../repositories");
+const {
+	AppError,
+	ConflictError,
+	NotFoundError,
+	ServiceUnavailableError,
+	ValidationError,
+} = require("../errors");
+
+// Online food orders for collection. The client only says which dishes and
+// how many, prices always come from the menu here.
+
+const CURRENCY = "GBP";
+const MAX_QUANTITY = 20;
+
+const ORDER_STATUSES = [
+	"pending",
+	"confirmed",
+	"preparing",
+	"ready",
+	"collected",
+	"cancelled",
+];
+
+// Where an order can go from each status. Orders are pending until paid,
+// then confirmed until the kitchen starts on them.
+const ORDER_TRANSITIONS = {
+	pending: ["confirmed", "cancelled"],
+	confirmed: ["preparing", "cancelled"],
+	preparing: ["ready", "cancelled"],
+	ready: ["collected"],
+	collected: [],
+	cancelled: [],
+};
+
+// Customers can only cancel before the kitchen starts. Not while the order is
+// pending either, as the payment is still going through then.
+const CUSTOMER_CANCELLABLE = ["confirmed"];
+
+const priceFormat = new Intl.NumberFormat("en-GB", {
+	style: "currency",
+	currency: CURRENCY,
+});
+
+// money is added up in pence so 0.1 + 0.2 problems can't creep in
+function toPence(amount) {
+	return Math.round(amount * 100);
+}
+
+function canChangeStatus(from, to) {
+	return (ORDER_TRANSITIONS[from] || []).includes(to);
+}
+
+function paymentProvider() {
+	const provider = payments.getPaymentProvider();
+	if (!provider) {
+		throw new ServiceUnavailableError(
+			"Online ordering is not available right now.",
+			{ code: "ORDERING_UNAVAILABLE" }
+		);
+	}
+	return provider;
+}
+
+// what the checkout page offers, e.g. the test cards of the fake provider
+function getCheckoutOptions() {
+	const provider = payments.getPaymentProvider();
+	if (!provider) {
+		return { available: false, currency: CURRENCY, paymentMethods: [] };
+	}
+	return {
+		available: true,
+		currency: CURRENCY,
+		...provider.checkoutOptions(),
+	};
+}
+
+// Turns [{ menuItemId, quantity }] into priced order lines. The same dish
+// twice becomes one line.
+async function priceItems(requested) {
+	const quantities = new Map();
+	for (const { menuItemId, quantity = 1 } of requested) {
+		quantities.set(
+			menuItemId,
+			(quantities.get(menuItemId) || 0) + quantity
+		);
+	}
+
+	const lines = [];
+	let totalPence = 0;
+	for (const [menuItemId, quantity] of quantities) {
+		const dish = await repositories.menu.findItem(menuItemId);
+		if (!dish) {
+			throw new ValidationError(
+				"A dish in your order is no longer on the menu",
+				{ code: "ITEM_UNAVAILABLE" }
+			);
+		}
+		if (!dish.available) {
+			throw new ValidationError(
+				`${dish.name} is not available right now`,
+				{ code: "ITEM_UNAVAILABLE" }
+			);
+		}
+		if (quantity > MAX_QUANTITY) {
+			throw new ValidationError(
+				`You can order at most ${MAX_QUANTITY} of ${dish.name}`,
+				{ fields: { items: `At most ${MAX_QUANTITY} of each dish` } }
+			);
+		}
+
+		lines.push({
+			menuItemId: dish.id,
+			name: dish.name,
+			unitPrice: dish.price,
+			quantity,
+		});
+		totalPence += toPence(dish.price) * quantity;
+	}
+
+	return { lines, total: totalPence / 100 };
+}
+
+function sendOrderConfirmation(order) {
+	if (!order.userEmail) return;
+
+	mailer.sendNotice("order-confirmation", order.userEmail, {
+		orderId: order.id,
+		items: order.items
+			.map((item) => `${item.quantity} x ${item.name}`)
+			.join("\n"),
+		total: priceFormat.format(order.total),
+	});
+}
+
+// Places and pays for an order. `details` is { items, notes, paymentMethod },
+// with items as [{ menuItemId, quantity }]. A declined payment cancels the
+// order and answers 402 PAYMENT_DECLINED, so the cart can be tried again.
+// When the provider fails it answers 503 PAYMENT_FAILED, and when staff
+// cancelled the order while it was being paid for the payment is refunded
+// and it answers 409 ORDER_CANCELLED.
+async function placeOrder(userId, details) {
+	const provider = paymentProvider();
+	const { lines, total } = await priceItems(details.items);
+
+	const order = await repositories.orders.create({
+		userId,
+		items: lines,
+		total,
+		currency: CURRENCY,
+		notes: details.notes,
+		paymentProvider: provider.name,
+	});
+
+	let payment;
+	try {
+		payment = await provider.charge({
+			amount: toPence(total),
+			currency: CURRENCY,
+			paymentMethod: details.paymentMethod,
+			reference: `order-${order.id}`,
+		});
+	} catch (err) {
+		logger.error("Payment provider failed", {
+			orderId: order.id,
+			provider: provider.name,
+			err,
+		});
+		await repositories.orders.updateStatus(
+			order.id,
+			"pending",
+			"cancelled"
+		);
+		throw new ServiceUnavailableError(
+			"We couldn't take your payment right now, please try again in a few minutes.",
+			{ code: "PAYMENT_FAILED" }
+		);
+	}
+
+	if (payment.status !== "paid") {
+		await repositories.orders.updateStatus(
+			order.id,
+			"pending",
+			"cancelled"
+		);
+		throw new AppError(
+			payment.message || "Your payment was declined.",
+			402,
+			{ code: "PAYMENT_DECLINED" }
+		);
+	}
+
+	await repositories.orders.markPaid(order.id, payment.paymentId);
+	if (
+		!(await repositories.orders.updateStatus(
+			order.id,
+			"pending",
+			"confirmed"
+		))
+	) {
+		await refundOrder(order.id);
+		throw new ConflictError(
+			"Your order was cancelled while it was being paid for, the payment has been refunded.",
+			{ code: "ORDER_CANCELLED" }
+		);
+	}
+
+	const placed = await repositories.orders.findById(order.id);
+	sendOrderConfirmation(placed);
+	events.publish("order.created", { order: placed }, { userId });
+	return placed;
+}
+
+// Refunds the order if it was paid and hasn't been refunded yet. The refund
+// is claimed in the database before the provider is asked, so when staff
+// cancel an order just as placeOrder refunds it only one of them does. If the
+// provider fails the claim is given back, leaving the order cancelled but not
+// refunded for staff to try again, and it answers 503 REFUND_FAILED.
+async function refundOrder(orderId) {
+	if (!(await repositories.orders.claimRefund(orderId))) return;
+
+	const order = await repositories.orders.findById(orderId);
+	const provider = paymentProvider();
+	try {
+		await provider.refund({
+			paymentId: order.paymentId,
+			amount: toPence(order.total),
+			currency: order.currency,
+		});
+	} catch (err) {
+		logger.error("Refund failed", {
+			orderId,
+			provider: provider.name,
+			err,
+		});
+		await repositories.orders.releaseRefund(orderId);
+		throw new ServiceUnavailableError(
+			"The order has been cancelled but we couldn't refund it just now. The restaurant will refund it as soon as possible.",
+			{ code: "REFUND_FAILED" }
+		);
+	}
+}
+
+function publishOrderUpdate(order) {
+	events.publish("order.updated", { order }, { userId: order.userId });
+}
+
+// Moves the order on, refunding it if it was cancelled after being paid. The
+// status is changed first so two requests can't both cancel it.
+async function changeStatus(order, status) {
+	if (
+		!canChangeStatus(order.status, status) ||
+		!(await repositories.orders.updateStatus(
+			order.id,
+			order.status,
+			status
+		))
+	) {
+		throw new ConflictError(
+			`An order that is ${order.status} can't be marked ${status}`,
+			{ code: "INVALID_STATUS_CHANGE" }
+		);
+	}
+
+	// the order is cancelled even when the refund fails, so it is still
+	// published before the error is thrown
+	let refundError = null;
+	if (status === "cancelled") {
+		await refundOrder(order.id).catch((err) => {
+			refundError = err;
+		});
+	}
+
+	const updated = await repositories.orders.findById(order.id);
+	publishOrderUpdate(updated);
+	if (refundError) throw refundError;
+	return updated;
+}
+
+async function getUserOrders(userId) {
+	return repositories.orders.listForUser(userId);
+}
+
+// one of the user's own orders
+async function getUserOrder(userId, orderId) {
+	const order = await repositories.orders.findById(orderId);
+	if (!order || order.userId !== Number(userId)) {
+		throw new NotFoundError("Order not found");
+	}
+	return order;
+}
+
+async function cancelOrder(userId, orderId) {
+	const order = await getUserOrder(userId, orderId);
+	if (order.status === "pending") {
+		throw new ConflictError(
+			"Your order is still being paid for, try again in a moment",
+			{ code: "ORDER_NOT_CANCELLABLE" }
+		);
+	}
+	if (!CUSTOMER_CANCELLABLE.includes(order.status)) {
+		throw new ConflictError(
+			"Your order is already being prepared and can't be cancelled",
+			{ code: "ORDER_NOT_CANCELLABLE" }
+		);
+	}
+	return changeStatus(order, "cancelled");
+}
+
+// For staff. `status` can be a comma separated list, e.g. "confirmed,preparing".
+async function listOrders(filters = {}) {
+	const { before } = filters;
+	const limit = Math.min(Math.max(Number(filters.limit) || 50, 1), 200);
+	const statuses = filters.status
+		? String(filters.status)
+				.split(",")
+				.map((status) => status.trim())
+		: [];
+
+	const unknown = statuses.find((status) => !ORDER_STATUSES.includes(status));
+	if (unknown) {
+		throw new ValidationError(`Unknown status: ${unknown}`);
+	}
+
+	return repositories.orders.list({ statuses, before, limit });
+}
+
+async function updateOrderStatus(orderId, status) {
+	if (!ORDER_STATUSES.includes(status)) {
+		throw new ValidationError(
+			`Status must be one of: ${ORDER_STATUSES.join(", ")}`
+		);
+	}
+
+	const order = await repositories.orders.findById(orderId);
+	if (!order) {
+		throw new NotFoundError("Order not found");
+	}
+	return changeStatus(order, status);
+}
+
+// For staff, when refunding a cancelled order failed the first time.
+async function retryRefund(orderId) {
+	const order = await repositories.orders.findById(orderId);
+	if (!order) {
+		throw new NotFoundError("Order not found");
+	}
+	if (order.status !== "cancelled" || !order.paymentId || order.refundedAt) {
+		throw new ConflictError(
+			"Only a paid order that was cancelled and hasn't been refunded can be refunded",
+			{ code: "NOT_REFUNDABLE" }
+		);
+	}
+
+	await refundOrder(order.id);
+	const updated = await repositories.orders.findById(order.id);
+	publishOrderUpdate(updated);
+	return updated;
+}
+
+module.exports.CURRENCY = CURRENCY;
+module.exports.MAX_QUANTITY = MAX_QUANTITY;
+module.exports.ORDER_STATUSES = ORDER_STATUSES;
+module.exports.ORDER_TRANSITIONS = ORDER_TRANSITIONS;
+module.exports.canChangeStatus = canChangeStatus;
+module.exports.getCheckoutOptions = getCheckoutOptions;
+module.exports.placeOrder = placeOrder;
+module.exports.getUserOrders = getUserOrders;
+module.exports.getUserOrder = getUserOrder;
+module.exports.cancelOrder = cancelOrder;
+module.exports.listOrders = listOrders;
+module.exports.updateOrderStatus = updateOrderStatus;
+module.exports.retryRefund = retryRefund;
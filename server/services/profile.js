@@ -0,0 +1,293 @@
+const bcrypt = require("bcrypt"); // Password hashing library
+const crypto = require("crypto");
+
+const config = require("../config");
+const mailer = require("../mailer"); // outbound email
+const repositories = require("../repositories");
+const { recordAuthEvent } = require("./authEvents");
+const { DIETARY_TAGS } = require("./menu");
+const { getUserBookings } = require("./bookings");
+const { listUserSessions } = require("./sessions");
+const { EMAIL_PATTERN, checkNewPassword } = require("../validation");
+const {
+	ConflictError,
+	NotFoundError,
+	UnauthorizedError,
+	ValidationError,
+} = require("../errors");
+
+// The signed in user's own account: details, password, email and data.
+
+const EMAIL_CHANGE_LIFETIME_MS = 1000 * 60 * 60; // 1 hour
+
+const PHONE_PATTERN = /^\+?[0-9 ()-]{6,20}$/;
+
+async function getUser(userId) {
+	const user = await repositories.users.findById(userId);
+
+	if (!user) {
+		throw new NotFoundError("User not found");
+	}
+
+	return user;
+}
+
+// never send password hashes or tokens to the client
+function mapProfile(user) {
+	return {
+		id: user.id,
+		email: user.email,
+		role: user.role,
+		emailVerified: user.emailVerified,
+		displayName: user.displayName,
+		phone: user.phone,
+		dietaryPreferences: user.dietaryPreferences,
+		pendingEmail: user.pendingEmail,
+		twoFactorEnabled: Boolean(user.totpEnabledAt),
+		createdAt: user.createdAt,
+	};
+}
+
+async function checkPassword(user, password) {
+	if (!user.passwordHash) {
+		throw new UnauthorizedError(
+			'Your account doesn\'t have a password yet. Set one with "Forgot password" on the login page first',
+			{ code: "NO_PASSWORD" }
+		);
+	}
+	if (!password || !(await bcrypt.compare(password, user.passwordHash))) {
+		throw new UnauthorizedError("Current password is incorrect", {
+			code: "WRONG_PASSWORD",
+		});
+	}
+}
+
+async function getProfile(userId) {
+	return mapProfile(await getUser(userId));
+}
+
+async function updateProfile(userId, details) {
+	const { displayName, phone, dietaryPreferences } = details;
+	const fields = {};
+
+	if (displayName !== undefined) {
+		const name = (displayName || "").trim();
+		if (name.length > 100) {
+			throw new ValidationError(
+				"Display name must be 100 characters or less"
+			);
+		}
+		fields.displayName = name || null;
+	}
+	if (phone !== undefined) {
+		const number = (phone || "").trim();
+		if (number && !PHONE_PATTERN.test(number)) {
+			throw new ValidationError("Phone number is not valid");
+		}
+		fields.phone = number || null;
+	}
+	if (dietaryPreferences !== undefined) {
+		// null or "" clears them, like the other fields
+		const preferences = dietaryPreferences || [];
+		if (!Array.isArray(preferences)) {
+			throw new ValidationError("Dietary preferences must be a list");
+		}
+		for (const preference of preferences) {
+			if (!DIETARY_TAGS.includes(preference)) {
+				throw new ValidationError(
+					`Unknown dietary preference: ${preference}`
+				);
+			}
+		}
+		fields.dietaryPreferences = preferences;
+	}
+
+	await repositories.users.update(userId, fields);
+
+	return getProfile(userId);
+}
+
+async function changePassword(
+	userId,
+	currentPassword,
+	newPassword,
+	currentSessionId
+) {
+	const user = await getUser(userId);
+	await checkPassword(user, currentPassword);
+
+	checkNewPassword(newPassword, { email: user.email, field: "newPassword" });
+
+	const passwordHash = await bcrypt.hash(newPassword, config.bcryptRounds);
+	await repositories.users.update(userId, { passwordHash });
+
+	await repositories.sessions.destroyForUser(userId, currentSessionId);
+	await repositories.refreshTokens.revokeForUser(userId);
+
+	await recordAuthEvent({
+		type: "password_changed",
+		userId: user.id,
+		email: user.email,
+	});
+
+	mailer.sendNotice("password-changed", user.email);
+}
+
+// The new address is only stored as pending until the link sent to it is
+// followed, so a typo can't lock someone out of their account.
+async function requestEmailChange(userId, newEmail, password) {
+	const user = await getUser(userId);
+	await checkPassword(user, password);
+
+	const email = (newEmail || "").trim().toLowerCase();
+	if (!EMAIL_PATTERN.test(email)) {
+		throw new ValidationError("Email address is not valid");
+	}
+	if (email === user.email) {
+		throw new ValidationError("That is already your email address");
+	}
+	if (await repositories.users.findByEmail(email)) {
+		throw new ConflictError("Email already registered", {
+			code: "EMAIL_TAKEN",
+		});
+	}
+
+	const token = crypto.randomBytes(32).toString("hex");
+	await repositories.tokens.save(user.id, "email-change", {
+		token,
+		email,
+		expires: new Date(Date.now() + EMAIL_CHANGE_LIFETIME_MS),
+	});
+
+	await mailer.sendMail("email-change", email, {
+		email,
+		confirmUrl: `${mailer.appUrl}/confirm-email?token=${token}`,
+	});
+}
+
+async function confirmEmailChange(token) {
+	if (!token || typeof token !== "string" || token.length !== 64) {
+		throw new ValidationError("Invalid token format", {
+			code: "INVALID_TOKEN",
+		});
+	}
+
+	const change = await repositories.tokens.find("email-change", token);
+
+	if (!change) {
+		throw new ValidationError("Invalid or expired token", {
+			code: "INVALID_TOKEN",
+		});
+	}
+
+	if (!change.expires || new Date(change.expires) < new Date()) {
+		await repositories.tokens.clear(change.userId, "email-change");
+		throw new ValidationError("Token has expired", {
+			code: "TOKEN_EXPIRED",
+		});
+	}
+
+	// someone may have registered the address while the link was pending
+	if (await repositories.users.findByEmail(change.email)) {
+		await repositories.tokens.clear(change.userId, "email-change");
+		throw new ConflictError("Email already registered", {
+			code: "EMAIL_TAKEN",
+		});
+	}
+
+	await repositories.users.update(change.userId, {
+		email: change.email,
+		emailVerified: true,
+		emailVerifiedAt: new Date(),
+	});
+	await repositories.tokens.clear(change.userId, "email-change");
+
+	return change.email;
+}
+
+// every auth event for the user, newest first, a page at a time
+async function listAllAuthEvents(userId) {
+	const PAGE = 500;
+	const events = [];
+	let before;
+
+	for (;;) {
+		const page = await repositories.authEvents.list({
+			userId,
+			before,
+			limit: PAGE,
+		});
+		events.push(...page);
+		if (page.length < PAGE) return events;
+		before = page[page.length - 1].id;
+	}
+}
+
+// Everything stored about the user. Secrets (password and key hashes, the
+// two-factor secret, session ids) are left out, API keys only appear as
+// the details the account page shows.
+async function exportUserData(userId, currentSessionId = null) {
+	const profile = await getProfile(userId);
+	const bookings = await getUserBookings(userId);
+	const enquiries = await repositories.enquiries.listForUser(userId);
+	const orders = await repositories.orders.listForUser(userId);
+	const sessions = await listUserSessions(userId, currentSessionId);
+	const identities = await repositories.identities.listForUser(userId);
+	const apiKeys = await repositories.apiKeys.listForUser(userId);
+	const authEvents = await listAllAuthEvents(userId);
+
+	return {
+		exportedAt: new Date().toISOString(),
+		profile,
+		bookings,
+		enquiries,
+		orders,
+		sessions,
+		linkedAccounts: identities.map((identity) => ({
+			provider: identity.provider,
+			subject: identity.subject,
+			email: identity.email,
+			linkedAt: identity.createdAt,
+		})),
+		apiKeys: apiKeys.map((apiKey) => ({
+			name: apiKey.name,
+			prefix: apiKey.prefix,
+			expiresAt: apiKey.expiresAt,
+			lastUsedAt: apiKey.lastUsedAt,
+			createdAt: apiKey.createdAt,
+		})),
+		authEvents: authEvents.map((event) => ({
+			type: event.type,
+			email: event.email,
+			ip: event.ip,
+			userAgent: event.userAgent,
+			detail: event.detail,
+			createdAt: event.createdAt,
+		})),
+	};
+}
+
+async function deleteAccount(userId, password) {
+	const user = await getUser(userId);
+	await checkPassword(user, password);
+
+	if (
+		user.role === "admin" &&
+		(await repositories.users.countByRole("admin")) <= 1
+	) {
+		throw new ValidationError(
+			"You are the only admin. Make someone else an admin first."
+		);
+	}
+
+	await repositories.users.delete(userId);
+}
+
+module.exports.checkPassword = checkPassword;
+module.exports.getProfile = getProfile;
+module.exports.updateProfile = updateProfile;
+module.exports.changePassword = changePassword;
+module.exports.requestEmailChange = requestEmailChange;
+module.exports.confirmEmailChange = confirmEmailChange;
+module.exports.exportUserData = exportUserData;
+module.exports.deleteAccount = deleteAccount;
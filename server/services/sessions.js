@@ -0,0 +1,33 @@
+const repositories = require("../repositories");
+const { NotFoundError } = require("../errors");
+
+// A user's logins on other devices. Sessions are identified to the client by
+// their public id, the real session id is never sent.
+
+async function listUserSessions(userId, currentSessionId) {
+	const sessions = await repositories.sessions.listForUser(userId);
+
+	return sessions.map((session) => ({
+		id: session.publicId,
+		userAgent: session.userAgent,
+		ip: session.ip,
+		createdAt: session.createdAt,
+		lastSeen: session.lastSeen,
+		current: session.sessionId === currentSessionId,
+	}));
+}
+
+async function revokeUserSession(userId, publicId) {
+	if (!(await repositories.sessions.destroyByPublicId(userId, publicId))) {
+		throw new NotFoundError("Session not found");
+	}
+}
+
+// Logs a user out everywhere, optionally keeping the session making the request
+async function revokeUserSessions(userId, exceptSessionId = null) {
+	return repositories.sessions.destroyForUser(userId, exceptSessionId);
+}
+
+module.exports.listUserSessions = listUserSessions;
+module.exports.revokeUserSession = revokeUserSession;
+module.exports.revokeUserSessions = revokeUserSessions;
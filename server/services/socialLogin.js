@@ -0,0 +1,174 @@
+const config = require("../config");
+const oidc = require("../oidc");
+const repositories = require("../repositories");
+const accounts = require("./accounts");
+const { recordAuthEvent } = require("./authEvents");
+const { NotFoundError, UnauthorizedError } = require("../errors");
+
+// "Sign in with Google/GitHub/..." on top of oidc.js. The first sign in with
+// a provider links it to the account with the same verified email address,
+// or creates an account (without a password) if there is none.
+
+// how long the round trip through the provider may take
+const SIGN_IN_WINDOW_MS = 10 * 60 * 1000;
+
+// the providers with a client id in config, in button order
+function getProviders() {
+	const providers = [];
+
+	for (const id of Object.keys(oidc.PRESETS)) {
+		if (config.oidc[id]) {
+			providers.push({ id, ...oidc.PRESETS[id], ...config.oidc[id] });
+		}
+	}
+	if (config.oidc.custom) {
+		providers.push({ id: "oidc", ...config.oidc.custom });
+	}
+
+	return providers;
+}
+
+function getProvider(providerId) {
+	const provider = getProviders().find(({ id }) => id === providerId);
+	if (!provider) {
+		throw new NotFoundError("Unknown sign in provider", {
+			code: "UNKNOWN_PROVIDER",
+		});
+	}
+	return provider;
+}
+
+// the provider sends the browser back here, it must be registered with them
+function redirectUri(providerId) {
+	return `${config.appUrl}/api/auth/${providerId}/callback`;
+}
+
+function listProviders() {
+	return getProviders().map(({ id, name }) => ({ id, name }));
+}
+
+// Returns the provider's sign in page and the state to keep in the session
+// until the callback.
+async function startSocialLogin(providerId) {
+	const provider = getProvider(providerId);
+	const { url, ...pending } = await oidc.createAuthorizationRequest(
+		provider,
+		redirectUri(provider.id)
+	);
+
+	return {
+		url,
+		pending: {
+			...pending,
+			provider: provider.id,
+			expires: Date.now() + SIGN_IN_WINDOW_MS,
+		},
+	};
+}
+
+function signInFailed(message) {
+	return new UnauthorizedError(message, { code: "SOCIAL_LOGIN_FAILED" });
+}
+
+// the user the identity belongs to, linking or creating one the first time
+async function findOrCreateUser(provider, profile, context) {
+	const identity = await repositories.identities.find(
+		provider.id,
+		profile.subject
+	);
+	if (identity) {
+		return repositories.users.findById(identity.userId);
+	}
+
+	// Only an address the provider has checked can claim an account, or
+	// anyone could sign up there with someone else's email.
+	if (!profile.email || !profile.emailVerified) {
+		throw signInFailed(
+			`Your ${provider.name} account needs a verified email address to sign in here.`
+		);
+	}
+
+	let user = await repositories.users.findByEmail(profile.email);
+
+	// An unverified account may have been registered by someone else to
+	// take over the real owner's login once they link it, so it has to be
+	// verified first.
+	if (user && !user.emailVerified) {
+		throw signInFailed(
+			`An account with this email already exists. Log in with your password and verify your email address, then you can use ${provider.name}.`
+		);
+	}
+
+	if (!user) {
+		user = await repositories.users.create({
+			email: profile.email,
+			emailVerified: true,
+		});
+		await recordAuthEvent({
+			type: "register",
+			userId: user.id,
+			email: user.email,
+			detail: `through ${provider.name}`,
+			...context,
+		});
+	}
+
+	await repositories.identities.create({
+		userId: user.id,
+		provider: provider.id,
+		subject: profile.subject,
+		email: profile.email,
+	});
+	await recordAuthEvent({
+		type: "identity_linked",
+		userId: user.id,
+		email: user.email,
+		detail: provider.name,
+		...context,
+	});
+
+	return user;
+}
+
+// Handles the provider's callback. `params` is its query string and
+// `pending` what startSocialLogin returned. Returns the same as
+// accounts.login: { id, role, emailVerified }, or { id, twoFactorRequired }
+// when the user still has to enter a code.
+async function finishSocialLogin(providerId, params, pending, context = {}) {
+	const provider = getProvider(providerId);
+
+	if (
+		!pending ||
+		pending.provider !== provider.id ||
+		pending.expires < Date.now()
+	) {
+		throw signInFailed("Your sign in has timed out, please try again.");
+	}
+
+	let profile;
+	try {
+		profile = await oidc.finishAuthorization(
+			provider,
+			params,
+			pending,
+			redirectUri(provider.id)
+		);
+	} catch (err) {
+		if (!(err instanceof oidc.OidcError)) throw err;
+
+		await recordAuthEvent({
+			type: "login_failure",
+			detail: `${provider.name}: ${err.message}`.substring(0, 255),
+			...context,
+		});
+		throw signInFailed(`Signing in with ${provider.name} didn't work.`);
+	}
+
+	const user = await findOrCreateUser(provider, profile, context);
+
+	return accounts.loginVerifiedUser(user, context, provider.name);
+}
+
+module.exports.listProviders = listProviders;
+module.exports.startSocialLogin = startSocialLogin;
+module.exports.finishSocialLogin = finishSocialLogin;
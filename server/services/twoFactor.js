@@ -0,0 +1,267 @@
+const crypto = require("crypto");
+const QRCode = require("qrcode"); // QR code images for authenticator apps
+
+const config = require("../config");
+const mailer = require("../mailer"); // outbound email
+const totp = require("../totp");
+const repositories = require("../repositories");
+const { recordAuthEvent } = require("./authEvents");
+const { checkPassword } = require("./profile");
+const {
+	ConflictError,
+	NotFoundError,
+	UnauthorizedError,
+	ValidationError,
+} = require("../errors");
+
+// Optional TOTP two-factor authentication. Setup is two steps: startSetup
+// saves a new secret and returns it as a QR code, then enable turns it on once
+// the user sends a code from their app, so nobody is locked out by a scan
+// that didn't work. Recovery codes are handed out when it is turned on and
+// each works once in place of an app code.
+
+const RECOVERY_CODE_COUNT = 10;
+
+async function getUser(userId) {
+	const user = await repositories.users.findById(userId);
+
+	if (!user) {
+		throw new NotFoundError("User not found");
+	}
+
+	return user;
+}
+
+function isEnabled(user) {
+	return Boolean(user.totpEnabledAt);
+}
+
+// "ABCD-EFGH", matched without the dash and ignoring case
+function normaliseRecoveryCode(code) {
+	return String(code || "")
+		.toUpperCase()
+		.replace(/[^A-Z0-9]/g, "");
+}
+
+function hashRecoveryCode(code) {
+	return crypto
+		.createHash("sha256")
+		.update(normaliseRecoveryCode(code))
+		.digest("hex");
+}
+
+// Replaces the user's recovery codes and returns the new ones. Only hashes
+// are kept, so this is the one time they can be shown.
+async function issueRecoveryCodes(userId) {
+	const codes = [];
+	for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+		const code = totp.base32Encode(crypto.randomBytes(5));
+		codes.push(`${code.slice(0, 4)}-${code.slice(4)}`);
+	}
+
+	await repositories.recoveryCodes.replace(
+		userId,
+		codes.map(hashRecoveryCode)
+	);
+	return codes;
+}
+
+async function turnOff(userId) {
+	await repositories.users.update(userId, {
+		totpSecret: null,
+		totpEnabledAt: null,
+		totpLastStep: null,
+	});
+	await repositories.recoveryCodes.clear(userId);
+}
+
+// Checks an app code or, failing that, a recovery code. Either is used up by
+// a successful check. Returns "app", "recovery code" or null.
+async function verifySecondFactor(user, code) {
+	if (!isEnabled(user)) return null;
+
+	// The step is claimed in one conditional update, so a code two logins
+	// send at once only lets one of them in.
+	const step = totp.verifyCode(user.totpSecret, code, {
+		lastStep: user.totpLastStep,
+	});
+	if (step !== null) {
+		return (await repositories.users.useTotpStep(user.id, step))
+			? "app"
+			: null;
+	}
+
+	const recovery = normaliseRecoveryCode(code);
+	if (
+		recovery.length === 8 &&
+		(await repositories.recoveryCodes.use(
+			user.id,
+			hashRecoveryCode(recovery)
+		))
+	) {
+		return "recovery code";
+	}
+
+	return null;
+}
+
+async function getTwoFactorStatus(userId) {
+	const user = await getUser(userId);
+
+	return {
+		enabled: isEnabled(user),
+		recoveryCodesLeft: isEnabled(user)
+			? await repositories.recoveryCodes.countUnused(user.id)
+			: 0,
+	};
+}
+
+async function startSetup(userId, password) {
+	const user = await getUser(userId);
+
+	if (isEnabled(user)) {
+		throw new ConflictError("Two-factor authentication is already on", {
+			code: "TWO_FACTOR_ENABLED",
+		});
+	}
+	await checkPassword(user, password);
+
+	const secret = totp.generateSecret();
+	await repositories.users.update(user.id, {
+		totpSecret: secret,
+		totpLastStep: null,
+	});
+
+	const otpauthUrl = totp.otpauthUrl(secret, {
+		issuer: config.appName,
+		account: user.email,
+	});
+
+	return {
+		secret,
+		otpauthUrl,
+		qrCode: await QRCode.toDataURL(otpauthUrl),
+	};
+}
+
+// Turns two-factor on once `code` proves the app has the secret from
+// startSetup. Returns the recovery codes.
+async function enable(userId, code, context = {}) {
+	const user = await getUser(userId);
+
+	if (isEnabled(user)) {
+		throw new ConflictError("Two-factor authentication is already on", {
+			code: "TWO_FACTOR_ENABLED",
+		});
+	}
+	if (!user.totpSecret) {
+		throw new ValidationError("Start two-factor setup first", {
+			code: "TWO_FACTOR_NOT_STARTED",
+		});
+	}
+
+	const step = totp.verifyCode(user.totpSecret, code);
+	if (step === null) {
+		const message =
+			"That code didn't match, check the time on your phone and try again";
+		throw new ValidationError(message, {
+			code: "INVALID_CODE",
+			fields: { code: message },
+		});
+	}
+
+	await repositories.users.update(user.id, {
+		totpEnabledAt: new Date(),
+		totpLastStep: step,
+	});
+	const recoveryCodes = await issueRecoveryCodes(user.id);
+
+	await recordAuthEvent({
+		type: "two_factor_enabled",
+		userId: user.id,
+		email: user.email,
+		...context,
+	});
+	mailer.sendNotice("two-factor-changed", user.email, {
+		change: "turned on",
+	});
+
+	return recoveryCodes;
+}
+
+// Needs the password and a current code, so a session left open on a shared
+// computer isn't enough to turn it off.
+async function disable(userId, password, code, context = {}) {
+	const user = await getUser(userId);
+
+	if (!isEnabled(user)) {
+		throw new ValidationError("Two-factor authentication is not on", {
+			code: "TWO_FACTOR_NOT_ENABLED",
+		});
+	}
+	await checkPassword(user, password);
+
+	if (!(await verifySecondFactor(user, code))) {
+		throw new UnauthorizedError("Invalid authentication code", {
+			code: "INVALID_CODE",
+		});
+	}
+
+	await turnOff(user.id);
+
+	await recordAuthEvent({
+		type: "two_factor_disabled",
+		userId: user.id,
+		email: user.email,
+		...context,
+	});
+	mailer.sendNotice("two-factor-changed", user.email, {
+		change: "turned off",
+	});
+}
+
+async function regenerateRecoveryCodes(userId, password) {
+	const user = await getUser(userId);
+
+	if (!isEnabled(user)) {
+		throw new ValidationError("Two-factor authentication is not on", {
+			code: "TWO_FACTOR_NOT_ENABLED",
+		});
+	}
+	await checkPassword(user, password);
+
+	return issueRecoveryCodes(user.id);
+}
+
+// For admins, when someone has lost both their phone and recovery codes.
+async function resetTwoFactor(actorId, userId, context = {}) {
+	const user = await getUser(userId);
+
+	if (!isEnabled(user) && !user.totpSecret) {
+		throw new ValidationError("That user does not use two-factor", {
+			code: "TWO_FACTOR_NOT_ENABLED",
+		});
+	}
+
+	await turnOff(user.id);
+
+	await recordAuthEvent({
+		type: "two_factor_reset",
+		userId: user.id,
+		email: user.email,
+		detail: `by user ${actorId}`,
+		...context,
+	});
+	mailer.sendNotice("two-factor-changed", user.email, {
+		change: "turned off by an administrator",
+	});
+}
+
+module.exports.isEnabled = isEnabled;
+module.exports.verifySecondFactor = verifySecondFactor;
+module.exports.getTwoFactorStatus = getTwoFactorStatus;
+module.exports.startSetup = startSetup;
+module.exports.enable = enable;
+module.exports.disable = disable;
+module.exports.regenerateRecoveryCodes = regenerateRecoveryCodes;
+module.exports.resetTwoFactor = resetTwoFactor;
@@ -0,0 +1,47 @@
+const repositories = require("../repositories");
+const { NotFoundError, ValidationError } = require("../errors");
+
+// User management for the staff area.
+
+const ROLES = ["customer", "staff", "admin"];
+
+async function listUsers() {
+	return repositories.users.list();
+}
+
+async function updateUserRole(userId, role) {
+	if (!ROLES.includes(role)) {
+		throw new ValidationError(`Role must be one of: ${ROLES.join(", ")}`);
+	}
+
+	const user = await repositories.users.findById(userId);
+	if (!user) {
+		throw new NotFoundError("User not found");
+	}
+
+	// never leave the site without an admin
+	if (
+		user.role === "admin" &&
+		role !== "admin" &&
+		(await repositories.users.countByRole("admin")) <= 1
+	) {
+		throw new ValidationError("There must be at least one admin");
+	}
+
+	await repositories.users.update(user.id, { role });
+}
+
+async function deleteUser(actorId, userId) {
+	if (Number(actorId) === Number(userId)) {
+		throw new ValidationError("You cannot delete your own account here");
+	}
+
+	if (!(await repositories.users.delete(userId))) {
+		throw new NotFoundError("User not found");
+	}
+}
+
+module.exports.ROLES = ROLES;
+module.exports.listUsers = listUsers;
+module.exports.updateUserRole = updateUserRole;
+module.exports.deleteUser = deleteUser;
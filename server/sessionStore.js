@@ -0,0 +1,68 @@
+const session = require("express-session");
+
+const logger = require("./logger");
+
+const repositories = require("./repositories");
+
+const DEFAULT_LIFETIME_MS = 1000 * 60 * 60 * 24; // used if a cookie has no expiry
+const CLEANUP_INTERVAL_MS = 1000 * 60 * 15;
+
+function expiryOf(sess) {
+	if (sess.cookie && sess.cookie.expires) {
+		return new Date(sess.cookie.expires);
+	}
+	return new Date(Date.now() + DEFAULT_LIFETIME_MS);
+}
+
+// express-session store backed by the sessions repository, so with MySQL
+// logins survive a restart, and with any backend they can be listed and
+// revoked per user.
+class RepositorySessionStore extends session.Store {
+	constructor() {
+		super();
+
+		this.cleanupTimer = setInterval(() => {
+			repositories.sessions
+				.clearExpired()
+				.catch((err) =>
+					logger.error("Error clearing expired sessions", { err })
+				);
+		}, CLEANUP_INTERVAL_MS);
+		this.cleanupTimer.unref(); // don't keep the process alive for this
+	}
+
+	get(sessionId, callback) {
+		repositories.sessions
+			.get(sessionId)
+			.then((sess) => callback(null, sess))
+			.catch(callback);
+	}
+
+	set(sessionId, sess, callback) {
+		repositories.sessions
+			.save(sessionId, sess, {
+				expires: expiryOf(sess),
+				userId: sess.userId,
+				userAgent: sess.userAgent,
+				ip: sess.ip,
+			})
+			.then(() => callback && callback())
+			.catch((err) => callback && callback(err));
+	}
+
+	touch(sessionId, sess, callback) {
+		repositories.sessions
+			.touch(sessionId, expiryOf(sess))
+			.then(() => callback && callback())
+			.catch((err) => callback && callback(err));
+	}
+
+	destroy(sessionId, callback) {
+		repositories.sessions
+			.destroy(sessionId)
+			.then(() => callback && callback())
+			.catch((err) => callback && callback(err));
+	}
+}
+
+module.exports = RepositorySessionStore;
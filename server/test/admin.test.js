@@ -0,0 +1,152 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+	PASSWORD,
+	app,
+	repositories,
+	request,
+	resetState,
+	loggedInAgent,
+} = require("./helpers");
+
+// a logged in agent for `email` with `role`
+async function agentWithRole(email, role) {
+	const client = await loggedInAgent(email);
+	const user = await repositories.users.findByEmail(email);
+	await repositories.users.update(user.id, { role });
+	return { client, user };
+}
+
+describe("staff area roles", () => {
+	beforeEach(resetState);
+
+	it("needs a login", async () => {
+		const res = await request(app).get("/api/admin/users");
+
+		assert.equal(res.status, 401);
+	});
+
+	it("turns customers away with 403", async () => {
+		const { client } = await agentWithRole("ada@example.com", "customer");
+		const { user: other } = await agentWithRole(
+			"grace@example.com",
+			"customer"
+		);
+
+		const list = await client.get("/api/admin/users");
+		const promote = await client
+			.patch(`/api/admin/users/${other.id}`)
+			.send({ role: "admin" });
+		const remove = await client.delete(`/api/admin/users/${other.id}`);
+
+		assert.deepEqual(
+			[list.status, promote.status, remove.status],
+			[403, 403, 403]
+		);
+		assert.equal(
+			(await repositories.users.findById(other.id)).role,
+			"customer"
+		);
+	});
+
+	it("lets staff see users but not change roles or delete accounts", async () => {
+		const { client } = await agentWithRole("staff@example.com", "staff");
+		const { user: customer } = await agentWithRole(
+			"ada@example.com",
+			"customer"
+		);
+
+		await client.get("/api/admin/users").expect(200);
+
+		const promote = await client
+			.patch(`/api/admin/users/${customer.id}`)
+			.send({ role: "staff" });
+		assert.equal(promote.status, 403);
+
+		const remove = await client.delete(`/api/admin/users/${customer.id}`);
+		assert.equal(remove.status, 403);
+		assert.ok(await repositories.users.findById(customer.id));
+	});
+
+	it("lets an admin change roles", async () => {
+		const { client } = await agentWithRole("admin@example.com", "admin");
+		const { user: customer } = await agentWithRole(
+			"ada@example.com",
+			"customer"
+		);
+
+		await client
+			.patch(`/api/admin/users/${customer.id}`)
+			.send({ role: "staff" })
+			.expect(200);
+
+		assert.equal(
+			(await repositories.users.findById(customer.id)).role,
+			"staff"
+		);
+	});
+});
+
+describe("the last admin", () => {
+	beforeEach(resetState);
+
+	it("can't be demoted", async () => {
+		const { client, user } = await agentWithRole(
+			"admin@example.com",
+			"admin"
+		);
+
+		const res = await client
+			.patch(`/api/admin/users/${user.id}`)
+			.send({ role: "customer" });
+
+		assert.equal(res.status, 400);
+		assert.equal(res.body.message, "There must be at least one admin");
+		assert.equal(
+			(await repositories.users.findById(user.id)).role,
+			"admin"
+		);
+	});
+
+	it("can be demoted once there is another admin", async () => {
+		const { client, user } = await agentWithRole(
+			"admin@example.com",
+			"admin"
+		);
+		await agentWithRole("grace@example.com", "admin");
+
+		await client
+			.patch(`/api/admin/users/${user.id}`)
+			.send({ role: "staff" })
+			.expect(200);
+
+		assert.equal(
+			(await repositories.users.findById(user.id)).role,
+			"staff"
+		);
+	});
+
+	it("can't be deleted", async () => {
+		const { client, user } = await agentWithRole(
+			"admin@example.com",
+			"admin"
+		);
+
+		const fromStaffArea = await client.delete(
+			`/api/admin/users/${user.id}`
+		);
+		assert.equal(fromStaffArea.status, 400);
+
+		const ownAccount = await client
+			.delete("/api/me")
+			.send({ password: PASSWORD });
+		assert.equal(ownAccount.status, 400);
+		assert.equal(
+			ownAccount.body.message,
+			"You are the only admin. Make someone else an admin first."
+		);
+
+		assert.ok(await repositories.users.findById(user.id));
+	});
+});
@@ -0,0 +1,338 @@
+const crypto = require("crypto");
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+	PASSWORD,
+	app,
+	repositories,
+	request,
+	resetState,
+	agent,
+	registerUser,
+	loggedInAgent,
+} = require("./helpers");
+const config = require("../config");
+const jwt = require("../jwt");
+const totp = require("../totp");
+
+const EMAIL = "ada@example.com";
+
+async function passwordGrant(fields = {}) {
+	return request(app)
+		.post("/api/token")
+		.send({
+			grantType: "password",
+			email: EMAIL,
+			password: PASSWORD,
+			...fields,
+		});
+}
+
+async function refreshGrant(refreshToken) {
+	return request(app)
+		.post("/api/token")
+		.send({ grantType: "refresh_token", refreshToken });
+}
+
+function bearer(token) {
+	return { Authorization: `Bearer ${token}` };
+}
+
+describe("jwt", () => {
+	const secret = "a test secret";
+	const exp = () => Math.floor(Date.now() / 1000) + 60;
+
+	it("verifies what it signed", () => {
+		const token = jwt.sign({ sub: "1", exp: exp() }, secret);
+
+		assert.equal(jwt.verify(token, secret).sub, "1");
+		assert.equal(jwt.verify(token, ["old secret", secret]).sub, "1");
+	});
+
+	it("rejects changed claims, other keys and expired tokens", () => {
+		const token = jwt.sign({ sub: "1", exp: exp() }, secret);
+		const [header, , signature] = token.split(".");
+		const claims = Buffer.from(
+			JSON.stringify({ sub: "2", exp: exp() })
+		).toString("base64url");
+
+		assert.equal(
+			jwt.verify(`${header}.${claims}.${signature}`, secret),
+			null
+		);
+		assert.equal(jwt.verify(token, "another secret"), null);
+		assert.equal(
+			jwt.verify(
+				jwt.sign({ sub: "1", exp: exp() - 120 }, secret),
+				secret
+			),
+			null
+		);
+	});
+
+	it("won't accept an unsigned token", () => {
+		const header = Buffer.from(
+			JSON.stringify({ alg: "none", typ: "JWT" })
+		).toString("base64url");
+		const claims = Buffer.from(
+			JSON.stringify({ sub: "1", exp: exp() })
+		).toString("base64url");
+
+		assert.equal(jwt.verify(`${header}.${claims}.`, secret), null);
+	});
+});
+
+describe("POST /api/token", () => {
+	beforeEach(async () => {
+		resetState();
+		await registerUser(EMAIL);
+	});
+
+	it("issues tokens for an email and password", async () => {
+		const res = await passwordGrant();
+
+		assert.equal(res.status, 200);
+		assert.equal(res.headers["cache-control"], "no-store");
+		const { accessToken, tokenType, expiresIn, refreshToken } =
+			res.body.data;
+		assert.equal(tokenType, "Bearer");
+		assert.equal(expiresIn, config.tokens.accessTtlMs / 1000);
+		assert.ok(refreshToken);
+
+		const me = await request(app).get("/api/me").set(bearer(accessToken));
+		assert.equal(me.status, 200);
+		assert.equal(me.body.data.profile.email, EMAIL);
+	});
+
+	it("fills in req.user for role checks and authcheck", async () => {
+		const userId = (await repositories.users.findByEmail(EMAIL)).id;
+		await repositories.users.update(userId, { role: "staff" });
+		const { accessToken } = (await passwordGrant()).body.data;
+
+		const admin = await request(app)
+			.get("/api/admin/users")
+			.set(bearer(accessToken));
+		assert.equal(admin.status, 200);
+
+		const check = await request(app)
+			.post("/api/authcheck")
+			.set(bearer(accessToken));
+		assert.equal(check.body.data.userId, userId);
+		assert.equal(check.body.data.role, "staff");
+	});
+
+	it("answers a wrong password like the login form", async () => {
+		const res = await passwordGrant({ password: "not my password" });
+
+		assert.equal(res.status, 401);
+		assert.equal(res.body.error.code, "INVALID_CREDENTIALS");
+	});
+
+	it("needs the two-factor code when it's turned on", async () => {
+		const secret = totp.generateSecret();
+		const user = await repositories.users.findByEmail(EMAIL);
+		await repositories.users.update(user.id, {
+			totpSecret: secret,
+			totpEnabledAt: new Date(),
+		});
+
+		const withoutCode = await passwordGrant();
+		assert.equal(withoutCode.status, 401);
+		assert.equal(withoutCode.body.error.code, "TWO_FACTOR_REQUIRED");
+
+		const withCode = await passwordGrant({
+			code: totp.generateCode(secret),
+		});
+		assert.equal(withCode.status, 200);
+	});
+
+	it("rejects an unknown grant type", async () => {
+		const res = await request(app)
+			.post("/api/token")
+			.send({ grantType: "client_credentials" });
+
+		assert.equal(res.status, 400);
+		assert.ok(res.body.error.fields.grantType);
+	});
+
+	it("rotates the refresh token", async () => {
+		const first = (await passwordGrant()).body.data;
+
+		const res = await refreshGrant(first.refreshToken);
+
+		assert.equal(res.status, 200);
+		assert.notEqual(res.body.data.refreshToken, first.refreshToken);
+		const me = await request(app)
+			.get("/api/me")
+			.set(bearer(res.body.data.accessToken));
+		assert.equal(me.status, 200);
+	});
+
+	it("revokes the whole family when a refresh token is reused", async () => {
+		const first = (await passwordGrant()).body.data;
+		const second = (await refreshGrant(first.refreshToken)).body.data;
+
+		const reused = await refreshGrant(first.refreshToken);
+
+		assert.equal(reused.status, 401);
+		assert.equal(reused.body.error.code, "INVALID_TOKEN");
+		assert.equal((await refreshGrant(second.refreshToken)).status, 401);
+		const me = await request(app)
+			.get("/api/me")
+			.set(bearer(second.accessToken));
+		assert.equal(me.status, 401);
+
+		const [event] = await repositories.authEvents.list({
+			type: "refresh_token_reused",
+		});
+		assert.equal(event.email, EMAIL);
+	});
+
+	it("stops the tokens once revoked", async () => {
+		const { accessToken, refreshToken } = (await passwordGrant()).body.data;
+
+		const res = await request(app)
+			.post("/api/token/revoke")
+			.send({ refreshToken });
+
+		assert.equal(res.status, 200);
+		assert.equal((await refreshGrant(refreshToken)).status, 401);
+		const me = await request(app).get("/api/me").set(bearer(accessToken));
+		assert.equal(me.status, 401);
+	});
+
+	it("stops the tokens when the password is changed", async () => {
+		const { accessToken, refreshToken } = (await passwordGrant()).body.data;
+		await registerUser("grace@example.com");
+		const other = (await passwordGrant({ email: "grace@example.com" })).body
+			.data;
+
+		const browser = agent();
+		await browser
+			.post("/api/login")
+			.send({ email: EMAIL, password: PASSWORD });
+		const change = await browser.post("/api/me/password").send({
+			currentPassword: PASSWORD,
+			newPassword: "a brand new passphrase",
+		});
+		assert.equal(change.status, 200);
+
+		assert.equal((await refreshGrant(refreshToken)).status, 401);
+		const me = await request(app).get("/api/me").set(bearer(accessToken));
+		assert.equal(me.status, 401);
+		// other people's tokens are left alone
+		assert.equal((await refreshGrant(other.refreshToken)).status, 200);
+	});
+});
+
+describe("bearer tokens", () => {
+	beforeEach(resetState);
+
+	it("turns away an invalid token rather than treating it as anonymous", async () => {
+		const res = await request(app)
+			.get("/api/menu/categories")
+			.set(bearer("not.a.token"));
+
+		assert.equal(res.status, 401);
+		assert.equal(res.body.error.code, "INVALID_TOKEN");
+		assert.match(res.headers["www-authenticate"], /invalid_token/);
+	});
+
+	it("won't accept an access token signed with another key", async () => {
+		const userId = await registerUser(EMAIL);
+		const forged = jwt.sign(
+			{
+				sub: String(userId),
+				typ: "access",
+				fam: "f".repeat(32),
+				exp: Math.floor(Date.now() / 1000) + 60,
+			},
+			"not the server's secret"
+		);
+
+		const res = await request(app).get("/api/me").set(bearer(forged));
+
+		assert.equal(res.status, 401);
+	});
+});
+
+describe("API keys", () => {
+	let client;
+
+	beforeEach(async () => {
+		resetState();
+		client = await loggedInAgent(EMAIL);
+	});
+
+	async function createKey(fields = { name: "Backup script" }) {
+		const res = await client.post("/api/me/api-keys").send(fields);
+		assert.equal(res.status, 201);
+		return res.body.data;
+	}
+
+	it("shows the key once and lists it without it", async () => {
+		const { apiKey, key } = await createKey({
+			name: "Backup script",
+			expiresInDays: 30,
+		});
+
+		assert.match(key, /^rk_/);
+		assert.equal(key.substring(0, 10), apiKey.prefix);
+		assert.ok(apiKey.expiresAt);
+
+		const list = await client.get("/api/me/api-keys");
+		assert.equal(list.body.data.apiKeys.length, 1);
+		assert.equal(list.body.data.apiKeys[0].name, "Backup script");
+		assert.equal(JSON.stringify(list.body).includes(key), false);
+	});
+
+	it("authenticates as its owner and records its use", async () => {
+		const { apiKey, key } = await createKey();
+
+		const res = await request(app).get("/api/bookings").set(bearer(key));
+
+		assert.equal(res.status, 200);
+		const [listed] = (await client.get("/api/me/api-keys")).body.data
+			.apiKeys;
+		assert.equal(listed.id, apiKey.id);
+		assert.ok(listed.lastUsedAt);
+	});
+
+	it("stops working once revoked", async () => {
+		const { apiKey, key } = await createKey();
+
+		const revoke = await client.delete(`/api/me/api-keys/${apiKey.id}`);
+
+		assert.equal(revoke.status, 200);
+		const res = await request(app).get("/api/bookings").set(bearer(key));
+		assert.equal(res.status, 401);
+		const list = await client.get("/api/me/api-keys");
+		assert.deepEqual(list.body.data.apiKeys, []);
+	});
+
+	it("stops working once expired", async () => {
+		const key = "rk_expired-test-key";
+		const user = await repositories.users.findByEmail(EMAIL);
+		await repositories.apiKeys.create({
+			userId: user.id,
+			name: "Short lived",
+			keyHash: crypto.createHash("sha256").update(key).digest("hex"),
+			prefix: key.substring(0, 10),
+			expiresAt: new Date(Date.now() - 1000),
+		});
+
+		const res = await request(app).get("/api/bookings").set(bearer(key));
+
+		assert.equal(res.status, 401);
+	});
+
+	it("can't revoke someone else's key", async () => {
+		const { apiKey } = await createKey();
+		const other = await loggedInAgent("grace@example.com");
+
+		const res = await other.delete(`/api/me/api-keys/${apiKey.id}`);
+
+		assert.equal(res.status, 404);
+	});
+});
@@ -0,0 +1,146 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+	app,
+	repositories,
+	request,
+	resetState,
+	loggedInAgent,
+} = require("./helpers");
+const { formatDate } = require("../services/bookings");
+
+// a verified customer, able to book
+async function customerAgent(email = "ada@example.com") {
+	const client = await loggedInAgent(email);
+	const user = await repositories.users.findByEmail(email);
+	await repositories.users.update(user.id, { emailVerified: true });
+	return client;
+}
+
+async function staffAgent() {
+	const client = await loggedInAgent("staff@example.com");
+	const staff = await repositories.users.findByEmail("staff@example.com");
+	await repositories.users.update(staff.id, { role: "staff" });
+	return client;
+}
+
+// the first free slot for `party` in the next two weeks
+async function findSlot(party = 2) {
+	for (let days = 1; days <= 14; days++) {
+		const day = new Date();
+		day.setDate(day.getDate() + days);
+		const date = formatDate(day);
+		const res = await request(app).get(
+			`/api/availability?date=${date}&party=${party}`
+		);
+		if (res.body.data.slots.length > 0) {
+			return { date, time: res.body.data.slots[0] };
+		}
+	}
+	throw new Error("No free slots in the next two weeks");
+}
+
+describe("bookings", () => {
+	beforeEach(resetState);
+
+	it("books the smallest table that fits", async () => {
+		const client = await customerAgent();
+		const slot = await findSlot(3);
+
+		const res = await client
+			.post("/api/bookings")
+			.send({ ...slot, partySize: 3, notes: "Window please" });
+
+		assert.equal(res.status, 201);
+		assert.equal(res.body.data.booking.table, "T4");
+		assert.equal(res.body.data.booking.status, "confirmed");
+
+		const mine = await client.get("/api/bookings");
+		assert.deepEqual(
+			mine.body.data.bookings.map(({ id }) => id),
+			[res.body.data.booking.id]
+		);
+	});
+
+	it("refuses parties larger than any table", async () => {
+		const client = await customerAgent();
+		const slot = await findSlot();
+
+		const res = await client
+			.post("/api/bookings")
+			.send({ ...slot, partySize: 9 });
+
+		assert.equal(res.status, 400);
+	});
+
+	it("gives the last free table to only one of two bookings made together", async () => {
+		const ada = await customerAgent();
+		const grace = await customerAgent("grace@example.com");
+		// T8 is the only table for eight
+		const slot = await findSlot(8);
+
+		const results = await Promise.all(
+			[ada, grace].map((client) =>
+				client.post("/api/bookings").send({ ...slot, partySize: 8 })
+			)
+		);
+
+		assert.deepEqual(results.map((res) => res.status).sort(), [201, 409]);
+		const refused = results.find((res) => res.status === 409);
+		assert.equal(refused.body.error.code, "SLOT_TAKEN");
+		const booked = await repositories.bookings.listForDate(slot.date);
+		assert.equal(booked.length, 1);
+	});
+});
+
+describe("staff booking status changes", () => {
+	beforeEach(resetState);
+
+	// ada's booking of T8, the only table for eight, cancelled by ada
+	async function cancelledBooking() {
+		const ada = await customerAgent();
+		const slot = await findSlot(8);
+		const booking = (
+			await ada
+				.post("/api/bookings")
+				.send({ ...slot, partySize: 8 })
+				.expect(201)
+		).body.data.booking;
+		await ada.delete(`/api/bookings/${booking.id}`).expect(200);
+		return { booking, slot };
+	}
+
+	it("confirms a cancelled booking again while its table is free", async () => {
+		const { booking } = await cancelledBooking();
+		const staff = await staffAgent();
+
+		await staff
+			.patch(`/api/admin/bookings/${booking.id}`)
+			.send({ status: "confirmed" })
+			.expect(200);
+
+		const updated = await repositories.bookings.find(booking.id);
+		assert.equal(updated.status, "confirmed");
+		assert.equal(updated.table, "T8");
+	});
+
+	it("won't confirm a cancelled booking whose table has been taken", async () => {
+		const { booking, slot } = await cancelledBooking();
+		const grace = await customerAgent("grace@example.com");
+		await grace
+			.post("/api/bookings")
+			.send({ ...slot, partySize: 8 })
+			.expect(201);
+		const staff = await staffAgent();
+
+		const res = await staff
+			.patch(`/api/admin/bookings/${booking.id}`)
+			.send({ status: "confirmed" });
+
+		assert.equal(res.status, 409);
+		assert.equal(res.body.error.code, "SLOT_TAKEN");
+		const unchanged = await repositories.bookings.find(booking.id);
+		assert.equal(unchanged.status, "cancelled");
+	});
+});
@@ -0,0 +1,170 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+	app,
+	repositories,
+	request,
+	resetState,
+	loggedInAgent,
+} = require("./helpers");
+const mailer = require("../mailer");
+
+const ENQUIRY = {
+	name: "Ada Lovelace",
+	email: "ada@example.com",
+	subject: "Birthday dinner",
+	message: "Can you do a cake for a party of eight on Saturday?",
+};
+
+async function allEnquiries() {
+	return repositories.enquiries.list({ limit: 100 });
+}
+
+// an agent logged in as a member of staff
+async function staffAgent() {
+	const client = await loggedInAgent("staff@example.com");
+	const staff = await repositories.users.findByEmail("staff@example.com");
+	await repositories.users.update(staff.id, { role: "staff" });
+	return { client, staff };
+}
+
+describe("POST /api/contact", () => {
+	beforeEach(resetState);
+
+	it("stores the enquiry", async () => {
+		const res = await request(app).post("/api/contact").send(ENQUIRY);
+
+		assert.equal(res.status, 201);
+		assert.equal(
+			res.body.message,
+			"Thanks for getting in touch, we will reply by email."
+		);
+
+		const [enquiry] = await allEnquiries();
+		assert.equal(enquiry.name, "Ada Lovelace");
+		assert.equal(enquiry.email, "ada@example.com");
+		assert.equal(enquiry.subject, "Birthday dinner");
+		assert.equal(enquiry.status, "new");
+		assert.equal(enquiry.userId, null);
+	});
+
+	it("links a logged in user's enquiry to their account", async () => {
+		const client = await loggedInAgent("grace@example.com");
+		const user = await repositories.users.findByEmail("grace@example.com");
+
+		await client
+			.post("/api/contact")
+			.send({ ...ENQUIRY, email: "grace@example.com" })
+			.expect(201);
+
+		const [enquiry] = await allEnquiries();
+		assert.equal(enquiry.userId, user.id);
+
+		const exported = await client.get("/api/me/export");
+		assert.equal(exported.body.enquiries.length, 1);
+	});
+
+	it("quietly drops enquiries with the honeypot filled in", async () => {
+		const res = await request(app)
+			.post("/api/contact")
+			.send({ ...ENQUIRY, website: "http://spam.example" });
+
+		// looks the same as a real one to the bot
+		assert.equal(res.status, 201);
+		assert.deepEqual(await allEnquiries(), []);
+	});
+
+	it("rejects a missing name and a short message", async () => {
+		const res = await request(app)
+			.post("/api/contact")
+			.send({ email: "ada@example.com", message: "Hi" });
+
+		assert.equal(res.status, 400);
+		assert.deepEqual(Object.keys(res.body.error.fields).sort(), [
+			"message",
+			"name",
+		]);
+	});
+
+	it("is rate limited per email address", async () => {
+		for (let i = 0; i < 3; i++) {
+			await request(app).post("/api/contact").send(ENQUIRY).expect(201);
+		}
+
+		const res = await request(app).post("/api/contact").send(ENQUIRY);
+		assert.equal(res.status, 429);
+		assert.equal(res.body.error.code, "RATE_LIMITED");
+		assert.equal((await allEnquiries()).length, 3);
+	});
+});
+
+describe("staff enquiry inbox", () => {
+	beforeEach(resetState);
+
+	it("is only for staff", async () => {
+		const client = await loggedInAgent("grace@example.com");
+
+		const res = await client.get("/api/admin/enquiries");
+		assert.equal(res.status, 403);
+	});
+
+	it("lists enquiries with a count per status", async () => {
+		await request(app).post("/api/contact").send(ENQUIRY);
+		await request(app)
+			.post("/api/contact")
+			.send({ ...ENQUIRY, email: "grace@example.com" });
+		const { client } = await staffAgent();
+
+		const [newest, oldest] = (await allEnquiries()).map(({ id }) => id);
+		await client
+			.patch(`/api/admin/enquiries/${oldest}`)
+			.send({ status: "read" })
+			.expect(200);
+
+		const all = await client.get("/api/admin/enquiries");
+		assert.deepEqual(
+			all.body.data.enquiries.map(({ id }) => id),
+			[newest, oldest]
+		);
+		assert.deepEqual(all.body.data.counts, { new: 1, read: 1, replied: 0 });
+
+		const unread = await client.get("/api/admin/enquiries?status=new");
+		assert.deepEqual(
+			unread.body.data.enquiries.map(({ id }) => id),
+			[newest]
+		);
+	});
+
+	it("answers an enquiry by email and marks it replied", async () => {
+		await request(app).post("/api/contact").send(ENQUIRY);
+		const [{ id }] = await allEnquiries();
+		const { client, staff } = await staffAgent();
+
+		const res = await client
+			.post(`/api/admin/enquiries/${id}/reply`)
+			.send({ message: "Of course, see you on Saturday!" });
+
+		assert.equal(res.status, 200);
+		assert.equal(res.body.data.enquiry.status, "replied");
+		assert.equal(res.body.data.enquiry.replies.length, 1);
+		assert.equal(res.body.data.enquiry.replies[0].userId, staff.id);
+
+		const mail = mailer.outbox.find(
+			(message) => message.template === "enquiry-reply"
+		);
+		assert.equal(mail.to, "ada@example.com");
+		assert.equal(mail.subject, "Re: Birthday dinner");
+		assert.match(mail.text, /Of course, see you on Saturday!/);
+		assert.match(mail.text, /Can you do a cake/);
+	});
+
+	it("says when the enquiry doesn't exist", async () => {
+		const { client } = await staffAgent();
+
+		const res = await client
+			.patch("/api/admin/enquiries/999")
+			.send({ status: "read" });
+		assert.equal(res.status, 404);
+	});
+});
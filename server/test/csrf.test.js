@@ -0,0 +1,208 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const supertest = require("supertest");
+
+const {
+	PASSWORD,
+	app,
+	request,
+	resetState,
+	registerUser,
+	loggedInAgent,
+} = require("./helpers");
+const config = require("../config");
+
+const EMAIL = "ada@example.com";
+const EVIL_ORIGIN = "https://evil.example";
+
+// a raw client that keeps cookies but sends no CSRF token unless told to
+async function clientWithToken() {
+	const client = supertest.agent(app);
+	const res = await client.get("/api/csrf-token");
+	return { client, token: res.body.data.csrfToken };
+}
+
+describe("CSRF protection", () => {
+	beforeEach(async () => {
+		resetState();
+		await registerUser(EMAIL);
+	});
+
+	it("hands out a token tied to the session", async () => {
+		const { client, token } = await clientWithToken();
+
+		const again = await client.get("/api/csrf-token");
+
+		assert.ok(token.length >= 32);
+		assert.equal(again.body.data.csrfToken, token);
+		assert.equal(again.headers["cache-control"], "no-store");
+	});
+
+	it("rejects a change without a token", async () => {
+		const res = await supertest(app)
+			.post("/api/login")
+			.send({ email: EMAIL, password: PASSWORD });
+
+		assert.equal(res.status, 403);
+		assert.equal(res.body.error.code, "CSRF_INVALID");
+	});
+
+	it("rejects a cross-site form post that carries the cookie", async () => {
+		const { client } = await clientWithToken();
+
+		// what a form on another site would send: the cookie, but no header
+		const res = await client
+			.post("/api/register")
+			.set("Origin", EVIL_ORIGIN)
+			.type("form")
+			.send({ email: "grace@example.com", password: PASSWORD });
+
+		assert.equal(res.status, 403);
+		assert.equal(res.body.error.code, "CSRF_INVALID");
+	});
+
+	it("rejects another origin even with the right token", async () => {
+		const { client, token } = await clientWithToken();
+
+		const res = await client
+			.post("/api/login")
+			.set("Origin", EVIL_ORIGIN)
+			.set("X-CSRF-Token", token)
+			.send({ email: EMAIL, password: PASSWORD });
+
+		assert.equal(res.status, 403);
+		assert.match(res.body.message, /other sites/);
+	});
+
+	it("rejects a token from another session", async () => {
+		const { token } = await clientWithToken();
+		const { client } = await clientWithToken();
+
+		const res = await client
+			.post("/api/login")
+			.set("X-CSRF-Token", token)
+			.send({ email: EMAIL, password: PASSWORD });
+
+		assert.equal(res.status, 403);
+	});
+
+	it("accepts the token from the client's own origin", async () => {
+		const { client, token } = await clientWithToken();
+
+		const res = await client
+			.post("/api/login")
+			.set("Origin", config.appUrl)
+			.set("X-CSRF-Token", token)
+			.send({ email: EMAIL, password: PASSWORD });
+
+		assert.equal(res.status, 200);
+	});
+
+	it("gives a new token at login", async () => {
+		const { client, token } = await clientWithToken();
+		await client
+			.post("/api/login")
+			.set("X-CSRF-Token", token)
+			.send({ email: EMAIL, password: PASSWORD });
+
+		const logout = await client
+			.post("/api/logout")
+			.set("X-CSRF-Token", token);
+		assert.equal(logout.status, 403);
+
+		const fresh = await client.get("/api/csrf-token");
+		assert.notEqual(fresh.body.data.csrfToken, token);
+	});
+
+	it("doesn't apply to bearer token requests", async () => {
+		const browser = await loggedInAgent("grace@example.com");
+		const { key } = (
+			await browser.post("/api/me/api-keys").send({ name: "Script" })
+		).body.data;
+
+		const res = await supertest(app)
+			.patch("/api/me")
+			.set("Authorization", `Bearer ${key}`)
+			.send({ displayName: "Grace" });
+
+		assert.equal(res.status, 200);
+	});
+
+	it("doesn't apply to the token endpoint, which ignores cookies", async () => {
+		const res = await supertest(app).post("/api/token").send({
+			grantType: "password",
+			email: EMAIL,
+			password: PASSWORD,
+		});
+
+		assert.equal(res.status, 200);
+	});
+});
+
+describe("security headers", () => {
+	beforeEach(resetState);
+
+	it("locks responses down", async () => {
+		const res = await request(app).get("/api");
+
+		assert.match(
+			res.headers["content-security-policy"],
+			/default-src 'none'/
+		);
+		assert.match(
+			res.headers["content-security-policy"],
+			/frame-ancestors 'none'/
+		);
+		assert.equal(res.headers["x-frame-options"], "DENY");
+		assert.equal(res.headers["x-content-type-options"], "nosniff");
+		assert.equal(res.headers["referrer-policy"], "no-referrer");
+		assert.equal(res.headers["x-powered-by"], undefined);
+		// no HSTS over plain http in the test profile
+		assert.equal(res.headers["strict-transport-security"], undefined);
+	});
+
+	it("sets the session cookie's flags", async () => {
+		const res = await supertest(app).get("/api/csrf-token");
+
+		const [cookie] = res.headers["set-cookie"];
+		assert.match(cookie, /HttpOnly/);
+		assert.match(cookie, /SameSite=Lax/);
+		assert.doesNotMatch(cookie, /Secure/);
+	});
+});
+
+describe("cookie and header settings", () => {
+	const PRODUCTION = {
+		NODE_ENV: "production",
+		APP_URL: "https://restaurant.example",
+		DB_USER: "app",
+		DB_PASSWORD: "secret",
+		DB_NAME: "restaurant",
+		SESSION_SECRET: "s".repeat(32),
+		EMAIL_TOKEN_SECRET: "e".repeat(32),
+		TOKEN_SECRET: "t".repeat(32),
+		MAIL_FROM: "Restaurant <no-reply@restaurant.example>",
+		SMTP_HOST: "smtp.restaurant.example",
+	};
+
+	it("uses secure cookies and HSTS in production", () => {
+		const settings = config.loadConfig(PRODUCTION);
+
+		assert.equal(settings.session.secureCookie, true);
+		assert.equal(settings.session.sameSite, "lax");
+		assert.equal(settings.trustProxy, 1);
+		assert.equal(settings.hstsMaxAgeSeconds, 180 * 24 * 60 * 60);
+	});
+
+	it("won't send SameSite=None cookies without Secure", () => {
+		assert.throws(
+			() =>
+				config.loadConfig({
+					...PRODUCTION,
+					SESSION_COOKIE_SECURE: "false",
+					SESSION_COOKIE_SAMESITE: "none",
+				}),
+			/SESSION_COOKIE_SAMESITE=none needs SESSION_COOKIE_SECURE=true/
+		);
+	});
+});
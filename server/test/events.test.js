@@ -0,0 +1,254 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const supertest = require("supertest");
+
+const {
+	repositories,
+	request,
+	resetState,
+	loggedInAgent,
+} = require("./helpers");
+const events = require("../events");
+const { formatDate } = require("../services/bookings");
+const payments = require("../payments");
+const createFakeProvider = require("../payments/fake");
+
+const open = [];
+
+// Opens GET /api/events as `client` and collects the events that arrive.
+// Resolves once the stream is open, with
+//   next(type) - waits for the next event of that type
+//   received   - every event so far as { type, data }
+//   ended      - resolves when the server ends the stream
+function openStream(client, path = "/api/events") {
+	const received = [];
+	const waiting = [];
+	let buffer = "";
+	let opened;
+	let ended;
+	const isOpen = new Promise((resolve) => (opened = resolve));
+	const isEnded = new Promise((resolve) => (ended = resolve));
+
+	const deliver = () => {
+		for (const waiter of [...waiting]) {
+			const event = received.find(
+				(entry) => !entry.taken && entry.type === waiter.type
+			);
+			if (event) {
+				event.taken = true;
+				waiting.splice(waiting.indexOf(waiter), 1);
+				waiter.resolve(event);
+			}
+		}
+	};
+
+	const req = client
+		.get(path)
+		.buffer(true)
+		.parse((res, done) => {
+			res.setEncoding("utf8");
+			res.on("data", (chunk) => {
+				buffer += chunk;
+				let end;
+				while ((end = buffer.indexOf("\n\n")) !== -1) {
+					const block = buffer.slice(0, end);
+					buffer = buffer.slice(end + 2);
+					const type = block.match(/^event: (.*)$/m);
+					const data = block.match(/^data: (.*)$/m);
+					if (type && data) {
+						received.push({
+							type: type[1],
+							data: JSON.parse(data[1]),
+						});
+					}
+				}
+				opened();
+				deliver();
+			});
+			res.on("end", () => {
+				ended();
+				done(null, null);
+			});
+		});
+	req.end(() => ended());
+	open.push(req);
+
+	const stream = {
+		received,
+		ended: isEnded,
+		next: (type) =>
+			new Promise((resolve, reject) => {
+				const timer = setTimeout(
+					() => reject(new Error(`No ${type} event arrived`)),
+					2000
+				);
+				waiting.push({
+					type,
+					resolve: (event) => {
+						clearTimeout(timer);
+						resolve(event);
+					},
+				});
+				deliver();
+			}),
+	};
+	return isOpen.then(() => stream);
+}
+
+function closeStreams() {
+	while (open.length > 0) open.pop().abort();
+}
+
+async function customerAgent(email) {
+	const client = await loggedInAgent(email);
+	const user = await repositories.users.findByEmail(email);
+	await repositories.users.update(user.id, { emailVerified: true });
+	return { client, user };
+}
+
+async function staffAgent() {
+	const client = await loggedInAgent("staff@example.com");
+	const staff = await repositories.users.findByEmail("staff@example.com");
+	await repositories.users.update(staff.id, { role: "staff" });
+	return client;
+}
+
+// the first free slot for two from tomorrow on
+async function findSlot(client) {
+	for (let days = 1; days <= 14; days++) {
+		const day = new Date();
+		day.setDate(day.getDate() + days);
+		const date = formatDate(day);
+		const res = await client.get(`/api/availability?date=${date}&party=2`);
+		if (res.body.data.slots.length > 0) {
+			return { date, time: res.body.data.slots[0] };
+		}
+	}
+	throw new Error("No free slots in the next two weeks");
+}
+
+function placeOrder(client) {
+	return client
+		.post("/api/orders")
+		.send({
+			items: [{ menuItemId: 1, quantity: 1 }],
+			paymentMethod: "fake-card",
+		})
+		.expect(201);
+}
+
+describe("GET /api/events", () => {
+	beforeEach(() => {
+		resetState();
+		payments.setPaymentProvider(createFakeProvider());
+	});
+
+	afterEach(closeStreams);
+
+	it("sends staff every order", async () => {
+		const { client } = await customerAgent("ada@example.com");
+		const staff = await openStream(await staffAgent());
+
+		const placed = (await placeOrder(client)).body.data.order;
+
+		const event = await staff.next("order.created");
+		assert.equal(event.data.order.id, placed.id);
+		assert.equal(event.data.order.userEmail, "ada@example.com");
+	});
+
+	it("sends customers only their own orders", async () => {
+		const { client } = await customerAgent("ada@example.com");
+		const { client: other } = await customerAgent("grace@example.com");
+		const mine = await openStream(client);
+		const theirs = await openStream(other);
+		const staff = await staffAgent();
+
+		const order = (await placeOrder(client)).body.data.order;
+		await staff
+			.patch(`/api/admin/orders/${order.id}`)
+			.send({ status: "preparing" })
+			.expect(200);
+
+		const event = await mine.next("order.updated");
+		assert.equal(event.data.order.status, "preparing");
+		assert.deepEqual(
+			mine.received.map(({ type }) => type),
+			["order.created", "order.updated"]
+		);
+		assert.deepEqual(theirs.received, []);
+	});
+
+	it("sends booking changes", async () => {
+		const { client } = await customerAgent("ada@example.com");
+		const staff = await openStream(await staffAgent());
+		const slot = await findSlot(client);
+
+		const booking = (
+			await client
+				.post("/api/bookings")
+				.send({ ...slot, partySize: 2 })
+				.expect(201)
+		).body.data.booking;
+		await client.delete(`/api/bookings/${booking.id}`).expect(200);
+
+		const created = await staff.next("booking.created");
+		assert.equal(created.data.booking.id, booking.id);
+		assert.equal(created.data.booking.email, "ada@example.com");
+		const cancelled = await staff.next("booking.cancelled");
+		assert.equal(cancelled.data.booking.status, "cancelled");
+	});
+
+	it("needs a login session", async () => {
+		const res = await request().get("/api/events");
+		assert.equal(res.status, 401);
+		assert.equal(res.body.error.code, "LOGIN_REQUIRED");
+	});
+});
+
+describe("event streams", () => {
+	afterEach(closeStreams);
+
+	// a stream outside the app, checking its login every 20ms
+	function streamApp(currentUser) {
+		const app = express();
+		app.get(
+			"/events",
+			(req, res, next) => {
+				req.user = { id: 1, role: "customer" };
+				next();
+			},
+			events.eventStream({ currentUser, heartbeatMs: 20 })
+		);
+		return supertest(app);
+	}
+
+	it("ends when the login has gone", async () => {
+		let user = { id: 1, role: "customer" };
+		const stream = await openStream(
+			streamApp(async () => user),
+			"/events"
+		);
+		const before = events.subscriberCount();
+
+		user = null;
+		await stream.ended;
+
+		assert.equal(events.subscriberCount(), before - 1);
+	});
+
+	it("picks up a role change", async () => {
+		let user = { id: 1, role: "customer" };
+		const stream = await openStream(
+			streamApp(async () => user),
+			"/events"
+		);
+
+		user = { id: 1, role: "staff" };
+		await new Promise((resolve) => setTimeout(resolve, 60));
+		events.publish("order.created", { order: { id: 5 } }, { userId: 2 });
+
+		const event = await stream.next("order.created");
+		assert.deepEqual(event.data, { order: { id: 5 } });
+	});
+});
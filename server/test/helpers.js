@@ -0,0 +1,139 @@
+// Shared setup for the API tests. Requiring this first switches the app to
+// the test profile, so everything runs on the in-memory storage backend and
+// mail goes to the mailer's outbox instead of out of the process.
+process.env.NODE_ENV = "test";
+process.env.STORAGE_BACKEND = "memory";
+process.env.MAIL_TRANSPORT = "memory";
+
+const http = require("http");
+const supertest = require("supertest");
+
+const { createApp } = require("../app");
+const app = createApp();
+const repositories = require("../repositories");
+const mailer = require("../mailer");
+const { MemoryStore, setDefaultStore } = require("../rateLimit");
+
+const PASSWORD = "correct horse 1";
+
+// One server for the whole test file. Left to itself supertest starts one
+// per client and closes it when no request is in flight, which would happen
+// between fetching a CSRF token and using it. unref() lets the process exit.
+const server = http.createServer(app);
+server.listen(0);
+server.unref();
+
+// Call from beforeEach: fresh seed data, an empty outbox and no rate limit
+// hits left over from the previous test.
+function resetState() {
+	repositories.reset();
+	mailer.outbox.length = 0;
+	setDefaultStore(new MemoryStore());
+}
+
+const UNSAFE_METHODS = ["post", "put", "patch", "delete"];
+
+// Stands in for a request made with `open(url)`, e.g. the agent's own
+// post(): the calls made on it (send, set, expect, ...) are noted, and once
+// it is awaited the session's CSRF token is fetched and the real request is
+// made with the token and those calls.
+function withCsrfToken(client, open, url) {
+	const calls = [];
+	let sent = null;
+
+	const send = () => {
+		if (!sent) {
+			sent = client
+				.get("/api/csrf-token")
+				.then((res) =>
+					calls.reduce(
+						(test, [name, args]) => test[name](...args),
+						open(url).set("X-CSRF-Token", res.body.data.csrfToken)
+					)
+				);
+		}
+		return sent;
+	};
+
+	const pending = new Proxy(
+		{},
+		{
+			get(target, name) {
+				if (name === "then" || name === "catch" || name === "finally") {
+					const result = send();
+					return result[name].bind(result);
+				}
+				return (...args) => {
+					calls.push([name, args]);
+					return pending;
+				};
+			},
+		}
+	);
+	return pending;
+}
+
+// A client that keeps its session cookie between requests and, like the
+// React client, sends the session's CSRF token with every change. The token
+// is fetched just before each such request since logging in replaces it.
+// `app` is served by the shared server above.
+function agent(target = app) {
+	const client = supertest.agent(target === app ? server : target);
+
+	for (const method of UNSAFE_METHODS) {
+		const open = client[method].bind(client);
+		client[method] = (url) => withCsrfToken(client, open, url);
+	}
+
+	return client;
+}
+
+// Used like supertest's request(app), each call is a new client with no
+// cookies but a valid CSRF token. Use supertest itself to leave the token
+// out.
+function request(target = app) {
+	return agent(target);
+}
+
+// Mail is sent without holding up the response, so give it a moment.
+async function waitForMail(to, template) {
+	for (let i = 0; i < 50; i++) {
+		const mail = mailer.outbox.find(
+			(message) => message.to === to && message.template === template
+		);
+		if (mail) return mail;
+		await new Promise((resolve) => setImmediate(resolve));
+	}
+	throw new Error(`No ${template} email was sent to ${to}`);
+}
+
+async function registerUser(email, password = PASSWORD) {
+	const res = await request(app)
+		.post("/api/register")
+		.send({ email, password });
+	if (res.status !== 201) {
+		throw new Error(`Registering ${email} failed: ${res.body.message}`);
+	}
+	return res.body.data.userId;
+}
+
+// registers the account and returns an agent that is logged in as it
+async function loggedInAgent(email, password = PASSWORD) {
+	await registerUser(email, password);
+	const client = agent();
+	const res = await client.post("/api/login").send({ email, password });
+	if (res.status !== 200) {
+		throw new Error(`Logging in as ${email} failed: ${res.body.message}`);
+	}
+	return client;
+}
+
+module.exports.PASSWORD = PASSWORD;
+module.exports.app = app;
+module.exports.repositories = repositories;
+module.exports.request = request;
+module.exports.resetState = resetState;
+module.exports.agent = agent;
+module.exports.waitForMail = waitForMail;
+module.exports.registerUser = registerUser;
+module.exports.loggedInAgent = loggedInAgent;
@@ -0,0 +1,184 @@
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const express = require("express");
+
+const { app, request } = require("./helpers");
+const { createLogger } = require("../logger");
+const events = require("../events");
+const health = require("../services/health");
+const { waitForStorage, startServer } = require("../server");
+
+// a logger that keeps its entries in `lines` instead of printing them
+function recordingLogger(lines) {
+	return createLogger(
+		{},
+		{
+			level: "info",
+			format: "json",
+			write: (line) => lines.push(JSON.parse(line)),
+		}
+	);
+}
+
+function connectionError(code = "ECONNREFUSED") {
+	const err = new Error(`connect ${code} 127.0.0.1:3306`);
+	err.code = code;
+	return err;
+}
+
+describe("waitForStorage", () => {
+	it("tries again, waiting longer each time, until storage is up", async () => {
+		const lines = [];
+		let calls = 0;
+
+		await waitForStorage({
+			prepare: async () => {
+				calls += 1;
+				if (calls < 3) throw connectionError();
+			},
+			retries: 5,
+			delayMs: 5,
+			log: recordingLogger(lines),
+		});
+
+		assert.equal(calls, 3);
+		assert.deepEqual(
+			lines.map((line) => line.retryInMs),
+			[5, 10]
+		);
+	});
+
+	it("gives up after the last retry", async () => {
+		let calls = 0;
+
+		await assert.rejects(
+			waitForStorage({
+				prepare: async () => {
+					calls += 1;
+					throw connectionError("ETIMEDOUT");
+				},
+				retries: 2,
+				delayMs: 1,
+				log: recordingLogger([]),
+			}),
+			{ code: "ETIMEDOUT" }
+		);
+		assert.equal(calls, 3);
+	});
+
+	it("doesn't retry errors that aren't about reaching storage", async () => {
+		let calls = 0;
+
+		await assert.rejects(
+			waitForStorage({
+				prepare: async () => {
+					calls += 1;
+					throw new Error("The database schema is out of date");
+				},
+				retries: 5,
+				delayMs: 1,
+			}),
+			/out of date/
+		);
+		assert.equal(calls, 1);
+	});
+});
+
+describe("startServer", () => {
+	afterEach(() => {
+		health.setShuttingDown(false);
+	});
+
+	// an app with a request that takes `delayMs` to answer and a live
+	// update stream for user 1
+	function slowApp(delayMs) {
+		const slow = express();
+		slow.get("/slow", async (req, res) => {
+			await new Promise((resolve) => setTimeout(resolve, delayMs));
+			res.json({ done: true });
+		});
+		slow.get(
+			"/events",
+			events.eventStream({ currentUser: async () => ({ id: 1 }) })
+		);
+		return slow;
+	}
+
+	// GET `path` on the server, resolving with { status, body } once the
+	// response has ended
+	function get(server, path) {
+		return new Promise((resolve, reject) => {
+			http.get(
+				{ port: server.address().port, path, agent: false },
+				(res) => {
+					let body = "";
+					res.setEncoding("utf8");
+					res.on("data", (chunk) => (body += chunk));
+					res.on("end", () =>
+						resolve({ status: res.statusCode, body })
+					);
+				}
+			).on("error", reject);
+		});
+	}
+
+	it("lets requests in progress finish before stopping", async () => {
+		const { server, stop } = await startServer({
+			app: slowApp(100),
+			port: 0,
+			shutdownTimeoutMs: 5000,
+			log: recordingLogger([]),
+		});
+
+		const inFlight = get(server, "/slow");
+		await new Promise((resolve) => setTimeout(resolve, 20));
+		await stop();
+
+		const res = await inFlight;
+		assert.equal(res.status, 200);
+		assert.deepEqual(JSON.parse(res.body), { done: true });
+		assert.equal(server.listening, false);
+	});
+
+	it("ends live update streams and stops saying it is ready", async () => {
+		const { server, stop } = await startServer({
+			app: slowApp(0),
+			port: 0,
+			shutdownTimeoutMs: 5000,
+			log: recordingLogger([]),
+		});
+
+		const stream = get(server, "/events");
+		while (events.subscriberCount() === 0) {
+			await new Promise((resolve) => setTimeout(resolve, 5));
+		}
+		const stopped = stop();
+
+		const res = await stream;
+		assert.match(res.body, /^retry: 5000/);
+		await stopped;
+		assert.equal(events.subscriberCount(), 0);
+
+		const ready = await request(app).get("/api/ready");
+		assert.equal(ready.status, 503);
+		assert.equal(ready.body.error.code, "NOT_READY");
+	});
+
+	it("cuts off requests still running after the timeout", async () => {
+		const lines = [];
+		const { server, stop } = await startServer({
+			app: slowApp(1000),
+			port: 0,
+			shutdownTimeoutMs: 50,
+			log: recordingLogger(lines),
+		});
+
+		const inFlight = get(server, "/slow");
+		await new Promise((resolve) => setTimeout(resolve, 20));
+		await stop();
+
+		await assert.rejects(inFlight, { code: "ECONNRESET" });
+		assert.ok(lines.some((line) => line.msg.includes("shutdown timeout")));
+	});
+});
@@ -0,0 +1,300 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+	PASSWORD,
+	app,
+	repositories,
+	request,
+	resetState,
+	agent,
+	registerUser,
+	loggedInAgent,
+} = require("./helpers");
+
+describe("POST /api/login", () => {
+	beforeEach(resetState);
+
+	it("logs in with the right password", async () => {
+		const userId = await registerUser("ada@example.com");
+		const client = agent();
+
+		const res = await client
+			.post("/api/login")
+			.send({ email: "ada@example.com", password: PASSWORD });
+
+		assert.equal(res.status, 200);
+		assert.equal(res.body.message, "Login successful.");
+		assert.deepEqual(res.body.data, {
+			userId,
+			role: "customer",
+			emailVerified: false,
+		});
+		assert.match(res.headers["set-cookie"][0], /^connect\.sid=.*HttpOnly/);
+
+		const check = await client.post("/api/authcheck");
+		assert.equal(check.body.data.loggedIn, true);
+		assert.equal(check.body.data.userId, userId);
+
+		const [event] = await repositories.authEvents.list({
+			type: "login_success",
+		});
+		assert.equal(event.userId, userId);
+	});
+
+	it("gives a new session id on every login", async () => {
+		await registerUser("ada@example.com");
+		const client = agent();
+		const credentials = { email: "ada@example.com", password: PASSWORD };
+
+		const first = await client.post("/api/login").send(credentials);
+		const second = await client.post("/api/login").send(credentials);
+
+		assert.equal(second.status, 200);
+		assert.notEqual(
+			second.headers["set-cookie"][0].split(";")[0],
+			first.headers["set-cookie"][0].split(";")[0]
+		);
+	});
+
+	it("rejects a wrong password", async () => {
+		await registerUser("ada@example.com");
+
+		const res = await request(app)
+			.post("/api/login")
+			.send({ email: "ada@example.com", password: "wrong password" });
+
+		assert.equal(res.status, 401);
+		assert.equal(res.body.success, false);
+		assert.equal(res.body.message, "Invalid email or password.");
+		assert.equal(res.body.error.code, "INVALID_CREDENTIALS");
+		assert.equal(res.headers["set-cookie"], undefined);
+	});
+
+	it("answers an unknown email the same as a wrong password", async () => {
+		const res = await request(app)
+			.post("/api/login")
+			.send({ email: "nobody@example.com", password: PASSWORD });
+
+		assert.equal(res.status, 401);
+		assert.equal(res.body.message, "Invalid email or password.");
+
+		const [event] = await repositories.authEvents.list({
+			type: "login_failure",
+		});
+		assert.equal(event.email, "nobody@example.com");
+		assert.equal(event.detail, "unknown email");
+	});
+
+	it("rejects a missing password", async () => {
+		await registerUser("ada@example.com");
+
+		const res = await request(app)
+			.post("/api/login")
+			.send({ email: "ada@example.com" });
+
+		assert.equal(res.status, 400);
+		assert.equal(res.body.message, "Password is required");
+		assert.deepEqual(res.body.error, {
+			code: "VALIDATION_FAILED",
+			fields: { password: "Password is required" },
+		});
+		// never got as far as checking the password
+		assert.equal(
+			(await repositories.authEvents.list({ type: "login_failure" }))
+				.length,
+			0
+		);
+	});
+
+	it("locks the account after 5 failed logins", async () => {
+		const userId = await registerUser("ada@example.com");
+
+		for (let i = 0; i < 5; i++) {
+			const res = await request(app)
+				.post("/api/login")
+				.send({ email: "ada@example.com", password: "wrong password" });
+			assert.equal(res.status, 401);
+		}
+
+		// even the right password is refused while locked
+		const res = await request(app)
+			.post("/api/login")
+			.send({ email: "ada@example.com", password: PASSWORD });
+
+		assert.equal(res.status, 401);
+		assert.equal(res.body.error.code, "INVALID_CREDENTIALS");
+
+		const user = await repositories.users.findById(userId);
+		assert.equal(user.failedLoginCount, 5);
+		assert.ok(new Date(user.lockedUntil) > new Date());
+		assert.equal(
+			(await repositories.authEvents.list({ type: "login_locked" }))
+				.length,
+			1
+		);
+	});
+
+	it("answers a locked account the same as an unknown email", async () => {
+		await registerUser("ada@example.com");
+
+		// one more than the lockout threshold, both under the rate limit
+		const attempt = async (email) => {
+			let res;
+			for (let i = 0; i < 7; i++) {
+				res = await request(app)
+					.post("/api/login")
+					.send({ email, password: "wrong password" });
+			}
+			return res;
+		};
+		const locked = await attempt("ada@example.com");
+		const unknown = await attempt("nobody@example.com");
+
+		assert.equal(locked.status, unknown.status);
+		assert.deepEqual(locked.body, unknown.body);
+	});
+
+	it("clears the failure count after a successful login", async () => {
+		const userId = await registerUser("ada@example.com");
+
+		await request(app)
+			.post("/api/login")
+			.send({ email: "ada@example.com", password: "wrong password" });
+		await request(app)
+			.post("/api/login")
+			.send({ email: "ada@example.com", password: PASSWORD });
+
+		const user = await repositories.users.findById(userId);
+		assert.equal(user.failedLoginCount, 0);
+	});
+
+	it("only counts failed logins towards the rate limit", async () => {
+		await registerUser("ada@example.com");
+
+		for (let i = 0; i < 10; i++) {
+			await request(app)
+				.post("/api/login")
+				.send({ email: "ada@example.com", password: PASSWORD })
+				.expect(200);
+		}
+
+		const res = await request(app)
+			.post("/api/login")
+			.send({ email: "ada@example.com", password: PASSWORD });
+
+		assert.equal(res.status, 200);
+	});
+
+	it("is rate limited per email address", async () => {
+		await registerUser("ada@example.com");
+
+		for (let i = 0; i < 10; i++) {
+			await request(app)
+				.post("/api/login")
+				.send({ email: "Ada@example.com ", password: "x" });
+		}
+
+		const res = await request(app)
+			.post("/api/login")
+			.send({ email: "ada@example.com", password: PASSWORD });
+
+		assert.equal(res.status, 429);
+		assert.ok(Number(res.headers["retry-after"]) > 0);
+		assert.equal(
+			(await repositories.authEvents.list({ type: "rate_limited" }))
+				.length,
+			1
+		);
+	});
+});
+
+describe("POST /api/authcheck", () => {
+	beforeEach(resetState);
+
+	it("reports a visitor without a session as logged out", async () => {
+		const res = await request(app).post("/api/authcheck");
+
+		assert.equal(res.status, 200);
+		assert.deepEqual(res.body, {
+			success: true,
+			message: null,
+			data: { loggedIn: false },
+		});
+	});
+
+	it("returns the user's id, role and verification state", async () => {
+		const client = await loggedInAgent("ada@example.com");
+		const user = await repositories.users.findByEmail("ada@example.com");
+
+		const res = await client.post("/api/authcheck");
+
+		assert.deepEqual(res.body.data, {
+			loggedIn: true,
+			userId: user.id,
+			role: "customer",
+			emailVerified: false,
+		});
+	});
+
+	it("reports logged out once the account is deleted", async () => {
+		const client = await loggedInAgent("ada@example.com");
+		const user = await repositories.users.findByEmail("ada@example.com");
+		await repositories.users.delete(user.id);
+
+		const res = await client.post("/api/authcheck");
+
+		assert.deepEqual(res.body.data, { loggedIn: false });
+	});
+});
+
+describe("POST /api/logout", () => {
+	beforeEach(resetState);
+
+	it("ends the session", async () => {
+		const client = await loggedInAgent("ada@example.com");
+
+		const res = await client.post("/api/logout");
+
+		assert.equal(res.status, 200);
+		assert.deepEqual(res.body, {
+			success: true,
+			message: "Logged out successfully",
+			data: null,
+		});
+		assert.equal(
+			(await client.post("/api/authcheck")).body.data.loggedIn,
+			false
+		);
+		assert.equal(
+			(await repositories.authEvents.list({ type: "logout" })).length,
+			1
+		);
+	});
+
+	it("doesn't affect the user's other sessions", async () => {
+		const laptop = await loggedInAgent("ada@example.com");
+		const phone = agent();
+		await phone
+			.post("/api/login")
+			.send({ email: "ada@example.com", password: PASSWORD });
+
+		await laptop.post("/api/logout");
+
+		assert.equal(
+			(await phone.post("/api/authcheck")).body.data.loggedIn,
+			true
+		);
+	});
+
+	it("succeeds without a session", async () => {
+		const res = await request(app).post("/api/logout");
+
+		assert.equal(res.status, 200);
+		assert.equal(res.body.success, true);
+		assert.equal(
+			(await repositories.authEvents.list({ type: "logout" })).length,
+			0
+		);
+	});
+});
@@ -0,0 +1,103 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createLogger } = require("../logger");
+const { migrateUp } = require("../migrator");
+
+// The users table the old dbschema.sql file created
+const BASELINE_SCHEMA = {
+	users: ["id", "email", "password_hash", "reset_token", "reset_expires"],
+};
+
+// Stands in for a mysql2 promise connection. It follows just enough of the
+// migrations' SQL to know which tables and columns the database would have:
+// CREATE TABLE, DROP TABLE, ALTER TABLE ... ADD/DROP COLUMN and reading
+// information_schema.COLUMNS.
+function fakeDatabase(tables = {}) {
+	const schema = new Map(
+		Object.entries(tables).map(([name, columns]) => [name, [...columns]])
+	);
+	const applied = [];
+
+	async function query(sql, params = []) {
+		let match;
+		if (/GET_LOCK/.test(sql)) return [[{ acquired: 1 }]];
+		if (/FROM schema_migrations/.test(sql)) {
+			return [applied.map((name) => ({ name, appliedAt: new Date() }))];
+		}
+		if (/INSERT INTO schema_migrations/.test(sql)) {
+			applied.push(params[0]);
+			return [{ affectedRows: 1 }];
+		}
+		if (/information_schema\.COLUMNS/.test(sql)) {
+			const table = /TABLE_NAME = '(\w+)'/.exec(sql)[1];
+			return [(schema.get(table) || []).map((name) => ({ name }))];
+		}
+		if ((match = /CREATE TABLE (IF NOT EXISTS )?(\w+) \(/.exec(sql))) {
+			const [, ifNotExists, table] = match;
+			if (schema.has(table)) {
+				if (ifNotExists) return [{}];
+				throw new Error(`Table '${table}' already exists`);
+			}
+			// column lines start with a lower case name, keys and
+			// indexes with an upper case keyword
+			const columns = sql
+				.split("\n")
+				.map((line) => /^\s*([a-z_]+) /.exec(line))
+				.filter(Boolean)
+				.map((line) => line[1]);
+			schema.set(table, columns);
+			return [{}];
+		}
+		if ((match = /DROP TABLE IF EXISTS (\w+)/.exec(sql))) {
+			schema.delete(match[1]);
+			return [{}];
+		}
+		if ((match = /ALTER TABLE (\w+)/.exec(sql))) {
+			const columns = schema.get(match[1]);
+			for (const [, name] of sql.matchAll(/ADD COLUMN (\w+)/g)) {
+				if (columns.includes(name)) {
+					throw new Error(`Duplicate column name '${name}'`);
+				}
+				columns.push(name);
+			}
+			for (const [, name] of sql.matchAll(/DROP COLUMN (\w+)/g)) {
+				columns.splice(columns.indexOf(name), 1);
+			}
+			return [{}];
+		}
+		return [[]];
+	}
+
+	return { query, schema, applied };
+}
+
+const quietLogger = createLogger({}, { level: "error", write: () => {} });
+
+describe("migrations", () => {
+	it("bring a database made from the old dbschema.sql up to date", async () => {
+		const fresh = fakeDatabase();
+		await migrateUp(fresh, { log: quietLogger });
+		const baseline = fakeDatabase(BASELINE_SCHEMA);
+		await migrateUp(baseline, { log: quietLogger });
+
+		assert.deepEqual(baseline.applied, fresh.applied);
+		assert.deepEqual(
+			[...baseline.schema.get("users")].sort(),
+			[...fresh.schema.get("users")].sort()
+		);
+		for (const column of ["role", "email_verified", "locked_until"]) {
+			assert.ok(baseline.schema.get("users").includes(column), column);
+		}
+	});
+
+	it("leave the users table alone when it already has every column", async () => {
+		const db = fakeDatabase();
+		await migrateUp(db, { log: quietLogger });
+		const before = [...db.schema.get("users")];
+
+		await require("../migrations/007_upgrade_baseline_users").up(db);
+
+		assert.deepEqual(db.schema.get("users"), before);
+	});
+});
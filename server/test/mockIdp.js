@@ -0,0 +1,157 @@
+// A stand-in OpenID Connect provider for the social login tests. It signs in
+// whoever `mockIdp.user` says without showing a page, and checks the client
+// the way a real provider would (client secret, redirect URI, PKCE).
+//
+// It can also be run on its own to try social login locally:
+//   node test/mockIdp.js
+// then set OIDC_ISSUER=http://127.0.0.1:5055, OIDC_CLIENT_ID=local and
+// OIDC_CLIENT_SECRET=local-secret in server/.env.
+const crypto = require("crypto");
+const express = require("express");
+
+const CLIENT_ID = "local";
+const CLIENT_SECRET = "local-secret";
+
+function base64url(value) {
+	return Buffer.from(JSON.stringify(value)).toString("base64url");
+}
+
+function createMockIdp() {
+	const app = express();
+	app.use(express.urlencoded({ extended: false }));
+
+	const idp = {
+		app,
+		issuer: null,
+		clientId: CLIENT_ID,
+		clientSecret: CLIENT_SECRET,
+		// who signs in next
+		user: {
+			sub: "mock-user-1",
+			email: "ada@example.com",
+			email_verified: true,
+			name: "Ada",
+		},
+		// outstanding codes, and the access tokens they were swapped for
+		codes: new Map(),
+		accessTokens: new Map(),
+		// the last authorization request, for tests to look at
+		lastRequest: null,
+	};
+
+	app.get("/.well-known/openid-configuration", (req, res) => {
+		res.json({
+			issuer: idp.issuer,
+			authorization_endpoint: `${idp.issuer}/authorize`,
+			token_endpoint: `${idp.issuer}/token`,
+			userinfo_endpoint: `${idp.issuer}/userinfo`,
+			code_challenge_methods_supported: ["S256"],
+		});
+	});
+
+	app.get("/authorize", (req, res) => {
+		const { query } = req;
+		idp.lastRequest = query;
+
+		if (query.client_id !== CLIENT_ID) {
+			return res.status(400).send("unknown client");
+		}
+		if (query.code_challenge_method !== "S256" || !query.code_challenge) {
+			return res.status(400).send("PKCE is required");
+		}
+
+		const redirect = new URL(query.redirect_uri);
+		const code = crypto.randomBytes(16).toString("hex");
+		idp.codes.set(code, { ...query, user: { ...idp.user } });
+		redirect.searchParams.set("code", code);
+		redirect.searchParams.set("state", query.state);
+		res.redirect(redirect.toString());
+	});
+
+	app.post("/token", (req, res) => {
+		const { body } = req;
+		const grant = idp.codes.get(body.code);
+		idp.codes.delete(body.code);
+
+		if (
+			body.client_id !== CLIENT_ID ||
+			body.client_secret !== CLIENT_SECRET
+		) {
+			return res.status(401).json({ error: "invalid_client" });
+		}
+		const challenge = crypto
+			.createHash("sha256")
+			.update(String(body.code_verifier || ""))
+			.digest("base64url");
+		if (
+			!grant ||
+			grant.redirect_uri !== body.redirect_uri ||
+			grant.code_challenge !== challenge
+		) {
+			return res.status(400).json({ error: "invalid_grant" });
+		}
+
+		const accessToken = crypto.randomBytes(16).toString("hex");
+		idp.accessTokens.set(accessToken, grant.user);
+
+		const now = Math.floor(Date.now() / 1000);
+		const claims = {
+			iss: idp.issuer,
+			aud: CLIENT_ID,
+			sub: grant.user.sub,
+			email: grant.user.email,
+			email_verified: grant.user.email_verified,
+			nonce: grant.nonce,
+			iat: now,
+			exp: now + 300,
+		};
+		const unsigned = `${base64url({
+			alg: "HS256",
+			typ: "JWT",
+		})}.${base64url(claims)}`;
+		const signature = crypto
+			.createHmac("sha256", CLIENT_SECRET)
+			.update(unsigned)
+			.digest("base64url");
+
+		res.json({
+			access_token: accessToken,
+			token_type: "Bearer",
+			expires_in: 300,
+			id_token: `${unsigned}.${signature}`,
+		});
+	});
+
+	app.get("/userinfo", (req, res) => {
+		const token = (req.get("Authorization") || "").replace(/^Bearer /, "");
+		const user = idp.accessTokens.get(token);
+		if (!user) return res.status(401).json({ error: "invalid_token" });
+		res.json(user);
+	});
+
+	// resolves once listening, port 0 picks a free one
+	idp.listen = (port = 0) =>
+		new Promise((resolve) => {
+			const server = app.listen(port, "127.0.0.1", () => {
+				idp.issuer = `http://127.0.0.1:${server.address().port}`;
+				idp.server = server;
+				resolve(idp);
+			});
+		});
+	idp.close = () =>
+		new Promise((resolve) => {
+			idp.server.close(resolve);
+			// the app's fetch keeps connections open for reuse
+			idp.server.closeAllConnections();
+		});
+
+	return idp;
+}
+
+if (require.main === module) {
+	createMockIdp()
+		.listen(5055)
+		.then((idp) => console.log(`Mock OpenID provider on ${idp.issuer}`));
+}
+
+module.exports = createMockIdp;
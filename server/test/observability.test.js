@@ -0,0 +1,238 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const supertest = require("supertest");
+
+const { app, repositories, request, resetState } = require("./helpers");
+const config = require("../config");
+const { createLogger, redactUrl } = require("../logger");
+const metrics = require("../metrics");
+const { requestId, accessLog } = require("../requestLog");
+const { errorHandler } = require("../responses");
+
+describe("request ids", () => {
+	it("gives every response one", async () => {
+		const first = await request(app).get("/api/health");
+		const second = await request(app).get("/api/health");
+
+		assert.match(first.headers["x-request-id"], /^[0-9a-f-]{36}$/);
+		assert.notEqual(
+			first.headers["x-request-id"],
+			second.headers["x-request-id"]
+		);
+	});
+
+	it("keeps one from a proxy, unless it looks wrong", async () => {
+		const kept = await supertest(app)
+			.get("/api/health")
+			.set("X-Request-Id", "lb-1234abcd");
+		assert.equal(kept.headers["x-request-id"], "lb-1234abcd");
+
+		const replaced = await supertest(app)
+			.get("/api/health")
+			.set("X-Request-Id", "<script>");
+		assert.notEqual(replaced.headers["x-request-id"], "<script>");
+	});
+});
+
+describe("access log", () => {
+	// an app logging JSON lines at the debug level into `lines`
+	function loggedApp(lines) {
+		const log = createLogger(
+			{},
+			{
+				level: "debug",
+				format: "json",
+				write: (line) => lines.push(line),
+			}
+		);
+		const logged = express();
+		logged.use(requestId({ log }));
+		logged.use(accessLog());
+		logged.use(express.json());
+		logged.post("/login", (req, res) => res.status(401).end());
+		return logged;
+	}
+
+	it("logs each request without passwords or tokens", async () => {
+		const lines = [];
+		const res = await supertest(loggedApp(lines))
+			.post("/login?next=/menu&token=abc123")
+			.send({ email: "ada@example.com", password: "hunter2hunter2" });
+
+		const entry = JSON.parse(lines[0]);
+		assert.equal(entry.level, "info");
+		assert.equal(entry.msg, "request");
+		assert.equal(entry.requestId, res.headers["x-request-id"]);
+		assert.equal(entry.method, "POST");
+		assert.equal(entry.status, 401);
+		assert.equal(entry.url, "/login?next=%2Fmenu&token=%5Bredacted%5D");
+		assert.deepEqual(entry.body, {
+			email: "ada@example.com",
+			password: "[redacted]",
+		});
+		assert.doesNotMatch(lines.join("\n"), /hunter2|abc123/);
+	});
+
+	it("redacts secrets however deep they are", () => {
+		const lines = [];
+		const log = createLogger(
+			{},
+			{ level: "info", format: "json", write: (line) => lines.push(line) }
+		);
+
+		log.info("Signed in", {
+			headers: { Authorization: "Bearer abc", cookie: "sid=1" },
+			user: { id: 1, newPassword: "x", refreshToken: "y" },
+		});
+
+		const entry = JSON.parse(lines[0]);
+		assert.deepEqual(entry.headers, {
+			Authorization: "[redacted]",
+			cookie: "[redacted]",
+		});
+		assert.deepEqual(entry.user, {
+			id: 1,
+			newPassword: "[redacted]",
+			refreshToken: "[redacted]",
+		});
+		assert.equal(redactUrl("/api/health"), "/api/health");
+	});
+
+	it("leaves out entries below the level", () => {
+		const lines = [];
+		const log = createLogger(
+			{},
+			{ level: "warn", format: "json", write: (line) => lines.push(line) }
+		);
+
+		log.info("Quiet");
+		log.warn("Loud");
+
+		assert.deepEqual(
+			lines.map((line) => JSON.parse(line).msg),
+			["Loud"]
+		);
+	});
+});
+
+describe("health checks", () => {
+	const ping = repositories.ping;
+
+	afterEach(() => {
+		repositories.ping = ping;
+	});
+
+	it("says the server is up", async () => {
+		const res = await request(app).get("/api/health");
+
+		assert.equal(res.status, 200);
+		assert.equal(res.body.data.status, "ok");
+	});
+
+	it("says it is ready when storage answers", async () => {
+		const res = await request(app).get("/api/ready");
+
+		assert.equal(res.status, 200);
+		assert.deepEqual(res.body.data, { status: "ready", storage: "memory" });
+	});
+
+	it("says it is not ready when storage doesn't", async () => {
+		repositories.ping = async () => {
+			throw new Error("connect ECONNREFUSED");
+		};
+
+		const res = await request(app).get("/api/ready");
+
+		assert.equal(res.status, 503);
+		assert.equal(res.body.error.code, "NOT_READY");
+	});
+});
+
+describe("GET /metrics", () => {
+	beforeEach(() => {
+		resetState();
+		metrics.resetMetrics();
+	});
+
+	it("counts requests by route", async () => {
+		await request(app).get("/api/menu/items/1");
+		await request(app).get("/api/menu/items/2");
+
+		const res = await supertest(app).get("/metrics");
+
+		assert.equal(res.status, 200);
+		assert.match(
+			res.headers["content-type"],
+			/^text\/plain;.*version=0\.0\.4/
+		);
+		assert.match(
+			res.text,
+			/^http_requests_total\{method="GET",route="\/api\/menu\/items\/:id",status="200"\} 2$/m
+		);
+		assert.match(
+			res.text,
+			/^http_request_duration_seconds_count\{method="GET",route="\/api\/menu\/items\/:id",status="200"\} 2$/m
+		);
+		assert.match(
+			res.text,
+			/^# TYPE http_request_duration_seconds histogram$/m
+		);
+	});
+
+	it("counts failed logins", async () => {
+		await request(app)
+			.post("/api/login")
+			.send({ email: "nobody@example.com", password: "wrong password 1" })
+			.expect(401);
+
+		const res = await supertest(app).get("/metrics");
+
+		assert.match(
+			res.text,
+			/^auth_failures_total\{reason="login_failure"\} 1$/m
+		);
+	});
+
+	it("is turned off in production without a token", () => {
+		const production = {
+			NODE_ENV: "production",
+			APP_URL: "https://restaurant.example",
+			DB_USER: "app",
+			DB_PASSWORD: "secret",
+			DB_NAME: "restaurant",
+			SESSION_SECRET: "s".repeat(32),
+			EMAIL_TOKEN_SECRET: "e".repeat(32),
+			TOKEN_SECRET: "t".repeat(32),
+			MAIL_FROM: "Restaurant <no-reply@restaurant.example>",
+			SMTP_HOST: "smtp.restaurant.example",
+		};
+
+		assert.equal(config.loadConfig(production).metricsEnabled, false);
+		assert.equal(
+			config.loadConfig({ ...production, METRICS_TOKEN: "scrape-me" })
+				.metricsEnabled,
+			true
+		);
+		assert.equal(config.metricsEnabled, true);
+	});
+
+	it("can need a token", async () => {
+		const scraped = express();
+		scraped.get(
+			"/metrics",
+			metrics.metricsEndpoint({ token: "scrape-me" })
+		);
+		scraped.use(errorHandler);
+
+		await supertest(scraped).get("/metrics").expect(401);
+		await supertest(scraped)
+			.get("/metrics")
+			.set("Authorization", "Bearer wrong-one")
+			.expect(401);
+		await supertest(scraped)
+			.get("/metrics")
+			.set("Authorization", "Bearer scrape-me")
+			.expect(200);
+	});
+});
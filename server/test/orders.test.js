@@ -0,0 +1,411 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+	app,
+	repositories,
+	request,
+	resetState,
+	loggedInAgent,
+	waitForMail,
+} = require("./helpers");
+const payments = require("../payments");
+const createFakeProvider = require("../payments/fake");
+const orders = require("../services/orders");
+
+let provider;
+
+// a verified customer, able to order
+async function customerAgent(email = "ada@example.com") {
+	const client = await loggedInAgent(email);
+	const user = await repositories.users.findByEmail(email);
+	await repositories.users.update(user.id, { emailVerified: true });
+	return { client, user };
+}
+
+async function staffAgent() {
+	const client = await loggedInAgent("staff@example.com");
+	const staff = await repositories.users.findByEmail("staff@example.com");
+	await repositories.users.update(staff.id, { role: "staff" });
+	return client;
+}
+
+function placeOrder(client, body = {}) {
+	return client.post("/api/orders").send({
+		items: [
+			{ menuItemId: 1, quantity: 2 },
+			{ menuItemId: 2, quantity: 1 },
+		],
+		paymentMethod: "fake-card",
+		...body,
+	});
+}
+
+describe("placing an order", () => {
+	beforeEach(() => {
+		resetState();
+		provider = createFakeProvider();
+		payments.setPaymentProvider(provider);
+	});
+
+	it("prices the order from the menu and takes payment", async () => {
+		const soup = await repositories.menu.findItem(1);
+		const mushrooms = await repositories.menu.findItem(2);
+		const { client, user } = await customerAgent();
+
+		const res = await placeOrder(client, {
+			// ignored, prices only come from the menu
+			items: [
+				{ menuItemId: 1, quantity: 2, price: 0.01 },
+				{ menuItemId: 2, quantity: 1 },
+			],
+			notes: "No onions please",
+		});
+
+		assert.equal(res.status, 201);
+		const { order } = res.body.data;
+		const total = soup.price * 2 + mushrooms.price;
+		assert.equal(order.status, "confirmed");
+		assert.equal(order.userId, user.id);
+		assert.equal(order.total, total);
+		assert.equal(order.notes, "No onions please");
+		assert.deepEqual(
+			order.items.map(({ name, unitPrice, quantity }) => ({
+				name,
+				unitPrice,
+				quantity,
+			})),
+			[
+				{ name: soup.name, unitPrice: soup.price, quantity: 2 },
+				{
+					name: mushrooms.name,
+					unitPrice: mushrooms.price,
+					quantity: 1,
+				},
+			]
+		);
+
+		assert.equal(provider.charges.length, 1);
+		assert.equal(provider.charges[0].amount, Math.round(total * 100));
+		assert.equal(provider.charges[0].paymentId, order.paymentId);
+
+		const mail = await waitForMail("ada@example.com", "order-confirmation");
+		assert.match(mail.text, new RegExp(`2 x ${soup.name}`));
+	});
+
+	it("adds up the same dish on one line", async () => {
+		const { client } = await customerAgent();
+
+		const res = await placeOrder(client, {
+			items: [
+				{ menuItemId: 1, quantity: 1 },
+				{ menuItemId: 1, quantity: 2 },
+			],
+		});
+
+		assert.equal(res.status, 201);
+		assert.equal(res.body.data.order.items.length, 1);
+		assert.equal(res.body.data.order.items[0].quantity, 3);
+	});
+
+	it("refuses dishes that are not available", async () => {
+		await repositories.menu.updateItem(2, { available: false });
+		const { client, user } = await customerAgent();
+
+		const res = await placeOrder(client);
+
+		assert.equal(res.status, 400);
+		assert.equal(res.body.error.code, "ITEM_UNAVAILABLE");
+		assert.deepEqual(await repositories.orders.listForUser(user.id), []);
+		assert.equal(provider.charges.length, 0);
+	});
+
+	it("cancels the order when the payment is declined", async () => {
+		const { client, user } = await customerAgent();
+
+		const res = await placeOrder(client, {
+			paymentMethod: "fake-card-declined",
+		});
+
+		assert.equal(res.status, 402);
+		assert.equal(res.body.error.code, "PAYMENT_DECLINED");
+		assert.equal(res.body.message, "Your card was declined.");
+		const [order] = await repositories.orders.listForUser(user.id);
+		assert.equal(order.status, "cancelled");
+		assert.equal(order.paymentId, null);
+	});
+
+	it("cancels the order when the payment provider fails", async () => {
+		payments.setPaymentProvider({
+			...provider,
+			charge: async () => {
+				throw new Error("connect ETIMEDOUT");
+			},
+		});
+		const { client, user } = await customerAgent();
+
+		const res = await placeOrder(client);
+
+		assert.equal(res.status, 503);
+		assert.equal(res.body.error.code, "PAYMENT_FAILED");
+		const [order] = await repositories.orders.listForUser(user.id);
+		assert.equal(order.status, "cancelled");
+	});
+
+	it("refunds an order staff cancelled while it was being paid for", async () => {
+		const staff = await staffAgent();
+		payments.setPaymentProvider({
+			...provider,
+			charge: async (payment) => {
+				const orderId = payment.reference.replace("order-", "");
+				await staff
+					.patch(`/api/admin/orders/${orderId}`)
+					.send({ status: "cancelled" })
+					.expect(200);
+				return provider.charge(payment);
+			},
+		});
+		const { client, user } = await customerAgent();
+
+		const res = await placeOrder(client);
+
+		assert.equal(res.status, 409);
+		assert.equal(res.body.error.code, "ORDER_CANCELLED");
+		const [order] = await repositories.orders.listForUser(user.id);
+		assert.equal(order.status, "cancelled");
+		assert.notEqual(order.refundedAt, null);
+		assert.equal(provider.charges[0].refunded, provider.charges[0].amount);
+	});
+
+	it("refunds only once when staff cancel just after the payment", async () => {
+		// refunds take a moment, as they do at a real provider
+		payments.setPaymentProvider({
+			...provider,
+			refund: async (refund) => {
+				await new Promise((resolve) => setTimeout(resolve, 20));
+				return provider.refund(refund);
+			},
+		});
+		// staff cancel the order once it is paid but before it is confirmed,
+		// and their refund is still going when placeOrder finds it cancelled
+		const markPaid = repositories.orders.markPaid;
+		let staffCancel;
+		repositories.orders.markPaid = async (id, paymentId) => {
+			await markPaid.call(repositories.orders, id, paymentId);
+			staffCancel = orders.updateOrderStatus(id, "cancelled");
+			while (
+				(await repositories.orders.findById(id)).status !== "cancelled"
+			) {
+				await new Promise((resolve) => setImmediate(resolve));
+			}
+		};
+		const { client } = await customerAgent();
+
+		let res;
+		try {
+			res = await placeOrder(client);
+			await staffCancel;
+		} finally {
+			repositories.orders.markPaid = markPaid;
+		}
+
+		assert.equal(res.status, 409);
+		assert.equal(res.body.error.code, "ORDER_CANCELLED");
+		assert.equal(provider.charges[0].refunded, provider.charges[0].amount);
+	});
+
+	it("needs a verified email address", async () => {
+		const client = await loggedInAgent("ada@example.com");
+
+		const res = await placeOrder(client);
+
+		assert.equal(res.status, 403);
+		assert.equal(res.body.error.code, "EMAIL_NOT_VERIFIED");
+	});
+
+	it("is turned off without a payment provider", async () => {
+		payments.setPaymentProvider(null);
+		const { client } = await customerAgent();
+
+		const checkout = await request(app).get("/api/checkout");
+		assert.equal(checkout.body.data.available, false);
+
+		const res = await placeOrder(client);
+		assert.equal(res.status, 503);
+		assert.equal(res.body.error.code, "ORDERING_UNAVAILABLE");
+	});
+});
+
+describe("order history and cancelling", () => {
+	beforeEach(() => {
+		resetState();
+		provider = createFakeProvider();
+		payments.setPaymentProvider(provider);
+	});
+
+	it("lists only the user's own orders", async () => {
+		const { client } = await customerAgent();
+		const { client: other } = await customerAgent("grace@example.com");
+		const mine = (await placeOrder(client)).body.data.order;
+		await placeOrder(other);
+
+		const res = await client.get("/api/orders");
+		assert.deepEqual(
+			res.body.data.orders.map(({ id }) => id),
+			[mine.id]
+		);
+
+		const theirs = await other.get(`/api/orders/${mine.id}`);
+		assert.equal(theirs.status, 404);
+	});
+
+	it("cancels and refunds an order the kitchen hasn't started", async () => {
+		const { client } = await customerAgent();
+		const order = (await placeOrder(client)).body.data.order;
+
+		const res = await client.post(`/api/orders/${order.id}/cancel`);
+
+		assert.equal(res.status, 200);
+		assert.equal(res.body.data.order.status, "cancelled");
+		assert.notEqual(res.body.data.order.refundedAt, null);
+		assert.equal(provider.charges[0].refunded, provider.charges[0].amount);
+	});
+
+	it("keeps an order whose refund failed for staff to refund later", async () => {
+		const { client } = await customerAgent();
+		const order = (await placeOrder(client)).body.data.order;
+		payments.setPaymentProvider({
+			...provider,
+			refund: async () => {
+				throw new Error("connect ETIMEDOUT");
+			},
+		});
+
+		const res = await client.post(`/api/orders/${order.id}/cancel`);
+
+		assert.equal(res.status, 503);
+		assert.equal(res.body.error.code, "REFUND_FAILED");
+		const failed = await repositories.orders.findById(order.id);
+		assert.equal(failed.status, "cancelled");
+		assert.equal(failed.refundedAt, null);
+		assert.equal(provider.charges[0].refunded, 0);
+
+		payments.setPaymentProvider(provider);
+		const staff = await staffAgent();
+		const retried = await staff.post(
+			`/api/admin/orders/${order.id}/refund`
+		);
+
+		assert.equal(retried.status, 200);
+		assert.notEqual(retried.body.data.order.refundedAt, null);
+		assert.equal(provider.charges[0].refunded, provider.charges[0].amount);
+
+		const again = await staff.post(`/api/admin/orders/${order.id}/refund`);
+		assert.equal(again.status, 409);
+		assert.equal(again.body.error.code, "NOT_REFUNDABLE");
+	});
+
+	it("can't cancel while the payment is going through", async () => {
+		const { client, user } = await customerAgent();
+		const order = await repositories.orders.create({
+			userId: user.id,
+			items: [{ menuItemId: 1, name: "Soup", unitPrice: 5, quantity: 1 }],
+			total: 5,
+			currency: "GBP",
+			paymentProvider: "fake",
+		});
+
+		const res = await client.post(`/api/orders/${order.id}/cancel`);
+
+		assert.equal(res.status, 409);
+		assert.equal(res.body.error.code, "ORDER_NOT_CANCELLABLE");
+	});
+
+	it("can't cancel once it is being prepared", async () => {
+		const { client } = await customerAgent();
+		const order = (await placeOrder(client)).body.data.order;
+		const staff = await staffAgent();
+		await staff
+			.patch(`/api/admin/orders/${order.id}`)
+			.send({ status: "preparing" })
+			.expect(200);
+
+		const res = await client.post(`/api/orders/${order.id}/cancel`);
+
+		assert.equal(res.status, 409);
+		assert.equal(res.body.error.code, "ORDER_NOT_CANCELLABLE");
+	});
+});
+
+describe("staff order management", () => {
+	beforeEach(() => {
+		resetState();
+		provider = createFakeProvider();
+		payments.setPaymentProvider(provider);
+	});
+
+	it("moves an order through the kitchen", async () => {
+		const { client } = await customerAgent();
+		const order = (await placeOrder(client)).body.data.order;
+		const staff = await staffAgent();
+
+		for (const status of ["preparing", "ready", "collected"]) {
+			const res = await staff
+				.patch(`/api/admin/orders/${order.id}`)
+				.send({ status });
+			assert.equal(res.status, 200);
+			assert.equal(res.body.data.order.status, status);
+		}
+	});
+
+	it("refuses a change the state machine doesn't allow", async () => {
+		const { client } = await customerAgent();
+		const order = (await placeOrder(client)).body.data.order;
+		const staff = await staffAgent();
+
+		const res = await staff
+			.patch(`/api/admin/orders/${order.id}`)
+			.send({ status: "collected" });
+
+		assert.equal(res.status, 409);
+		assert.equal(res.body.error.code, "INVALID_STATUS_CHANGE");
+		assert.equal(
+			res.body.message,
+			"An order that is confirmed can't be marked collected"
+		);
+	});
+
+	it("filters by status", async () => {
+		const { client } = await customerAgent();
+		const first = (await placeOrder(client)).body.data.order;
+		const second = (await placeOrder(client)).body.data.order;
+		const staff = await staffAgent();
+		await staff
+			.patch(`/api/admin/orders/${first.id}`)
+			.send({ status: "preparing" });
+
+		const res = await staff.get(
+			"/api/admin/orders?status=confirmed,preparing"
+		);
+		assert.deepEqual(
+			res.body.data.orders.map(({ id, status }) => [id, status]),
+			[
+				[second.id, "confirmed"],
+				[first.id, "preparing"],
+			]
+		);
+
+		const preparing = await staff.get("/api/admin/orders?status=preparing");
+		assert.deepEqual(
+			preparing.body.data.orders.map(({ id }) => id),
+			[first.id]
+		);
+	});
+
+	it("is only for staff", async () => {
+		const { client } = await customerAgent();
+
+		const res = await client.get("/api/admin/orders");
+		assert.equal(res.status, 403);
+	});
+});
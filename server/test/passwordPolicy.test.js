@@ -0,0 +1,79 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+	PASSWORD_POLICY,
+	checkPassword,
+} = require("../../shared/passwordPolicy");
+
+describe("checkPassword", () => {
+	it("accepts a long passphrase", () => {
+		const result = checkPassword("correct horse 1", {
+			email: "ada@example.com",
+		});
+
+		assert.equal(result.valid, true);
+		assert.deepEqual(result.problems, []);
+		assert.equal(result.label, "Strong");
+	});
+
+	it("scores longer and more varied passwords higher", () => {
+		const fair = checkPassword("plum tree house");
+		const best = checkPassword("Plum tree house 42");
+
+		assert.equal(fair.valid, true);
+		assert.ok(best.score > fair.score);
+		assert.equal(best.label, "Very strong");
+	});
+
+	it("lists every rule that is broken", () => {
+		const result = checkPassword("abcdef");
+
+		assert.equal(result.valid, false);
+		assert.equal(result.score, 0);
+		assert.equal(result.label, "Too weak");
+		assert.deepEqual(result.problems, [
+			"Password must be at least 10 characters",
+			"Password must use at least 2 of: lowercase letters, uppercase letters, numbers and symbols",
+		]);
+	});
+
+	it("rejects common passwords, even dressed up", () => {
+		for (const password of [
+			"qwertyuiop1",
+			"Password2024!",
+			"P@55w0rd!!",
+			"Liverpool1234",
+		]) {
+			assert.deepEqual(checkPassword(password).problems, [
+				"Password is too common, choose something less predictable",
+			]);
+		}
+	});
+
+	it("rejects passwords containing the email address", () => {
+		const email = "Ada.Lovelace@example.com";
+
+		assert.equal(checkPassword("ada.lovelace99", { email }).valid, false);
+		assert.equal(
+			checkPassword("my ada.lovelace@example.com", { email }).valid,
+			false
+		);
+		// a short name could be part of any word
+		assert.equal(
+			checkPassword("calm morning 7", { email: "al@example.com" }).valid,
+			true
+		);
+	});
+
+	it("follows a custom policy", () => {
+		const policy = {
+			...PASSWORD_POLICY,
+			minLength: 6,
+			minCharacterClasses: 1,
+		};
+
+		assert.equal(checkPassword("tangerine", { policy }).valid, true);
+		assert.equal(checkPassword("tangerine").valid, false);
+	});
+});
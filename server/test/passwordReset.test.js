@@ -0,0 +1,230 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+	PASSWORD,
+	app,
+	repositories,
+	request,
+	resetState,
+	waitForMail,
+	registerUser,
+	loggedInAgent,
+} = require("./helpers");
+
+const FORGOT_REPLY =
+	"If that email is registered, we have sent it a password reset link.";
+
+// asks for a reset and returns the token from the emailed link
+async function requestResetToken(email) {
+	await request(app).post("/api/forgot").send({ email });
+	const mail = await waitForMail(email, "password-reset");
+	return /token=([0-9a-f]{64})/.exec(mail.text)[1];
+}
+
+describe("POST /api/forgot", () => {
+	beforeEach(resetState);
+
+	it("emails a reset link to a registered address", async () => {
+		await registerUser("ada@example.com");
+
+		const res = await request(app)
+			.post("/api/forgot")
+			.send({ email: "ada@example.com" });
+
+		assert.equal(res.status, 200);
+		assert.equal(res.body.message, FORGOT_REPLY);
+
+		const mail = await waitForMail("ada@example.com", "password-reset");
+		assert.match(
+			mail.text,
+			/\/reset\?email=ada%40example\.com&token=[0-9a-f]{64}/
+		);
+		// the token only ever goes out by email
+		assert.doesNotMatch(JSON.stringify(res.body), /[0-9a-f]{64}/);
+	});
+
+	it("gives the same reply for an unknown address", async () => {
+		const res = await request(app)
+			.post("/api/forgot")
+			.send({ email: "nobody@example.com" });
+
+		assert.equal(res.status, 200);
+		assert.equal(res.body.message, FORGOT_REPLY);
+		await assert.rejects(
+			waitForMail("nobody@example.com", "password-reset")
+		);
+	});
+
+	it("records the request in the auth event log", async () => {
+		await request(app)
+			.post("/api/forgot")
+			.send({ email: "nobody@example.com" });
+
+		const events = await repositories.authEvents.list({
+			type: "password_reset_requested",
+		});
+		assert.equal(events.length, 1);
+		assert.equal(events[0].email, "nobody@example.com");
+	});
+
+	it("is rate limited per email address", async () => {
+		for (let i = 0; i < 3; i++) {
+			await request(app)
+				.post("/api/forgot")
+				.send({ email: "ada@example.com" });
+		}
+
+		const res = await request(app)
+			.post("/api/forgot")
+			.send({ email: "ada@example.com" });
+
+		assert.equal(res.status, 429);
+	});
+});
+
+describe("POST /api/reset", () => {
+	beforeEach(resetState);
+
+	it("sets the new password", async () => {
+		await registerUser("ada@example.com");
+		const token = await requestResetToken("ada@example.com");
+
+		const res = await request(app)
+			.post("/api/reset")
+			.send({ token, password: "a brand new one" });
+
+		assert.equal(res.status, 200);
+		assert.equal(res.body.message, "Password has been reset successfully.");
+
+		const oldLogin = await request(app)
+			.post("/api/login")
+			.send({ email: "ada@example.com", password: PASSWORD });
+		assert.equal(oldLogin.status, 401);
+
+		const newLogin = await request(app)
+			.post("/api/login")
+			.send({ email: "ada@example.com", password: "a brand new one" });
+		assert.equal(newLogin.status, 200);
+
+		await waitForMail("ada@example.com", "password-changed");
+	});
+
+	it("only works once", async () => {
+		await registerUser("ada@example.com");
+		const token = await requestResetToken("ada@example.com");
+
+		await request(app)
+			.post("/api/reset")
+			.send({ token, password: "a brand new one" });
+		const res = await request(app)
+			.post("/api/reset")
+			.send({ token, password: "and another one" });
+
+		assert.equal(res.status, 400);
+		assert.equal(res.body.message, "Invalid or expired token");
+	});
+
+	it("logs out every session of the account", async () => {
+		const client = await loggedInAgent("ada@example.com");
+		const token = await requestResetToken("ada@example.com");
+
+		await request(app)
+			.post("/api/reset")
+			.send({ token, password: "a brand new one" });
+
+		const res = await client.post("/api/authcheck");
+		assert.equal(res.body.data.loggedIn, false);
+	});
+
+	it("lifts a lockout", async () => {
+		const userId = await registerUser("ada@example.com");
+		await repositories.users.update(userId, {
+			failedLoginCount: 7,
+			lockedUntil: new Date(Date.now() + 60 * 60 * 1000),
+		});
+		const token = await requestResetToken("ada@example.com");
+
+		await request(app)
+			.post("/api/reset")
+			.send({ token, password: "a brand new one" });
+
+		const res = await request(app)
+			.post("/api/login")
+			.send({ email: "ada@example.com", password: "a brand new one" });
+		assert.equal(res.status, 200);
+	});
+
+	it("rejects a malformed token", async () => {
+		const res = await request(app)
+			.post("/api/reset")
+			.send({ token: "not-a-token", password: "a brand new one" });
+
+		assert.equal(res.status, 400);
+		assert.equal(res.body.message, "Invalid token format");
+	});
+
+	it("rejects a missing token", async () => {
+		const res = await request(app)
+			.post("/api/reset")
+			.send({ password: "a brand new one" });
+
+		assert.equal(res.status, 400);
+		assert.equal(res.body.message, "Invalid token format");
+	});
+
+	it("rejects a well formed token that was never issued", async () => {
+		const res = await request(app)
+			.post("/api/reset")
+			.send({ token: "a".repeat(64), password: "a brand new one" });
+
+		assert.equal(res.status, 400);
+		assert.equal(res.body.message, "Invalid or expired token");
+	});
+
+	it("rejects an expired token and throws it away", async () => {
+		const userId = await registerUser("ada@example.com");
+		const token = "b".repeat(64);
+		await repositories.tokens.save(userId, "password-reset", {
+			token,
+			expires: new Date(Date.now() - 1000),
+		});
+
+		const res = await request(app)
+			.post("/api/reset")
+			.send({ token, password: "a brand new one" });
+
+		assert.equal(res.status, 400);
+		assert.equal(res.body.message, "Token has expired");
+		assert.equal(res.body.error.code, "TOKEN_EXPIRED");
+		assert.equal(
+			await repositories.tokens.find("password-reset", token),
+			null
+		);
+	});
+
+	it("rejects a password that breaks the password policy", async () => {
+		await registerUser("ada@example.com");
+		const token = await requestResetToken("ada@example.com");
+
+		const res = await request(app)
+			.post("/api/reset")
+			.send({ token, password: "short" });
+
+		assert.equal(res.status, 400);
+		assert.equal(
+			res.body.message,
+			"Password must be at least 10 characters"
+		);
+		assert.deepEqual(res.body.error, {
+			code: "WEAK_PASSWORD",
+			fields: { password: "Password must be at least 10 characters" },
+		});
+
+		// the token still works for a better password
+		const retry = await request(app)
+			.post("/api/reset")
+			.send({ token, password: "long enough now" });
+		assert.equal(retry.status, 200);
+	});
+});
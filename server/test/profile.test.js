@@ -0,0 +1,147 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+	app,
+	repositories,
+	request,
+	resetState,
+	loggedInAgent,
+} = require("./helpers");
+
+const EMAIL = "ada@example.com";
+
+describe("GET /api/me", () => {
+	beforeEach(resetState);
+
+	it("returns the profile without any secrets", async () => {
+		const client = await loggedInAgent(EMAIL);
+
+		const res = await client.get("/api/me");
+
+		assert.equal(res.status, 200);
+		const { profile, dietaryTags } = res.body.data;
+		assert.equal(profile.email, EMAIL);
+		assert.equal(profile.role, "customer");
+		assert.equal(profile.emailVerified, false);
+		assert.deepEqual(profile.dietaryPreferences, []);
+		assert.ok(dietaryTags.includes("vegan"));
+		assert.doesNotMatch(
+			JSON.stringify(res.body),
+			/passwordHash|resetToken|totpSecret/
+		);
+	});
+
+	it("needs a login", async () => {
+		const res = await request(app).get("/api/me");
+
+		assert.equal(res.status, 401);
+		assert.equal(res.body.error.code, "LOGIN_REQUIRED");
+	});
+});
+
+describe("PATCH /api/me", () => {
+	beforeEach(resetState);
+
+	it("updates only the fields given", async () => {
+		const client = await loggedInAgent(EMAIL);
+
+		const res = await client.patch("/api/me").send({
+			displayName: "  Ada Lovelace ",
+			phone: "+44 20 7946 0000",
+			dietaryPreferences: ["vegan", "gluten-free"],
+		});
+
+		assert.equal(res.status, 200);
+		assert.equal(res.body.data.profile.displayName, "Ada Lovelace");
+
+		await client
+			.patch("/api/me")
+			.send({ phone: "020 7946 0001" })
+			.expect(200);
+		const user = await repositories.users.findByEmail(EMAIL);
+		assert.equal(user.displayName, "Ada Lovelace");
+		assert.equal(user.phone, "020 7946 0001");
+		assert.deepEqual(user.dietaryPreferences, ["vegan", "gluten-free"]);
+	});
+
+	it("clears fields set to null", async () => {
+		const client = await loggedInAgent(EMAIL);
+		await client
+			.patch("/api/me")
+			.send({ displayName: "Ada", dietaryPreferences: ["vegan"] })
+			.expect(200);
+
+		const res = await client
+			.patch("/api/me")
+			.send({ displayName: null, dietaryPreferences: null });
+
+		assert.equal(res.status, 200);
+		assert.equal(res.body.data.profile.displayName, null);
+		assert.deepEqual(res.body.data.profile.dietaryPreferences, []);
+	});
+
+	it("rejects an unknown dietary preference or a bad phone number", async () => {
+		const client = await loggedInAgent(EMAIL);
+
+		const diet = await client
+			.patch("/api/me")
+			.send({ dietaryPreferences: ["carnivore"] });
+		assert.equal(diet.status, 400);
+
+		const phone = await client.patch("/api/me").send({ phone: "call me" });
+		assert.equal(phone.status, 400);
+		assert.equal(phone.body.message, "Phone number is not valid");
+
+		const user = await repositories.users.findByEmail(EMAIL);
+		assert.deepEqual(user.dietaryPreferences, []);
+		assert.equal(user.phone, null);
+	});
+});
+
+describe("GET /api/me/export", () => {
+	beforeEach(resetState);
+
+	it("includes sessions, linked accounts, API keys and auth events", async () => {
+		const client = await loggedInAgent(EMAIL);
+		const user = await repositories.users.findByEmail(EMAIL);
+		await repositories.identities.create({
+			userId: user.id,
+			provider: "github",
+			subject: "1234",
+			email: EMAIL,
+		});
+		const { key } = (
+			await client
+				.post("/api/me/api-keys")
+				.send({ name: "Backup script" })
+				.expect(201)
+		).body.data;
+
+		const res = await client.get("/api/me/export");
+
+		assert.equal(res.status, 200);
+		assert.match(res.headers["content-disposition"], /my-data\.json/);
+		const data = res.body;
+		assert.equal(data.profile.email, EMAIL);
+		assert.equal(data.sessions.length, 1);
+		assert.equal(data.sessions[0].current, true);
+		assert.deepEqual(
+			data.linkedAccounts.map(({ provider, subject }) => ({
+				provider,
+				subject,
+			})),
+			[{ provider: "github", subject: "1234" }]
+		);
+		assert.deepEqual(
+			data.apiKeys.map(({ name }) => name),
+			["Backup script"]
+		);
+		assert.ok(
+			data.authEvents.some((event) => event.type === "login_success")
+		);
+		// only details, never the secrets themselves
+		assert.equal(JSON.stringify(data).includes(key), false);
+		assert.doesNotMatch(JSON.stringify(data), /passwordHash|keyHash/);
+	});
+});
@@ -0,0 +1,161 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+	PASSWORD,
+	app,
+	repositories,
+	request,
+	resetState,
+	waitForMail,
+} = require("./helpers");
+const config = require("../config");
+
+describe("POST /api/register", () => {
+	beforeEach(resetState);
+
+	it("creates the account and sends a verification link", async () => {
+		const res = await request(app)
+			.post("/api/register")
+			.send({ email: "ada@example.com", password: PASSWORD });
+
+		assert.equal(res.status, 201);
+		assert.equal(res.body.success, true);
+		assert.equal(res.body.message, "User registered successfully");
+
+		const user = await repositories.users.findById(res.body.data.userId);
+		assert.equal(user.email, "ada@example.com");
+		assert.equal(user.role, "customer");
+		assert.equal(user.emailVerified, false);
+		// never stored as given
+		assert.notEqual(user.passwordHash, PASSWORD);
+
+		const mail = await waitForMail("ada@example.com", "verify-email");
+		assert.match(mail.text, /\/verify\?token=/);
+	});
+
+	it("records a register auth event", async () => {
+		const res = await request(app)
+			.post("/api/register")
+			.send({ email: "ada@example.com", password: PASSWORD });
+
+		const events = await repositories.authEvents.list({ type: "register" });
+		assert.equal(events.length, 1);
+		assert.equal(events[0].userId, res.body.data.userId);
+		assert.equal(events[0].email, "ada@example.com");
+	});
+
+	it("rejects an email that is already registered", async () => {
+		await request(app)
+			.post("/api/register")
+			.send({ email: "ada@example.com", password: PASSWORD });
+
+		const res = await request(app)
+			.post("/api/register")
+			.send({ email: "ada@example.com", password: "another password" });
+
+		assert.equal(res.status, 409);
+		assert.equal(res.body.message, "Email already registered");
+		assert.equal(res.body.error.code, "EMAIL_TAKEN");
+		assert.equal((await repositories.users.list()).length, 1);
+	});
+
+	it("rejects a password that breaks the password policy", async () => {
+		const res = await request(app)
+			.post("/api/register")
+			.send({ email: "ada@example.com", password: "Password2024!" });
+
+		assert.equal(res.status, 400);
+		assert.deepEqual(res.body.error, {
+			code: "WEAK_PASSWORD",
+			fields: {
+				password:
+					"Password is too common, choose something less predictable",
+			},
+		});
+		assert.equal(
+			await repositories.users.findByEmail("ada@example.com"),
+			null
+		);
+	});
+
+	it("rejects a password made from the email address", async () => {
+		const res = await request(app).post("/api/register").send({
+			email: "ada.lovelace@example.com",
+			password: "ada.lovelace1",
+		});
+
+		assert.equal(res.status, 400);
+		assert.equal(
+			res.body.message,
+			"Password must not contain your email address"
+		);
+	});
+
+	it("is rate limited per IP address", async () => {
+		for (let i = 0; i < 5; i++) {
+			const res = await request(app)
+				.post("/api/register")
+				.send({ email: `user${i}@example.com`, password: PASSWORD });
+			assert.equal(res.status, 201);
+		}
+
+		const res = await request(app)
+			.post("/api/register")
+			.send({ email: "user5@example.com", password: PASSWORD });
+
+		assert.equal(res.status, 429);
+		assert.ok(Number(res.headers["retry-after"]) > 0);
+		assert.equal(
+			await repositories.users.findByEmail("user5@example.com"),
+			null
+		);
+	});
+});
+
+describe("POST /api/verify", () => {
+	beforeEach(resetState);
+
+	// the token from the verification email sent on registering
+	async function registerAndGetToken(email = "ada@example.com") {
+		await request(app)
+			.post("/api/register")
+			.send({ email, password: PASSWORD })
+			.expect(201);
+		const mail = await waitForMail(email, "verify-email");
+		return /token=([^\s&]+)/.exec(mail.text)[1];
+	}
+
+	it("accepts links signed before EMAIL_TOKEN_SECRET was rotated", async () => {
+		const token = await registerAndGetToken();
+		const secrets = config.emailTokenSecrets;
+		config.emailTokenSecrets = ["a new secret", ...secrets];
+
+		try {
+			const res = await request(app).post("/api/verify").send({ token });
+
+			assert.equal(res.status, 200);
+			const user = await repositories.users.findByEmail(
+				"ada@example.com"
+			);
+			assert.equal(user.emailVerified, true);
+		} finally {
+			config.emailTokenSecrets = secrets;
+		}
+	});
+
+	it("rejects links once their secret has been removed", async () => {
+		const token = await registerAndGetToken();
+		const secrets = config.emailTokenSecrets;
+		config.emailTokenSecrets = ["a new secret"];
+
+		try {
+			const res = await request(app).post("/api/verify").send({ token });
+
+			assert.equal(res.status, 400);
+			assert.equal(res.body.error.code, "INVALID_TOKEN");
+		} finally {
+			config.emailTokenSecrets = secrets;
+		}
+	});
+});
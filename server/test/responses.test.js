@@ -0,0 +1,92 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { app, request, resetState, loggedInAgent } = require("./helpers");
+
+describe("API error responses", () => {
+	beforeEach(resetState);
+
+	it("answers an unknown route with NOT_FOUND", async () => {
+		const res = await request(app).get("/api/nothing-here");
+
+		assert.equal(res.status, 404);
+		assert.deepEqual(res.body, {
+			success: false,
+			message: "No such API route: GET /api/nothing-here",
+			error: { code: "NOT_FOUND" },
+		});
+	});
+
+	it("answers a malformed JSON body with INVALID_JSON", async () => {
+		const res = await request(app)
+			.post("/api/login")
+			.set("Content-Type", "application/json")
+			.send('{"email": ');
+
+		assert.equal(res.status, 400);
+		assert.equal(res.body.success, false);
+		assert.equal(res.body.error.code, "INVALID_JSON");
+	});
+
+	it("lists each invalid field", async () => {
+		const res = await request(app)
+			.post("/api/register")
+			.send({ email: "not an email" });
+
+		assert.equal(res.status, 400);
+		assert.equal(res.body.message, "Email must be a valid email address");
+		assert.deepEqual(res.body.error, {
+			code: "VALIDATION_FAILED",
+			fields: {
+				email: "Email must be a valid email address",
+				password: "Password is required",
+			},
+		});
+	});
+
+	it("answers a logged out visitor with LOGIN_REQUIRED", async () => {
+		const res = await request(app).get("/api/me");
+
+		assert.equal(res.status, 401);
+		assert.equal(res.body.error.code, "LOGIN_REQUIRED");
+	});
+
+	it("answers an unverified account with EMAIL_NOT_VERIFIED", async () => {
+		const client = await loggedInAgent("ada@example.com");
+
+		const res = await client
+			.post("/api/bookings")
+			.send({ date: "2030-01-01", time: "19:00", partySize: 2 });
+
+		assert.equal(res.status, 403);
+		assert.equal(res.body.error.code, "EMAIL_NOT_VERIFIED");
+	});
+
+	it("answers a customer on a staff route with FORBIDDEN", async () => {
+		const client = await loggedInAgent("ada@example.com");
+
+		const res = await client.get("/api/admin/users");
+
+		assert.equal(res.status, 403);
+		assert.deepEqual(res.body, {
+			success: false,
+			message: "You do not have permission to do that.",
+			error: { code: "FORBIDDEN" },
+		});
+	});
+
+	it("checks route params before the handler runs", async () => {
+		const res = await request(app).get("/api/menu/items/abc");
+
+		assert.equal(res.status, 400);
+		assert.equal(res.body.message, "Id must be a whole number");
+	});
+
+	it("wraps successful replies in the envelope", async () => {
+		const res = await request(app).get("/api/menu");
+
+		assert.equal(res.status, 200);
+		assert.equal(res.body.success, true);
+		assert.ok(Array.isArray(res.body.data.categories));
+	});
+});
@@ -0,0 +1,91 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { PASSWORD, agent, resetState, loggedInAgent } = require("./helpers");
+
+const EMAIL = "ada@example.com";
+
+// another login for an account that already exists, from another device
+async function loginFrom(device, email = EMAIL) {
+	const client = agent();
+	await client
+		.post("/api/login")
+		.set("User-Agent", device)
+		.send({ email, password: PASSWORD })
+		.expect(200);
+	return client;
+}
+
+async function listSessions(client) {
+	const res = await client.get("/api/sessions").expect(200);
+	return res.body.data.sessions;
+}
+
+describe("/api/sessions", () => {
+	beforeEach(resetState);
+
+	it("lists the user's own sessions and marks the current one", async () => {
+		const phone = await loggedInAgent(EMAIL);
+		await loginFrom("Laptop");
+		await loggedInAgent("grace@example.com");
+
+		const sessions = await listSessions(phone);
+
+		assert.equal(sessions.length, 2);
+		assert.equal(sessions.filter((session) => session.current).length, 1);
+		const laptop = sessions.find((session) => !session.current);
+		assert.equal(laptop.userAgent, "Laptop");
+		assert.ok(laptop.lastSeen);
+	});
+
+	it("logs out another of the user's sessions", async () => {
+		const phone = await loggedInAgent(EMAIL);
+		const laptop = await loginFrom("Laptop");
+		const other = (await listSessions(phone)).find(
+			(session) => !session.current
+		);
+
+		const res = await phone.delete(`/api/sessions/${other.id}`);
+
+		assert.equal(res.status, 200);
+		await laptop.get("/api/me").expect(401);
+		await phone.get("/api/me").expect(200);
+		assert.equal((await listSessions(phone)).length, 1);
+	});
+
+	it("can't log out someone else's session", async () => {
+		const ada = await loggedInAgent(EMAIL);
+		const grace = await loggedInAgent("grace@example.com");
+		const [theirs] = await listSessions(grace);
+
+		const res = await ada.delete(`/api/sessions/${theirs.id}`);
+
+		assert.equal(res.status, 404);
+		await grace.get("/api/me").expect(200);
+	});
+
+	it("logs the user out when they revoke the current session", async () => {
+		const client = await loggedInAgent(EMAIL);
+		const [current] = await listSessions(client);
+
+		await client.delete(`/api/sessions/${current.id}`).expect(200);
+
+		const res = await client.get("/api/me");
+		assert.equal(res.status, 401);
+		assert.equal(res.body.error.code, "LOGIN_REQUIRED");
+	});
+
+	it("logs out every other session", async () => {
+		const phone = await loggedInAgent(EMAIL);
+		const laptop = await loginFrom("Laptop");
+		const tablet = await loginFrom("Tablet");
+
+		const res = await phone.delete("/api/sessions");
+
+		assert.equal(res.status, 200);
+		assert.equal(res.body.data.count, 2);
+		await laptop.get("/api/me").expect(401);
+		await tablet.get("/api/me").expect(401);
+		await phone.get("/api/me").expect(200);
+	});
+});
@@ -0,0 +1,245 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+	PASSWORD,
+	app,
+	repositories,
+	request,
+	resetState,
+	agent,
+	registerUser,
+} = require("./helpers");
+const config = require("../config");
+const totp = require("../totp");
+const createMockIdp = require("./mockIdp");
+
+const idp = createMockIdp();
+
+// Goes through the whole round trip: our start route, the provider's
+// authorize page (which signs in straight away) and back to our callback.
+// Returns the callback's response.
+async function signIn(client) {
+	const start = await client.get("/api/auth/oidc");
+	assert.equal(start.status, 302);
+
+	const authorize = await fetch(start.headers.location, {
+		redirect: "manual",
+	});
+	assert.equal(authorize.status, 302);
+
+	// the callback URL is on the client's origin, which proxies /api here
+	const callback = new URL(authorize.headers.get("location"));
+	return client.get(callback.pathname + callback.search);
+}
+
+describe("social login", () => {
+	before(async () => {
+		await idp.listen();
+		config.oidc.custom = {
+			issuer: idp.issuer,
+			name: "Mock ID",
+			clientId: idp.clientId,
+			clientSecret: idp.clientSecret,
+		};
+	});
+
+	after(async () => {
+		config.oidc.custom = null;
+		await idp.close();
+	});
+
+	beforeEach(() => {
+		resetState();
+		idp.user = {
+			sub: "mock-user-1",
+			email: "ada@example.com",
+			email_verified: true,
+		};
+	});
+
+	it("lists the configured providers", async () => {
+		const res = await request(app).get("/api/auth/providers");
+
+		assert.deepEqual(res.body.data, {
+			providers: [{ id: "oidc", name: "Mock ID" }],
+		});
+	});
+
+	it("sends the browser to the provider with PKCE", async () => {
+		const res = await agent().get("/api/auth/oidc");
+
+		assert.equal(res.status, 302);
+		const location = new URL(res.headers.location);
+		assert.equal(location.origin, idp.issuer);
+		assert.equal(location.searchParams.get("response_type"), "code");
+		assert.equal(
+			location.searchParams.get("code_challenge_method"),
+			"S256"
+		);
+		assert.equal(
+			location.searchParams.get("redirect_uri"),
+			`${config.appUrl}/api/auth/oidc/callback`
+		);
+		assert.ok(location.searchParams.get("state"));
+		assert.ok(location.searchParams.get("nonce"));
+	});
+
+	it("answers an unknown provider with 404", async () => {
+		const res = await request(app).get("/api/auth/myspace");
+
+		assert.equal(res.status, 404);
+		assert.equal(res.body.error.code, "UNKNOWN_PROVIDER");
+	});
+
+	it("creates a verified account without a password", async () => {
+		const client = agent();
+
+		const res = await signIn(client);
+
+		assert.equal(res.status, 302);
+		assert.equal(res.headers.location, `${config.appUrl}/`);
+
+		const check = await client.post("/api/authcheck");
+		assert.equal(check.body.data.loggedIn, true);
+		assert.equal(check.body.data.emailVerified, true);
+
+		const user = await repositories.users.findByEmail("ada@example.com");
+		assert.equal(user.passwordHash, null);
+		const [identity] = await repositories.identities.listForUser(user.id);
+		assert.equal(identity.provider, "oidc");
+		assert.equal(identity.subject, "mock-user-1");
+	});
+
+	it("links to an existing verified account by email", async () => {
+		const userId = await registerUser("ada@example.com");
+		await repositories.users.update(userId, { emailVerified: true });
+		const client = agent();
+
+		await signIn(client);
+
+		const check = await client.post("/api/authcheck");
+		assert.equal(check.body.data.userId, userId);
+		const [event] = await repositories.authEvents.list({
+			type: "identity_linked",
+		});
+		assert.equal(event.userId, userId);
+
+		// and finds it by the provider's id next time, even with a new email
+		idp.user = { ...idp.user, email: "ada@elsewhere.example" };
+		const again = agent();
+		await signIn(again);
+		const second = await again.post("/api/authcheck");
+		assert.equal(second.body.data.userId, userId);
+	});
+
+	it("won't link to an account whose email isn't verified", async () => {
+		await registerUser("ada@example.com");
+		const client = agent();
+
+		const res = await signIn(client);
+
+		assert.equal(res.status, 302);
+		assert.match(res.headers.location, /\/login\?error=An%20account/);
+		const check = await client.post("/api/authcheck");
+		assert.equal(check.body.data.loggedIn, false);
+	});
+
+	it("needs an email address the provider has verified", async () => {
+		idp.user = { ...idp.user, email_verified: false };
+
+		const res = await signIn(agent());
+
+		assert.match(res.headers.location, /\/login\?error=/);
+		assert.equal(
+			await repositories.users.findByEmail("ada@example.com"),
+			null
+		);
+	});
+
+	it("rejects a callback that doesn't match the request", async () => {
+		const client = agent();
+		await client.get("/api/auth/oidc");
+
+		const res = await client.get(
+			"/api/auth/oidc/callback?code=abc&state=forged"
+		);
+
+		assert.match(res.headers.location, /\/login\?error=/);
+		const [event] = await repositories.authEvents.list({
+			type: "login_failure",
+		});
+		assert.match(event.detail, /doesn't match/);
+	});
+
+	it("rejects a callback without a sign in in progress", async () => {
+		const res = await agent().get(
+			"/api/auth/oidc/callback?code=abc&state=xyz"
+		);
+
+		assert.match(res.headers.location, /\/login\?error=.*timed%20out/);
+	});
+
+	it("tells password-less accounts to set a password first", async () => {
+		const client = agent();
+		await signIn(client);
+
+		const res = await client
+			.post("/api/me/2fa/setup")
+			.send({ password: "anything at all" });
+
+		assert.equal(res.status, 401);
+		assert.equal(res.body.error.code, "NO_PASSWORD");
+	});
+
+	it("still asks for the two-factor code", async () => {
+		const userId = await registerUser("ada@example.com");
+		const secret = totp.generateSecret();
+		await repositories.users.update(userId, {
+			emailVerified: true,
+			totpSecret: secret,
+			totpEnabledAt: new Date(),
+		});
+		const client = agent();
+
+		const res = await signIn(client);
+
+		assert.equal(
+			res.headers.location,
+			`${config.appUrl}/login?twoFactor=1`
+		);
+		const check = await client.post("/api/authcheck");
+		assert.deepEqual(check.body.data, {
+			loggedIn: false,
+			twoFactorPending: true,
+		});
+
+		const code = await client
+			.post("/api/login/2fa")
+			.send({ code: totp.generateCode(secret) });
+		assert.equal(code.status, 200);
+	});
+});
+
+describe("accounts without a password", () => {
+	beforeEach(resetState);
+
+	it("can't log in with a password", async () => {
+		// as made by social login
+		await repositories.users.create({
+			email: "ada@example.com",
+			emailVerified: true,
+		});
+
+		const res = await request(app)
+			.post("/api/login")
+			.send({ email: "ada@example.com", password: PASSWORD });
+
+		assert.equal(res.status, 401);
+		assert.equal(res.body.error.code, "INVALID_CREDENTIALS");
+		const [event] = await repositories.authEvents.list({
+			type: "login_failure",
+		});
+		assert.equal(event.detail, "no password set");
+	});
+});
@@ -0,0 +1,452 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+	PASSWORD,
+	app,
+	repositories,
+	request,
+	resetState,
+	agent,
+	waitForMail,
+	registerUser,
+	loggedInAgent,
+} = require("./helpers");
+const mailer = require("../mailer");
+const totp = require("../totp");
+const twoFactor = require("../services/twoFactor");
+
+const EMAIL = "ada@example.com";
+
+// a valid code for the step after the one already used, so tests don't wait
+// for the clock to move on
+async function nextCode(email = EMAIL) {
+	const user = await repositories.users.findByEmail(email);
+	const lastStep = user.totpLastStep ?? totp.timeStep() - 2;
+	return totp.generateCode(user.totpSecret, lastStep + 1);
+}
+
+// logs in as `email`, turns two-factor on and returns the agent and codes
+async function enableTwoFactor(email = EMAIL) {
+	const client = await loggedInAgent(email);
+
+	const setup = await client
+		.post("/api/me/2fa/setup")
+		.send({ password: PASSWORD });
+	assert.equal(setup.status, 200);
+
+	const res = await client
+		.post("/api/me/2fa/enable")
+		.send({ code: totp.generateCode(setup.body.data.secret) });
+	assert.equal(res.status, 200);
+
+	return { client, recoveryCodes: res.body.data.recoveryCodes };
+}
+
+async function passwordStep(client, email = EMAIL) {
+	return client.post("/api/login").send({ email, password: PASSWORD });
+}
+
+describe("totp", () => {
+	// RFC 6238 appendix B, the SHA1 rows cut to 6 digits
+	const secret = totp.base32Encode(Buffer.from("12345678901234567890"));
+
+	it("matches the RFC test vectors", () => {
+		assert.equal(totp.generateCode(secret, totp.timeStep(59000)), "287082");
+		assert.equal(
+			totp.generateCode(secret, totp.timeStep(1111111109000)),
+			"081804"
+		);
+	});
+
+	it("round trips base32", () => {
+		const bytes = Buffer.from([0, 1, 2, 250, 255]);
+		assert.deepEqual(totp.base32Decode(totp.base32Encode(bytes)), bytes);
+		assert.deepEqual(
+			totp.base32Decode("gezd gnbv gy3t qojq gezd gnbv gy3t qojq"),
+			Buffer.from("12345678901234567890")
+		);
+	});
+
+	it("allows one step of clock drift either way", () => {
+		const time = 1111111109000;
+		const step = totp.timeStep(time);
+
+		for (const offset of [-1, 0, 1]) {
+			const code = totp.generateCode(secret, step + offset);
+			assert.equal(
+				totp.verifyCode(secret, code, { time }),
+				step + offset
+			);
+		}
+		const late = totp.generateCode(secret, step - 2);
+		assert.equal(totp.verifyCode(secret, late, { time }), null);
+	});
+
+	it("refuses steps that were already used", () => {
+		const time = Date.now();
+		const code = totp.generateCode(secret, totp.timeStep(time));
+
+		const step = totp.verifyCode(secret, code, { time });
+		assert.equal(
+			totp.verifyCode(secret, code, { lastStep: step, time }),
+			null
+		);
+		assert.equal(totp.verifyCode(secret, "12345", { time }), null);
+	});
+
+	it("builds an otpauth link", () => {
+		const url = new URL(
+			totp.otpauthUrl("ABC", { issuer: "Diner", account: EMAIL })
+		);
+		assert.equal(url.protocol, "otpauth:");
+		assert.equal(url.searchParams.get("secret"), "ABC");
+		assert.equal(url.searchParams.get("issuer"), "Diner");
+		assert.equal(url.host, "totp");
+		assert.equal(decodeURIComponent(url.pathname), `/Diner:${EMAIL}`);
+	});
+});
+
+describe("two-factor setup", () => {
+	beforeEach(resetState);
+
+	it("starts off", async () => {
+		const client = await loggedInAgent(EMAIL);
+
+		const res = await client.get("/api/me/2fa");
+
+		assert.deepEqual(res.body.data, {
+			enabled: false,
+			recoveryCodesLeft: 0,
+		});
+	});
+
+	it("needs the password to start setup", async () => {
+		const client = await loggedInAgent(EMAIL);
+
+		const res = await client
+			.post("/api/me/2fa/setup")
+			.send({ password: "wrong password" });
+
+		assert.equal(res.status, 401);
+		const user = await repositories.users.findByEmail(EMAIL);
+		assert.equal(user.totpSecret, null);
+	});
+
+	it("returns a secret, link and QR code", async () => {
+		const client = await loggedInAgent(EMAIL);
+
+		const res = await client
+			.post("/api/me/2fa/setup")
+			.send({ password: PASSWORD });
+
+		assert.equal(res.status, 200);
+		const { secret, otpauthUrl, qrCode } = res.body.data;
+		assert.match(secret, /^[A-Z2-7]{32}$/);
+		assert.ok(otpauthUrl.startsWith("otpauth://totp/"));
+		assert.ok(otpauthUrl.includes(`secret=${secret}`));
+		assert.match(qrCode, /^data:image\/png;base64,/);
+
+		// not on until a code is confirmed
+		const status = await client.get("/api/me/2fa");
+		assert.equal(status.body.data.enabled, false);
+	});
+
+	it("refuses to enable with a wrong code", async () => {
+		const client = await loggedInAgent(EMAIL);
+		await client.post("/api/me/2fa/setup").send({ password: PASSWORD });
+
+		const res = await client
+			.post("/api/me/2fa/enable")
+			.send({ code: "000000" });
+
+		assert.equal(res.status, 400);
+		assert.equal(res.body.error.code, "INVALID_CODE");
+		assert.ok(res.body.error.fields.code);
+	});
+
+	it("refuses to enable before setup", async () => {
+		const client = await loggedInAgent(EMAIL);
+
+		const res = await client
+			.post("/api/me/2fa/enable")
+			.send({ code: "123456" });
+
+		assert.equal(res.status, 400);
+		assert.equal(res.body.error.code, "TWO_FACTOR_NOT_STARTED");
+	});
+
+	it("turns on with a code and hands out recovery codes", async () => {
+		const { client, recoveryCodes } = await enableTwoFactor();
+
+		assert.equal(recoveryCodes.length, 10);
+		for (const code of recoveryCodes) {
+			assert.match(code, /^[A-Z2-7]{4}-[A-Z2-7]{4}$/);
+		}
+
+		const status = await client.get("/api/me/2fa");
+		assert.deepEqual(status.body.data, {
+			enabled: true,
+			recoveryCodesLeft: 10,
+		});
+		const me = await client.get("/api/me");
+		assert.equal(me.body.data.profile.twoFactorEnabled, true);
+
+		const mail = await waitForMail(EMAIL, "two-factor-changed");
+		assert.match(mail.subject, /turned on/);
+		assert.equal(
+			(await repositories.authEvents.list({ type: "two_factor_enabled" }))
+				.length,
+			1
+		);
+	});
+
+	it("can't be set up twice", async () => {
+		const { client } = await enableTwoFactor();
+
+		const res = await client
+			.post("/api/me/2fa/setup")
+			.send({ password: PASSWORD });
+
+		assert.equal(res.status, 409);
+		assert.equal(res.body.error.code, "TWO_FACTOR_ENABLED");
+	});
+
+	it("replaces the recovery codes", async () => {
+		const { client, recoveryCodes } = await enableTwoFactor();
+
+		const res = await client
+			.post("/api/me/2fa/recovery-codes")
+			.send({ password: PASSWORD });
+
+		assert.equal(res.status, 200);
+		assert.equal(res.body.data.recoveryCodes.length, 10);
+
+		// the old ones no longer work
+		const login = agent();
+		await passwordStep(login);
+		const old = await login
+			.post("/api/login/2fa")
+			.send({ code: recoveryCodes[0] });
+		assert.equal(old.status, 401);
+	});
+});
+
+describe("two-factor login", () => {
+	beforeEach(resetState);
+
+	it("asks for a code after the password", async () => {
+		await enableTwoFactor();
+		const client = agent();
+
+		const res = await passwordStep(client);
+
+		assert.equal(res.status, 200);
+		assert.deepEqual(res.body.data, { twoFactorRequired: true });
+
+		// not logged in yet
+		const check = await client.post("/api/authcheck");
+		assert.deepEqual(check.body.data, {
+			loggedIn: false,
+			twoFactorPending: true,
+		});
+		const me = await client.get("/api/me");
+		assert.equal(me.status, 401);
+	});
+
+	it("logs in with an app code", async () => {
+		await enableTwoFactor();
+		const client = agent();
+		const user = await repositories.users.findByEmail(EMAIL);
+		const first = await passwordStep(client);
+
+		const res = await client
+			.post("/api/login/2fa")
+			.send({ code: await nextCode() });
+
+		assert.equal(res.status, 200);
+		assert.deepEqual(res.body.data, {
+			userId: user.id,
+			role: "customer",
+			emailVerified: false,
+		});
+		// a fresh session id again once fully logged in
+		assert.notEqual(
+			res.headers["set-cookie"][0].split(";")[0],
+			first.headers["set-cookie"][0].split(";")[0]
+		);
+
+		const check = await client.post("/api/authcheck");
+		assert.equal(check.body.data.loggedIn, true);
+
+		const [event] = await repositories.authEvents.list({
+			type: "login_success",
+		});
+		assert.equal(event.detail, "two-factor, app");
+	});
+
+	it("doesn't accept the same app code twice", async () => {
+		await enableTwoFactor();
+		const code = await nextCode();
+
+		const first = agent();
+		await passwordStep(first);
+		await first.post("/api/login/2fa").send({ code });
+
+		const second = agent();
+		await passwordStep(second);
+		const res = await second.post("/api/login/2fa").send({ code });
+
+		assert.equal(res.status, 401);
+		assert.equal(res.body.error.code, "INVALID_CODE");
+	});
+
+	it("lets only one of two logins checked together use the same code", async () => {
+		await enableTwoFactor();
+		const code = await nextCode();
+		// both logins read the account before either used the code
+		const user = await repositories.users.findByEmail(EMAIL);
+
+		const results = await Promise.all([
+			twoFactor.verifySecondFactor(user, code),
+			twoFactor.verifySecondFactor(user, code),
+		]);
+
+		assert.deepEqual(results.sort(), ["app", null]);
+	});
+
+	it("accepts each recovery code once", async () => {
+		const { recoveryCodes } = await enableTwoFactor();
+		// typed without the dash and in lowercase
+		const code = recoveryCodes[0].replace("-", "").toLowerCase();
+
+		const first = agent();
+		await passwordStep(first);
+		const res = await first.post("/api/login/2fa").send({ code });
+		assert.equal(res.status, 200);
+
+		const second = agent();
+		await passwordStep(second);
+		const again = await second.post("/api/login/2fa").send({ code });
+		assert.equal(again.status, 401);
+
+		const status = await first.get("/api/me/2fa");
+		assert.equal(status.body.data.recoveryCodesLeft, 9);
+	});
+
+	it("refuses a code without the password step", async () => {
+		await enableTwoFactor();
+
+		const res = await request(app)
+			.post("/api/login/2fa")
+			.send({ code: await nextCode() });
+
+		assert.equal(res.status, 401);
+		assert.equal(res.body.error.code, "TWO_FACTOR_EXPIRED");
+	});
+
+	it("times out the password step", async (t) => {
+		await enableTwoFactor();
+		const client = agent();
+		await passwordStep(client);
+
+		const now = Date.now();
+		t.mock.method(Date, "now", () => now + 10 * 60 * 1000);
+
+		const res = await client
+			.post("/api/login/2fa")
+			.send({ code: "123456" });
+
+		assert.equal(res.status, 401);
+		assert.equal(res.body.error.code, "TWO_FACTOR_EXPIRED");
+	});
+
+	it("locks the account after 5 wrong codes", async () => {
+		await enableTwoFactor();
+		const client = agent();
+		await passwordStep(client);
+
+		for (let i = 0; i < 5; i++) {
+			const res = await client
+				.post("/api/login/2fa")
+				.send({ code: "000000" });
+			assert.equal(res.status, 401);
+		}
+
+		const res = await client
+			.post("/api/login/2fa")
+			.send({ code: await nextCode() });
+		assert.equal(res.status, 429);
+		assert.equal(res.body.error.code, "ACCOUNT_LOCKED");
+	});
+
+	it("stays a normal login for accounts without it", async () => {
+		const userId = await registerUser(EMAIL);
+		await repositories.users.update(userId, { totpSecret: "ABCDEFGH" });
+
+		const res = await passwordStep(agent());
+
+		// a setup that was never finished doesn't count
+		assert.equal(res.body.message, "Login successful.");
+	});
+});
+
+describe("turning two-factor off", () => {
+	beforeEach(resetState);
+
+	it("needs the password and a code", async () => {
+		const { client } = await enableTwoFactor();
+
+		const wrongCode = await client
+			.post("/api/me/2fa/disable")
+			.send({ password: PASSWORD, code: "000000" });
+		assert.equal(wrongCode.status, 401);
+
+		const res = await client
+			.post("/api/me/2fa/disable")
+			.send({ password: PASSWORD, code: await nextCode() });
+		assert.equal(res.status, 200);
+
+		const status = await client.get("/api/me/2fa");
+		assert.equal(status.body.data.enabled, false);
+		const login = await passwordStep(agent());
+		assert.equal(login.body.message, "Login successful.");
+	});
+
+	it("can be reset by an admin", async () => {
+		await enableTwoFactor();
+		const user = await repositories.users.findByEmail(EMAIL);
+		const adminId = await registerUser("admin@example.com");
+		await repositories.users.update(adminId, { role: "admin" });
+		const admin = agent();
+		await passwordStep(admin, "admin@example.com");
+
+		const list = await admin.get("/api/admin/users");
+		const listed = list.body.data.users.find(({ id }) => id === user.id);
+		assert.equal(listed.twoFactorEnabled, true);
+
+		mailer.outbox.length = 0; // drop the "turned on" notice
+		const res = await admin.delete(`/api/admin/users/${user.id}/2fa`);
+
+		assert.equal(res.status, 200);
+		const login = await passwordStep(agent());
+		assert.equal(login.body.message, "Login successful.");
+
+		const [event] = await repositories.authEvents.list({
+			type: "two_factor_reset",
+		});
+		assert.equal(event.detail, `by user ${adminId}`);
+		const mail = await waitForMail(EMAIL, "two-factor-changed");
+		assert.match(mail.subject, /administrator/);
+	});
+
+	it("can't be reset by a customer", async () => {
+		await enableTwoFactor();
+		const user = await repositories.users.findByEmail(EMAIL);
+		const client = await loggedInAgent("bob@example.com");
+
+		const res = await client.delete(`/api/admin/users/${user.id}/2fa`);
+
+		assert.equal(res.status, 403);
+	});
+});
@@ -0,0 +1,147 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { checkSchema } = require("../validation");
+
+describe("checkSchema", () => {
+	it("cleans the values it accepts", () => {
+		const { values, fields } = checkSchema(
+			{
+				email: "  Ada@Example.com ",
+				partySize: "4",
+				price: 12.5,
+				available: "false",
+				tags: ["vegan"],
+				extra: "dropped",
+			},
+			{
+				email: { type: "email", required: true },
+				partySize: { type: "integer", min: 1 },
+				price: { type: "number", min: 0 },
+				available: { type: "boolean" },
+				tags: { type: "array", items: { oneOf: ["vegan"] } },
+			}
+		);
+
+		assert.deepEqual(fields, {});
+		assert.deepEqual(values, {
+			email: "ada@example.com",
+			partySize: 4,
+			price: 12.5,
+			available: false,
+			tags: ["vegan"],
+		});
+	});
+
+	it("reports every invalid field with a readable label", () => {
+		const { fields } = checkSchema(
+			{ partySize: "2.5", date: "19/10/2026", time: "25:00" },
+			{
+				email: { type: "email", required: true },
+				partySize: { type: "integer" },
+				date: { type: "date" },
+				time: { type: "time" },
+			}
+		);
+
+		assert.deepEqual(fields, {
+			email: "Email is required",
+			partySize: "Party size must be a whole number",
+			date: "Date must be in the format YYYY-MM-DD",
+			time: "Time must be in the format HH:MM",
+		});
+	});
+
+	it("checks lengths, ranges and allowed values", () => {
+		const { fields } = checkSchema(
+			{ name: "x".repeat(6), limit: 0, role: "owner", tags: ["keto"] },
+			{
+				name: { type: "string", maxLength: 5 },
+				limit: { type: "integer", min: 1 },
+				role: { type: "string", oneOf: ["customer", "admin"] },
+				tags: { type: "array", items: { oneOf: ["vegan"] } },
+			}
+		);
+
+		assert.deepEqual(fields, {
+			name: "Name must be 5 characters or less",
+			limit: "Limit must be at least 1",
+			role: "Role must be one of: customer, admin",
+			tags: "Tags must be one of: vegan",
+		});
+	});
+
+	it("leaves passwords untrimmed when asked", () => {
+		const { values } = checkSchema(
+			{ password: " spaced out " },
+			{ password: { type: "string", trim: false } }
+		);
+
+		assert.equal(values.password, " spaced out ");
+	});
+
+	it("lets an optional field be cleared", () => {
+		const { values, fields } = checkSchema(
+			{ notes: "", partySize: null },
+			{
+				notes: { type: "string" },
+				partySize: { type: "integer" },
+				time: { type: "time" },
+			}
+		);
+
+		assert.deepEqual(fields, {});
+		assert.deepEqual(values, { notes: "", partySize: null });
+	});
+
+	it("uses a custom message for any problem", () => {
+		const rule = { type: "string", required: true, message: "Bad link" };
+
+		assert.deepEqual(checkSchema({}, { token: rule }).fields, {
+			token: "Bad link",
+		});
+		assert.deepEqual(checkSchema({ token: 5 }, { token: rule }).fields, {
+			token: "Bad link",
+		});
+	});
+
+	it("treats a missing body as empty", () => {
+		const { fields } = checkSchema(undefined, {
+			email: { type: "email", required: true },
+		});
+
+		assert.deepEqual(fields, { email: "Email is required" });
+	});
+
+	it("checks lists of objects", () => {
+		const items = {
+			type: "array",
+			minLength: 1,
+			items: {
+				type: "object",
+				fields: {
+					menuItemId: { type: "id", required: true },
+					quantity: { type: "integer", min: 1, max: 20 },
+				},
+			},
+		};
+
+		const { values } = checkSchema(
+			{ items: [{ menuItemId: "3", quantity: 2, price: 0 }] },
+			{ items }
+		);
+		assert.deepEqual(values, { items: [{ menuItemId: 3, quantity: 2 }] });
+
+		assert.deepEqual(
+			checkSchema({ items: [{ menuItemId: 3, quantity: 50 }] }, { items })
+				.fields,
+			{ items: "Quantity must be at most 20" }
+		);
+		assert.deepEqual(checkSchema({ items: [] }, { items }).fields, {
+			items: "Items must have at least 1 entry",
+		});
+		assert.deepEqual(checkSchema({ items: ["3"] }, { items }).fields, {
+			items: "Each items entry must be an object",
+		});
+	});
+});
@@ -0,0 +1,115 @@
+const crypto = require("crypto");
+
+// Time-based one-time passwords (RFC 6238) as used by Google Authenticator,
+// Authy, 1Password and friends: HMAC-SHA1, 6 digits, a new code every 30
+// seconds. Secrets are stored and shown to the user in base32.
+
+const DIGITS = 6;
+const STEP_SECONDS = 30;
+const SECRET_BYTES = 20; // 160 bits, as RFC 4226 recommends
+
+// a code from one step either side still counts, for phones whose clocks
+// are a little off
+const DRIFT_STEPS = 1;
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+function base32Encode(buffer) {
+	let bits = "";
+	for (const byte of buffer) {
+		bits += byte.toString(2).padStart(8, "0");
+	}
+
+	let output = "";
+	for (let i = 0; i < bits.length; i += 5) {
+		output +=
+			BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, "0"), 2)];
+	}
+	return output;
+}
+
+// Accepts lowercase, spaces and padding, the way people copy secrets around.
+function base32Decode(text) {
+	const clean = String(text).toUpperCase().replace(/[\s=]/g, "");
+
+	let bits = "";
+	for (const char of clean) {
+		const value = BASE32_ALPHABET.indexOf(char);
+		if (value === -1) throw new Error("Invalid base32 secret");
+		bits += value.toString(2).padStart(5, "0");
+	}
+
+	const bytes = [];
+	for (let i = 0; i + 8 <= bits.length; i += 8) {
+		bytes.push(parseInt(bits.slice(i, i + 8), 2));
+	}
+	return Buffer.from(bytes);
+}
+
+function generateSecret() {
+	return base32Encode(crypto.randomBytes(SECRET_BYTES));
+}
+
+// the 30 second window `time` falls in
+function timeStep(time = Date.now()) {
+	return Math.floor(time / 1000 / STEP_SECONDS);
+}
+
+// RFC 4226 HOTP for one step
+function generateCode(secret, step = timeStep()) {
+	const counter = Buffer.alloc(8);
+	counter.writeBigUInt64BE(BigInt(step));
+
+	const hmac = crypto
+		.createHmac("sha1", base32Decode(secret))
+		.update(counter)
+		.digest();
+
+	const offset = hmac[hmac.length - 1] & 0x0f;
+	const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+	return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+}
+
+// Returns the step the code belongs to, or null if it doesn't match. Steps at
+// or before `lastStep` are refused, so a code can only be used once.
+function verifyCode(secret, code, { lastStep = null, time = Date.now() } = {}) {
+	const given = String(code || "").replace(/\s/g, "");
+	if (!/^\d{6}$/.test(given)) return null;
+
+	const current = timeStep(time);
+	for (
+		let step = current - DRIFT_STEPS;
+		step <= current + DRIFT_STEPS;
+		step++
+	) {
+		if (lastStep !== null && step <= lastStep) continue;
+
+		const expected = Buffer.from(generateCode(secret, step));
+		if (crypto.timingSafeEqual(expected, Buffer.from(given))) {
+			return step;
+		}
+	}
+	return null;
+}
+
+// The otpauth:// link authenticator apps read from the QR code.
+function otpauthUrl(secret, { issuer, account }) {
+	const label = encodeURIComponent(`${issuer}:${account}`);
+	const params = new URLSearchParams({
+		secret,
+		issuer,
+		algorithm: "SHA1",
+		digits: String(DIGITS),
+		period: String(STEP_SECONDS),
+	});
+	return `otpauth://totp/${label}?${params}`;
+}
+
+module.exports.base32Encode = base32Encode;
+module.exports.base32Decode = base32Decode;
+module.exports.generateSecret = generateSecret;
+module.exports.generateCode = generateCode;
+module.exports.timeStep = timeStep;
+module.exports.verifyCode = verifyCode;
+module.exports.otpauthUrl = otpauthUrl;
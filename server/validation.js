@@ -0,0 +1,260 @@
+const { checkPassword } = require("../shared/passwordPolicy");
+const { ValidationError } = require("./errors");
+
+// Declarative checks for what a route accepts, e.g.
+//
+//   app.post("/api/login", validate({
+//       body: {
+//           email: { type: "email", required: true },
+//           password: { type: "string", required: true, maxLength: 128 },
+//       },
+//   }), handler)
+//
+// Every field is checked and all problems are reported together as a
+// ValidationError with a message per field. The body is replaced by the
+// cleaned values (trimmed, numbers converted, unknown fields dropped), so the
+// handler can trust req.body. Query and route params are only checked, the
+// services still convert them.
+//
+// Field options:
+//   type       string, email, integer, number, boolean, date (YYYY-MM-DD),
+//              time (HH:MM), array, object or id (a positive whole number)
+//   required   must be present and not empty
+//   label      name used in messages, "partySize" becomes "Party size"
+//   message    use this instead of every generated message
+//   minLength, maxLength, min, max, oneOf, pattern
+//   items      options every entry of an array must pass
+//   fields     for objects, a schema like this one for what they hold
+//   trim       strings are trimmed unless this is false (e.g. passwords)
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+function labelFor(name) {
+	const words = name.replace(/([a-z])([A-Z])/g, "$1 $2").toLowerCase();
+	return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+function isEmpty(value) {
+	return value === undefined || value === null || value === "";
+}
+
+function toNumber(value) {
+	if (typeof value === "number") return value;
+	if (typeof value === "string" && value.trim() !== "") {
+		return Number(value);
+	}
+	return NaN;
+}
+
+// Returns [cleanValue, problem], problem is null when the value is fine.
+function checkValue(value, rule, label) {
+	switch (rule.type) {
+		case "email": {
+			if (typeof value !== "string") {
+				return [value, `${label} must be an email address`];
+			}
+			const email = value.trim().toLowerCase();
+			if (!EMAIL_PATTERN.test(email) || email.length > 255) {
+				return [email, `${label} must be a valid email address`];
+			}
+			return [email, null];
+		}
+
+		case "string":
+		case "date":
+		case "time": {
+			if (typeof value !== "string") {
+				return [value, `${label} must be text`];
+			}
+			const text = rule.trim === false ? value : value.trim();
+			if (rule.type === "date" && !DATE_PATTERN.test(text)) {
+				return [text, `${label} must be in the format YYYY-MM-DD`];
+			}
+			if (rule.type === "time" && !TIME_PATTERN.test(text)) {
+				return [text, `${label} must be in the format HH:MM`];
+			}
+			if (rule.minLength !== undefined && text.length < rule.minLength) {
+				return [
+					text,
+					`${label} must be at least ${rule.minLength} characters`,
+				];
+			}
+			if (rule.maxLength !== undefined && text.length > rule.maxLength) {
+				return [
+					text,
+					`${label} must be ${rule.maxLength} characters or less`,
+				];
+			}
+			if (rule.pattern && !rule.pattern.test(text)) {
+				return [text, `${label} is not valid`];
+			}
+			return [text, null];
+		}
+
+		case "integer":
+		case "number":
+		case "id": {
+			const number = toNumber(value);
+			const whole = rule.type !== "number";
+			if (
+				!Number.isFinite(number) ||
+				(whole && !Number.isInteger(number))
+			) {
+				return [
+					value,
+					`${label} must be ${whole ? "a whole number" : "a number"}`,
+				];
+			}
+			const min = rule.type === "id" ? 1 : rule.min;
+			if (min !== undefined && number < min) {
+				return [number, `${label} must be at least ${min}`];
+			}
+			if (rule.max !== undefined && number > rule.max) {
+				return [number, `${label} must be at most ${rule.max}`];
+			}
+			return [number, null];
+		}
+
+		case "boolean": {
+			if (value === true || value === "true") return [true, null];
+			if (value === false || value === "false") return [false, null];
+			return [value, `${label} must be true or false`];
+		}
+
+		case "array": {
+			if (!Array.isArray(value)) {
+				return [value, `${label} must be a list`];
+			}
+			if (rule.minLength !== undefined && value.length < rule.minLength) {
+				return [
+					value,
+					`${label} must have at least ${rule.minLength} ${
+						rule.minLength === 1 ? "entry" : "entries"
+					}`,
+				];
+			}
+			if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+				return [
+					value,
+					`${label} can have at most ${rule.maxLength} entries`,
+				];
+			}
+			const items = [];
+			for (const item of value) {
+				const [clean, problem] = checkValue(
+					item,
+					{ type: "string", ...rule.items },
+					`Each ${label.toLowerCase()} entry`
+				);
+				if (problem) return [value, problem];
+				items.push(clean);
+			}
+			return [items, null];
+		}
+
+		// the first problem inside is reported, unknown keys are dropped
+		case "object": {
+			if (!value || typeof value !== "object" || Array.isArray(value)) {
+				return [value, `${label} must be an object`];
+			}
+			const result = checkSchema(value, rule.fields || {});
+			const problems = Object.values(result.fields);
+			return [result.values, problems.length > 0 ? problems[0] : null];
+		}
+
+		default:
+			throw new Error(`Unknown validation type: ${rule.type}`);
+	}
+}
+
+function checkOneOf(value, rule, label) {
+	const allowed =
+		rule.type === "array" ? rule.items && rule.items.oneOf : rule.oneOf;
+	if (!allowed) return null;
+
+	const values = rule.type === "array" ? value : [value];
+	const unknown = values.find((entry) => !allowed.includes(entry));
+	if (unknown === undefined) return null;
+
+	return `${label} must be one of: ${allowed.join(", ")}`;
+}
+
+// Checks `input` against `schema` and returns { values, fields }, where
+// `fields` maps each invalid field to its message.
+function checkSchema(input, schema) {
+	const source = input && typeof input === "object" ? input : {};
+	const values = {};
+	const fields = {};
+
+	for (const [name, rule] of Object.entries(schema)) {
+		const label = rule.label || labelFor(name);
+		let value = source[name];
+
+		if (typeof value === "string" && rule.trim !== false) {
+			value = value.trim();
+		}
+
+		if (isEmpty(value)) {
+			if (rule.required) {
+				fields[name] = rule.message || `${label} is required`;
+			} else if (value !== undefined) {
+				// lets an optional field be cleared with null or ""
+				values[name] = rule.type === "string" ? value : null;
+			}
+			continue;
+		}
+
+		const [clean, problem] = checkValue(value, rule, label);
+		const invalid = problem || checkOneOf(clean, rule, label);
+		if (invalid) {
+			fields[name] = rule.message || invalid;
+			continue;
+		}
+
+		values[name] = clean;
+	}
+
+	return { values, fields };
+}
+
+// Express middleware for a schema of { body, query, params }.
+function validate(schema) {
+	return (req, res, next) => {
+		const fields = {};
+
+		for (const part of ["params", "query", "body"]) {
+			if (!schema[part]) continue;
+
+			const result = checkSchema(req[part], schema[part]);
+			Object.assign(fields, result.fields);
+			if (part === "body") req.body = result.values;
+		}
+
+		const problems = Object.values(fields);
+		if (problems.length > 0) {
+			// the first problem reads well on its own, the rest are in `fields`
+			return next(new ValidationError(problems[0], { fields }));
+		}
+
+		next();
+	};
+}
+
+// For the services, wherever a password is set. Throws a ValidationError
+// against `field` if the password breaks the shared password policy.
+function checkNewPassword(password, { email, field = "password" } = {}) {
+	const { valid, problems } = checkPassword(password, { email });
+	if (valid) return;
+
+	throw new ValidationError(problems[0], {
+		code: "WEAK_PASSWORD",
+		fields: { [field]: problems[0] },
+	});
+}
+
+module.exports.EMAIL_PATTERN = EMAIL_PATTERN;
+module.exports.checkSchema = checkSchema;
+module.exports.validate = validate;
+module.exports.checkNewPassword = checkNewPassword;
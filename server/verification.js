@@ -0,0 +1,60 @@
+const crypto = require("crypto");
+
+const config = require("./config");
+
+const TOKEN_LIFETIME_MS = 1000 * 60 * 60 * 24; // 24 hours
+
+// The email address is part of the signature but not the token, so a token
+// stops working as soon as the account's address changes.
+function sign(secret, userId, email, expires) {
+	return crypto
+		.createHmac("sha256", secret)
+		.update(`${userId}.${email}.${expires}`)
+		.digest("base64url");
+}
+
+// Tokens look like "<userId>.<expiry ms>.<signature>"
+function createVerificationToken(userId, email) {
+	const expires = Date.now() + TOKEN_LIFETIME_MS;
+	const secret = config.emailTokenSecrets[0];
+	return `${userId}.${expires}.${sign(secret, userId, email, expires)}`;
+}
+
+// Splits a token without trusting it, checkVerificationToken does the rest
+// once the caller has looked up the user's current email.
+function parseVerificationToken(token) {
+	const parts = typeof token === "string" ? token.split(".") : [];
+	if (
+		parts.length !== 3 ||
+		!/^\d+$/.test(parts[0]) ||
+		!/^\d+$/.test(parts[1])
+	) {
+		return null;
+	}
+
+	return {
+		userId: Number(parts[0]),
+		expires: Number(parts[1]),
+		signature: parts[2],
+	};
+}
+
+// Tokens signed with any of EMAIL_TOKEN_SECRET's secrets are accepted, so
+// links already sent keep working while the secret is rotated.
+function checkVerificationToken(parsed, email) {
+	const given = Buffer.from(parsed.signature);
+
+	return config.emailTokenSecrets.some((secret) => {
+		const expected = Buffer.from(
+			sign(secret, parsed.userId, email, parsed.expires)
+		);
+		return (
+			expected.length === given.length &&
+			crypto.timingSafeEqual(expected, given)
+		);
+	});
+}
+
+module.exports.createVerificationToken = createVerificationToken;
+module.exports.parseVerificationToken = parseVerificationToken;
+module.exports.checkVerificationToken = checkVerificationToken;
@@ -0,0 +1,334 @@
+// Passwords that turn up again and again in breach dumps and guessing lists,
+// in lowercase. Shipped with the app so the check works offline and never
+// sends a password anywhere. passwordPolicy.js also catches these with
+// numbers or symbols added on the end, e.g. "Password2024!".
+const COMMON_PASSWORDS = [
+	"password",
+	"passw0rd",
+	"p@ssword",
+	"p@ssw0rd",
+	"pass1234",
+	"password1",
+	"password12",
+	"password123",
+	"password1234",
+	"password12345",
+	"password!",
+	"password1!",
+	"mypassword",
+	"passwordpassword",
+	"secret",
+	"secret123",
+	"letmein",
+	"letmein123",
+	"welcome",
+	"welcome1",
+	"welcome123",
+	"welcome2024",
+	"welcome2025",
+	"welcome2026",
+	"changeme",
+	"changeme123",
+	"default",
+	"default123",
+	"admin",
+	"admin123",
+	"admin1234",
+	"administrator",
+	"root",
+	"toor",
+	"guest",
+	"guest123",
+	"login",
+	"login123",
+	"user",
+	"user123",
+	"test",
+	"test123",
+	"test1234",
+	"testing",
+	"testing123",
+	"temp",
+	"temp123",
+	"qwerty",
+	"qwerty1",
+	"qwerty12",
+	"qwerty123",
+	"qwerty1234",
+	"qwertyui",
+	"qwertyuiop",
+	"qwertyuiop123",
+	"qwertz",
+	"qwertzuiop",
+	"azerty",
+	"azertyuiop",
+	"asdfgh",
+	"asdfghjk",
+	"asdfghjkl",
+	"asdf1234",
+	"zxcvbn",
+	"zxcvbnm",
+	"zxcvbnm123",
+	"1q2w3e4r",
+	"1q2w3e4r5t",
+	"1q2w3e4r5t6y",
+	"q1w2e3r4",
+	"q1w2e3r4t5",
+	"q1w2e3r4t5y6",
+	"1qaz2wsx",
+	"1qaz2wsx3edc",
+	"zaq12wsx",
+	"zaq1zaq1",
+	"qazwsx",
+	"qazwsxedc",
+	"qweasdzxc",
+	"qwer1234",
+	"1234qwer",
+	"abc123",
+	"abc12345",
+	"abc123456",
+	"abcd1234",
+	"abcdefg",
+	"abcdefgh",
+	"a1b2c3d4",
+	"a1b2c3d4e5",
+	"aa123456",
+	"aaaaaaaa",
+	"123abc",
+	"12345678",
+	"123456789",
+	"1234567890",
+	"0987654321",
+	"87654321",
+	"987654321",
+	"11111111",
+	"111111111",
+	"1111111111",
+	"00000000",
+	"000000000",
+	"0000000000",
+	"12121212",
+	"12341234",
+	"11223344",
+	"112233445566",
+	"123123123",
+	"123321123",
+	"123456123",
+	"1234512345",
+	"12344321",
+	"13579135",
+	"147258369",
+	"159753159",
+	"159357",
+	"22222222",
+	"55555555",
+	"66666666",
+	"77777777",
+	"88888888",
+	"99999999",
+	"123qwe123",
+	"123qweasd",
+	"123456qwerty",
+	"qwerty123456",
+	"1password",
+	"iloveyou",
+	"iloveyou1",
+	"iloveyou2",
+	"iloveyou123",
+	"iloveu",
+	"ilovemom",
+	"ilovegod",
+	"lovelove",
+	"loveme",
+	"loveyou",
+	"lovely",
+	"lovers",
+	"sweetheart",
+	"princess",
+	"princess1",
+	"sunshine",
+	"sunshine1",
+	"sunflower",
+	"rainbow",
+	"butterfly",
+	"flower",
+	"flowers",
+	"angel",
+	"angels",
+	"angel123",
+	"babygirl",
+	"baby123",
+	"beautiful",
+	"football",
+	"football1",
+	"football123",
+	"baseball",
+	"baseball1",
+	"basketball",
+	"soccer",
+	"soccer123",
+	"hockey",
+	"tennis",
+	"golfer",
+	"swimming",
+	"liverpool",
+	"liverpool1",
+	"chelsea",
+	"chelsea123",
+	"arsenal",
+	"arsenal123",
+	"manchester",
+	"manutd",
+	"barcelona",
+	"realmadrid",
+	"juventus",
+	"tottenham",
+	"superman",
+	"superman123",
+	"batman",
+	"batman123",
+	"spiderman",
+	"ironman",
+	"starwars",
+	"starwars1",
+	"pokemon",
+	"pokemon123",
+	"naruto",
+	"matrix",
+	"harrypotter",
+	"hogwarts",
+	"dragon",
+	"dragon123",
+	"dragons",
+	"monkey",
+	"monkey123",
+	"tiger",
+	"tigers",
+	"lion",
+	"panther",
+	"shadow",
+	"shadow123",
+	"master",
+	"master123",
+	"killer",
+	"hunter",
+	"hunter2",
+	"ranger",
+	"michael",
+	"michael1",
+	"jennifer",
+	"jessica",
+	"jordan",
+	"jordan23",
+	"michelle",
+	"charlie",
+	"charlie123",
+	"daniel",
+	"thomas",
+	"robert",
+	"andrew",
+	"joshua",
+	"matthew",
+	"nicole",
+	"ashley",
+	"amanda",
+	"william",
+	"jasmine",
+	"jessica1",
+	"george",
+	"trustno1",
+	"whatever",
+	"whatever1",
+	"freedom",
+	"freedom1",
+	"forever",
+	"forever1",
+	"hello",
+	"hello123",
+	"hello1234",
+	"helloworld",
+	"goodluck",
+	"goodbye",
+	"nothing",
+	"secret1",
+	"computer",
+	"computer1",
+	"internet",
+	"samsung",
+	"iphone",
+	"google",
+	"google123",
+	"microsoft",
+	"windows",
+	"apple",
+	"apple123",
+	"android",
+	"facebook",
+	"instagram",
+	"youtube",
+	"twitter",
+	"linkedin",
+	"netflix",
+	"spotify",
+	"summer",
+	"summer123",
+	"summer2024",
+	"summer2025",
+	"winter",
+	"winter123",
+	"spring",
+	"autumn",
+	"january",
+	"february",
+	"march",
+	"april",
+	"august",
+	"september",
+	"october",
+	"november",
+	"december",
+	"monday",
+	"friday",
+	"christmas",
+	"money",
+	"money123",
+	"dollar",
+	"bitcoin",
+	"crypto",
+	"cheese",
+	"chocolate",
+	"cookie",
+	"banana",
+	"pepper",
+	"orange",
+	"coffee",
+	"pizza",
+	"pizza123",
+	"burger",
+	"restaurant",
+	"restaurant1",
+	"booking",
+	"bookings",
+	"table",
+	"mustang",
+	"ferrari",
+	"porsche",
+	"corvette",
+	"yamaha",
+	"harley",
+	"mercedes",
+	"letmein1",
+	"access",
+	"access14",
+	"passport",
+	"security",
+	"secure",
+	"secure123",
+	"private",
+	"qwerty12345",
+	"asdasdasd",
+	"asdasd123",
+	"zxczxczxc",
+];
+
+module.exports.COMMON_PASSWORDS = COMMON_PASSWORDS;
@@ -0,0 +1,135 @@
+const { COMMON_PASSWORDS } = require("./commonPasswords");
+
+// The password rules, used by the server when a password is set and by the
+// client for the strength meter, so both always agree. Change the policy here
+// and both sides follow.
+//
+//   minLength, maxLength   allowed length in characters
+//   minCharacterClasses    how many of lowercase, uppercase, numbers and
+//                          symbols (anything else, spaces included) it needs
+//   banEmail               refuse passwords containing the account's email
+//                          address or the part before the @
+//   banCommon              refuse passwords on the common passwords list
+const PASSWORD_POLICY = {
+	minLength: 10,
+	maxLength: 128,
+	minCharacterClasses: 2,
+	banEmail: true,
+	banCommon: true,
+};
+
+const CHARACTER_CLASSES = [
+	{ name: "lowercase letters", pattern: /[a-z]/ },
+	{ name: "uppercase letters", pattern: /[A-Z]/ },
+	{ name: "numbers", pattern: /[0-9]/ },
+	{ name: "symbols", pattern: /[^a-zA-Z0-9]/ },
+];
+
+// "lowercase letters, uppercase letters, numbers and symbols"
+const CLASS_NAMES = CHARACTER_CLASSES.map(({ name }) => name)
+	.join(", ")
+	.replace(/, ([^,]+)$/, " and $1");
+
+const STRENGTH_LABELS = ["Too weak", "Fair", "Good", "Strong", "Very strong"];
+
+const COMMON = new Set(COMMON_PASSWORDS);
+
+// undoes the usual swaps, so "P@55w0rd" is read as "password"
+const LOOKALIKES = {
+	"@": "a",
+	4: "a",
+	3: "e",
+	1: "i",
+	0: "o",
+	5: "s",
+	$: "s",
+	7: "t",
+};
+
+function countCharacterClasses(password) {
+	return CHARACTER_CLASSES.filter(({ pattern }) => pattern.test(password))
+		.length;
+}
+
+function isCommon(password) {
+	const lower = password.toLowerCase();
+	if (COMMON.has(lower)) return true;
+
+	// the same with numbers and symbols tacked on the end
+	const base = lower.replace(/[^a-z]+$/, "");
+	if (base.length === 0) return false;
+
+	const plain = base.replace(/[@$0-9]/g, (char) => LOOKALIKES[char] || char);
+	return COMMON.has(base) || COMMON.has(plain);
+}
+
+function containsEmail(password, email) {
+	if (!email) return false;
+
+	const lower = password.toLowerCase();
+	const address = String(email).trim().toLowerCase();
+	const name = address.split("@")[0];
+
+	// very short names like "al" turn up inside ordinary words
+	return (
+		lower.includes(address) || (name.length >= 3 && lower.includes(name))
+	);
+}
+
+// 0 to 4, higher is harder to guess. Anything that breaks the policy is 0,
+// the rest earn points for length and variety.
+function scorePassword(password, classes, problems) {
+	if (problems.length > 0) return 0;
+
+	let score = 1;
+	if (password.length >= 12) score++;
+	if (password.length >= 16) score++;
+	if (classes >= 3) score++;
+	return score;
+}
+
+// Checks `password` against the policy. Returns { valid, problems, score,
+// label }, where `problems` lists a readable message per broken rule.
+function checkPassword(password, { email, policy = PASSWORD_POLICY } = {}) {
+	const text = typeof password === "string" ? password : "";
+	const classes = countCharacterClasses(text);
+	const problems = [];
+
+	if (text.length < policy.minLength) {
+		problems.push(
+			`Password must be at least ${policy.minLength} characters`
+		);
+	}
+	if (text.length > policy.maxLength) {
+		problems.push(
+			`Password must be ${policy.maxLength} characters or less`
+		);
+	}
+	if (classes < policy.minCharacterClasses) {
+		problems.push(
+			`Password must use at least ${policy.minCharacterClasses} of: ` +
+				CLASS_NAMES
+		);
+	}
+	if (policy.banEmail && containsEmail(text, email)) {
+		problems.push("Password must not contain your email address");
+	}
+	if (policy.banCommon && text && isCommon(text)) {
+		problems.push(
+			"Password is too common, choose something less predictable"
+		);
+	}
+
+	const score = scorePassword(text, classes, problems);
+
+	return {
+		valid: problems.length === 0,
+		problems,
+		score,
+		label: STRENGTH_LABELS[score],
+	};
+}
+
+module.exports.PASSWORD_POLICY = PASSWORD_POLICY;
+module.exports.STRENGTH_LABELS = STRENGTH_LABELS;
+module.exports.checkPassword = checkPassword;